@@ -2,20 +2,12 @@ import fs from "node:fs/promises";
 import path from "node:path";
 import { normalizeSymbol } from "../config/defaults.js";
 import { nowIso } from "../lib/time.js";
-
-const ALLOWED_STRATEGY_NAMES = new Set(["risk_managed_momentum", "breakout"]);
-
-// Safe ranges for strategy parameters per README AI Operator Contract.
-// Values outside these ranges silently break strategy behavior (e.g. momentumEntryBps>30 disables buying).
-const STRATEGY_SAFE_RANGES = {
-  momentumLookback:         { min: 12,   max: 72   },
-  volatilityLookback:       { min: 48,   max: 144  },
-  momentumEntryBps:         { min: 6,    max: 30   },
-  momentumExitBps:          { min: 4,    max: 20   },
-  targetVolatilityPct:      { min: 0.30, max: 1.20 },
-  riskManagedMinMultiplier: { min: 0.40, max: 1.00 },
-  riskManagedMaxMultiplier: { min: 1.20, max: 2.50 },
-};
+import {
+  DEFAULT_STRATEGY_NAME,
+  clampStrategyParamsToSafeRange,
+  normalizeStrategyName,
+  normalizeStrategyParams,
+} from "../engine/strategy-registry.js";
 
 const ALLOWED_INTERVALS = new Set([
   "1m",
@@ -112,13 +104,6 @@ function toNullablePositiveNumber(value) {
   return parsed;
 }
 
-function normalizeStrategyName(value, fallback) {
-  const token = String(value || fallback || "risk_managed_momentum")
-    .trim()
-    .toLowerCase();
-  return ALLOWED_STRATEGY_NAMES.has(token) ? token : fallback;
-}
-
 function normalizeInterval(value, fallback) {
   const token = String(value || fallback || "15m").trim().toLowerCase();
   return ALLOWED_INTERVALS.has(token) ? token : fallback;
@@ -308,19 +293,11 @@ export class AiSettingsSource {
   defaultStrategy() {
     const base = this.config?.strategy || {};
     return {
-      name: normalizeStrategyName(base.name, "risk_managed_momentum"),
+      name: normalizeStrategyName(base.name, DEFAULT_STRATEGY_NAME),
       defaultSymbol: normalizeSymbol(base.defaultSymbol || this.config?.execution?.symbol || "BTC_KRW"),
       candleInterval: normalizeInterval(base.candleInterval, "15m"),
       candleCount: toPositiveInt(base.candleCount, 120),
-      breakoutLookback: toPositiveInt(base.breakoutLookback, 20),
-      breakoutBufferBps: toPositiveNumber(base.breakoutBufferBps, 5),
-      momentumLookback: toPositiveInt(base.momentumLookback, 24),
-      volatilityLookback: toPositiveInt(base.volatilityLookback, 72),
-      momentumEntryBps: toPositiveNumber(base.momentumEntryBps, 12),
-      momentumExitBps: toPositiveNumber(base.momentumExitBps, 8),
-      targetVolatilityPct: toPositiveNumber(base.targetVolatilityPct, 0.6),
-      riskManagedMinMultiplier: toPositiveNumber(base.riskManagedMinMultiplier, 0.6),
-      riskManagedMaxMultiplier: toPositiveNumber(base.riskManagedMaxMultiplier, 2.2),
+      ...normalizeStrategyParams(base),
       autoSellEnabled: toBoolean(base.autoSellEnabled, true),
       sellAllOnExit: toBoolean(base.sellAllOnExit, true),
       sellAllQtyPrecision: toPositiveInt(base.sellAllQtyPrecision, 8),
@@ -352,6 +329,7 @@ export class AiSettingsSource {
       overlay: null,
       controls: {
         killSwitch: null,
+        liquidate: null,
       },
     };
   }
@@ -375,6 +353,7 @@ export class AiSettingsSource {
       },
       controls: {
         killSwitch: false,
+        liquidate: false,
       },
     };
   }
@@ -479,45 +458,18 @@ export class AiSettingsSource {
       defaultSymbol: normalizeSymbol(strategyRaw.defaultSymbol || execution.symbol || strategyDefaults.defaultSymbol),
       candleInterval: normalizeInterval(strategyRaw.candleInterval, strategyDefaults.candleInterval),
       candleCount: toPositiveInt(strategyRaw.candleCount, strategyDefaults.candleCount),
-      breakoutLookback: toPositiveInt(strategyRaw.breakoutLookback, strategyDefaults.breakoutLookback),
-      breakoutBufferBps: toPositiveNumber(strategyRaw.breakoutBufferBps, strategyDefaults.breakoutBufferBps),
-      momentumLookback: toPositiveInt(strategyRaw.momentumLookback, strategyDefaults.momentumLookback),
-      volatilityLookback: toPositiveInt(strategyRaw.volatilityLookback, strategyDefaults.volatilityLookback),
-      momentumEntryBps: toPositiveNumber(strategyRaw.momentumEntryBps, strategyDefaults.momentumEntryBps),
-      momentumExitBps: toPositiveNumber(strategyRaw.momentumExitBps, strategyDefaults.momentumExitBps),
-      targetVolatilityPct: toPositiveNumber(strategyRaw.targetVolatilityPct, strategyDefaults.targetVolatilityPct),
-      riskManagedMinMultiplier: toPositiveNumber(
-        strategyRaw.riskManagedMinMultiplier,
-        strategyDefaults.riskManagedMinMultiplier,
-      ),
-      riskManagedMaxMultiplier: toPositiveNumber(
-        strategyRaw.riskManagedMaxMultiplier,
-        strategyDefaults.riskManagedMaxMultiplier,
-      ),
+      ...clampStrategyParamsToSafeRange(normalizeStrategyParams(strategyRaw, strategyDefaults), (clamp) => {
+        this.logger.warn("ai settings: strategy parameter out of safe range, clamping", clamp);
+      }),
       autoSellEnabled: toBoolean(strategyRaw.autoSellEnabled, strategyDefaults.autoSellEnabled),
       sellAllOnExit: toBoolean(strategyRaw.sellAllOnExit, strategyDefaults.sellAllOnExit),
       sellAllQtyPrecision: toPositiveInt(strategyRaw.sellAllQtyPrecision, strategyDefaults.sellAllQtyPrecision),
       baseOrderAmountKrw: toPositiveNumber(strategyRaw.baseOrderAmountKrw, strategyDefaults.baseOrderAmountKrw),
     };
 
-    for (const [field, range] of Object.entries(STRATEGY_SAFE_RANGES)) {
-      const value = strategy[field];
-      if (typeof value !== "number") continue;
-      const clamped = Math.max(range.min, Math.min(range.max, value));
-      if (clamped !== value) {
-        this.logger.warn("ai settings: strategy parameter out of safe range, clamping", {
-          field,
-          received: value,
-          clamped,
-          safeMin: range.min,
-          safeMax: range.max,
-        });
-        strategy[field] = clamped;
-      }
-    }
-
     const controls = {
       killSwitch: this.applyKillSwitch ? toBoolean(raw?.controls?.killSwitch, null) : null,
+      liquidate: this.applyKillSwitch ? toBoolean(raw?.controls?.liquidate, null) : null,
     };
 
     const overlay = this.applyOverlay ? normalizeOverlay(raw.overlay) : null;
@@ -0,0 +1,679 @@
+#!/usr/bin/env node
+import { fileURLToPath } from "node:url";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { loadEnvFile } from "../config/env-loader.js";
+import { loadConfig, normalizeSymbol, toBithumbMarket } from "../config/defaults.js";
+import { EXIT_CODES } from "../config/exit-codes.js";
+import { MarketDataService } from "../core/market-data.js";
+import { CuratedMarketUniverse } from "../core/market-universe.js";
+import { MemoryStateStore } from "../core/store.js";
+import { requiredCandleWindow, TradingSystem } from "../core/trading-system.js";
+import { OverlayEngine } from "../engine/overlay-engine.js";
+import { BithumbClient } from "../exchange/bithumb-client.js";
+import { PaperExchangeClient } from "../exchange/paper-exchange.js";
+import { invalidArg } from "../lib/errors.js";
+import { logger as defaultLogger } from "../lib/output.js";
+import { runExecutionService } from "./run.js";
+
+function asNumber(value, fallback = null) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+function roundNum(value, digits = 4) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) {
+    return null;
+  }
+  return Number(parsed.toFixed(digits));
+}
+
+function parseIntervalMs(interval) {
+  const token = String(interval || "60m").trim().toLowerCase();
+  const minuteMap = { "1m": 1, "3m": 3, "5m": 5, "10m": 10, "15m": 15, "30m": 30, "60m": 60, "240m": 240 };
+  if (minuteMap[token] !== undefined) {
+    return minuteMap[token] * 60_000;
+  }
+  if (token === "day") return 24 * 60 * 60_000;
+  if (token === "week") return 7 * 24 * 60 * 60_000;
+  if (token === "month") return 30 * 24 * 60 * 60_000;
+  return 60_000;
+}
+
+// Replaces the global Date so Date.now()/new Date() follow replay time inside the unmodified runtime code.
+export function installVirtualClock(startMs) {
+  const RealDate = globalThis.Date;
+  let current = Math.floor(startMs);
+
+  class VirtualDate extends RealDate {
+    constructor(...args) {
+      if (args.length === 0) {
+        super(current);
+      } else {
+        super(...args);
+      }
+    }
+
+    static now() {
+      return current;
+    }
+  }
+
+  globalThis.Date = VirtualDate;
+  return {
+    now: () => current,
+    set(ms) {
+      if (Number.isFinite(ms) && ms > current) {
+        current = Math.floor(ms);
+      }
+    },
+    restore() {
+      globalThis.Date = RealDate;
+    },
+  };
+}
+
+function settle() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+function parseCandleStartMs(row, intervalMs) {
+  const utc = row.candleTimeUtc ?? row.candle_date_time_utc ?? null;
+  if (utc) {
+    const text = String(utc);
+    const parsed = Date.parse(/[zZ]|[+-]\d\d:?\d\d$/.test(text) ? text : `${text}Z`);
+    if (Number.isFinite(parsed)) {
+      return parsed;
+    }
+  }
+  const ts = asNumber(row.timestamp, null);
+  return ts === null ? null : Math.floor(ts / intervalMs) * intervalMs;
+}
+
+function isCandleRow(row) {
+  return row.close !== undefined
+    || row.opening_price !== undefined
+    || row.candleTimeUtc !== undefined
+    || row.candle_date_time_utc !== undefined;
+}
+
+function toReplayRow(row, fallbackSymbol, intervalMs) {
+  if (!row || typeof row !== "object") {
+    return null;
+  }
+  const symbol = normalizeSymbol(row.symbol || row.market?.replace?.(/^KRW-(.+)$/, "$1_KRW") || fallbackSymbol);
+
+  if (isCandleRow(row)) {
+    const close = asNumber(row.close ?? row.trade_price, null);
+    const timestamp = parseCandleStartMs(row, intervalMs);
+    if (close === null || close <= 0 || timestamp === null) {
+      return null;
+    }
+    return {
+      kind: "candle",
+      symbol,
+      interval: row.interval ? String(row.interval).toLowerCase() : null,
+      timestamp,
+      open: asNumber(row.open ?? row.opening_price, close),
+      high: asNumber(row.high ?? row.high_price, close),
+      low: asNumber(row.low ?? row.low_price, close),
+      close,
+    };
+  }
+
+  const tradePrice = asNumber(row.tradePrice ?? row.trade_price, null);
+  const timestamp = asNumber(row.timestamp ?? row.trade_timestamp, null);
+  if (tradePrice === null || tradePrice <= 0 || timestamp === null) {
+    return null;
+  }
+  return {
+    kind: "tick",
+    symbol,
+    timestamp,
+    tradePrice,
+  };
+}
+
+export function candlesToTicks(candles = [], intervalMs) {
+  const ticks = [];
+  for (const candle of candles) {
+    const path = candle.close >= candle.open
+      ? [candle.open, candle.low, candle.high, candle.close]
+      : [candle.open, candle.high, candle.low, candle.close];
+    path.forEach((price, index) => {
+      ticks.push({
+        symbol: candle.symbol,
+        timestamp: candle.timestamp + Math.floor(((index * 2 + 1) * intervalMs) / 8),
+        tradePrice: price,
+      });
+    });
+  }
+  return ticks;
+}
+
+export function ticksToCandles(ticks = [], intervalMs) {
+  const buckets = new Map();
+  for (const tick of ticks) {
+    const start = Math.floor(tick.timestamp / intervalMs) * intervalMs;
+    const key = `${tick.symbol}:${start}`;
+    const current = buckets.get(key);
+    if (!current) {
+      buckets.set(key, {
+        symbol: tick.symbol,
+        timestamp: start,
+        open: tick.tradePrice,
+        high: tick.tradePrice,
+        low: tick.tradePrice,
+        close: tick.tradePrice,
+      });
+      continue;
+    }
+    current.high = Math.max(current.high, tick.tradePrice);
+    current.low = Math.min(current.low, tick.tradePrice);
+    current.close = tick.tradePrice;
+  }
+  return Array.from(buckets.values()).sort((a, b) => a.timestamp - b.timestamp);
+}
+
+export function buildReplaySeries(rows = [], { interval, defaultSymbol = "BTC_KRW" } = {}) {
+  const intervalMs = parseIntervalMs(interval);
+  const bySymbol = new Map();
+
+  for (const raw of rows) {
+    const row = toReplayRow(raw, defaultSymbol, intervalMs);
+    if (!row) {
+      continue;
+    }
+    if (row.kind === "candle" && row.interval && row.interval !== String(interval).toLowerCase()) {
+      throw invalidArg(`Replay candle interval ${row.interval} does not match strategy interval ${interval}`, {
+        field: "interval",
+        input: row.interval,
+        expected: interval,
+      });
+    }
+    if (!bySymbol.has(row.symbol)) {
+      bySymbol.set(row.symbol, { candles: [], ticks: [] });
+    }
+    const bucket = bySymbol.get(row.symbol);
+    if (row.kind === "candle") {
+      bucket.candles.push(row);
+    } else {
+      bucket.ticks.push(row);
+    }
+  }
+
+  const series = new Map();
+  for (const [symbol, bucket] of bySymbol.entries()) {
+    const dedupedCandles = Array.from(
+      new Map(bucket.candles.map((candle) => [candle.timestamp, candle])).values(),
+    ).sort((a, b) => a.timestamp - b.timestamp);
+    const ticks = bucket.ticks.slice().sort((a, b) => a.timestamp - b.timestamp);
+
+    if (ticks.length > 0) {
+      series.set(symbol, { candles: ticksToCandles(ticks, intervalMs), ticks });
+    } else if (dedupedCandles.length > 0) {
+      series.set(symbol, { candles: dedupedCandles, ticks: candlesToTicks(dedupedCandles, intervalMs) });
+    }
+  }
+  return series;
+}
+
+export async function loadReplayRows(filePath) {
+  const text = await fs.readFile(filePath, "utf8");
+  const trimmed = text.trim();
+  if (!trimmed) {
+    return [];
+  }
+
+  if (trimmed.startsWith("[") || trimmed.startsWith("{")) {
+    try {
+      const parsed = JSON.parse(trimmed);
+      if (Array.isArray(parsed)) {
+        return parsed;
+      }
+      if (Array.isArray(parsed?.candles)) {
+        return parsed.candles.map((row) => ({ symbol: parsed.symbol, ...row }));
+      }
+      if (Array.isArray(parsed?.ticks)) {
+        return parsed.ticks.map((row) => ({ symbol: parsed.symbol, ...row }));
+      }
+      return [parsed];
+    } catch {
+      // fall through to JSONL parsing
+    }
+  }
+
+  return trimmed
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+async function fetchReplayRows(config, symbols, logger) {
+  const marketData = new MarketDataService(config, new BithumbClient(config, logger));
+  const rows = [];
+  for (const symbol of symbols) {
+    const response = await marketData.getCandles({
+      symbol,
+      interval: config.strategy.candleInterval,
+      count: 200,
+    });
+    rows.push(...response.candles.map((candle) => ({ ...candle, symbol })));
+  }
+  return rows;
+}
+
+export class ReplayFeed {
+  constructor({ ticks = [], windowMs, startMs, clock }) {
+    this.ticks = ticks;
+    this.windowMs = Math.max(1, Math.floor(windowMs));
+    this.cursorMs = startMs;
+    this.clock = clock;
+    this.index = 0;
+    this.emitted = 0;
+    this.lastPrices = new Map();
+    this.windowStreams = [];
+    this.passiveListeners = [];
+    this.pumpScheduled = false;
+    this.pumping = null;
+  }
+
+  get remaining() {
+    return this.ticks.length - this.index;
+  }
+
+  lastPrice(symbol) {
+    return this.lastPrices.get(normalizeSymbol(symbol)) ?? null;
+  }
+
+  createStream(symbols, onTicker) {
+    let resolveClosed;
+    const stream = {
+      symbols: new Set((symbols || []).map((symbol) => normalizeSymbol(symbol))),
+      onTicker,
+      closed: false,
+      closedPromise: new Promise((resolve) => {
+        resolveClosed = resolve;
+      }),
+    };
+    stream.close = (reason = "closed") => {
+      if (stream.closed) {
+        return;
+      }
+      stream.closed = true;
+      resolveClosed({ code: 1000, reason });
+    };
+    return stream;
+  }
+
+  // Streams opened by runStrategyRealtime; each one lives for exactly one replay window.
+  activeClient() {
+    return {
+      openTickerStream: async ({ symbols, onTicker = () => {} } = {}) => {
+        const stream = this.createStream(symbols, onTicker);
+        if (this.pumping) {
+          // Late subscribers join the window that is already replaying.
+          this.pumping.push(stream);
+        } else {
+          this.windowStreams.push(stream);
+        }
+        if (!this.pumping && !this.pumpScheduled) {
+          this.pumpScheduled = true;
+          setImmediate(() => {
+            this.pump().catch((error) => {
+              const open = [...(this.pumping || []), ...this.windowStreams];
+              this.pumping = null;
+              this.windowStreams = [];
+              for (const row of open) {
+                row.close(`replay_error: ${error.message}`);
+              }
+            });
+          });
+        }
+        return {
+          close: () => stream.close("client_closed"),
+          closed: stream.closedPromise,
+        };
+      },
+    };
+  }
+
+  // Long-lived subscribers (the paper exchange) that observe every tick without driving windows.
+  passiveClient() {
+    return {
+      openTickerStream: async ({ symbols, onTicker = () => {} } = {}) => {
+        const stream = this.createStream(symbols, onTicker);
+        this.passiveListeners.push(stream);
+        return {
+          close: () => stream.close("client_closed"),
+          closed: stream.closedPromise,
+        };
+      },
+    };
+  }
+
+  async pump() {
+    this.pumpScheduled = false;
+    const streams = this.windowStreams;
+    this.windowStreams = [];
+    this.pumping = streams;
+    const windowEndMs = this.cursorMs + this.windowMs;
+
+    while (this.index < this.ticks.length && this.ticks[this.index].timestamp < windowEndMs) {
+      const row = this.ticks[this.index];
+      this.index += 1;
+      this.clock.set(row.timestamp);
+      this.lastPrices.set(row.symbol, row.tradePrice);
+      this.emitted += 1;
+      const tick = {
+        type: "ticker",
+        market: toBithumbMarket(row.symbol),
+        symbol: row.symbol,
+        tradePrice: row.tradePrice,
+        streamType: "REALTIME",
+        timestamp: row.timestamp,
+      };
+      for (const listener of [...this.passiveListeners, ...streams]) {
+        if (!listener.closed && listener.symbols.has(row.symbol)) {
+          listener.onTicker({ ...tick });
+        }
+      }
+      await settle();
+    }
+
+    this.pumping = null;
+    this.cursorMs = windowEndMs;
+    this.clock.set(windowEndMs);
+    for (const stream of streams) {
+      stream.close("replay_window_end");
+    }
+  }
+}
+
+export class ReplayMarketData {
+  constructor({ feed, candlesBySymbol, interval }) {
+    this.feed = feed;
+    this.candlesBySymbol = candlesBySymbol;
+    this.interval = interval;
+    this.intervalMs = parseIntervalMs(interval);
+  }
+
+  async getCandles({ symbol, interval = this.interval, count = 200 } = {}) {
+    const normalized = normalizeSymbol(symbol);
+    const nowMs = Date.now();
+    const completed = (this.candlesBySymbol.get(normalized) || [])
+      .filter((candle) => candle.timestamp + this.intervalMs <= nowMs);
+    const size = Math.max(1, Math.floor(asNumber(count, 200)));
+    return {
+      symbol: normalized,
+      interval,
+      count: size,
+      to: null,
+      sourceUrl: "replay",
+      candles: completed.slice(-size).map((candle) => ({ ...candle, interval })),
+      raw: [],
+    };
+  }
+
+  async getMarketTicker(symbol) {
+    const normalized = normalizeSymbol(symbol);
+    const price = this.feed.lastPrice(normalized);
+    if (price === null) {
+      throw new Error(`No replay price yet for ${normalized}`);
+    }
+    return {
+      symbol: normalized,
+      market: toBithumbMarket(normalized),
+      sourceUrl: "replay",
+      payload: [{ market: toBithumbMarket(normalized), trade_price: price }],
+    };
+  }
+}
+
+class MemoryOverlayEngine extends OverlayEngine {
+  constructor(config) {
+    super(config);
+    this.raw = null;
+  }
+
+  async ensureDir() {}
+
+  async readRaw() {
+    return this.raw;
+  }
+
+  async writeRaw(payload) {
+    this.raw = payload;
+  }
+}
+
+export function buildReplayConfig(config, symbols) {
+  const replayConfig = structuredClone(config);
+  const backtest = replayConfig.backtest || {};
+  replayConfig.paper = {
+    ...(replayConfig.paper || {}),
+    enabled: true,
+    initialCashKrw: backtest.initialCashKrw ?? replayConfig.paper?.initialCashKrw,
+  };
+  replayConfig.marketUniverse = {
+    ...(replayConfig.marketUniverse || {}),
+    enabled: false,
+  };
+  // Replay candles must never land in the live candle cache.
+  replayConfig.candleCache = {
+    ...(replayConfig.candleCache || {}),
+    enabled: false,
+  };
+  // The control API would bind the daemon's port and expose the replay system.
+  replayConfig.controlApi = {
+    ...(replayConfig.controlApi || {}),
+    enabled: false,
+  };
+  // Replay equity must not show up on the daemon's metrics endpoint.
+  replayConfig.metrics = {
+    ...(replayConfig.metrics || {}),
+    enabled: false,
+  };
+  replayConfig.ai = {
+    ...(replayConfig.ai || {}),
+    enabled: Boolean(backtest.aiSettingsFile),
+    settingsFile: backtest.aiSettingsFile || null,
+    refreshFixedSec: 0,
+  };
+  replayConfig.execution = {
+    ...replayConfig.execution,
+    symbol: symbols[0],
+    symbols,
+    windowSec: backtest.windowSec || replayConfig.execution.windowSec,
+    dryRun: false,
+    // Replay windows are driven by per-window ticker streams, so the shared stream stays off.
+    marketStreamEnabled: false,
+    restartDelayMs: 1,
+    streamFailureBackoffBaseMs: 1,
+    streamFailureBackoffMaxMs: 1,
+    kpiReportFile: backtest.reportFile,
+    kpiReportSummaryFile: backtest.summaryFile,
+  };
+  return replayConfig;
+}
+
+export async function runBacktest({
+  config = null,
+  rows = null,
+  logger = defaultLogger,
+} = {}) {
+  const runtimeConfig = config || loadConfig(process.env);
+  const backtest = runtimeConfig.backtest || {};
+  const interval = runtimeConfig.strategy.candleInterval;
+  const intervalMs = parseIntervalMs(interval);
+  const requestedSymbols = (backtest.symbols?.length > 0 ? backtest.symbols : runtimeConfig.execution.symbols)
+    .map((symbol) => normalizeSymbol(symbol));
+
+  let replayRows = rows;
+  if (!replayRows) {
+    replayRows = backtest.dataFile
+      ? await loadReplayRows(backtest.dataFile)
+      : await fetchReplayRows(runtimeConfig, requestedSymbols, logger);
+  }
+
+  const series = buildReplaySeries(replayRows, { interval, defaultSymbol: requestedSymbols[0] });
+  const symbols = requestedSymbols.filter((symbol) => series.has(symbol));
+  if (symbols.length === 0) {
+    return {
+      ok: false,
+      code: EXIT_CODES.INVALID_ARGS,
+      error: {
+        message: "No replay data for requested symbols",
+        details: { requestedSymbols, availableSymbols: Array.from(series.keys()) },
+      },
+    };
+  }
+
+  const replayConfig = buildReplayConfig(runtimeConfig, symbols);
+  const warmupCandles = asNumber(backtest.warmupCandles, 0) > 0
+    ? Math.floor(backtest.warmupCandles)
+    : requiredCandleWindow(replayConfig);
+  const candlesBySymbol = new Map(symbols.map((symbol) => [symbol, series.get(symbol).candles]));
+  const startCandidates = symbols
+    .map((symbol) => candlesBySymbol.get(symbol)[warmupCandles]?.timestamp)
+    .filter((value) => Number.isFinite(value));
+  if (startCandidates.length === 0) {
+    return {
+      ok: false,
+      code: EXIT_CODES.INVALID_ARGS,
+      error: {
+        message: "Replay data is shorter than the strategy warmup window",
+        details: { warmupCandles, candleCounts: symbols.map((symbol) => candlesBySymbol.get(symbol).length) },
+      },
+    };
+  }
+
+  const startMs = Math.min(...startCandidates);
+  const ticks = symbols
+    .flatMap((symbol) => series.get(symbol).ticks)
+    .filter((tick) => tick.timestamp >= startMs)
+    .sort((a, b) => a.timestamp - b.timestamp);
+  const endMs = ticks.length > 0 ? ticks.at(-1).timestamp + 1 : startMs + intervalMs;
+  const windowMs = replayConfig.execution.windowSec * 1_000;
+  const plannedWindows = Math.max(1, Math.ceil((endMs - startMs) / windowMs));
+
+  await fs.rm(backtest.reportFile, { force: true }).catch(() => {});
+  await fs.rm(backtest.summaryFile, { force: true }).catch(() => {});
+
+  const clock = installVirtualClock(startMs);
+  try {
+    const feed = new ReplayFeed({ ticks, windowMs, startMs, clock });
+    const marketData = new ReplayMarketData({ feed, candlesBySymbol, interval });
+    const exchange = new PaperExchangeClient(replayConfig, logger, {
+      persist: false,
+      marketData,
+      wsClient: feed.passiveClient(),
+    });
+    const system = new TradingSystem(replayConfig, {
+      logger,
+      store: new MemoryStateStore(),
+      exchangeClient: exchange,
+      wsClient: feed.activeClient(),
+      marketData,
+      overlayEngine: new MemoryOverlayEngine(replayConfig),
+      sleepFn: async () => {},
+    });
+    const marketUniverse = new CuratedMarketUniverse(replayConfig, logger, marketData);
+
+    const service = await runExecutionService({
+      system,
+      config: replayConfig,
+      stopAfterWindows: plannedWindows,
+      marketUniverseService: marketUniverse,
+    });
+
+    const executionKpi = system.computeExecutionKpi({ sinceMs: startMs, untilMs: clock.now() + 1 });
+    const accounts = await exchange.getAccounts();
+    const status = await system.status();
+    let cashKrw = 0;
+    const holdings = [];
+    for (const row of accounts) {
+      const qty = asNumber(row.balance, 0) + asNumber(row.locked, 0);
+      if (row.currency === "KRW") {
+        cashKrw += qty;
+        continue;
+      }
+      const price = feed.lastPrice(`${row.currency}_KRW`);
+      holdings.push({
+        currency: row.currency,
+        qty,
+        avgBuyPrice: asNumber(row.avg_buy_price, null),
+        lastPrice: price,
+        valueKrw: price === null ? null : roundNum(qty * price, 2),
+      });
+    }
+    const initialCashKrw = exchange.initialCashKrw;
+    const finalEquityKrw = cashKrw + holdings.reduce((sum, row) => sum + (row.valueKrw || 0), 0);
+
+    const result = {
+      ok: true,
+      code: EXIT_CODES.OK,
+      data: {
+        symbols,
+        interval,
+        windowSec: replayConfig.execution.windowSec,
+        warmupCandles,
+        startAt: new Date(startMs).toISOString(),
+        endAt: new Date(clock.now()).toISOString(),
+        plannedWindows,
+        windows: service.windows,
+        stoppedBy: service.stoppedBy,
+        ticksReplayed: feed.emitted,
+        ticksRemaining: feed.remaining,
+        killSwitch: Boolean(status.data.killSwitch),
+        killSwitchReason: status.data.killSwitchReason,
+        initialCashKrw,
+        finalCashKrw: roundNum(cashKrw, 2),
+        finalEquityKrw: roundNum(finalEquityKrw, 2),
+        totalReturnPct: initialCashKrw > 0 ? roundNum(((finalEquityKrw - initialCashKrw) / initialCashKrw) * 100, 4) : null,
+        holdings,
+        executionKpi,
+        riskEvents: system.store.snapshot().riskEvents.length,
+        reportFile: backtest.reportFile,
+        summaryFile: backtest.summaryFile,
+      },
+    };
+
+    if (backtest.resultFile) {
+      await fs.mkdir(path.dirname(backtest.resultFile), { recursive: true });
+      await fs.writeFile(backtest.resultFile, JSON.stringify(result.data, null, 2), "utf8");
+    }
+    return result;
+  } finally {
+    clock.restore();
+  }
+}
+
+async function main() {
+  await loadEnvFile(process.env.TRADER_ENV_FILE || ".env");
+  const config = loadConfig(process.env);
+  const result = await runBacktest({ config });
+  if (!result.ok) {
+    process.stderr.write(`${JSON.stringify(result.error)}\n`);
+    process.exitCode = result.code;
+    return;
+  }
+  process.stdout.write(`${JSON.stringify({ ...result.data, executionKpi: undefined }, null, 2)}\n`);
+}
+
+const isDirectRun = process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
+if (isDirectRun) {
+  main().catch((error) => {
+    process.stderr.write(`${JSON.stringify({ error: error.message })}\n`);
+    process.exit(EXIT_CODES.INTERNAL_ERROR);
+  });
+}
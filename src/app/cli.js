@@ -0,0 +1,530 @@
+#!/usr/bin/env node
+import { fileURLToPath } from "node:url";
+import fs from "node:fs";
+import readline from "node:readline/promises";
+import { loadEnvFile } from "../config/env-loader.js";
+import { loadConfig } from "../config/defaults.js";
+import { EXIT_CODES, codeName } from "../config/exit-codes.js";
+import { TradingSystem } from "../core/trading-system.js";
+import { BithumbClient, ExchangeHttpError } from "../exchange/bithumb-client.js";
+import { BithumbPublicWsClient } from "../exchange/bithumb-public-ws.js";
+import { PaperExchangeClient, PaperExchangeError } from "../exchange/paper-exchange.js";
+import { writeTaxExport } from "../core/tax-export.js";
+import { invalidArg } from "../lib/errors.js";
+
+const BOOLEAN_FLAGS = new Set(["yes", "dry-run", "backfill", "force", "help", "json", "table"]);
+const SHORT_FLAGS = { y: "yes", h: "help" };
+
+const USAGE = `Usage: buycoin <command> [options]
+
+Read commands:
+  status                                   Runtime status (kill switch, overlay, KPI)
+  account list                             Exchange balances
+  positions [--symbol S]                   Ledger positions marked to the latest ticker
+  dust report                              Holdings worth less than the smallest sellable total
+  history <collection> [--symbol S] [--type T] [--since ISO] [--until ISO] [--limit 100]
+                                           Stored history (orders, orderEvents, fills, strategyRuns,
+                                           riskEvents, kpiHistory); needs TRADER_STATE_BACKEND=sqlite
+  state at [--time ISO] [--key K1,K2]     State replayed from the event log as of --time (default: now)
+  tax export [--year Y] [--symbol S] [--backfill] [--max-pages 20] [--out DIR] [--format csv|ko|json]
+                                           Trades with KRW proceeds, fees and moving-average realized
+                                           gain plus yearly per-asset totals; JSON report without --out
+  ticker --symbol BTC_KRW                  Latest ticker
+  candles --symbol BTC_KRW [--interval 15m] [--count 120] [--to ISO]
+  candles backfill --symbol S[,S2] [--interval 15m] (--days N | --count N) [--max-pages N]
+                                           Page candle history into the local cache (resumable)
+  order list [--symbol S] [--state wait] [--states wait,watch] [--limit 100]
+  order get --id ID [--symbol S]
+  order chance --symbol S
+  overlay show
+
+Mutations (confirmation prompt in live mode, skip with --yes):
+  order place --symbol S --side buy|sell --type market|limit --amount KRW [--price P]
+  order cancel --id ID [--symbol S]
+  overlay set --multiplier M [--score S] [--regime R] [--note TEXT]
+  kill-switch on|off [--reason TEXT]
+  kpi-guard clear [--symbol S] [--entry REASON]   Lift KPI guard entry blocks (all without options)
+  circuit-breaker reset [--name NAME]      Reset tripped circuit breakers (all without --name)
+  liquidate [--reason TEXT] [--dry-run]    Cancel open orders and sell every holding
+  strategy run-once [--symbol S] [--amount KRW] [--dry-run]
+  state rebuild                            Rebuild the state snapshot from the event log
+
+Options:
+  --json | --table    Output format (default: json)
+  --yes, -y           Skip confirmation prompts
+`;
+
+export function parseArgs(argv = []) {
+  const positional = [];
+  const options = {};
+
+  for (let index = 0; index < argv.length; index += 1) {
+    const token = argv[index];
+    if (token === "--") {
+      positional.push(...argv.slice(index + 1));
+      break;
+    }
+    if (/^-[a-zA-Z]$/.test(token)) {
+      const name = SHORT_FLAGS[token.slice(1)];
+      if (!name) {
+        throw invalidArg(`Unknown option ${token}`);
+      }
+      options[name] = true;
+      continue;
+    }
+    if (!token.startsWith("--")) {
+      positional.push(token);
+      continue;
+    }
+
+    const body = token.slice(2);
+    const eq = body.indexOf("=");
+    const name = eq >= 0 ? body.slice(0, eq) : body;
+    if (!name) {
+      throw invalidArg(`Invalid option ${token}`);
+    }
+    if (eq >= 0) {
+      options[name] = body.slice(eq + 1);
+      continue;
+    }
+    if (BOOLEAN_FLAGS.has(name)) {
+      options[name] = true;
+      continue;
+    }
+    const next = argv[index + 1];
+    if (next === undefined || next.startsWith("--")) {
+      throw invalidArg(`Option --${name} requires a value`);
+    }
+    options[name] = next;
+    index += 1;
+  }
+
+  return { positional, options };
+}
+
+function requireOption(options, name) {
+  const value = options[name];
+  if (value === undefined || value === null || String(value).trim() === "") {
+    throw invalidArg(`Missing required option --${name}`);
+  }
+  return String(value).trim();
+}
+
+function optionalNumber(options, name) {
+  if (options[name] === undefined) {
+    return null;
+  }
+  const parsed = Number(options[name]);
+  if (!Number.isFinite(parsed)) {
+    throw invalidArg(`Option --${name} must be a number`);
+  }
+  return parsed;
+}
+
+const COMMANDS = {
+  status: {
+    run: (system) => system.status(),
+  },
+  "account list": {
+    run: (system) => system.accountList(),
+    rows: (data) => data.accounts,
+  },
+  positions: {
+    run: (system, options, args) => system.positions({ symbol: options.symbol || args[0] || null }),
+    rows: (data) => data.positions,
+  },
+  "dust report": {
+    run: (system) => system.dustReport(),
+    rows: (data) => data.holdings,
+  },
+  history: {
+    run: (system, options, args) => system.history({
+      collection: options.collection || args[0] || null,
+      symbol: options.symbol || null,
+      type: options.type || null,
+      since: options.since || null,
+      until: options.until || null,
+      limit: optionalNumber(options, "limit") || 100,
+    }),
+    rows: (data) => data.rows,
+  },
+  "state at": {
+    run: (system, options) => system.stateAt({
+      time: options.time || null,
+      keys: options.key || null,
+    }),
+  },
+  "state rebuild": {
+    mutation: true,
+    init: false,
+    describe: () => "replace the state snapshot with the state replayed from the event log",
+    run: (system) => system.rebuildStateFromEventLog(),
+  },
+  "tax export": {
+    run: async (system, options) => {
+      const result = await system.taxExport({
+        year: options.year ?? null,
+        symbol: options.symbol || null,
+        backfill: Boolean(options.backfill),
+        maxPages: optionalNumber(options, "max-pages") || 20,
+      });
+      if (!result.ok || !options.out) {
+        return result;
+      }
+      const files = await writeTaxExport(result.data, { dir: options.out, format: options.format || "csv" });
+      return {
+        ok: true,
+        code: EXIT_CODES.OK,
+        data: {
+          year: result.data.year,
+          symbol: result.data.symbol,
+          tradeCount: result.data.tradeCount,
+          flaggedCount: result.data.flaggedCount,
+          sources: result.data.sources,
+          files,
+          summary: result.data.summary,
+        },
+      };
+    },
+    rows: (data) => data.summary,
+  },
+  ticker: {
+    run: (system, options, args) => system.fetchTicker(options.symbol || args[0] || null),
+    rows: (data) => data.payload,
+  },
+  candles: {
+    run: (system, options) => system.fetchCandles({
+      symbol: options.symbol || null,
+      interval: options.interval || null,
+      count: optionalNumber(options, "count"),
+      to: options.to || null,
+    }),
+    rows: (data) => data.candles,
+  },
+  "candles backfill": {
+    run: (system, options) => system.backfillCandles({
+      symbols: String(options.symbol || "").split(",").map((symbol) => symbol.trim()).filter(Boolean),
+      interval: options.interval || null,
+      count: optionalNumber(options, "count"),
+      days: optionalNumber(options, "days"),
+      maxPages: optionalNumber(options, "max-pages"),
+    }),
+    rows: (data) => data.results,
+  },
+  "order list": {
+    run: (system, options) => system.orderList({
+      symbol: options.symbol || null,
+      state: options.state || null,
+      states: options.states || null,
+      uuids: options.uuids || null,
+      page: optionalNumber(options, "page") || 1,
+      limit: optionalNumber(options, "limit") || 100,
+      orderBy: options["order-by"] || "desc",
+    }),
+    rows: (data) => data.orders,
+  },
+  "order get": {
+    run: (system, options, args) => system.orderGet(options.id || args[0], options.symbol || null),
+  },
+  "order chance": {
+    run: (system, options, args) => system.getOrderChance(options.symbol || args[0] || null),
+  },
+  "order place": {
+    mutation: true,
+    describe: (options) => `place ${options.type || "?"} ${options.side || "?"} ${options.symbol || "?"} amount=${options.amount || "?"}${options.price ? ` price=${options.price}` : ""}`,
+    run: (system, options) => system.placeOrder({
+      symbol: requireOption(options, "symbol"),
+      side: requireOption(options, "side"),
+      type: requireOption(options, "type"),
+      amount: requireOption(options, "amount"),
+      price: options.price ?? null,
+      reason: "cli",
+    }),
+  },
+  "order cancel": {
+    mutation: true,
+    describe: (options, args) => `cancel order ${options.id || args[0] || "?"}`,
+    run: (system, options, args) => system.orderCancel(options.id || args[0], options.symbol || null),
+  },
+  "overlay show": {
+    run: (system) => system.overlayShow(),
+  },
+  "overlay set": {
+    mutation: true,
+    describe: (options) => `set overlay multiplier=${options.multiplier ?? "?"}`,
+    run: (system, options) => system.overlaySet({
+      multiplier: requireOption(options, "multiplier"),
+      score: options.score ?? null,
+      regime: options.regime ?? null,
+      note: options.note ?? null,
+    }),
+  },
+  "kill-switch": {
+    mutation: true,
+    describe: (options, args) => `turn kill switch ${args[0] || "?"}`,
+    run: (system, options, args) => {
+      const value = String(args[0] || "").toLowerCase();
+      if (value !== "on" && value !== "off") {
+        throw invalidArg("kill-switch requires 'on' or 'off'");
+      }
+      return system.setKillSwitch(value === "on", options.reason ? `cli: ${options.reason}` : "cli");
+    },
+  },
+  "kpi-guard clear": {
+    mutation: true,
+    describe: (options) => `clear kpi guard blocks${options.symbol ? ` symbol=${options.symbol}` : ""}${options.entry ? ` entry=${options.entry}` : ""}`,
+    run: (system, options) => system.clearKpiGuardBlocks({
+      symbol: options.symbol || null,
+      entryReason: options.entry || null,
+    }),
+  },
+  "circuit-breaker reset": {
+    mutation: true,
+    describe: (options) => `reset circuit breaker ${options.name || "(all)"}`,
+    run: (system, options) => system.resetCircuitBreakers({
+      name: options.name || null,
+    }),
+  },
+  liquidate: {
+    mutation: (options) => !options["dry-run"],
+    describe: () => "cancel all open orders and sell every holding",
+    run: (system, options) => system.liquidateAll({
+      reason: options.reason ? `cli: ${options.reason}` : "cli",
+      source: "cli",
+      dryRun: Boolean(options["dry-run"]),
+    }),
+  },
+  "strategy run-once": {
+    mutation: (options) => !options["dry-run"],
+    describe: (options) => `run strategy once for ${options.symbol || "default symbol"}`,
+    run: (system, options) => system.runStrategyOnce({
+      symbol: options.symbol || null,
+      amount: optionalNumber(options, "amount"),
+      dryRun: Boolean(options["dry-run"]),
+    }),
+  },
+};
+
+export function resolveCommand(positional = []) {
+  const [first, second, ...rest] = positional;
+  if (first && second && COMMANDS[`${first} ${second}`]) {
+    return { name: `${first} ${second}`, command: COMMANDS[`${first} ${second}`], args: rest };
+  }
+  if (first && COMMANDS[first]) {
+    return { name: first, command: COMMANDS[first], args: positional.slice(1) };
+  }
+  return null;
+}
+
+function formatCell(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  if (typeof value === "object") {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+export function renderTable(rows = []) {
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return "(no rows)";
+  }
+  const columns = Array.from(rows.reduce((set, row) => {
+    for (const key of Object.keys(row || {})) {
+      set.add(key);
+    }
+    return set;
+  }, new Set()));
+  const cells = rows.map((row) => columns.map((column) => formatCell(row?.[column])));
+  const widths = columns.map((column, index) => Math.max(
+    column.length,
+    ...cells.map((line) => line[index].length),
+  ));
+  const renderLine = (values) => values.map((value, index) => value.padEnd(widths[index])).join("  ").trimEnd();
+  return [
+    renderLine(columns),
+    renderLine(widths.map((width) => "-".repeat(width))),
+    ...cells.map(renderLine),
+  ].join("\n");
+}
+
+function toTableRows(command, data) {
+  const rows = command.rows ? command.rows(data) : null;
+  if (Array.isArray(rows)) {
+    return rows;
+  }
+  if (data && typeof data === "object" && !Array.isArray(data)) {
+    return Object.entries(data).map(([key, value]) => ({ key, value }));
+  }
+  return [{ value: data }];
+}
+
+export function formatResult(result, { command = null, format = "json" } = {}) {
+  if (format !== "table") {
+    return JSON.stringify(result, null, 2);
+  }
+  if (!result.ok) {
+    return `error (${codeName(result.code)}): ${result.error?.message || "unknown"}`;
+  }
+  return renderTable(toTableRows(command || {}, result.data));
+}
+
+async function promptConfirm(message, { input = process.stdin, output = process.stderr } = {}) {
+  if (!input.isTTY) {
+    return false;
+  }
+  const rl = readline.createInterface({ input, output });
+  try {
+    const answer = await rl.question(`${message} [y/N] `);
+    return /^y(es)?$/i.test(answer.trim());
+  } finally {
+    rl.close();
+  }
+}
+
+function createSystem(config) {
+  const exchangeClient = new BithumbClient(config, null);
+  const paperExchange = config.paper?.enabled
+    ? new PaperExchangeClient(config, null, { publicClient: exchangeClient })
+    : null;
+  const system = new TradingSystem(config, {
+    exchangeClient: paperExchange || exchangeClient,
+    wsClient: new BithumbPublicWsClient(config, null),
+  });
+  return {
+    system,
+    close: async () => {
+      if (paperExchange) {
+        await paperExchange.close();
+      }
+    },
+  };
+}
+
+// Errors that carry no exit code are exchange failures or bugs, never bad arguments.
+function exitCodeForError(error, exchangeClient) {
+  if (Number.isInteger(error?.code)) {
+    return error.code;
+  }
+  if (error instanceof ExchangeHttpError || error instanceof PaperExchangeError) {
+    return exchangeClient?.isRetryableError?.(error) ? EXIT_CODES.EXCHANGE_RETRYABLE : EXIT_CODES.EXCHANGE_FATAL;
+  }
+  return EXIT_CODES.INTERNAL_ERROR;
+}
+
+export async function runCli(argv = [], {
+  config = null,
+  system = null,
+  stdout = process.stdout,
+  stderr = process.stderr,
+  confirm = promptConfirm,
+} = {}) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${USAGE}`);
+    return EXIT_CODES.INVALID_ARGS;
+  }
+
+  const { positional, options } = parsed;
+  if (options.help || positional.length === 0) {
+    (options.help ? stdout : stderr).write(USAGE);
+    return options.help ? EXIT_CODES.OK : EXIT_CODES.INVALID_ARGS;
+  }
+
+  const resolved = resolveCommand(positional);
+  if (!resolved) {
+    stderr.write(`Unknown command: ${positional.join(" ")}\n\n${USAGE}`);
+    return EXIT_CODES.INVALID_ARGS;
+  }
+
+  const runtimeConfig = config || loadConfig(process.env);
+  const format = options.table ? "table" : "json";
+  const isMutation = typeof resolved.command.mutation === "function"
+    ? resolved.command.mutation(options)
+    : Boolean(resolved.command.mutation);
+  const liveMutation = isMutation && !runtimeConfig.paper?.enabled;
+
+  if (liveMutation && !options.yes) {
+    const description = resolved.command.describe
+      ? resolved.command.describe(options, resolved.args)
+      : resolved.name;
+    const approved = await confirm(`LIVE: ${description}. Proceed?`);
+    if (!approved) {
+      const result = {
+        ok: false,
+        code: EXIT_CODES.INVALID_ARGS,
+        error: {
+          message: "Aborted: live mutation not confirmed (use --yes for non-interactive runs)",
+        },
+      };
+      stderr.write(`${formatResult(result, { command: resolved.command, format })}\n`);
+      return result.code;
+    }
+  }
+
+  const owned = system ? null : createSystem(runtimeConfig);
+  const trader = system || owned.system;
+  let result;
+  try {
+    if (resolved.command.init !== false) {
+      await trader.init();
+    }
+    result = await resolved.command.run(trader, options, resolved.args);
+  } catch (error) {
+    result = {
+      ok: false,
+      code: exitCodeForError(error, trader.exchangeClient),
+      error: {
+        message: error.message,
+      },
+    };
+  } finally {
+    if (owned) {
+      await owned.close();
+    }
+  }
+
+  if (isMutation && typeof trader.recordAgentAudit === "function") {
+    try {
+      // Commands that skip init() leave the store unopened; load what is on disk before
+      // appending to it. A state that still cannot be read is not overwritten by the audit.
+      if (resolved.command.init === false) {
+        await trader.store?.init();
+      }
+      await trader.recordAgentAudit({
+        source: "cli",
+        action: resolved.name,
+        request: {
+          args: resolved.args,
+          options,
+        },
+        ok: result.ok,
+        code: result.code,
+        error: result.ok ? null : result.error?.message || null,
+      });
+    } catch (error) {
+      stderr.write(`warning: failed to record agent audit: ${error.message}\n`);
+    }
+  }
+
+  const text = formatResult(result, { command: resolved.command, format });
+  (result.ok ? stdout : stderr).write(`${text}\n`);
+  return result.code;
+}
+
+async function main() {
+  await loadEnvFile(process.env.TRADER_ENV_FILE || ".env");
+  process.exitCode = await runCli(process.argv.slice(2));
+}
+
+// npm installs the bin as a symlink, so compare real paths.
+const isDirectRun = process.argv[1] && fileURLToPath(import.meta.url) === fs.realpathSync(process.argv[1]);
+if (isDirectRun) {
+  main().catch((error) => {
+    process.stderr.write(`${JSON.stringify({ error: error.message })}\n`);
+    process.exit(EXIT_CODES.INTERNAL_ERROR);
+  });
+}
@@ -0,0 +1,402 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import { EXIT_CODES } from "../config/exit-codes.js";
+import { invalidArg } from "../lib/errors.js";
+import { LoopbackServer } from "../lib/loopback-server.js";
+
+function asNumber(value, fallback = null) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+function httpStatusFor(result) {
+  if (result.ok) {
+    return 200;
+  }
+  switch (result.code) {
+    case EXIT_CODES.INVALID_ARGS:
+      return 400;
+    case EXIT_CODES.FORBIDDEN_IN_AGENT_MODE:
+      return 403;
+    case EXIT_CODES.ALREADY_IN_PROGRESS:
+      return 409;
+    case EXIT_CODES.EXCHANGE_RETRYABLE:
+    case EXIT_CODES.EXCHANGE_FATAL:
+    case EXIT_CODES.RATE_LIMITED:
+      return 502;
+    default:
+      return 500;
+  }
+}
+
+function fail(code, message, details = null) {
+  return {
+    ok: false,
+    code,
+    error: details ? { message, details } : { message },
+  };
+}
+
+function tokensMatch(expected, provided) {
+  const a = Buffer.from(String(expected || ""), "utf8");
+  const b = Buffer.from(String(provided || ""), "utf8");
+  if (a.length === 0 || a.length !== b.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(a, b);
+}
+
+function readBearerToken(req) {
+  const header = String(req.headers.authorization || "");
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+async function readJsonFile(filePath) {
+  if (!filePath) {
+    return null;
+  }
+  try {
+    const raw = await fs.readFile(filePath, "utf8");
+    return raw.trim() ? JSON.parse(raw) : null;
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+export class ControlApiServer {
+  constructor(config, {
+    system,
+    marketUniverse = null,
+    aiRuntime = () => null,
+    logger = null,
+  } = {}) {
+    const options = config.controlApi || {};
+    this.listener = new LoopbackServer({
+      host: options.host,
+      port: options.port,
+      defaultPort: 8787,
+      label: "Control API",
+      field: "CONTROL_API_HOST",
+    });
+    this.token = options.token || null;
+    this.maxBodyBytes = Math.max(1, Math.floor(asNumber(options.maxBodyBytes, 16 * 1024)));
+    this.kpiSummaryFile = config.execution?.kpiReportSummaryFile || null;
+    this.system = system;
+    this.marketUniverse = marketUniverse;
+    this.aiRuntime = aiRuntime;
+    this.logger = logger || {
+      info() {},
+      warn() {},
+      error() {},
+    };
+
+    this.routes = [
+      { method: "GET", pattern: /^\/health$/, handler: () => this.health() },
+      { method: "GET", pattern: /^\/status$/, handler: () => this.system.status() },
+      { method: "GET", pattern: /^\/orders$/, handler: ({ query }) => this.listOrders(query) },
+      { method: "GET", pattern: /^\/kpi$/, handler: () => this.kpiSummary() },
+      { method: "GET", pattern: /^\/universe$/, handler: () => this.universeSnapshot() },
+      { method: "GET", pattern: /^\/ai-settings$/, handler: () => this.aiSettings() },
+      {
+        method: "POST",
+        pattern: /^\/kill-switch$/,
+        mutation: "kill_switch",
+        handler: ({ body }) => this.setKillSwitch(body),
+      },
+      {
+        method: "POST",
+        pattern: /^\/liquidate$/,
+        mutation: "liquidate",
+        handler: ({ body }) => this.system.liquidateAll({
+          reason: body.reason ? `control_api: ${String(body.reason).slice(0, 200)}` : "control_api",
+          source: "control_api",
+          dryRun: body.dryRun === true,
+        }),
+      },
+      {
+        method: "POST",
+        pattern: /^\/overlay$/,
+        mutation: "overlay_set",
+        handler: ({ body }) => this.system.overlaySet({
+          multiplier: body.multiplier,
+          score: body.score,
+          regime: body.regime,
+          note: body.note,
+        }),
+      },
+      {
+        method: "POST",
+        pattern: /^\/orders\/([^/]+)\/cancel$/,
+        mutation: "order_cancel",
+        handler: ({ params, body }) => this.system.orderCancel(decodeURIComponent(params[0]), body.symbol || null),
+      },
+      {
+        method: "POST",
+        pattern: /^\/universe\/refresh$/,
+        mutation: "universe_refresh",
+        handler: () => this.refreshUniverse(),
+      },
+    ];
+  }
+
+  async start() {
+    const address = await this.listener.listen((req, res) => {
+      this.handle(req, res).catch((error) => {
+        this.logger.error("control api request failed", {
+          method: req.method,
+          url: req.url,
+          reason: error.message,
+        });
+        this.send(res, 500, fail(EXIT_CODES.INTERNAL_ERROR, error.message));
+      });
+    });
+    this.logger.info("control api listening", {
+      host: address.host,
+      port: address.port,
+      mutationsEnabled: Boolean(this.token),
+    });
+    return address;
+  }
+
+  address() {
+    return this.listener.address();
+  }
+
+  async close() {
+    await this.listener.close();
+  }
+
+  send(res, status, payload) {
+    if (res.headersSent) {
+      return;
+    }
+    const body = JSON.stringify(payload);
+    res.writeHead(status, {
+      "content-type": "application/json; charset=utf-8",
+      "content-length": Buffer.byteLength(body),
+      "cache-control": "no-store",
+    });
+    res.end(body);
+  }
+
+  async readBody(req) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > this.maxBodyBytes) {
+        throw invalidArg("Request body too large", { maxBodyBytes: this.maxBodyBytes });
+      }
+      chunks.push(chunk);
+    }
+    const text = Buffer.concat(chunks).toString("utf8").trim();
+    if (!text) {
+      return {};
+    }
+    try {
+      const parsed = JSON.parse(text);
+      if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+        throw new Error("body must be a JSON object");
+      }
+      return parsed;
+    } catch (error) {
+      throw invalidArg(`Invalid JSON body: ${error.message}`);
+    }
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url || "/", "http://localhost");
+    const candidates = this.routes.filter((route) => route.pattern.test(url.pathname));
+    if (candidates.length === 0) {
+      this.send(res, 404, fail(EXIT_CODES.INVALID_ARGS, `Unknown route: ${url.pathname}`));
+      return;
+    }
+    const route = candidates.find((row) => row.method === req.method);
+    if (!route) {
+      res.setHeader("allow", candidates.map((row) => row.method).join(", "));
+      this.send(res, 405, fail(EXIT_CODES.INVALID_ARGS, `Method ${req.method} not allowed`));
+      return;
+    }
+
+    if (route.mutation) {
+      if (!this.token) {
+        this.send(res, 403, fail(EXIT_CODES.FORBIDDEN_IN_AGENT_MODE, "Control API mutations are disabled (CONTROL_API_TOKEN is not set)"));
+        return;
+      }
+      if (!tokensMatch(this.token, readBearerToken(req))) {
+        this.logger.warn("control api rejected unauthenticated mutation", {
+          action: route.mutation,
+          remoteAddress: req.socket?.remoteAddress || null,
+        });
+        const rejected = fail(EXIT_CODES.FORBIDDEN_IN_AGENT_MODE, "Unauthorized");
+        // The body of an unauthenticated request is never read, so only the path is audited.
+        await this.audit({
+          source: "control_api",
+          action: route.mutation,
+          remoteAddress: req.socket?.remoteAddress || null,
+          request: { path: url.pathname },
+          ok: false,
+          code: rejected.code,
+          error: rejected.error.message,
+        });
+        this.send(res, 401, rejected);
+        return;
+      }
+    }
+
+    let body;
+    try {
+      body = req.method === "POST" ? await this.readBody(req) : {};
+    } catch (error) {
+      this.send(res, 400, fail(error.code ?? EXIT_CODES.INVALID_ARGS, error.message, error.details || null));
+      return;
+    }
+
+    const params = url.pathname.match(route.pattern).slice(1);
+    const query = Object.fromEntries(url.searchParams.entries());
+    let result;
+    try {
+      result = await route.handler({ params, query, body });
+    } catch (error) {
+      // Turned into a result here so a mutation that throws is still audited.
+      this.logger.error("control api request failed", {
+        method: req.method,
+        url: req.url,
+        reason: error.message,
+      });
+      result = fail(Number.isInteger(error.code) ? error.code : EXIT_CODES.INTERNAL_ERROR, error.message);
+    }
+
+    if (route.mutation) {
+      await this.audit({
+        source: "control_api",
+        action: route.mutation,
+        remoteAddress: req.socket?.remoteAddress || null,
+        request: {
+          path: url.pathname,
+          body,
+        },
+        ok: result.ok,
+        code: result.code,
+        error: result.ok ? null : result.error?.message || null,
+      });
+      if (result.ok) {
+        this.logger.warn("control api mutation applied", {
+          action: route.mutation,
+          code: result.code,
+        });
+      } else {
+        this.logger.error("control api mutation failed", {
+          action: route.mutation,
+          code: result.code,
+          reason: result.error?.message || null,
+        });
+      }
+    }
+
+    this.send(res, httpStatusFor(result), result);
+  }
+
+  // The mutation already happened, so a failing audit write is logged instead of failing the request.
+  async audit(entry) {
+    try {
+      await this.system.recordAgentAudit(entry);
+    } catch (error) {
+      this.logger.error("control api audit failed", {
+        action: entry.action,
+        reason: error.message,
+      });
+    }
+  }
+
+  health() {
+    return {
+      ok: true,
+      code: EXIT_CODES.OK,
+      data: {
+        status: "ok",
+        mutationsEnabled: Boolean(this.token),
+      },
+    };
+  }
+
+  listOrders(query = {}) {
+    return this.system.orderList({
+      symbol: query.symbol || null,
+      state: query.state || null,
+      states: query.states || "wait,watch",
+      uuids: query.uuids || null,
+      page: asNumber(query.page, 1),
+      limit: asNumber(query.limit, 100),
+      orderBy: query.orderBy || "desc",
+    });
+  }
+
+  async kpiSummary() {
+    try {
+      return {
+        ok: true,
+        code: EXIT_CODES.OK,
+        data: {
+          file: this.kpiSummaryFile,
+          summary: await readJsonFile(this.kpiSummaryFile),
+        },
+      };
+    } catch (error) {
+      return fail(EXIT_CODES.INTERNAL_ERROR, error.message);
+    }
+  }
+
+  universeSnapshot() {
+    return {
+      ok: true,
+      code: EXIT_CODES.OK,
+      data: {
+        enabled: Boolean(this.marketUniverse?.enabled),
+        nextRefreshAt: this.marketUniverse?.nextRefreshAtMs
+          ? new Date(this.marketUniverse.nextRefreshAtMs).toISOString()
+          : null,
+        snapshot: this.marketUniverse?.snapshot || null,
+      },
+    };
+  }
+
+  aiSettings() {
+    return {
+      ok: true,
+      code: EXIT_CODES.OK,
+      data: this.aiRuntime() || null,
+    };
+  }
+
+  setKillSwitch(body = {}) {
+    if (typeof body.enabled !== "boolean") {
+      return fail(EXIT_CODES.INVALID_ARGS, "Body field 'enabled' must be a boolean");
+    }
+    const reason = body.reason ? `control_api: ${String(body.reason).slice(0, 200)}` : "control_api";
+    return this.system.setKillSwitch(body.enabled, reason);
+  }
+
+  async refreshUniverse() {
+    if (!this.marketUniverse) {
+      return fail(EXIT_CODES.INVALID_ARGS, "Market universe is not available");
+    }
+    const result = await this.marketUniverse.maybeRefresh({ force: true, reason: "control_api" });
+    if (!result.ok) {
+      return fail(EXIT_CODES.EXCHANGE_RETRYABLE, result.error?.message || "market universe refresh failed");
+    }
+    return {
+      ok: true,
+      code: EXIT_CODES.OK,
+      data: {
+        skipped: result.skipped || null,
+        symbols: result.data?.symbols || [],
+        generatedAt: result.data?.generatedAt || null,
+      },
+    };
+  }
+}
@@ -0,0 +1,73 @@
+import { LoopbackServer } from "../lib/loopback-server.js";
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// Serves the daemon's TraderMetrics on GET /metrics for Prometheus scrapes. `collect` runs
+// before each scrape to refresh gauges that are read from state.
+export class MetricsServer {
+  constructor(config, { metrics, collect = null, logger = null } = {}) {
+    const options = config.metrics || {};
+    this.listener = new LoopbackServer({
+      host: options.host,
+      port: options.port,
+      defaultPort: 9464,
+      label: "Metrics endpoint",
+      field: "METRICS_HOST",
+    });
+    this.metrics = metrics;
+    this.collect = typeof collect === "function" ? collect : null;
+    this.logger = logger || {
+      info() {},
+      warn() {},
+      error() {},
+    };
+  }
+
+  async start() {
+    const address = await this.listener.listen((req, res) => this.handle(req, res));
+    this.logger.info("metrics endpoint listening", {
+      host: address.host,
+      port: address.port,
+    });
+    return address;
+  }
+
+  address() {
+    return this.listener.address();
+  }
+
+  async close() {
+    await this.listener.close();
+  }
+
+  handle(req, res) {
+    const url = new URL(req.url || "/", "http://localhost");
+    if (url.pathname !== "/metrics") {
+      res.writeHead(404, { "content-type": "text/plain; charset=utf-8" });
+      res.end("not found\n");
+      return;
+    }
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      res.writeHead(405, { allow: "GET, HEAD", "content-type": "text/plain; charset=utf-8" });
+      res.end("method not allowed\n");
+      return;
+    }
+
+    let body;
+    try {
+      this.collect?.();
+      body = this.metrics.render();
+    } catch (error) {
+      this.logger.error("metrics scrape failed", { reason: error.message });
+      res.writeHead(500, { "content-type": "text/plain; charset=utf-8" });
+      res.end(`${error.message}\n`);
+      return;
+    }
+    res.writeHead(200, {
+      "content-type": CONTENT_TYPE,
+      "content-length": Buffer.byteLength(body),
+      "cache-control": "no-store",
+    });
+    res.end(req.method === "HEAD" ? undefined : body);
+  }
+}
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+import { fileURLToPath } from "node:url";
+import { loadEnvFile } from "../config/env-loader.js";
+import { loadConfig } from "../config/defaults.js";
+import { EXIT_CODES } from "../config/exit-codes.js";
+import { SqliteStateStore } from "../core/sqlite-store.js";
+import { StateStore } from "../core/store.js";
+import { parseArgs } from "./cli.js";
+
+// Copies a state.json file into the SQLite store. The JSON file is left untouched, and a
+// database that already holds state is only overwritten with `force`.
+export async function migrateState({ from, to, force = false }) {
+  const loaded = await new StateStore(from).readStateOrNull();
+  if (!loaded) {
+    return {
+      ok: false,
+      code: EXIT_CODES.INVALID_ARGS,
+      error: { message: `State file not found: ${from}` },
+    };
+  }
+
+  const target = new SqliteStateStore(to);
+  try {
+    const imported = await target.importState(loaded, { replace: force });
+    if (!imported) {
+      return {
+        ok: false,
+        code: EXIT_CODES.INVALID_ARGS,
+        error: { message: `${to} already holds state; pass --force to replace it` },
+      };
+    }
+    return {
+      ok: true,
+      code: EXIT_CODES.OK,
+      data: {
+        from,
+        to,
+        replaced: force,
+        rows: target.historyCounts(),
+      },
+    };
+  } finally {
+    target.close();
+  }
+}
+
+async function main() {
+  await loadEnvFile(process.env.TRADER_ENV_FILE || ".env");
+  const config = loadConfig(process.env);
+  const { options } = parseArgs(process.argv.slice(2));
+  const result = await migrateState({
+    from: options.from || config.runtime.stateFile,
+    to: options.to || config.runtime.stateDbFile,
+    force: options.force === true,
+  });
+  if (!result.ok) {
+    process.stderr.write(`${JSON.stringify(result.error)}\n`);
+    process.exitCode = result.code;
+    return;
+  }
+  process.stdout.write(`${JSON.stringify(result.data, null, 2)}\n`);
+}
+
+const isDirectRun = process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
+if (isDirectRun) {
+  main().catch((error) => {
+    process.stderr.write(`${JSON.stringify({ error: error.message })}\n`);
+    process.exit(EXIT_CODES.INTERNAL_ERROR);
+  });
+}
@@ -7,6 +7,7 @@ import { loadConfig, normalizeSymbol } from "../config/defaults.js";
 import { BithumbClient } from "../exchange/bithumb-client.js";
 import { logger as defaultLogger } from "../lib/output.js";
 import { nowIso } from "../lib/time.js";
+import { CandleStore } from "../core/candle-store.js";
 import { MarketDataService } from "../core/market-data.js";
 import { optimizeRiskManagedMomentum } from "../engine/strategy-optimizer.js";
 import { AiSettingsSource } from "./ai-settings.js";
@@ -37,6 +38,7 @@ const AI_RUNTIME_DIRECTIVE_KEYS = {
   ],
   controls: [
     "killSwitch",
+    "liquidate",
   ],
 };
 const AI_RUNTIME_DIRECTIVE_ROOT_KEYS = new Set([
@@ -639,7 +641,8 @@ async function applyBestToAiSettings(config, best, logger) {
       ...best.strategy,
       name: "risk_managed_momentum",
       candleInterval: config.optimizer.interval,
-      candleCount: config.optimizer.candleCount,
+      // The optimizer may read deeper history from the candle cache; one REST page is the runtime cap.
+      candleCount: Math.min(200, config.optimizer.candleCount),
     },
     overlay: {
       ...template.overlay,
@@ -668,22 +671,32 @@ async function applyBestToAiSettings(config, best, logger) {
 async function fetchCandlesBySymbol(config, logger, symbols) {
   const client = new BithumbClient(config, logger);
   const marketData = new MarketDataService(config, client);
+  const candleStore = config.candleCache?.enabled ? new CandleStore(config, marketData, { logger }) : null;
 
   const candlesBySymbol = {};
   const fetchErrors = [];
   for (const symbolRaw of symbols || []) {
     const symbol = normalizeSymbol(symbolRaw);
     try {
-      const response = await marketData.getCandles({
-        symbol,
-        interval: config.optimizer.interval,
-        count: config.optimizer.candleCount,
-      });
+      const response = candleStore
+        ? await candleStore.getCandles({
+          symbol,
+          interval: config.optimizer.interval,
+          count: config.optimizer.candleCount,
+        })
+        : await marketData.getCandles({
+          symbol,
+          interval: config.optimizer.interval,
+          count: Math.min(200, config.optimizer.candleCount),
+        });
       candlesBySymbol[symbol] = response.candles || [];
       logger.info("optimizer fetched candles", {
         symbol,
         interval: config.optimizer.interval,
         candleCount: candlesBySymbol[symbol].length,
+        source: candleStore ? "candle_cache" : "rest",
+        backfillPages: response.backfill?.pages ?? null,
+        gaps: response.gaps ? response.gaps.reduce((sum, gap) => sum + gap.missing, 0) : null,
       });
     } catch (error) {
       fetchErrors.push({
@@ -749,15 +762,7 @@ export async function optimizeAndApplyBest({
       simulatedSlippageBps: runtimeConfig.optimizer.backtestSlippageBps,
       autoSellEnabled: runtimeConfig.strategy.autoSellEnabled !== false,
     },
-    gridConfig: {
-      momentumLookbacks: runtimeConfig.optimizer.momentumLookbacks,
-      volatilityLookbacks: runtimeConfig.optimizer.volatilityLookbacks,
-      entryBpsCandidates: runtimeConfig.optimizer.entryBpsCandidates,
-      exitBpsCandidates: runtimeConfig.optimizer.exitBpsCandidates,
-      targetVolatilityPctCandidates: runtimeConfig.optimizer.targetVolatilityPctCandidates,
-      rmMinMultiplierCandidates: runtimeConfig.optimizer.rmMinMultiplierCandidates,
-      rmMaxMultiplierCandidates: runtimeConfig.optimizer.rmMaxMultiplierCandidates,
-    },
+    gridConfig: runtimeConfig.optimizer,
     walkForward: {
       enabled: runtimeConfig.optimizer.walkForwardEnabled,
       minScore: runtimeConfig.optimizer.walkForwardMinScore,
@@ -0,0 +1,736 @@
+#!/usr/bin/env node
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { loadEnvFile } from "../config/env-loader.js";
+import { loadConfig } from "../config/defaults.js";
+import { EXIT_CODES } from "../config/exit-codes.js";
+import { EventLog, applyChanges } from "../core/event-log.js";
+import { buildPositionLedger } from "../core/position-ledger.js";
+import { SqliteStateStore } from "../core/sqlite-store.js";
+import { StateStore } from "../core/store.js";
+import { parseArgs } from "./cli.js";
+
+const PERIODS = new Set(["daily", "weekly"]);
+const SLIPPAGE_BINS_BPS = [5, 10, 25, 50, 100];
+
+// Risk events that count as incidents, by report kind.
+const INCIDENT_KINDS = Object.freeze({
+  order_rejected: "risk_reject",
+  orderbook_rejected: "risk_reject",
+  circuit_breaker_tripped: "circuit_breaker",
+  liquidation: "liquidation",
+});
+
+function asNumber(value, fallback = null) {
+  if (value === undefined || value === null || value === "") {
+    return fallback;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+function toEpochMs(value, fallback = null) {
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return value;
+  }
+  const parsed = Date.parse(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+function round(value, digits = 2) {
+  return Number.isFinite(value) ? Number(value.toFixed(digits)) : null;
+}
+
+function dateKey(epochMs, timezone) {
+  try {
+    return new Intl.DateTimeFormat("en-CA", {
+      timeZone: timezone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+    }).format(new Date(epochMs));
+  } catch {
+    return new Date(epochMs).toISOString().slice(0, 10);
+  }
+}
+
+// Weeks start on Monday in the report timezone and are keyed by that date.
+function periodKey(epochMs, period, timezone) {
+  const day = dateKey(epochMs, timezone);
+  if (period !== "weekly") {
+    return day;
+  }
+  const date = new Date(`${day}T00:00:00.000Z`);
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().slice(0, 10);
+}
+
+function quantile(sorted, q) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * q))];
+}
+
+async function readJsonl(filePath) {
+  let raw;
+  try {
+    raw = await fs.readFile(filePath, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+  return raw
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+async function exists(filePath) {
+  return fs.stat(filePath).then(() => true, () => false);
+}
+
+// The SQLite store keeps fills and risk events that retention dropped from the working set.
+async function loadState({ stateBackend, stateFile, stateDbFile }) {
+  if (stateBackend !== "sqlite") {
+    const state = await new StateStore(stateFile).readStateOrNull();
+    return { state, fills: state?.fills || [], riskEvents: state?.riskEvents || [] };
+  }
+  if (!await exists(stateDbFile)) {
+    return { state: null, fills: [], riskEvents: [] };
+  }
+  const store = new SqliteStateStore(stateDbFile);
+  try {
+    await store.open();
+    const state = await store.readStateOrNull();
+    return {
+      state,
+      fills: store.history("fills", { limit: 1_000_000_000 }),
+      riskEvents: store.history("riskEvents", { limit: 1_000_000_000 }),
+    };
+  } finally {
+    store.close();
+  }
+}
+
+// Kill switch toggles are settings changes, so they are only visible in the event log. Balances
+// snapshots are taken from it too: with TRADER_STATE_KEEP_LATEST_ONLY the state keeps only the
+// latest one, while the log holds every snapshot that was appended.
+async function loadEventLogHistory(eventLogDir) {
+  const changes = [];
+  const balancesSnapshot = [];
+  if (!eventLogDir) {
+    return { killSwitchChanges: changes, balancesSnapshot };
+  }
+  const eventLog = new EventLog(eventLogDir);
+  // With one retained snapshot a new one overwrites the old in place, so the collection is
+  // replayed and every version of it is kept.
+  let current = { balancesSnapshot: [] };
+  for (const file of await eventLog.files()) {
+    for (const record of await eventLog.readRecords(file)) {
+      if (record.type === "snapshot") {
+        current = { balancesSnapshot: structuredClone(record.state?.balancesSnapshot || []) };
+        balancesSnapshot.push(...structuredClone(current.balancesSnapshot));
+        continue;
+      }
+      if (record.type !== "update") {
+        continue;
+      }
+      const snapshotChanges = (record.changes || []).filter((change) => change.path[0] === "balancesSnapshot");
+      if (snapshotChanges.length > 0) {
+        applyChanges(current, snapshotChanges);
+        balancesSnapshot.push(...structuredClone(current.balancesSnapshot));
+      }
+      if (!record.touched?.includes("settings")) {
+        continue;
+      }
+      const settings = {};
+      for (const change of record.changes || []) {
+        if (change.path[0] !== "settings" || change.op !== "set") {
+          continue;
+        }
+        if (change.path.length === 1) {
+          Object.assign(settings, change.value);
+        } else if (change.path.length === 2) {
+          settings[change.path[1]] = change.value;
+        }
+      }
+      if (typeof settings.killSwitch === "boolean") {
+        changes.push({ at: record.at, enabled: settings.killSwitch, reason: settings.killSwitchReason || null });
+      }
+    }
+  }
+  return { killSwitchChanges: changes, balancesSnapshot };
+}
+
+export async function loadPerformanceInputs({
+  stateBackend = "json",
+  stateFile,
+  stateDbFile = null,
+  eventLogDir = null,
+  kpiReportFile = null,
+}) {
+  const { state, fills, riskEvents } = await loadState({ stateBackend, stateFile, stateDbFile });
+  const history = await loadEventLogHistory(eventLogDir);
+  const killSwitchChanges = history.killSwitchChanges;
+  if (killSwitchChanges.length === 0 && state?.settings?.killSwitch && state.settings.killSwitchAt) {
+    killSwitchChanges.push({ at: state.settings.killSwitchAt, enabled: true, reason: state.settings.killSwitchReason || null });
+  }
+  return {
+    balancesSnapshot: uniqueById([...history.balancesSnapshot, ...(state?.balancesSnapshot || [])]),
+    fills: [...(state?.fills || []), ...fills],
+    riskEvents: [...(state?.riskEvents || []), ...riskEvents],
+    killSwitchChanges,
+    kpiReports: kpiReportFile ? await readJsonl(kpiReportFile) : [],
+  };
+}
+
+function uniqueById(rows) {
+  const seen = new Set();
+  return rows.filter((row) => {
+    const key = row?.id ? String(row.id) : null;
+    if (!key) {
+      return true;
+    }
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+// Holdings are marked at the last fill price seen before the snapshot, or at the exchange
+// average buy price when the symbol has not traded yet.
+function equityCurve(snapshots, fills) {
+  const ordered = snapshots
+    .map((snapshot) => ({ snapshot, atMs: toEpochMs(snapshot?.capturedAt) }))
+    .filter((row) => Number.isFinite(row.atMs))
+    .sort((a, b) => a.atMs - b.atMs);
+  const marks = new Map();
+  const points = [];
+  let fillIndex = 0;
+  for (const { snapshot, atMs } of ordered) {
+    while (fillIndex < fills.length && fills[fillIndex].atMs <= atMs) {
+      const fill = fills[fillIndex];
+      if (fill.qty > 0 && fill.amountKrw > 0) {
+        marks.set(fill.symbol, fill.amountKrw / fill.qty);
+      }
+      fillIndex += 1;
+    }
+    let cashKrw = 0;
+    let holdingsKrw = 0;
+    for (const item of Array.isArray(snapshot.items) ? snapshot.items : []) {
+      const currency = String(item?.currency || "").toUpperCase();
+      const qty = Math.max(asNumber(item?.balance, 0), 0) + Math.max(asNumber(item?.locked, 0), 0);
+      if (!currency || qty <= 0) {
+        continue;
+      }
+      if (currency === "KRW") {
+        cashKrw += qty;
+        continue;
+      }
+      const unit = String(item.unitCurrency || "KRW").toUpperCase();
+      const mark = marks.get(`${currency}_${unit}`) ?? asNumber(item.avgBuyPrice, 0);
+      holdingsKrw += qty * mark;
+    }
+    points.push({ atMs, at: new Date(atMs).toISOString(), cashKrw, holdingsKrw, equityKrw: cashKrw + holdingsKrw });
+  }
+  return points;
+}
+
+// A single point has no drawdown to measure, so it is reported as unavailable rather than 0.
+function maxDrawdown(points) {
+  if (points.length < 2) {
+    return { maxDrawdownKrw: null, maxDrawdownPct: null };
+  }
+  let peak = null;
+  let maxKrw = 0;
+  let maxPct = 0;
+  for (const point of points) {
+    peak = peak === null ? point.equityKrw : Math.max(peak, point.equityKrw);
+    const drawdownKrw = peak - point.equityKrw;
+    if (drawdownKrw > maxKrw) {
+      maxKrw = drawdownKrw;
+    }
+    if (peak > 0 && drawdownKrw / peak > maxPct) {
+      maxPct = drawdownKrw / peak;
+    }
+  }
+  return { maxDrawdownKrw: round(maxKrw), maxDrawdownPct: round(maxPct * 100, 3) };
+}
+
+function slippageBps(fill) {
+  const expected = asNumber(fill.expectedPrice);
+  if (!Number.isFinite(expected) || expected <= 0 || !(fill.qty > 0) || !(fill.amountKrw > 0)) {
+    return null;
+  }
+  // Positive is worse than expected for either side.
+  const bps = ((fill.amountKrw / fill.qty - expected) / expected) * 10_000 * (fill.side === "sell" ? -1 : 1);
+  return Number.isFinite(bps) ? bps : null;
+}
+
+function slippageDistribution(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const absolute = sorted.map((value) => Math.abs(value));
+  const bins = [...SLIPPAGE_BINS_BPS, Infinity].map((upper, index) => ({
+    fromBps: index === 0 ? 0 : SLIPPAGE_BINS_BPS[index - 1],
+    toBps: Number.isFinite(upper) ? upper : null,
+    count: 0,
+  }));
+  for (const value of absolute) {
+    bins[bins.findIndex((bin) => bin.toBps === null || value < bin.toBps)].count += 1;
+  }
+  return {
+    sampleCount: sorted.length,
+    avgBps: sorted.length > 0 ? round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length, 3) : null,
+    avgAbsBps: absolute.length > 0 ? round(absolute.reduce((sum, value) => sum + value, 0) / absolute.length, 3) : null,
+    p50Bps: round(quantile(sorted, 0.5), 3),
+    p95Bps: round(quantile(sorted, 0.95), 3),
+    worstBps: round(sorted.at(-1) ?? null, 3),
+    absBins: bins,
+  };
+}
+
+function emptyStats() {
+  return {
+    fillCount: 0,
+    turnoverKrw: 0,
+    feesKrw: 0,
+    tradeCount: 0,
+    wins: 0,
+    losses: 0,
+    breakEven: 0,
+    realizedPnlKrw: 0,
+    riskRejects: 0,
+    killSwitchActivations: 0,
+  };
+}
+
+function finalizeStats(stats) {
+  return {
+    ...stats,
+    turnoverKrw: round(stats.turnoverKrw),
+    feesKrw: round(stats.feesKrw),
+    realizedPnlKrw: round(stats.realizedPnlKrw),
+    winRatePct: stats.tradeCount > 0 ? round((stats.wins / stats.tradeCount) * 100, 3) : null,
+    expectancyKrw: stats.tradeCount > 0 ? round(stats.realizedPnlKrw / stats.tradeCount) : null,
+  };
+}
+
+function incidentReason(event) {
+  if (Array.isArray(event.reasons) && event.reasons.length > 0) {
+    return event.reasons.map((reason) => (typeof reason === "string" ? reason : reason?.code || reason?.rule || JSON.stringify(reason))).join(", ");
+  }
+  return event.breaker?.reason || event.breaker?.name || event.reason || null;
+}
+
+// Performance per day or week (in `timezone`) and over the whole range. Realized PnL comes
+// from replaying every fill through the position ledger, so trades opened before `since` keep
+// their cost; equity comes from the stored balances snapshots.
+export function buildPerformanceReport(inputs, {
+  period = "daily",
+  since = null,
+  until = null,
+  timezone = "Asia/Seoul",
+  costMethod = "average",
+  symbolLimit = 5,
+} = {}) {
+  const sinceMs = since ? toEpochMs(since) : -Infinity;
+  const untilMs = until ? toEpochMs(until) : Infinity;
+  const inRange = (atMs) => Number.isFinite(atMs) && atMs >= sinceMs && atMs < untilMs;
+  const keyOf = (atMs) => periodKey(atMs, period, timezone);
+
+  const fills = uniqueById(inputs.fills || [])
+    .map((fill) => ({
+      ...fill,
+      symbol: String(fill?.symbol || "").toUpperCase(),
+      qty: asNumber(fill?.qty, 0),
+      amountKrw: asNumber(fill?.amountKrw, 0),
+      fee: Math.max(0, asNumber(fill?.fee, 0)),
+      atMs: toEpochMs(fill?.eventTs, toEpochMs(fill?.createdAt)),
+    }))
+    .filter((fill) => Number.isFinite(fill.atMs))
+    .sort((a, b) => a.atMs - b.atMs);
+  const ledger = buildPositionLedger(fills, { method: costMethod, closedLotsRetention: Infinity });
+
+  const buckets = new Map();
+  const bucketFor = (atMs) => {
+    const key = keyOf(atMs);
+    if (!buckets.has(key)) {
+      buckets.set(key, { period: key, stats: emptyStats(), equity: [] });
+    }
+    return buckets.get(key);
+  };
+  const totals = emptyStats();
+  const symbols = new Map();
+  const symbolFor = (symbol) => {
+    if (!symbols.has(symbol)) {
+      symbols.set(symbol, { symbol, ...emptyStats() });
+    }
+    return symbols.get(symbol);
+  };
+
+  const slippage = [];
+  for (const fill of fills.filter((row) => inRange(row.atMs))) {
+    for (const stats of [bucketFor(fill.atMs).stats, totals, symbolFor(fill.symbol)]) {
+      stats.fillCount += 1;
+      stats.turnoverKrw += fill.amountKrw;
+      stats.feesKrw += fill.fee;
+    }
+    const bps = slippageBps(fill);
+    if (bps !== null) {
+      slippage.push(bps);
+    }
+  }
+
+  // One exit fill can close several lots; it still counts as a single trade.
+  const trades = new Map();
+  for (const lot of ledger.closedLots) {
+    const key = lot.exitFillId || lot.id;
+    const trade = trades.get(key) || { atMs: lot.closedAt, symbol: lot.symbol, pnl: 0 };
+    trade.pnl += asNumber(lot.realizedPnlKrw, 0);
+    trades.set(key, trade);
+  }
+  for (const trade of trades.values()) {
+    if (!inRange(trade.atMs)) {
+      continue;
+    }
+    for (const stats of [bucketFor(trade.atMs).stats, totals, symbolFor(trade.symbol)]) {
+      stats.tradeCount += 1;
+      stats.realizedPnlKrw += trade.pnl;
+      stats.wins += trade.pnl > 0 ? 1 : 0;
+      stats.losses += trade.pnl < 0 ? 1 : 0;
+      stats.breakEven += trade.pnl === 0 ? 1 : 0;
+    }
+  }
+
+  const incidents = [];
+  for (const event of uniqueById(inputs.riskEvents || [])) {
+    const atMs = toEpochMs(event?.at);
+    const kind = INCIDENT_KINDS[event?.type];
+    if (kind && inRange(atMs)) {
+      incidents.push({ atMs, kind, type: event.type, symbol: event.symbol || null, reason: incidentReason(event) });
+    }
+  }
+  for (const change of inputs.killSwitchChanges || []) {
+    const atMs = toEpochMs(change.at);
+    if (inRange(atMs)) {
+      incidents.push({ atMs, kind: "kill_switch", type: change.enabled ? "kill_switch_on" : "kill_switch_off", symbol: null, reason: change.reason });
+    }
+  }
+  for (const row of inputs.kpiReports || []) {
+    const atMs = toEpochMs(row?.sampledAtMs, toEpochMs(row?.sampledAt));
+    if (row?.evaluation?.triggered && inRange(atMs)) {
+      incidents.push({ atMs, kind: "kpi_alert", type: row.type || "execution_kpi_monitor", symbol: null, reason: (row.evaluation.reasons || []).join(", ") || null });
+    }
+  }
+  incidents.sort((a, b) => a.atMs - b.atMs);
+  for (const incident of incidents) {
+    const stats = bucketFor(incident.atMs).stats;
+    if (incident.kind === "risk_reject") {
+      stats.riskRejects += 1;
+      totals.riskRejects += 1;
+    } else if (incident.type === "kill_switch_on") {
+      stats.killSwitchActivations += 1;
+      totals.killSwitchActivations += 1;
+    }
+  }
+
+  const curve = equityCurve(inputs.balancesSnapshot || [], fills).filter((point) => inRange(point.atMs));
+  for (const point of curve) {
+    bucketFor(point.atMs).equity.push(point);
+  }
+
+  const periods = Array.from(buckets.values())
+    .sort((a, b) => a.period.localeCompare(b.period))
+    .map(({ period: key, stats, equity }) => {
+      const start = equity[0]?.equityKrw ?? null;
+      const end = equity.at(-1)?.equityKrw ?? null;
+      return {
+        period: key,
+        startEquityKrw: round(start),
+        endEquityKrw: round(end),
+        returnPct: start > 0 && end !== null ? round(((end - start) / start) * 100, 3) : null,
+        ...maxDrawdown(equity),
+        ...finalizeStats(stats),
+      };
+    });
+  const rankedSymbols = Array.from(symbols.values())
+    .map(finalizeStats)
+    .sort((a, b) => b.realizedPnlKrw - a.realizedPnlKrw || a.symbol.localeCompare(b.symbol));
+  const traded = rankedSymbols.filter((row) => row.tradeCount > 0);
+  const startEquity = curve[0]?.equityKrw ?? null;
+  const endEquity = curve.at(-1)?.equityKrw ?? null;
+  const warnings = [];
+  if (curve.length < 2) {
+    warnings.push(`equity curve has ${curve.length} point(s), so return and max drawdown are unavailable; `
+      + "enable TRADER_EVENT_LOG_ENABLED or set TRADER_STATE_KEEP_LATEST_ONLY=false to keep balances snapshots");
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    period,
+    timezone,
+    costMethod: ledger.method,
+    range: {
+      since: Number.isFinite(sinceMs) ? new Date(sinceMs).toISOString() : null,
+      until: Number.isFinite(untilMs) ? new Date(untilMs).toISOString() : null,
+    },
+    totals: {
+      startEquityKrw: round(startEquity),
+      endEquityKrw: round(endEquity),
+      returnPct: startEquity > 0 && endEquity !== null ? round(((endEquity - startEquity) / startEquity) * 100, 3) : null,
+      ...maxDrawdown(curve),
+      ...finalizeStats(totals),
+    },
+    equityCurve: curve.map(({ at, cashKrw, holdingsKrw, equityKrw }) => ({
+      at,
+      cashKrw: round(cashKrw),
+      holdingsKrw: round(holdingsKrw),
+      equityKrw: round(equityKrw),
+    })),
+    periods,
+    slippage: slippageDistribution(slippage),
+    symbols: rankedSymbols,
+    bestSymbols: traded.slice(0, symbolLimit),
+    worstSymbols: traded.filter((row) => row.realizedPnlKrw < 0).reverse().slice(0, symbolLimit),
+    incidents: incidents.map(({ atMs, ...incident }) => ({ at: new Date(atMs).toISOString(), ...incident })),
+    warnings,
+  };
+}
+
+export async function generatePerformanceReport(files, options = {}) {
+  return buildPerformanceReport(await loadPerformanceInputs(files), options);
+}
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, (char) => ({
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    "\"": "&quot;",
+    "'": "&#39;",
+  })[char]);
+}
+
+function formatNumber(value, digits = 0) {
+  return Number.isFinite(value)
+    ? value.toLocaleString("en-US", { minimumFractionDigits: digits, maximumFractionDigits: digits })
+    : "-";
+}
+
+const CHART_WIDTH = 760;
+const CHART_HEIGHT = 220;
+const CHART_PAD = 40;
+
+function lineChart(points) {
+  if (points.length < 2) {
+    return "<p class=\"empty\">Not enough balances snapshots for an equity curve.</p>";
+  }
+  const values = points.map((point) => point.value);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const span = max - min || 1;
+  const x = (index) => CHART_PAD + (index / (points.length - 1)) * (CHART_WIDTH - CHART_PAD * 2);
+  const y = (value) => CHART_HEIGHT - CHART_PAD - ((value - min) / span) * (CHART_HEIGHT - CHART_PAD * 2);
+  const line = points.map((point, index) => `${x(index).toFixed(1)},${y(point.value).toFixed(1)}`).join(" ");
+  return `<svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img">
+<polyline fill="none" stroke="#2563eb" stroke-width="2" points="${line}"/>
+<text x="4" y="${y(max) + 4}">${formatNumber(max)}</text>
+<text x="4" y="${y(min) + 4}">${formatNumber(min)}</text>
+<text x="${CHART_PAD}" y="${CHART_HEIGHT - 8}">${escapeHtml(points[0].label)}</text>
+<text x="${CHART_WIDTH - CHART_PAD}" y="${CHART_HEIGHT - 8}" text-anchor="end">${escapeHtml(points.at(-1).label)}</text>
+</svg>`;
+}
+
+function barChart(bars, { signed = false } = {}) {
+  if (bars.length === 0) {
+    return "<p class=\"empty\">No data.</p>";
+  }
+  const max = Math.max(...bars.map((bar) => Math.abs(bar.value)), 1);
+  const slot = (CHART_WIDTH - CHART_PAD * 2) / bars.length;
+  const zero = signed ? CHART_HEIGHT / 2 : CHART_HEIGHT - CHART_PAD;
+  const scale = (signed ? CHART_HEIGHT / 2 - CHART_PAD : CHART_HEIGHT - CHART_PAD * 2) / max;
+  const rects = bars.map((bar, index) => {
+    const height = Math.abs(bar.value) * scale;
+    const top = bar.value >= 0 ? zero - height : zero;
+    const color = signed && bar.value < 0 ? "#dc2626" : "#16a34a";
+    return `<rect x="${(CHART_PAD + index * slot + slot * 0.1).toFixed(1)}" y="${top.toFixed(1)}" width="${(slot * 0.8).toFixed(1)}" height="${height.toFixed(1)}" fill="${color}"><title>${escapeHtml(bar.label)}: ${formatNumber(bar.value)}</title></rect>`;
+  }).join("\n");
+  const labels = [0, bars.length - 1].filter((index, position, list) => list.indexOf(index) === position)
+    .map((index) => `<text x="${(CHART_PAD + index * slot + slot / 2).toFixed(1)}" y="${CHART_HEIGHT - 8}" text-anchor="middle">${escapeHtml(bars[index].label)}</text>`)
+    .join("\n");
+  return `<svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img">
+<line x1="${CHART_PAD}" x2="${CHART_WIDTH - CHART_PAD}" y1="${zero}" y2="${zero}" stroke="#9ca3af"/>
+${rects}
+${labels}
+</svg>`;
+}
+
+function table(rows, columns) {
+  if (rows.length === 0) {
+    return "<p class=\"empty\">None.</p>";
+  }
+  const head = columns.map(([, label]) => `<th>${escapeHtml(label)}</th>`).join("");
+  const body = rows.map((row) => `<tr>${columns.map(([key, , digits]) => {
+    const value = row[key];
+    return `<td>${typeof value === "number" ? formatNumber(value, digits ?? 0) : escapeHtml(value ?? "-")}</td>`;
+  }).join("")}</tr>`).join("\n");
+  return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+const PERIOD_COLUMNS = [
+  ["period", "Period"],
+  ["endEquityKrw", "Equity"],
+  ["returnPct", "Return %", 2],
+  ["maxDrawdownPct", "Max DD %", 2],
+  ["realizedPnlKrw", "Realized PnL"],
+  ["tradeCount", "Trades"],
+  ["winRatePct", "Win %", 1],
+  ["expectancyKrw", "Expectancy"],
+  ["turnoverKrw", "Turnover"],
+  ["feesKrw", "Fees"],
+  ["riskRejects", "Risk rejects"],
+  ["killSwitchActivations", "Kill switch"],
+];
+
+const SYMBOL_COLUMNS = [
+  ["symbol", "Symbol"],
+  ["realizedPnlKrw", "Realized PnL"],
+  ["tradeCount", "Trades"],
+  ["winRatePct", "Win %", 1],
+  ["turnoverKrw", "Turnover"],
+  ["feesKrw", "Fees"],
+];
+
+const INCIDENT_COLUMNS = [
+  ["at", "At"],
+  ["kind", "Kind"],
+  ["type", "Type"],
+  ["symbol", "Symbol"],
+  ["reason", "Reason"],
+];
+
+// One HTML file with inline CSS and SVG charts, so it opens offline and can be mailed as is.
+export function renderPerformanceHtml(report) {
+  const totals = report.totals;
+  const cards = [
+    ["Equity", formatNumber(totals.endEquityKrw)],
+    ["Return", `${formatNumber(totals.returnPct, 2)}%`],
+    ["Realized PnL", formatNumber(totals.realizedPnlKrw)],
+    ["Win rate", `${formatNumber(totals.winRatePct, 1)}%`],
+    ["Expectancy", formatNumber(totals.expectancyKrw)],
+    ["Max drawdown", totals.maxDrawdownPct === null ? "n/a" : `${formatNumber(totals.maxDrawdownPct, 2)}%`],
+    ["Turnover", formatNumber(totals.turnoverKrw)],
+    ["Fees", formatNumber(totals.feesKrw)],
+    ["Avg |slippage|", `${formatNumber(report.slippage.avgAbsBps, 1)} bps`],
+    ["Incidents", String(report.incidents.length)],
+  ].map(([label, value]) => `<div class="card"><span>${escapeHtml(label)}</span><b>${escapeHtml(value)}</b></div>`).join("\n");
+  const range = [report.range.since, report.range.until].map((value) => value || "…").join(" – ");
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Performance report (${escapeHtml(report.period)})</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 24px; color: #111827; }
+h1 { margin-bottom: 4px; }
+.meta { color: #6b7280; margin-top: 0; }
+.cards { display: flex; flex-wrap: wrap; gap: 8px; }
+.card { border: 1px solid #e5e7eb; border-radius: 6px; padding: 8px 12px; min-width: 120px; }
+.card span { display: block; color: #6b7280; font-size: 12px; }
+svg { width: 100%; max-width: ${CHART_WIDTH}px; font-size: 11px; fill: #374151; }
+table { border-collapse: collapse; font-size: 13px; }
+th, td { border-bottom: 1px solid #e5e7eb; padding: 4px 8px; text-align: right; }
+th:first-child, td:first-child { text-align: left; }
+.empty { color: #6b7280; }
+</style>
+</head>
+<body>
+<h1>Performance report</h1>
+<p class="meta">${escapeHtml(report.period)} · ${escapeHtml(report.timezone)} · ${escapeHtml(range)} · generated ${escapeHtml(report.generatedAt)}</p>
+<div class="cards">
+${cards}
+</div>
+<h2>Equity</h2>
+${lineChart(report.equityCurve.map((point) => ({ label: point.at.slice(0, 16).replace("T", " "), value: point.equityKrw })))}
+<h2>Realized PnL by ${report.period === "weekly" ? "week" : "day"}</h2>
+${barChart(report.periods.map((row) => ({ label: row.period, value: row.realizedPnlKrw })), { signed: true })}
+${table(report.periods, PERIOD_COLUMNS)}
+<h2>Slippage</h2>
+<p class="meta">${report.slippage.sampleCount} fills · p50 ${formatNumber(report.slippage.p50Bps, 1)} bps · p95 ${formatNumber(report.slippage.p95Bps, 1)} bps · worst ${formatNumber(report.slippage.worstBps, 1)} bps</p>
+${barChart(report.slippage.absBins.map((bin) => ({ label: bin.toBps === null ? `≥${bin.fromBps}` : `<${bin.toBps}`, value: bin.count })))}
+<h2>Best symbols</h2>
+${table(report.bestSymbols, SYMBOL_COLUMNS)}
+<h2>Worst symbols</h2>
+${table(report.worstSymbols, SYMBOL_COLUMNS)}
+<h2>Incidents</h2>
+${table(report.incidents, INCIDENT_COLUMNS)}
+</body>
+</html>
+`;
+}
+
+async function main() {
+  await loadEnvFile(process.env.TRADER_ENV_FILE || ".env");
+  const config = loadConfig(process.env);
+  const { options } = parseArgs(process.argv.slice(2));
+  const period = String(options.period || "daily").toLowerCase();
+  if (!PERIODS.has(period)) {
+    process.stderr.write(`${JSON.stringify({ message: `--period must be daily or weekly, got ${period}` })}\n`);
+    process.exitCode = EXIT_CODES.INVALID_ARGS;
+    return;
+  }
+  const invalid = ["since", "until"].find((name) => options[name] && !Number.isFinite(Date.parse(options[name])));
+  if (invalid) {
+    process.stderr.write(`${JSON.stringify({ message: `--${invalid} must be an ISO timestamp` })}\n`);
+    process.exitCode = EXIT_CODES.INVALID_ARGS;
+    return;
+  }
+  const report = await generatePerformanceReport({
+    stateBackend: config.runtime.stateBackend,
+    stateFile: config.runtime.stateFile,
+    stateDbFile: config.runtime.stateDbFile,
+    eventLogDir: config.runtime.eventLog?.dir || null,
+    kpiReportFile: config.execution.kpiReportFile,
+  }, {
+    period,
+    since: options.since || null,
+    until: options.until || null,
+    timezone: config.runtime.timezone,
+    costMethod: config.ledger.costMethod,
+  });
+
+  const outDir = options.out || path.join(path.dirname(config.runtime.stateFile), "reports");
+  const name = `performance-${period}-${report.generatedAt.slice(0, 10)}`;
+  await fs.mkdir(outDir, { recursive: true });
+  const jsonFile = path.join(outDir, `${name}.json`);
+  const htmlFile = path.join(outDir, `${name}.html`);
+  await fs.writeFile(jsonFile, `${JSON.stringify(report, null, 2)}\n`, "utf8");
+  await fs.writeFile(htmlFile, renderPerformanceHtml(report), "utf8");
+  for (const warning of report.warnings) {
+    process.stderr.write(`${JSON.stringify({ warning })}\n`);
+  }
+  process.stdout.write(`${JSON.stringify({ json: jsonFile, html: htmlFile, totals: report.totals }, null, 2)}\n`);
+}
+
+const isDirectRun = process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
+if (isDirectRun) {
+  main().catch((error) => {
+    process.stderr.write(`${JSON.stringify({ error: error.message })}\n`);
+    process.exit(EXIT_CODES.INTERNAL_ERROR);
+  });
+}
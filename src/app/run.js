@@ -5,12 +5,21 @@ import path from "node:path";
 import { loadEnvFile } from "../config/env-loader.js";
 import { loadConfig, normalizeSymbol } from "../config/defaults.js";
 import { EXIT_CODES, codeName } from "../config/exit-codes.js";
+import { CandleStore } from "../core/candle-store.js";
+import { MarketDataService } from "../core/market-data.js";
 import { CuratedMarketUniverse } from "../core/market-universe.js";
-import { TradingSystem } from "../core/trading-system.js";
+import { MarketStreamSession } from "../core/market-stream.js";
+import { PrivateStreamSupervisor } from "../core/private-stream.js";
+import { TraderMetrics } from "../core/trader-metrics.js";
+import { TradingSystem, finalizeAttributionBucket } from "../core/trading-system.js";
 import { BithumbClient } from "../exchange/bithumb-client.js";
+import { BithumbPublicWsClient } from "../exchange/bithumb-public-ws.js";
+import { PaperExchangeClient } from "../exchange/paper-exchange.js";
 import { HttpAuditLog } from "../lib/http-audit-log.js";
 import { logger } from "../lib/output.js";
 import { AiSettingsSource } from "./ai-settings.js";
+import { ControlApiServer } from "./control-api.js";
+import { MetricsServer } from "./metrics-server.js";
 
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
@@ -46,6 +55,7 @@ function asNonNegativeInt(value, fallback = null) {
 }
 
 function evaluateExecutionKpiGuard(kpi = {}, config = {}, options = {}) {
+  const scope = Array.isArray(config?.kpiGuardScope) ? config.kpiGuardScope : ["global"];
   if (options.dryRun === true) {
     return {
       enabled: false,
@@ -66,6 +76,16 @@ function evaluateExecutionKpiGuard(kpi = {}, config = {}, options = {}) {
     };
   }
 
+  if (!options.path && !scope.includes("global")) {
+    return {
+      enabled: false,
+      triggered: false,
+      reasons: ["scoped_guard_only"],
+      metrics: null,
+      thresholds: null,
+    };
+  }
+
   const minTrades = asNumber(config.kpiGuardMinTrades, 0);
   const minWinRatePct = asNumber(config.kpiGuardMinWinRatePct, null);
   const maxSlippageBps = asNumber(config.kpiGuardMaxAbsSlippageBps, null);
@@ -121,6 +141,91 @@ function evaluateExecutionKpiGuard(kpi = {}, config = {}, options = {}) {
   };
 }
 
+// Same thresholds as the global guard, applied per symbol and per entry reason from the KPI
+// attribution. Returns only the paths that violate them in this window.
+function evaluateExecutionKpiPathGuard(attribution = {}, config = {}, options = {}) {
+  const scope = Array.isArray(config?.kpiGuardScope) ? config.kpiGuardScope : ["global"];
+  const violations = [];
+  for (const [dimension, field] of [["symbol", "bySymbol"], ["entry", "byEntryReason"]]) {
+    if (!scope.includes(dimension)) {
+      continue;
+    }
+    for (const [key, bucket] of Object.entries(attribution?.[field] || {})) {
+      if (key === "unattributed") {
+        continue;
+      }
+      const guard = evaluateExecutionKpiGuard({ realized: bucket, fills: bucket }, config, { ...options, path: true });
+      if (guard.enabled && guard.triggered) {
+        violations.push({
+          scope: dimension,
+          key,
+          reasons: guard.reasons,
+          metrics: guard.metrics,
+        });
+      }
+    }
+  }
+  return violations;
+}
+
+const ATTRIBUTION_TOTAL_FIELDS = [
+  "fillCount",
+  "buyCount",
+  "sellCount",
+  "totalAmountKrw",
+  "totalFeeKrw",
+  "slippageSampleCount",
+  "totalAbsSlippageBps",
+  "tradeCount",
+  "wins",
+  "losses",
+  "breakEven",
+  "realizedPnlKrw",
+];
+
+function mergeKpiAttribution(target, attribution) {
+  for (const [dimension, rows] of Object.entries(attribution || {})) {
+    if (!target[dimension]) {
+      target[dimension] = {};
+    }
+    for (const [key, bucket] of Object.entries(rows || {})) {
+      const merged = target[dimension][key] || Object.fromEntries(ATTRIBUTION_TOTAL_FIELDS.map((field) => [field, 0]));
+      for (const field of ATTRIBUTION_TOTAL_FIELDS) {
+        merged[field] += Number(bucket?.[field] || 0);
+      }
+      target[dimension][key] = merged;
+    }
+  }
+  return target;
+}
+
+function roundKpiAttribution(attribution) {
+  if (!attribution || typeof attribution !== "object") {
+    return null;
+  }
+  return Object.fromEntries(Object.entries(attribution).map(([dimension, rows]) => [
+    dimension,
+    Object.fromEntries(Object.entries(rows || {}).map(([key, bucket]) => {
+      const row = finalizeAttributionBucket(bucket);
+      return [key, {
+        fillCount: row.fillCount,
+        buyCount: row.buyCount,
+        sellCount: row.sellCount,
+        totalAmountKrw: roundNum(row.totalAmountKrw, 2),
+        totalFeeKrw: roundNum(row.totalFeeKrw, 2),
+        avgAbsSlippageBps: roundNum(row.avgAbsSlippageBps, 4),
+        tradeCount: row.tradeCount,
+        wins: row.wins,
+        losses: row.losses,
+        breakEven: row.breakEven,
+        winRatePct: roundNum(row.winRatePct, 4),
+        expectancyKrw: roundNum(row.expectancyKrw, 2),
+        realizedPnlKrw: roundNum(row.realizedPnlKrw, 2),
+      }];
+    })),
+  ]));
+}
+
 function normalizeSymbolList(symbols, fallbackSymbol = "BTC_KRW") {
   let source = [];
   if (Array.isArray(symbols)) {
@@ -313,6 +418,7 @@ function summarizeExecutionKpiSamples(samples = []) {
 
   let windowFromMs = null;
   let windowToMs = null;
+  const attribution = {};
   for (const sample of samples) {
     if (!sample || typeof sample !== "object") {
       continue;
@@ -340,6 +446,7 @@ function summarizeExecutionKpiSamples(samples = []) {
     totals.successfulOrders += Number(sample.orders?.successfulOrders || 0);
     totals.failedWindowCount += sample.failures?.count ? 1 : 0;
     totals.retryableFailureWindowCount += sample.failures?.allRetryable ? 1 : 0;
+    mergeKpiAttribution(attribution, sample.attribution);
   }
 
   const tradeCount = totals.realizedTradeCount;
@@ -379,6 +486,7 @@ function summarizeExecutionKpiSamples(samples = []) {
       failedWindowCount: totals.failedWindowCount,
       retryableFailureWindowCount: totals.retryableFailureWindowCount,
     },
+    attribution: roundKpiAttribution(attribution),
   };
 }
 
@@ -514,6 +622,7 @@ export async function runExecutionService({
   const aiRefreshRange = normalizeAiRefreshRange(runtimeConfig.ai);
   const logOnlyOnActivity = runtimeConfig.execution?.logOnlyOnActivity !== false;
   const executionDryRun = Boolean(runtimeConfig.execution?.dryRun === true);
+  const paperMode = Boolean(runtimeConfig.paper?.enabled === true);
   const heartbeatWindowsRaw = Number(runtimeConfig.execution?.heartbeatWindows);
   const heartbeatWindows = Number.isFinite(heartbeatWindowsRaw) && heartbeatWindowsRaw > 0
     ? Math.floor(heartbeatWindowsRaw)
@@ -548,24 +657,89 @@ export async function runExecutionService({
     await auditLog.init();
   }
 
-  const trader = system || new TradingSystem(runtimeConfig, {
-    logger,
-    exchangeClient: new BithumbClient(runtimeConfig, logger, {
-      onRequestEvent: auditLog ? (event) => auditLog.write(event) : null,
-    }),
-  });
+  let paperExchange = null;
+  let controlApi = null;
+  let metricsServer = null;
+  let privateStream = null;
+  let marketStream = null;
+  let parentOrderTimer = null;
+  let parentOrderTick = null;
+  let trader = system;
+  const metrics = system?.metrics || new TraderMetrics();
+  if (!trader) {
+    const bithumbClient = new BithumbClient(runtimeConfig, logger, {
+      onRequestEvent: (event) => {
+        auditLog?.write(event);
+        metrics.observeRequest(event);
+      },
+      onRateLimitWait: (event) => metrics.observeRateLimitWait(event),
+    });
+    const wsClient = new BithumbPublicWsClient(runtimeConfig, logger);
+    if (paperMode) {
+      paperExchange = new PaperExchangeClient(runtimeConfig, logger, {
+        publicClient: bithumbClient,
+        wsClient,
+      });
+    }
+    const marketData = new MarketDataService(runtimeConfig, paperExchange || bithumbClient);
+    trader = new TradingSystem(runtimeConfig, {
+      logger,
+      exchangeClient: paperExchange || bithumbClient,
+      wsClient,
+      marketData,
+      metrics,
+      candleStore: runtimeConfig.candleCache?.enabled
+        ? new CandleStore(runtimeConfig, marketData, { logger })
+        : null,
+    });
+  }
   const aiSettings = new AiSettingsSource(runtimeConfig, logger);
   const marketUniverse = marketUniverseService || new CuratedMarketUniverse(runtimeConfig, logger, trader.marketData);
 
   try {
     await trader.init();
+    if (typeof trader.recoverOrderIntents === "function") {
+      await trader.recoverOrderIntents();
+    }
     await aiSettings.init();
     await marketUniverse.init();
     if (!system && !executionDryRun) {
-      ensureLiveCredentials(runtimeConfig);
+      if (!paperMode) {
+        ensureLiveCredentials(runtimeConfig);
+      }
       await ensureLiveAccountPreflight(trader);
     }
 
+    if (
+      runtimeConfig.execution.enabled
+      && runtimeConfig.execution.privateStreamEnabled
+      && !executionDryRun
+      && !paperMode
+      && runtimeConfig.exchange?.accessKey
+      && runtimeConfig.exchange?.secretKey
+      && typeof trader.wsClient?.openMyOrderStream === "function"
+    ) {
+      privateStream = new PrivateStreamSupervisor(trader, trader.wsClient, {
+        logger,
+        reconnectBaseMs: runtimeConfig.execution.privateStreamReconnectBaseMs,
+        reconnectMaxMs: runtimeConfig.execution.privateStreamReconnectMaxMs,
+      });
+      privateStream.start();
+    }
+
+    if (
+      runtimeConfig.execution.enabled
+      && runtimeConfig.execution.marketStreamEnabled
+      && typeof trader.wsClient?.openTickerStream === "function"
+    ) {
+      marketStream = new MarketStreamSession(trader, trader.wsClient, {
+        logger,
+        reconnectBaseMs: runtimeConfig.execution.marketStreamReconnectBaseMs,
+        reconnectMaxMs: runtimeConfig.execution.marketStreamReconnectMaxMs,
+      });
+      marketStream.start();
+    }
+
     if (!runtimeConfig.execution.enabled) {
       logger.info("execution service is disabled by config", {
         executionEnabled: false,
@@ -577,6 +751,32 @@ export async function runExecutionService({
       };
     }
 
+    if (!executionDryRun && typeof trader.resumeParentOrders === "function") {
+      const slicingEnabled = runtimeConfig.slicing?.enabled === true;
+      const restored = await trader.resumeParentOrders({
+        resume: slicingEnabled && runtimeConfig.slicing.resumeOnStart !== false,
+      });
+      if (restored.resumed > 0 || restored.canceled > 0) {
+        logger.info("parent orders restored", restored);
+      }
+      if (slicingEnabled) {
+        parentOrderTimer = setInterval(() => {
+          if (parentOrderTick) {
+            return;
+          }
+          parentOrderTick = trader.workParentOrders()
+            .catch((error) => {
+              logger.error("parent order worker failed", {
+                reason: error.message,
+              });
+            })
+            .finally(() => {
+              parentOrderTick = null;
+            });
+        }, runtimeConfig.slicing.pollMs);
+      }
+    }
+
     let stopRequested = false;
     let stoppedBy = null;
     const onSignal = (signal) => {
@@ -592,7 +792,7 @@ export async function runExecutionService({
     process.on("SIGTERM", onSignal);
 
     logger.info("execution service started", {
-      mode: executionDryRun ? "dry_run" : "live",
+      mode: executionDryRun ? "dry_run" : paperMode ? "paper" : "live",
       symbol: runtimeConfig.execution.symbol,
       symbols: normalizeSymbolList(runtimeConfig.execution.symbols, runtimeConfig.execution.symbol),
       amountKrw: runtimeConfig.execution.orderAmountKrw,
@@ -604,6 +804,9 @@ export async function runExecutionService({
       aiSettingsFile: aiSettings.settingsFile,
       aiSettingsRefreshMinSec: aiRefreshRange.minSec,
       aiSettingsRefreshMaxSec: aiRefreshRange.maxSec,
+      privateStreamEnabled: Boolean(privateStream),
+      sharedMarketStreamEnabled: Boolean(marketStream),
+      orderSlicingEnabled: Boolean(parentOrderTimer),
       marketUniverseEnabled: marketUniverse.enabled,
       marketUniverseQuote: runtimeConfig.marketUniverse?.quote || null,
       marketUniverseFile: runtimeConfig.marketUniverse?.snapshotFile || null,
@@ -615,6 +818,7 @@ export async function runExecutionService({
       kpiReportFile,
       kpiReportSummaryFile,
       kpiMonitorWindowMs,
+      kpiGuardScope: runtimeConfig.execution?.kpiGuardScope || ["global"],
     });
 
     let windows = 0;
@@ -634,6 +838,7 @@ export async function runExecutionService({
     let nextAiRefreshAt = Date.now() + aiRefresh.ms;
     let streamFailureStreak = 0;
     let lastRuntimeKillSwitch = null;
+    let lastBreakerHalt = null;
     let kpiSinceMs = Date.now();
     const aiApplyCooldownMs = Math.max(
       0,
@@ -644,6 +849,7 @@ export async function runExecutionService({
       0,
     );
     let kpiGuardViolationStreak = 0;
+    let kpiPathViolationStreaks = new Map();
     let lastAiExecutionApplyAt = 0;
 
     if (aiSettings.enabled) {
@@ -671,14 +877,41 @@ export async function runExecutionService({
       });
     }
 
+    if (runtimeConfig.controlApi?.enabled) {
+      controlApi = new ControlApiServer(runtimeConfig, {
+        system: trader,
+        marketUniverse,
+        logger,
+        aiRuntime: () => ({
+          enabled: aiSettings.enabled,
+          settingsFile: aiSettings.settingsFile,
+          nextRefreshAt: aiSettings.enabled ? new Date(nextAiRefreshAt).toISOString() : null,
+          applied: aiRuntimeForExecution,
+          latest: aiRuntime,
+        }),
+      });
+      await controlApi.start();
+    }
+
+    if (runtimeConfig.metrics?.enabled) {
+      metricsServer = new MetricsServer(runtimeConfig, {
+        metrics,
+        collect: () => trader.refreshMetrics?.(),
+        logger,
+      });
+      await metricsServer.start();
+    }
+
     let lastOverlayHash = null;
     let lastKillSwitch = null;
+    let lastLiquidate = typeof trader.lastAiLiquidateControl === "function" ? trader.lastAiLiquidateControl() : null;
     let lastStrategyHash = null;
     let lastDecisionHash = null;
     let lastFilteredSymbolsHash = null;
     let lastSkippedAiApprovalHash = null;
     while (!stopRequested) {
       windows += 1;
+      metrics.windows.inc();
       const nowMs = Date.now();
 
       if (aiSettings.enabled && Date.now() >= nextAiRefreshAt) {
@@ -836,6 +1069,26 @@ export async function runExecutionService({
         }
       }
 
+      // One liquidation per false -> true edge; the AI clears the flag once the report is in.
+      // The last value is persisted, so a restart with the flag still set does not fire again.
+      const liquidateControl = aiRuntimeForExecution.controls.liquidate;
+      if (typeof liquidateControl === "boolean" && liquidateControl !== lastLiquidate) {
+        lastLiquidate = liquidateControl;
+        if (typeof trader.recordAiLiquidateControl === "function") {
+          await trader.recordAiLiquidateControl(liquidateControl);
+        }
+        if (liquidateControl && typeof trader.liquidateAll === "function") {
+          logger.warn("liquidation requested by ai settings", { window: windows });
+          const liquidation = await trader.liquidateAll({ reason: "ai_settings_control", source: "ai_settings" });
+          if (!liquidation.ok) {
+            logger.error("liquidation from ai settings failed", {
+              window: windows,
+              reason: liquidation.error?.message || null,
+            });
+          }
+        }
+      }
+
       if (!effective.enabled) {
         logger.warn("execution window skipped by ai settings", {
           window: windows,
@@ -880,9 +1133,54 @@ export async function runExecutionService({
         lastFilteredSymbolsHash = null;
       }
 
+      if (typeof trader.recoverOrderIntents === "function") {
+        try {
+          await trader.recoverOrderIntents();
+        } catch (error) {
+          logger.warn("order intent recovery failed", {
+            window: windows,
+            reason: error.message,
+          });
+        }
+      }
+
+      if (typeof trader.checkCircuitBreakers === "function") {
+        try {
+          await trader.checkCircuitBreakers();
+        } catch (error) {
+          logger.warn("circuit breaker check failed", {
+            window: windows,
+            reason: error.message,
+          });
+        }
+      }
+
+      if (typeof trader.maybeReportDust === "function") {
+        try {
+          await trader.maybeReportDust();
+        } catch (error) {
+          logger.warn("dust report failed", {
+            window: windows,
+            reason: error.message,
+          });
+        }
+      }
+
       const executionStatus = typeof trader.status === "function"
         ? await trader.status()
         : { data: { killSwitch: false, killSwitchReason: null } };
+      const breakerHalt = (executionStatus?.data?.circuitBreakers?.active || [])
+        .find((breaker) => breaker.action === "halt_all") || null;
+      if ((lastBreakerHalt?.name || null) !== (breakerHalt?.name || null)) {
+        if (breakerHalt) {
+          logger.warn("execution window skipped: circuit breaker halted trading", {
+            window: windows,
+            name: breakerHalt.name,
+            reason: breakerHalt.reason,
+          });
+        }
+        lastBreakerHalt = breakerHalt;
+      }
       const runtimeKillSwitch = Boolean(executionStatus?.data?.killSwitch);
       if (lastRuntimeKillSwitch !== runtimeKillSwitch) {
         if (runtimeKillSwitch) {
@@ -894,7 +1192,7 @@ export async function runExecutionService({
         }
         lastRuntimeKillSwitch = runtimeKillSwitch;
       }
-      if (runtimeKillSwitch) {
+      if (runtimeKillSwitch || breakerHalt) {
         const windowDelayMs = calculateWindowDelayMs(runtimeConfig.execution, streamFailureStreak);
         kpiSinceMs = Math.max(kpiSinceMs, Date.now());
 
@@ -909,8 +1207,11 @@ export async function runExecutionService({
       }
 
       try {
-        if (typeof trader.reconcileOpenOrders === "function") {
-          const reconcileResult = await trader.reconcileOpenOrders({ maxCandidates: 8 });
+        // With a healthy private stream, REST polling only catches up after a stream gap.
+        const streamGap = privateStream ? privateStream.consumeReconcileRequest() : false;
+        const pollOpenOrders = !privateStream || streamGap || !privateStream.isHealthy();
+        if (pollOpenOrders && typeof trader.reconcileOpenOrders === "function") {
+          const reconcileResult = await trader.reconcileOpenOrders({ maxCandidates: streamGap ? 1_000 : 8 });
           if (reconcileResult.failed > 0 && runtimeConfig.execution?.logOnlyOnActivity) {
             logger.warn("open order reconciliation had failures", {
               window: windows,
@@ -948,6 +1249,12 @@ export async function runExecutionService({
           continue;
       }
 
+      // Keep the shared ticker subscription on every eligible symbol, not just this window's slice,
+      // so capped-out symbols still have warm candles when they rotate in.
+      if (marketStream) {
+        marketStream.setSymbols(targetSymbols);
+      }
+
       const configuredMaxSymbolsPerWindow = asPositiveInt(
         effective.maxSymbolsPerWindow,
         runtimeConfig.execution.maxSymbolsPerWindow,
@@ -1020,6 +1327,17 @@ export async function runExecutionService({
         }
       }
 
+      const kpiPathViolations = executionDryRun
+        ? []
+        : evaluateExecutionKpiPathGuard(safeExecutionKpi.attribution, runtimeConfig.execution);
+      const nextPathStreaks = new Map();
+      for (const violation of kpiPathViolations) {
+        const id = `${violation.scope}:${violation.key}`;
+        violation.streak = (kpiPathViolationStreaks.get(id) || 0) + 1;
+        nextPathStreaks.set(id, violation.streak);
+      }
+      kpiPathViolationStreaks = nextPathStreaks;
+
       const allFailedRetryable = aggregated.failed.length > 0 && aggregated.failed.every(isRetryableFailureRow);
 
       if (kpiGuard.enabled && kpiGuard.triggered && !executionDryRun) {
@@ -1068,11 +1386,15 @@ export async function runExecutionService({
             winRatePct: roundNum(safeExecutionKpiRealized.winRatePct, 4),
             expectancyKrw: roundNum(safeExecutionKpiRealized.expectancyKrw, 2),
             realizedPnlKrw: roundNum(safeExecutionKpiRealized.realizedPnlKrw, 2),
+            grossProfitKrw: roundNum(safeExecutionKpiRealized.grossProfitKrw, 2),
+            grossLossKrw: roundNum(safeExecutionKpiRealized.grossLossKrw, 2),
           },
           positionsTracked: Object.keys(safeExecutionKpiPositions || {}).length,
+          attribution: roundKpiAttribution(safeExecutionKpi.attribution),
         },
         kpiGuard,
         kpiGuardConsecutiveViolations: kpiGuardViolationStreak,
+        kpiPathViolations,
       };
 
       const kpiMonitorSample = {
@@ -1102,6 +1424,7 @@ export async function runExecutionService({
           attemptedOrders: aggregated.totals.attemptedOrders,
           successfulOrders: aggregated.totals.successfulOrders,
         },
+        attribution: safeExecutionKpi.attribution || null,
         failures: {
           count: aggregated.failed.length,
           allRetryable: allFailedRetryable,
@@ -1192,6 +1515,35 @@ export async function runExecutionService({
         stopRequested = true;
       }
 
+      // Scoped guard: block new entries on the offending symbol or entry reason and keep trading the rest.
+      if (kpiGuardMaxConsecutiveViolations > 0 && typeof trader.blockTradingPath === "function") {
+        for (const violation of kpiPathViolations) {
+          if (violation.streak < kpiGuardMaxConsecutiveViolations) {
+            continue;
+          }
+          const target = violation.scope === "symbol" ? { symbol: violation.key } : { entryReason: violation.key };
+          const existing = typeof trader.kpiGuardBlockFor === "function"
+            ? trader.kpiGuardBlockFor(target.symbol || null, target.entryReason || null)
+            : null;
+          if (existing?.scope === violation.scope && existing.key === violation.key) {
+            continue;
+          }
+          await trader.blockTradingPath({
+            ...target,
+            reason: `kpi_guard: ${violation.reasons.join(", ") || "unknown"}`,
+          });
+          logger.error("execution kpi guard blocked entry path", {
+            window: windows,
+            source: aiRuntimeForExecution.source,
+            scope: violation.scope,
+            key: violation.key,
+            reasons: violation.reasons,
+            metrics: violation.metrics,
+            streak: violation.streak,
+          });
+        }
+      }
+
       if (typeof trader.recordExecutionKpi === "function") {
         await trader.recordExecutionKpi(windowSummary);
       }
@@ -1278,6 +1630,27 @@ export async function runExecutionService({
       stoppedBy: stoppedBy || "requested",
     };
   } finally {
+    if (parentOrderTimer) {
+      clearInterval(parentOrderTimer);
+    }
+    if (parentOrderTick) {
+      await parentOrderTick;
+    }
+    if (controlApi) {
+      await controlApi.close();
+    }
+    if (metricsServer) {
+      await metricsServer.close();
+    }
+    if (privateStream) {
+      await privateStream.stop();
+    }
+    if (marketStream) {
+      await marketStream.stop();
+    }
+    if (paperExchange) {
+      await paperExchange.close();
+    }
     if (auditLog) {
       await auditLog.flush();
     }
@@ -1,4 +1,16 @@
 import path from "node:path";
+import {
+  DEFAULT_STRATEGY_NAME,
+  listStrategies,
+  normalizeStrategyName,
+  optimizerGridFromEnv,
+  strategyParamsFromEnv,
+} from "../engine/strategy-registry.js";
+import { SIZING_MODES } from "../engine/position-sizing.js";
+import { BREAKER_ACTIONS, BREAKER_RESETS } from "../engine/circuit-breakers.js";
+import { invalidArg } from "../lib/errors.js";
+
+const SQLITE_MIN_NODE = [22, 13];
 
 function toBoolean(value, fallback = false) {
   if (value === undefined || value === null || value === "") {
@@ -49,21 +61,20 @@ function toCsvList(value, fallback = []) {
     .filter(Boolean);
 }
 
-function toCsvPositiveInts(value, fallback = []) {
-  const raw = toCsvList(value, fallback);
-  const numbers = raw
-    .map((item) => Number(item))
-    .filter((item) => Number.isFinite(item) && item > 0)
-    .map((item) => Math.floor(item));
-  return numbers.length > 0 ? numbers : fallback.slice();
-}
-
-function toCsvPositiveNumbers(value, fallback = []) {
-  const raw = toCsvList(value, fallback);
-  const numbers = raw
-    .map((item) => Number(item))
-    .filter((item) => Number.isFinite(item) && item > 0);
-  return numbers.length > 0 ? numbers : fallback.slice();
+// A typo must not silently switch the daemon to the default strategy.
+function toStrategyName(value) {
+  if (value === undefined || value === null || String(value).trim() === "") {
+    return DEFAULT_STRATEGY_NAME;
+  }
+  const name = normalizeStrategyName(value, null);
+  if (!name) {
+    throw invalidArg(`Unknown STRATEGY_NAME: ${value}`, {
+      field: "STRATEGY_NAME",
+      input: value,
+      allowed: listStrategies(),
+    });
+  }
+  return name;
 }
 
 function toCsvSymbols(value, fallback = []) {
@@ -83,6 +94,66 @@ function toNullablePositiveNumber(value) {
   return parsed;
 }
 
+// global: kill switch on the blended KPI; symbol / entry: block new entries on that path only.
+function toKpiGuardScope(value) {
+  const scope = toCsvList(value, ["global"])
+    .map((item) => item.toLowerCase())
+    .filter((item) => ["global", "symbol", "entry"].includes(item));
+  return scope.length > 0 ? Array.from(new Set(scope)) : ["global"];
+}
+
+function toSizingMode(value) {
+  const mode = String(value || "fixed").trim().toLowerCase().replace(/-/g, "_");
+  return SIZING_MODES.includes(mode) ? mode : "fixed";
+}
+
+// What startup recovery does with a journaled order it finds still open on the exchange.
+function toOrderIntentOpenAction(value) {
+  const action = String(value || "cancel").trim().toLowerCase();
+  return ["adopt", "cancel"].includes(action) ? action : "cancel";
+}
+
+// Shared action / cool-off / reset settings of one circuit breaker, read from `<prefix>_*`.
+function toBreakerPolicy(env, prefix, defaults) {
+  const action = String(env[`${prefix}_ACTION`] || defaults.action).trim().toLowerCase();
+  const reset = String(env[`${prefix}_RESET`] || defaults.reset).trim().toLowerCase().replace(/-/g, "_");
+  return {
+    action: BREAKER_ACTIONS.includes(action) ? action : defaults.action,
+    cooloffSec: toNonNegativeInt(env[`${prefix}_COOLOFF_SEC`], defaults.cooloffSec),
+    reset: BREAKER_RESETS.includes(reset) ? reset : defaults.reset,
+  };
+}
+
+// "BTC_KRW:800000,*:300000" -> { BTC_KRW: 800000, "*": 300000 }; "*" applies to unlisted keys.
+function toLimitMap(value, { symbols = false } = {}) {
+  const limits = {};
+  for (const item of toCsvList(value)) {
+    const separator = item.lastIndexOf(":");
+    const rawKey = separator > 0 ? item.slice(0, separator).trim() : "";
+    const limit = Number(separator > 0 ? item.slice(separator + 1) : NaN);
+    if (!rawKey || !Number.isFinite(limit) || limit <= 0) {
+      continue;
+    }
+    const key = rawKey === "*" ? "*" : symbols ? normalizeSymbol(rawKey) : rawKey.toLowerCase();
+    limits[key] = limit;
+  }
+  return limits;
+}
+
+// "majors=BTC_KRW|ETH_KRW,stablecoins=USDT_KRW" -> { majors: [...], stablecoins: [...] }
+function toAssetGroups(value, fallback) {
+  const groups = {};
+  for (const item of toCsvList(value)) {
+    const [rawName, rawSymbols = ""] = item.split("=");
+    const name = String(rawName || "").trim().toLowerCase();
+    const members = rawSymbols.split("|").map((symbol) => symbol.trim()).filter(Boolean).map((symbol) => normalizeSymbol(symbol));
+    if (name && members.length > 0) {
+      groups[name] = Array.from(new Set(members));
+    }
+  }
+  return Object.keys(groups).length > 0 ? groups : fallback;
+}
+
 export function normalizeSymbol(symbol) {
   if (!symbol) {
     return "BTC_KRW";
@@ -108,7 +179,25 @@ export function fromBithumbMarket(market) {
   return `${base}_${quote}`;
 }
 
+// node:sqlite is unflagged from Node.js 22.13; older runtimes only support the JSON backend.
+export function supportsNodeSqlite(version = process.versions.node) {
+  const [major, minor] = String(version || "").split(".").map((part) => Number(part));
+  return major > SQLITE_MIN_NODE[0] || (major === SQLITE_MIN_NODE[0] && minor >= SQLITE_MIN_NODE[1]);
+}
+
 export function loadConfig(env = process.env) {
+  const stateBackend = String(env.TRADER_STATE_BACKEND || "json").trim().toLowerCase() === "sqlite" ? "sqlite" : "json";
+  if (stateBackend === "sqlite" && !supportsNodeSqlite()) {
+    throw invalidArg(`TRADER_STATE_BACKEND=sqlite needs Node.js ${SQLITE_MIN_NODE.join(".")} or later (running ${process.versions.node})`, {
+      field: "TRADER_STATE_BACKEND",
+      input: env.TRADER_STATE_BACKEND,
+    });
+  }
+  // Paper runs keep their own state and KPI files so simulated fills never mix with live history.
+  const paperEnabled = toBoolean(env.PAPER_TRADING_ENABLED, false);
+  const dataPrefix = paperEnabled ? "paper-" : "";
+  const stateFile = env.TRADER_STATE_FILE || path.join(process.cwd(), ".trader", `${dataPrefix}state.json`);
+  const stateDbFile = env.TRADER_STATE_DB_FILE || path.join(process.cwd(), ".trader", `${dataPrefix}state.db`);
   const defaultSymbol = normalizeSymbol(env.STRATEGY_SYMBOL || env.TRADER_DEFAULT_SYMBOL || "BTC_KRW");
   const optimizerDefaultSymbols = Array.from(new Set([defaultSymbol, "ETH_KRW", "USDT_KRW"]));
   const universeDefaultIncludes = Array.from(new Set([
@@ -123,7 +212,16 @@ export function loadConfig(env = process.env) {
 
   return {
     runtime: {
-      stateFile: env.TRADER_STATE_FILE || path.join(process.cwd(), ".trader", "state.json"),
+      stateFile,
+      stateBackend,
+      stateDbFile,
+      eventLog: {
+        enabled: toBoolean(env.TRADER_EVENT_LOG_ENABLED, false),
+        dir: env.TRADER_EVENT_LOG_DIR
+          || path.join(path.dirname(stateBackend === "sqlite" ? stateDbFile : stateFile), `${dataPrefix}events`),
+        maxBytes: toNonNegativeInt(env.TRADER_EVENT_LOG_MAX_BYTES, 20 * 1024 * 1024),
+        maxFiles: toNonNegativeInt(env.TRADER_EVENT_LOG_MAX_FILES, 20),
+      },
       overlayFile: env.TRADER_OVERLAY_FILE || path.join(process.cwd(), ".trader", "overlay.json"),
       httpAuditEnabled: toBoolean(env.TRADER_HTTP_AUDIT_ENABLED, false),
       httpAuditFile: env.TRADER_HTTP_AUDIT_FILE || path.join(process.cwd(), ".trader", "http-audit.jsonl"),
@@ -168,20 +266,36 @@ export function loadConfig(env = process.env) {
       privateMaxPerSec: toPositiveInt(env.BITHUMB_PRIVATE_MAX_PER_SEC, 140),
       wsConnectMaxPerSec: toPositiveInt(env.BITHUMB_WS_CONNECT_MAX_PER_SEC, 5),
     },
+    paper: {
+      enabled: paperEnabled,
+      walletFile: env.PAPER_WALLET_FILE || path.join(process.cwd(), ".trader", "paper-wallet.json"),
+      initialCashKrw: toPositiveNumber(env.PAPER_INITIAL_CASH_KRW, 1_000_000),
+      feeBps: Math.max(0, toNumber(env.PAPER_FEE_BPS, 4)),
+      slippageBps: Math.max(0, toNumber(env.PAPER_SLIPPAGE_BPS, 5)),
+      minOrderTotalKrw: toPositiveNumber(env.PAPER_MIN_ORDER_TOTAL_KRW, 5_000),
+      tickerMaxAgeMs: toPositiveInt(env.PAPER_TICKER_MAX_AGE_MS, 5_000),
+      maxClosedOrders: toPositiveInt(env.PAPER_MAX_CLOSED_ORDERS, 500),
+    },
+    backtest: {
+      dataFile: env.BACKTEST_DATA_FILE || null,
+      symbols: toCsvSymbols(env.BACKTEST_SYMBOLS, []),
+      windowSec: toPositiveInt(env.BACKTEST_WINDOW_SEC, toPositiveInt(env.EXECUTION_WINDOW_SEC, 300)),
+      warmupCandles: toNonNegativeInt(env.BACKTEST_WARMUP_CANDLES, 0),
+      initialCashKrw: toPositiveNumber(
+        env.BACKTEST_INITIAL_CASH_KRW,
+        toPositiveNumber(env.PAPER_INITIAL_CASH_KRW, 1_000_000),
+      ),
+      aiSettingsFile: env.BACKTEST_AI_SETTINGS_FILE || null,
+      reportFile: env.BACKTEST_REPORT_FILE || path.join(process.cwd(), ".trader", "backtest-kpi-report.jsonl"),
+      summaryFile: env.BACKTEST_SUMMARY_FILE || path.join(process.cwd(), ".trader", "backtest-kpi-summary.json"),
+      resultFile: env.BACKTEST_RESULT_FILE || path.join(process.cwd(), ".trader", "backtest-result.json"),
+    },
     strategy: {
-      name: String(env.STRATEGY_NAME || "risk_managed_momentum").toLowerCase(),
+      name: toStrategyName(env.STRATEGY_NAME),
       defaultSymbol,
       candleInterval: String(env.STRATEGY_CANDLE_INTERVAL || "15m").toLowerCase(),
       candleCount: toPositiveInt(env.STRATEGY_CANDLE_COUNT, 120),
-      breakoutLookback: toPositiveInt(env.STRATEGY_BREAKOUT_LOOKBACK, 20),
-      breakoutBufferBps: toPositiveNumber(env.STRATEGY_BREAKOUT_BUFFER_BPS, 5),
-      momentumLookback: toPositiveInt(env.STRATEGY_MOMENTUM_LOOKBACK, 24),
-      volatilityLookback: toPositiveInt(env.STRATEGY_VOLATILITY_LOOKBACK, 72),
-      momentumEntryBps: toPositiveNumber(env.STRATEGY_MOMENTUM_ENTRY_BPS, 12),
-      momentumExitBps: toPositiveNumber(env.STRATEGY_MOMENTUM_EXIT_BPS, 8),
-      targetVolatilityPct: toPositiveNumber(env.STRATEGY_TARGET_VOLATILITY_PCT, 0.6),
-      riskManagedMinMultiplier: toPositiveNumber(env.STRATEGY_RM_MIN_MULTIPLIER, 0.6),
-      riskManagedMaxMultiplier: toPositiveNumber(env.STRATEGY_RM_MAX_MULTIPLIER, 2.2),
+      ...strategyParamsFromEnv(env),
       autoSellEnabled: toBoolean(env.STRATEGY_AUTO_SELL_ENABLED, true),
       sellAllOnExit: toBoolean(env.STRATEGY_SELL_ALL_ON_EXIT, true),
       sellAllQtyPrecision: toPositiveInt(env.STRATEGY_SELL_ALL_QTY_PRECISION, 8),
@@ -228,13 +342,7 @@ export function loadConfig(env = process.env) {
       walkForwardMinFoldCount: toPositiveInt(env.OPTIMIZER_WALK_FORWARD_MIN_FOLD_COUNT, 4),
       walkForwardMinPassRate: toNumber(env.OPTIMIZER_WALK_FORWARD_MIN_PASS_RATE, 0.55),
       topResults: toPositiveInt(env.OPTIMIZER_TOP_RESULTS, 10),
-      momentumLookbacks: toCsvPositiveInts(env.OPTIMIZER_MOMENTUM_LOOKBACKS, [24, 36, 48, 72]),
-      volatilityLookbacks: toCsvPositiveInts(env.OPTIMIZER_VOLATILITY_LOOKBACKS, [72, 96, 120, 144]),
-      entryBpsCandidates: toCsvPositiveNumbers(env.OPTIMIZER_ENTRY_BPS, [10, 16, 24, 32]),
-      exitBpsCandidates: toCsvPositiveNumbers(env.OPTIMIZER_EXIT_BPS, [6, 10, 14, 20]),
-      targetVolatilityPctCandidates: toCsvPositiveNumbers(env.OPTIMIZER_TARGET_VOLATILITY_PCT, [0.35, 0.5]),
-      rmMinMultiplierCandidates: toCsvPositiveNumbers(env.OPTIMIZER_RM_MIN_MULTIPLIER, [0.4]),
-      rmMaxMultiplierCandidates: toCsvPositiveNumbers(env.OPTIMIZER_RM_MAX_MULTIPLIER, [1.6, 1.8]),
+      ...optimizerGridFromEnv(env),
     },
     risk: {
       minOrderNotionalKrw: toPositiveNumber(env.RISK_MIN_ORDER_NOTIONAL_KRW, 20_000),
@@ -243,8 +351,25 @@ export function loadConfig(env = process.env) {
       maxOpenOrdersPerSymbol: toPositiveInt(env.RISK_MAX_OPEN_ORDERS_PER_SYMBOL, 1),
       maxExposureKrw: toPositiveNumber(env.RISK_MAX_EXPOSURE_KRW, 2_000_000),
       maxDailyLossKrw: toPositiveNumber(env.RISK_MAX_DAILY_LOSS_KRW, 500_000),
+      symbolMaxExposureKrw: toLimitMap(env.RISK_SYMBOL_MAX_EXPOSURE_KRW, { symbols: true }),
+      symbolMaxLossKrw: toLimitMap(env.RISK_SYMBOL_MAX_LOSS_KRW, { symbols: true }),
+      assetGroups: toAssetGroups(env.RISK_ASSET_GROUPS, {
+        majors: ["BTC_KRW", "ETH_KRW"],
+        stablecoins: ["USDT_KRW", "USDC_KRW"],
+      }),
+      defaultAssetGroup: String(env.RISK_DEFAULT_ASSET_GROUP || "alts").trim().toLowerCase(),
+      groupMaxExposureKrw: toLimitMap(env.RISK_GROUP_MAX_EXPOSURE_KRW),
+      correlatedMaxExposureKrw: Math.max(0, toNumber(env.RISK_CORRELATED_MAX_EXPOSURE_KRW, 0)),
+      correlationThreshold: Math.min(1, Math.max(0, toNumber(env.RISK_CORRELATION_THRESHOLD, 0.8))),
+      correlationInterval: String(env.RISK_CORRELATION_INTERVAL || "60m").toLowerCase(),
+      correlationLookback: Math.max(3, toPositiveInt(env.RISK_CORRELATION_LOOKBACK, 72)),
+      correlationRefreshSec: toPositiveInt(env.RISK_CORRELATION_REFRESH_SEC, 900),
       maxHoldingLossPct: toNumber(env.RISK_MAX_HOLDING_LOSS_PCT, 0),
       maxHoldingTakeProfitPct: toNumber(env.RISK_MAX_HOLDING_TAKE_PROFIT_PCT, 0),
+      trailingStopPct: Math.max(0, toNumber(env.RISK_TRAILING_STOP_PCT, 0)),
+      atrStopMultiplier: Math.max(0, toNumber(env.RISK_ATR_STOP_MULTIPLIER, 0)),
+      atrPeriod: toPositiveInt(env.RISK_ATR_PERIOD, 14),
+      maxHoldingMinutes: toNonNegativeInt(env.RISK_MAX_HOLDING_MINUTES, 0),
       maxConsecutiveRiskRejects: toPositiveInt(env.RISK_MAX_CONSECUTIVE_RISK_REJECTS, 4),
       riskRejectResetSec: toPositiveInt(
         env.RISK_REJECT_RESET_SEC ?? env.RISK_RISK_REJECT_RESET_SEC,
@@ -252,6 +377,52 @@ export function loadConfig(env = process.env) {
       ),
       initialCapitalKrw: toNullablePositiveNumber(env.TRADER_INITIAL_CAPITAL_KRW),
     },
+    circuitBreakers: {
+      rollingDrawdown: {
+        thresholdPct: Math.max(0, toNumber(env.CIRCUIT_ROLLING_DRAWDOWN_PCT, 0)),
+        days: toPositiveInt(env.CIRCUIT_ROLLING_DRAWDOWN_DAYS, 7),
+        ...toBreakerPolicy(env, "CIRCUIT_ROLLING_DRAWDOWN", { action: "halt_all", cooloffSec: 86_400, reset: "manual" }),
+      },
+      intradayDrawdown: {
+        thresholdPct: Math.max(0, toNumber(env.CIRCUIT_INTRADAY_DRAWDOWN_PCT, 0)),
+        ...toBreakerPolicy(env, "CIRCUIT_INTRADAY_DRAWDOWN", { action: "halt_buys", cooloffSec: 3_600, reset: "next_day" }),
+      },
+      losingStreak: {
+        maxLosses: toNonNegativeInt(env.CIRCUIT_LOSING_STREAK_MAX, 0),
+        ...toBreakerPolicy(env, "CIRCUIT_LOSING_STREAK", { action: "halt_buys", cooloffSec: 1_800, reset: "auto" }),
+      },
+      priceGap: {
+        thresholdPct: Math.max(0, toNumber(env.CIRCUIT_PRICE_GAP_PCT, 0)),
+        windowSec: toPositiveInt(env.CIRCUIT_PRICE_GAP_WINDOW_SEC, 10),
+        ...toBreakerPolicy(env, "CIRCUIT_PRICE_GAP", { action: "halt_buys", cooloffSec: 300, reset: "auto" }),
+      },
+    },
+    liquidation: {
+      onKillSwitch: toBoolean(env.LIQUIDATION_ON_KILL_SWITCH, false),
+      chunkKrw: Math.max(0, toNumber(env.LIQUIDATION_CHUNK_KRW, 0)),
+      chunkDelayMs: toNonNegativeInt(env.LIQUIDATION_CHUNK_DELAY_MS, 1_000),
+    },
+    orderIntents: {
+      openAction: toOrderIntentOpenAction(env.ORDER_INTENT_OPEN_ACTION),
+      minAgeSec: toNonNegativeInt(env.ORDER_INTENT_MIN_AGE_SEC, 30),
+    },
+    dust: {
+      minTotalKrw: toPositiveNumber(env.DUST_MIN_TOTAL_KRW, 5_000),
+      chanceRefreshSec: toPositiveInt(env.DUST_CHANCE_REFRESH_SEC, 3_600),
+      reportIntervalSec: toNonNegativeInt(env.DUST_REPORT_INTERVAL_SEC, 3_600),
+    },
+    sizing: {
+      mode: toSizingMode(env.SIZING_MODE),
+      targetVolPct: toPositiveNumber(env.SIZING_TARGET_VOL_PCT, 1),
+      grossExposurePct: toPositiveNumber(env.SIZING_GROSS_EXPOSURE_PCT, 50),
+      minVolPct: toPositiveNumber(env.SIZING_MIN_VOL_PCT, 0.5),
+      volInterval: String(env.SIZING_VOL_INTERVAL || env.STRATEGY_CANDLE_INTERVAL || "15m").toLowerCase(),
+      volLookback: Math.max(2, toPositiveInt(env.SIZING_VOL_LOOKBACK, 96)),
+      kellyFraction: Math.min(1, Math.max(0, toNumber(env.SIZING_KELLY_FRACTION, 0))),
+      kellyMinTrades: toPositiveInt(env.SIZING_KELLY_MIN_TRADES, 30),
+      rebalanceMinKrw: Math.max(0, toNumber(env.SIZING_REBALANCE_MIN_KRW, 0)),
+      refreshSec: toPositiveInt(env.SIZING_REFRESH_SEC, 300),
+    },
     overlay: {
       enabled: toBoolean(env.OVERLAY_ENABLED, true),
       timeoutMs: toPositiveInt(env.OVERLAY_TIMEOUT_MS, 500),
@@ -313,9 +484,11 @@ export function loadConfig(env = process.env) {
         env.EXECUTION_KPI_GUARD_MAX_CONSECUTIVE_VIOLATIONS,
         1,
       ),
-      kpiReportFile: env.EXECUTION_KPI_REPORT_FILE || path.join(process.cwd(), ".trader", "execution-kpi-report.jsonl"),
+      kpiGuardScope: toKpiGuardScope(env.EXECUTION_KPI_GUARD_SCOPE),
+      kpiReportFile: env.EXECUTION_KPI_REPORT_FILE
+        || path.join(process.cwd(), ".trader", `${dataPrefix}execution-kpi-report.jsonl`),
       kpiReportSummaryFile: env.EXECUTION_KPI_REPORT_SUMMARY_FILE
-        || path.join(process.cwd(), ".trader", "execution-kpi-summary.json"),
+        || path.join(process.cwd(), ".trader", `${dataPrefix}execution-kpi-summary.json`),
       kpiMonitorWindowSec: toPositiveInt(env.EXECUTION_KPI_MONITOR_WINDOW_SEC, 3600),
       kpiMonitorMinTradeSamples: toPositiveInt(env.EXECUTION_KPI_MONITOR_MIN_TRADE_SAMPLES, 3),
       kpiMonitorReportEveryWindows: toPositiveInt(env.EXECUTION_KPI_MONITOR_REPORT_EVERY_WINDOWS, 1),
@@ -330,6 +503,22 @@ export function loadConfig(env = process.env) {
         toNumber(env.EXECUTION_KPI_GUARD_MAX_ABS_SLIPPAGE_BPS, 120),
       ),
       restartDelayMs: toPositiveInt(env.EXECUTION_RESTART_DELAY_MS, 1_000),
+      orderMode: String(env.EXECUTION_ORDER_MODE || "market").trim().toLowerCase() === "limit_touch" ? "limit_touch" : "market",
+      orderbookMaxSpreadBps: toPositiveNumber(env.EXECUTION_ORDERBOOK_MAX_SPREAD_BPS, 15),
+      orderbookDepthLevels: toPositiveInt(env.EXECUTION_ORDERBOOK_DEPTH_LEVELS, 5),
+      orderbookMinDepthKrw: Math.max(0, toNumber(env.EXECUTION_ORDERBOOK_MIN_DEPTH_KRW, 1_000_000)),
+      orderbookSnapshotTimeoutMs: toPositiveInt(env.EXECUTION_ORDERBOOK_SNAPSHOT_TIMEOUT_MS, 3_000),
+      limitTimeoutMs: toPositiveInt(env.EXECUTION_LIMIT_TIMEOUT_MS, 5_000),
+      limitPollMs: toPositiveInt(env.EXECUTION_LIMIT_POLL_MS, 1_000),
+      limitInsideTicks: toNonNegativeInt(env.EXECUTION_LIMIT_INSIDE_TICKS, 0),
+      limitRepriceAttempts: toNonNegativeInt(env.EXECUTION_LIMIT_REPRICE_ATTEMPTS, 1),
+      limitMarketFallback: toBoolean(env.EXECUTION_LIMIT_MARKET_FALLBACK, true),
+      privateStreamEnabled: toBoolean(env.EXECUTION_PRIVATE_STREAM_ENABLED, true),
+      privateStreamReconnectBaseMs: toPositiveInt(env.EXECUTION_PRIVATE_STREAM_RECONNECT_BASE_MS, 1_000),
+      privateStreamReconnectMaxMs: toPositiveInt(env.EXECUTION_PRIVATE_STREAM_RECONNECT_MAX_MS, 30_000),
+      marketStreamEnabled: toBoolean(env.EXECUTION_MARKET_STREAM_ENABLED, true),
+      marketStreamReconnectBaseMs: toPositiveInt(env.EXECUTION_MARKET_STREAM_RECONNECT_BASE_MS, 1_000),
+      marketStreamReconnectMaxMs: toPositiveInt(env.EXECUTION_MARKET_STREAM_RECONNECT_MAX_MS, 30_000),
       streamFailureRetryThreshold: toPositiveInt(env.EXECUTION_STREAM_FAILURE_RETRY_THRESHOLD, 3),
       streamFailureBackoffBaseMs: toPositiveInt(env.EXECUTION_STREAM_FAILURE_BACKOFF_BASE_MS, 2_000),
       streamFailureBackoffMaxMs: toPositiveInt(env.EXECUTION_STREAM_FAILURE_BACKOFF_MAX_MS, 120_000),
@@ -337,5 +526,45 @@ export function loadConfig(env = process.env) {
       logOnlyOnActivity: toBoolean(env.EXECUTION_LOG_ONLY_ON_ACTIVITY, true),
       heartbeatWindows: toPositiveInt(env.EXECUTION_LOG_HEARTBEAT_WINDOWS, 12),
     },
+    slicing: {
+      enabled: toBoolean(env.ORDER_SLICING_ENABLED, false),
+      algo: String(env.ORDER_SLICING_ALGO || "twap").trim().toLowerCase() === "iceberg" ? "iceberg" : "twap",
+      thresholdKrw: toPositiveNumber(
+        env.ORDER_SLICING_THRESHOLD_KRW,
+        toPositiveNumber(env.RISK_MAX_ORDER_NOTIONAL_KRW, 300_000),
+      ),
+      childAmountKrw: toPositiveNumber(
+        env.ORDER_SLICING_CHILD_KRW,
+        toPositiveNumber(env.ORDER_SLICING_THRESHOLD_KRW, toPositiveNumber(env.RISK_MAX_ORDER_NOTIONAL_KRW, 300_000)),
+      ),
+      intervalSec: toPositiveInt(env.ORDER_SLICING_INTERVAL_SEC, 30),
+      maxChildFailures: toPositiveInt(env.ORDER_SLICING_MAX_CHILD_FAILURES, 3),
+      resumeOnStart: toBoolean(env.ORDER_SLICING_RESUME_ON_START, true),
+      pollMs: toPositiveInt(env.ORDER_SLICING_POLL_MS, 1_000),
+    },
+    ledger: {
+      costMethod: String(env.LEDGER_COST_METHOD || "average").trim().toLowerCase() === "fifo" ? "fifo" : "average",
+      reconcileGraceSec: toNonNegativeInt(env.LEDGER_RECONCILE_GRACE_SEC, 60),
+      reconcileMinKrw: Math.max(0, toNumber(env.LEDGER_RECONCILE_MIN_KRW, 1_000)),
+      closedLotsRetention: toPositiveInt(env.LEDGER_CLOSED_LOTS_RETENTION, 1_000),
+    },
+    candleCache: {
+      enabled: toBoolean(env.CANDLE_CACHE_ENABLED, false),
+      dir: env.CANDLE_CACHE_DIR || path.join(process.cwd(), ".trader", "candles"),
+      maxCandles: toPositiveInt(env.CANDLE_CACHE_MAX_CANDLES, 20_000),
+      maxBackfillPages: toPositiveInt(env.CANDLE_CACHE_MAX_BACKFILL_PAGES, 50),
+    },
+    controlApi: {
+      enabled: toBoolean(env.CONTROL_API_ENABLED, false),
+      host: String(env.CONTROL_API_HOST || "127.0.0.1").trim(),
+      port: toNonNegativeInt(env.CONTROL_API_PORT, 8787),
+      token: env.CONTROL_API_TOKEN || null,
+      maxBodyBytes: toPositiveInt(env.CONTROL_API_MAX_BODY_BYTES, 16 * 1024),
+    },
+    metrics: {
+      enabled: toBoolean(env.METRICS_ENABLED, false),
+      host: String(env.METRICS_HOST || "127.0.0.1").trim(),
+      port: toNonNegativeInt(env.METRICS_PORT, 9464),
+    },
   };
 }
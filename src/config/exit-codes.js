@@ -9,6 +9,7 @@ export const EXIT_CODES = Object.freeze({
   KILL_SWITCH_ACTIVE: 9,
   INTERNAL_ERROR: 10,
   FORBIDDEN_IN_AGENT_MODE: 11,
+  ALREADY_IN_PROGRESS: 12,
 });
 
 export function codeName(value) {
@@ -0,0 +1,409 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { normalizeSymbol } from "../config/defaults.js";
+import { invalidArg } from "../lib/errors.js";
+
+const PAGE_SIZE = 200;
+
+// Day/week/month candles follow the KST calendar, so fixed-width UTC gap math does not apply to them.
+const CACHEABLE_INTERVALS = Object.freeze({
+  "1m": 60_000,
+  "3m": 3 * 60_000,
+  "5m": 5 * 60_000,
+  "10m": 10 * 60_000,
+  "15m": 15 * 60_000,
+  "30m": 30 * 60_000,
+  "60m": 60 * 60_000,
+  "240m": 240 * 60_000,
+});
+
+function asNumber(value, fallback = null) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+// REST `timestamp` is the last trade inside the candle; the period start comes from candle_date_time_utc.
+function candleStartMs(row, intervalMs) {
+  const utc = row.candleTimeUtc ?? row.candle_date_time_utc ?? null;
+  if (utc) {
+    const text = String(utc);
+    const parsed = Date.parse(/[zZ]|[+-]\d\d:?\d\d$/.test(text) ? text : `${text}Z`);
+    if (Number.isFinite(parsed)) {
+      return parsed;
+    }
+  }
+  const ts = asNumber(row.timestamp, null);
+  return ts === null ? null : Math.floor(ts / intervalMs) * intervalMs;
+}
+
+// Returns null for rows that are not a usable candle: unaligned start, non-positive or inconsistent OHLC.
+function toCandle(row, intervalMs, source) {
+  if (!row || typeof row !== "object") {
+    return null;
+  }
+  const close = asNumber(row.close, null);
+  const timestamp = candleStartMs(row, intervalMs);
+  if (close === null || close <= 0 || timestamp === null || timestamp % intervalMs !== 0) {
+    return null;
+  }
+  const candle = {
+    timestamp,
+    open: asNumber(row.open, close),
+    high: asNumber(row.high, close),
+    low: asNumber(row.low, close),
+    close,
+    volume: asNumber(row.volume, null),
+    value: asNumber(row.value, null),
+    source,
+  };
+  if (candle.low <= 0 || candle.high < Math.max(candle.open, candle.close, candle.low)
+    || candle.low > Math.min(candle.open, candle.close)) {
+    return null;
+  }
+  return candle;
+}
+
+function toCursor(ms) {
+  return new Date(ms).toISOString().replace(/\.\d{3}Z$/, "Z");
+}
+
+// Contiguous runs of missing period starts in [startMs, endMs]; candles must be sorted by timestamp.
+export function detectCandleGaps(candles = [], intervalMs, { startMs, endMs } = {}) {
+  const present = new Set(candles.map((candle) => candle.timestamp));
+  const gaps = [];
+  let current = null;
+  for (let ts = startMs; ts <= endMs; ts += intervalMs) {
+    if (present.has(ts)) {
+      current = null;
+      continue;
+    }
+    if (current) {
+      current.toMs = ts;
+      current.missing += 1;
+    } else {
+      current = { fromMs: ts, toMs: ts, missing: 1 };
+      gaps.push(current);
+    }
+  }
+  return gaps;
+}
+
+// Append-only JSONL cache of completed candles, one file per symbol/interval under CANDLE_CACHE_DIR.
+// Later lines win, except that live-aggregated candles never replace exchange (REST) candles.
+// Missing ranges are backfilled page by page with the `to` cursor. Periods the exchange has no
+// candle for (no trades) are stored as `{ timestamp, empty: true }` and the start of the exchange
+// history as `{ historyStartMs }`, so an interrupted backfill resumes where it stopped.
+export class CandleStore {
+  constructor(config, marketData, options = {}) {
+    const settings = config.candleCache || {};
+    this.config = config;
+    this.marketData = marketData;
+    this.logger = options.logger || {
+      info() {},
+      warn() {},
+      error() {},
+    };
+    this.dir = settings.dir || path.join(process.cwd(), ".trader", "candles");
+    this.maxCandles = Math.max(PAGE_SIZE, Math.floor(asNumber(settings.maxCandles, 20_000)));
+    this.maxBackfillPages = Math.max(1, Math.floor(asNumber(settings.maxBackfillPages, 50)));
+    this.series = new Map();
+  }
+
+  filePath(symbol, interval) {
+    return path.join(this.dir, `${normalizeSymbol(symbol)}-${interval}.jsonl`);
+  }
+
+  async load(symbol, interval) {
+    const key = `${normalizeSymbol(symbol)}:${interval}`;
+    if (!this.series.has(key)) {
+      this.series.set(key, this.readSeries(symbol, interval));
+    }
+    return this.series.get(key);
+  }
+
+  async readSeries(symbol, interval) {
+    const series = {
+      file: this.filePath(symbol, interval),
+      candles: new Map(),
+      lines: 0,
+      confirmedEmpty: new Set(),
+      historyStartMs: null,
+      writeChain: Promise.resolve(),
+    };
+    let text = "";
+    try {
+      text = await fs.readFile(series.file, "utf8");
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+    }
+    for (const line of text.split("\n")) {
+      if (!line.trim()) {
+        continue;
+      }
+      series.lines += 1;
+      try {
+        const row = JSON.parse(line);
+        if (Number.isFinite(row?.historyStartMs)) {
+          series.historyStartMs = Math.max(series.historyStartMs ?? row.historyStartMs, row.historyStartMs);
+        } else if (row?.empty === true && Number.isFinite(row.timestamp)) {
+          if (!series.candles.has(row.timestamp)) {
+            series.confirmedEmpty.add(row.timestamp);
+          }
+        } else if (Number.isFinite(row?.timestamp) && Number.isFinite(row?.close)) {
+          this.mergeCandle(series, row);
+        }
+      } catch {
+        // A torn last line from an interrupted append is dropped on the next compaction.
+      }
+    }
+    return series;
+  }
+
+  mergeCandle(series, candle) {
+    const existing = series.candles.get(candle.timestamp);
+    if (existing && candle.source === "live" && existing.source !== "live") {
+      return false;
+    }
+    if (existing && JSON.stringify(existing) === JSON.stringify(candle)) {
+      return false;
+    }
+    series.candles.set(candle.timestamp, candle);
+    series.confirmedEmpty.delete(candle.timestamp);
+    return true;
+  }
+
+  async persist(series, rows) {
+    if (rows.length === 0) {
+      return;
+    }
+    const task = series.writeChain.then(async () => {
+      await fs.mkdir(path.dirname(series.file), { recursive: true });
+      await fs.appendFile(series.file, rows.map((row) => `${JSON.stringify(row)}\n`).join(""), "utf8");
+      series.lines += rows.length;
+      const live = series.candles.size + series.confirmedEmpty.size;
+      if (series.lines > this.maxCandles * 1.5 || series.lines > live * 2 + PAGE_SIZE) {
+        await this.compact(series);
+      }
+    });
+    series.writeChain = task.catch(() => {});
+    await task;
+  }
+
+  async compact(series) {
+    const kept = Array.from(series.candles.values())
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .slice(-this.maxCandles);
+    series.candles = new Map(kept.map((candle) => [candle.timestamp, candle]));
+    const oldestMs = kept[0]?.timestamp ?? Infinity;
+    series.confirmedEmpty = new Set(Array.from(series.confirmedEmpty).filter((ts) => ts >= oldestMs));
+    const rows = [
+      ...(series.historyStartMs !== null && series.historyStartMs >= oldestMs ? [{ historyStartMs: series.historyStartMs }] : []),
+      ...Array.from(series.confirmedEmpty).sort((a, b) => a - b).map((timestamp) => ({ timestamp, empty: true })),
+      ...kept,
+    ];
+    const tmpFile = `${series.file}.tmp`;
+    await fs.writeFile(tmpFile, rows.map((row) => `${JSON.stringify(row)}\n`).join(""), "utf8");
+    await fs.rename(tmpFile, series.file);
+    series.lines = rows.length;
+  }
+
+  // Stores a completed candle from the live aggregator; ignored for periods the exchange already served.
+  async record(symbol, interval, candle) {
+    const intervalMs = CACHEABLE_INTERVALS[interval];
+    if (!intervalMs) {
+      return false;
+    }
+    const series = await this.load(symbol, interval);
+    const row = toCandle(candle, intervalMs, "live");
+    if (!row || !this.mergeCandle(series, row)) {
+      return false;
+    }
+    await this.persist(series, [row]);
+    return true;
+  }
+
+  firstAvailableMs(series, intervalMs, startMs) {
+    if (series.historyStartMs === null || series.historyStartMs <= startMs) {
+      return startMs;
+    }
+    return startMs + Math.ceil((series.historyStartMs - startMs) / intervalMs) * intervalMs;
+  }
+
+  missingStarts(series, intervalMs, startMs, endMs) {
+    const missing = [];
+    for (let ts = this.firstAvailableMs(series, intervalMs, startMs); ts <= endMs; ts += intervalMs) {
+      if (!series.candles.has(ts) && !series.confirmedEmpty.has(ts)) {
+        missing.push(ts);
+      }
+    }
+    return missing;
+  }
+
+  // Walks missing runs newest first. Each page either fills a period, confirms it has no candle
+  // (covered by a full page, or older than the exchange history) or leaves it for the next read.
+  async backfill(symbol, interval, { startMs, endMs, nowMs, maxPages = this.maxBackfillPages, onPage = null }) {
+    const intervalMs = CACHEABLE_INTERVALS[interval];
+    const series = await this.load(symbol, interval);
+    const deferred = new Set();
+    let pages = 0;
+    let fetched = 0;
+    let rejected = 0;
+    while (pages < maxPages) {
+      const missing = this.missingStarts(series, intervalMs, startMs, endMs).filter((ts) => !deferred.has(ts));
+      if (missing.length === 0) {
+        break;
+      }
+      let runStart = missing.length - 1;
+      while (runStart > 0 && missing[runStart - 1] === missing[runStart] - intervalMs) {
+        runStart -= 1;
+      }
+      const page = missing.slice(Math.max(runStart, missing.length - PAGE_SIZE));
+      const cursorMs = page.at(-1) + intervalMs;
+      const response = await this.marketData.getCandles({
+        symbol: normalizeSymbol(symbol),
+        interval,
+        count: page.length,
+        to: toCursor(cursorMs),
+      });
+      pages += 1;
+
+      const received = response?.candles || [];
+      const parsed = received.map((row) => toCandle(row, intervalMs, "rest"));
+      // Periods whose row failed validation stay missing so a later read retries them.
+      const invalid = new Set(received.filter((_, index) => parsed[index] === null).map((row) => candleStartMs(row, intervalMs)));
+      rejected += invalid.size;
+      const rows = parsed.filter((row) => row && row.timestamp < cursorMs && row.timestamp + intervalMs <= nowMs);
+      const changed = rows.filter((row) => this.mergeCandle(series, row));
+      fetched += changed.length;
+
+      const appended = [...changed];
+      // A short page means the exchange has nothing older than its oldest row.
+      const exhausted = received.length < page.length;
+      if (exhausted) {
+        const historyStartMs = rows.length > 0 ? Math.min(...rows.map((row) => row.timestamp)) : cursorMs;
+        if (series.historyStartMs === null || historyStartMs > series.historyStartMs) {
+          series.historyStartMs = historyStartMs;
+          appended.push({ historyStartMs });
+        }
+      }
+      const returned = new Set(rows.map((row) => row.timestamp));
+      const coverageStartMs = exhausted || rows.length === 0
+        ? -Infinity
+        : Math.min(...rows.map((row) => row.timestamp));
+      for (const ts of page) {
+        if (returned.has(ts) || ts < (series.historyStartMs ?? -Infinity)) {
+          continue;
+        }
+        // The newest periods may simply not be published yet, so they are retried on the next read.
+        if (!invalid.has(ts) && ts >= coverageStartMs && ts + 2 * intervalMs <= nowMs) {
+          series.confirmedEmpty.add(ts);
+          appended.push({ timestamp: ts, empty: true });
+        } else {
+          deferred.add(ts);
+        }
+      }
+      await this.persist(series, appended);
+      if (typeof onPage === "function") {
+        onPage({ pages, fetched, rejected, cursor: toCursor(cursorMs), remaining: missing.length - page.length });
+      }
+    }
+    return { pages, fetched, rejected };
+  }
+
+  // Same response shape as MarketDataService.getCandles, but only completed candles and `count` may exceed one page.
+  async getCandles({ symbol, interval = "1m", count = 200, nowMs = Date.now() } = {}) {
+    const normalizedSymbol = normalizeSymbol(symbol);
+    const intervalMs = CACHEABLE_INTERVALS[interval];
+    if (!intervalMs) {
+      return this.marketData.getCandles({ symbol: normalizedSymbol, interval, count: Math.min(PAGE_SIZE, count) });
+    }
+    const size = Math.max(1, Math.min(this.maxCandles, Math.floor(asNumber(count, 200))));
+    const endMs = Math.floor(nowMs / intervalMs) * intervalMs - intervalMs;
+    const startMs = endMs - (size - 1) * intervalMs;
+
+    let backfill = { pages: 0, fetched: 0, rejected: 0 };
+    try {
+      backfill = await this.backfill(normalizedSymbol, interval, { startMs, endMs, nowMs });
+    } catch (error) {
+      this.logger.warn("candle cache backfill failed; serving cached candles", {
+        symbol: normalizedSymbol,
+        interval,
+        reason: error.message,
+      });
+    }
+
+    const series = await this.load(normalizedSymbol, interval);
+    const candles = Array.from(series.candles.values())
+      .filter((candle) => candle.timestamp >= startMs && candle.timestamp <= endMs)
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .map((candle) => ({ symbol: normalizedSymbol, interval, ...candle }));
+    return {
+      symbol: normalizedSymbol,
+      interval,
+      count: size,
+      to: null,
+      sourceUrl: "candle_cache",
+      candles,
+      gaps: detectCandleGaps(candles, intervalMs, { startMs: this.firstAvailableMs(series, intervalMs, startMs), endMs }),
+      backfill,
+    };
+  }
+
+  // Walks back until `count` completed candles (or `days` worth, or the start of the exchange
+  // history) are stored. Safe to interrupt: rerunning only requests periods that are still unknown.
+  async backfillHistory({ symbol, interval = "1m", count = null, days = null, maxPages = Infinity, nowMs = Date.now(), onPage = null } = {}) {
+    const normalizedSymbol = normalizeSymbol(symbol);
+    const intervalMs = CACHEABLE_INTERVALS[interval];
+    if (!intervalMs) {
+      throw invalidArg(`Candle backfill supports minute intervals only: ${interval}`, {
+        field: "interval",
+        allowed: Object.keys(CACHEABLE_INTERVALS),
+        input: interval,
+      });
+    }
+    const size = days !== null && days !== undefined
+      ? Math.ceil((asNumber(days, 0) * 86_400_000) / intervalMs)
+      : Math.floor(asNumber(count ?? PAGE_SIZE, 0));
+    if (!Number.isFinite(size) || size <= 0) {
+      throw invalidArg("Candle backfill needs a positive --count or --days", {
+        field: days !== null && days !== undefined ? "days" : "count",
+        input: days ?? count,
+      });
+    }
+    if (size > this.maxCandles) {
+      throw invalidArg(`Candle backfill of ${size} candles exceeds CANDLE_CACHE_MAX_CANDLES=${this.maxCandles}`, {
+        field: "count",
+        input: size,
+        max: this.maxCandles,
+      });
+    }
+    const endMs = Math.floor(nowMs / intervalMs) * intervalMs - intervalMs;
+    const startMs = endMs - (size - 1) * intervalMs;
+    const result = await this.backfill(normalizedSymbol, interval, { startMs, endMs, nowMs, maxPages, onPage });
+    const series = await this.load(normalizedSymbol, interval);
+    const firstMs = this.firstAvailableMs(series, intervalMs, startMs);
+    const stored = Array.from(series.candles.values())
+      .filter((candle) => candle.timestamp >= startMs && candle.timestamp <= endMs)
+      .sort((a, b) => a.timestamp - b.timestamp);
+    const remaining = this.missingStarts(series, intervalMs, startMs, endMs).length;
+    return {
+      symbol: normalizedSymbol,
+      interval,
+      file: series.file,
+      from: new Date(firstMs).toISOString(),
+      to: new Date(endMs).toISOString(),
+      requested: size,
+      stored: stored.length,
+      emptyPeriods: Array.from(series.confirmedEmpty).filter((ts) => ts >= startMs && ts <= endMs).length,
+      remaining,
+      complete: remaining === 0,
+      historyStartsAt: series.historyStartMs !== null && series.historyStartMs > startMs
+        ? new Date(series.historyStartMs).toISOString()
+        : null,
+      gaps: detectCandleGaps(stored, intervalMs, { startMs: firstMs, endMs }).length,
+      ...result,
+    };
+  }
+}
@@ -0,0 +1,230 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { nowIso } from "../lib/time.js";
+
+const CURRENT_FILE = "events.jsonl";
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function diffArray(before, after, pathKeys, changes) {
+  const prev = before.map((item) => JSON.stringify(item));
+  const next = after.map((item) => JSON.stringify(item));
+  if (prev.length === next.length && prev.every((item, index) => item === next[index])) {
+    return;
+  }
+
+  // Retention trims the head and new rows are pushed to the tail, so most collection updates
+  // are a splice of both ends.
+  const start = next.length > 0 ? prev.indexOf(next[0]) : prev.length;
+  if (start >= 0) {
+    const kept = prev.length - start;
+    if (kept <= next.length && next.slice(0, kept).every((item, index) => item === prev[start + index])) {
+      changes.push({ op: "splice", path: pathKeys, drop: start, append: after.slice(kept) });
+      return;
+    }
+  }
+
+  if (prev.length === next.length) {
+    for (let index = 0; index < next.length; index += 1) {
+      if (prev[index] !== next[index]) {
+        diffValue(before[index], after[index], [...pathKeys, index], changes);
+      }
+    }
+    return;
+  }
+  changes.push({ op: "set", path: pathKeys, value: after });
+}
+
+function diffValue(before, after, pathKeys, changes) {
+  if (before === after) {
+    return;
+  }
+  if (isPlainObject(before) && isPlainObject(after)) {
+    for (const key of Object.keys(before)) {
+      if (before[key] !== undefined && after[key] === undefined) {
+        changes.push({ op: "unset", path: [...pathKeys, key] });
+      }
+    }
+    for (const [key, value] of Object.entries(after)) {
+      if (value !== undefined) {
+        diffValue(before[key], value, [...pathKeys, key], changes);
+      }
+    }
+    return;
+  }
+  if (Array.isArray(before) && Array.isArray(after)) {
+    diffArray(before, after, pathKeys, changes);
+    return;
+  }
+  if (JSON.stringify(before) !== JSON.stringify(after)) {
+    changes.push({ op: "set", path: pathKeys, value: after });
+  }
+}
+
+// Changes that turn `before` into `after`, as set / unset / splice operations on key paths.
+export function diffState(before, after) {
+  const changes = [];
+  diffValue(before, after, [], changes);
+  return changes;
+}
+
+export function applyChanges(state, changes = []) {
+  for (const change of changes) {
+    const keys = change.path;
+    const parent = keys.slice(0, -1).reduce((node, key) => node?.[key], state);
+    const key = keys.at(-1);
+    if (!parent || typeof parent !== "object") {
+      continue;
+    }
+    if (change.op === "set") {
+      parent[key] = change.value;
+    } else if (change.op === "unset") {
+      delete parent[key];
+    } else if (change.op === "splice") {
+      const current = Array.isArray(parent[key]) ? parent[key] : [];
+      parent[key] = [...current.slice(change.drop), ...change.append];
+    }
+  }
+  return state;
+}
+
+function compactStamp(iso) {
+  return iso.replace(/[-:.]/g, "");
+}
+
+// Append-only JSONL log of state changes. Each file starts with a full snapshot followed by
+// one `update` record per store update (and `event` records for things that are not state),
+// so any file can be replayed on its own. The current file is rotated past `maxBytes`, and
+// only the newest `maxFiles` rotated files are kept (0 keeps all).
+export class EventLog {
+  constructor(dir, { maxBytes = 20 * 1024 * 1024, maxFiles = 20 } = {}) {
+    this.dir = dir;
+    this.maxBytes = Math.max(0, Math.floor(Number(maxBytes) || 0));
+    this.maxFiles = Math.max(0, Math.floor(Number(maxFiles) || 0));
+  }
+
+  currentFile() {
+    return path.join(this.dir, CURRENT_FILE);
+  }
+
+  async files() {
+    const names = await fs.readdir(this.dir).catch((error) => {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    });
+    const rotated = names.filter((name) => /^events-\d+T\d+Z(-\d+)?\.jsonl$/.test(name)).sort();
+    return [...rotated, ...(names.includes(CURRENT_FILE) ? [CURRENT_FILE] : [])]
+      .map((name) => path.join(this.dir, name));
+  }
+
+  async rotate(at) {
+    let target = path.join(this.dir, `events-${compactStamp(at)}.jsonl`);
+    for (let suffix = 1; await fs.stat(target).then(() => true, () => false); suffix += 1) {
+      target = path.join(this.dir, `events-${compactStamp(at)}-${suffix}.jsonl`);
+    }
+    await fs.rename(this.currentFile(), target);
+    if (this.maxFiles > 0) {
+      const rotated = (await this.files()).filter((file) => path.basename(file) !== CURRENT_FILE);
+      for (const file of rotated.slice(0, Math.max(0, rotated.length - this.maxFiles))) {
+        await fs.rm(file, { force: true });
+      }
+    }
+  }
+
+  // Callers hold the store lock, so records from every process land in commit order.
+  async write(record, state) {
+    await fs.mkdir(this.dir, { recursive: true });
+    const at = nowIso();
+    let size = await fs.stat(this.currentFile()).then((stats) => stats.size, () => 0);
+    if (this.maxBytes > 0 && size > this.maxBytes) {
+      await this.rotate(at);
+      size = 0;
+    }
+    const lines = [];
+    if (size === 0) {
+      lines.push({ type: "snapshot", at, state });
+    }
+    if (size > 0 || record.type !== "update") {
+      lines.push({ at, ...record });
+    }
+    await fs.appendFile(this.currentFile(), lines.map((line) => `${JSON.stringify(line)}\n`).join(""), "utf8");
+  }
+
+  async recordUpdate(before, after) {
+    const changes = diffState(before, after);
+    if (changes.length === 0) {
+      return;
+    }
+    const touched = Array.from(new Set(changes.map((change) => change.path[0] ?? null).filter(Boolean)));
+    await this.write({ type: "update", touched, changes }, after);
+  }
+
+  async recordEvent(event, state) {
+    await this.write({ type: "event", event }, state);
+  }
+
+  async readRecords(file) {
+    const text = await fs.readFile(file, "utf8").catch((error) => {
+      if (error.code === "ENOENT") {
+        return "";
+      }
+      throw error;
+    });
+    const records = [];
+    for (const line of text.split("\n")) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        // A line cut short by a crash ends the readable part of the file.
+        break;
+      }
+    }
+    return records;
+  }
+
+  // State as of `until` (ISO timestamp, latest when null), replayed from the newest snapshot at
+  // or before it. Returns null when the log does not reach back that far.
+  async stateAt(until = null) {
+    const untilMs = until ? Date.parse(until) : Infinity;
+    const files = await this.files();
+    let state = null;
+    let snapshotAt = null;
+    let lastAt = null;
+    const events = [];
+    for (let index = files.length - 1; index >= 0 && state === null; index -= 1) {
+      const records = await this.readRecords(files[index]);
+      const start = records.findLastIndex((record) => record.type === "snapshot" && Date.parse(record.at) <= untilMs);
+      if (start < 0) {
+        continue;
+      }
+      state = records[start].state;
+      snapshotAt = records[start].at;
+      lastAt = snapshotAt;
+      const replay = [...records.slice(start + 1)];
+      for (const file of files.slice(index + 1)) {
+        replay.push(...await this.readRecords(file));
+      }
+      for (const record of replay) {
+        if (Date.parse(record.at) > untilMs) {
+          break;
+        }
+        if (record.type === "snapshot") {
+          state = record.state;
+        } else if (record.type === "update") {
+          applyChanges(state, record.changes);
+        } else if (record.type === "event") {
+          events.push({ at: record.at, ...record.event });
+        }
+        lastAt = record.at;
+      }
+    }
+    return state === null ? null : { state, snapshotAt, lastAt, events };
+  }
+}
@@ -0,0 +1,361 @@
+import { normalizeSymbol } from "../config/defaults.js";
+
+function asNumber(value, fallback = null) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+export class CandleAggregator {
+  constructor(intervalMs, maxCompleted = 200) {
+    this.intervalMs = Math.max(1, Math.floor(intervalMs || 60_000));
+    this.maxCompleted = Math.max(1, Math.floor(maxCompleted));
+    this.completedCandles = [];
+    this.forming = null;
+    // Called with each candle closed from live ticks. The first candle after creation, a history
+    // load or markPartial() started mid-period, so it is not reported.
+    this.onClose = null;
+    this.skipNextClose = true;
+  }
+
+  markPartial() {
+    this.skipNextClose = true;
+  }
+
+  loadFromHistory(candles = []) {
+    this.completedCandles = candles
+      .filter((c) => c && Number.isFinite(asNumber(c.close)))
+      .map((c) => {
+        const close = asNumber(c.close);
+        const open = asNumber(c.open ?? close);
+        const high = asNumber(c.high ?? close);
+        const low = asNumber(c.low ?? close);
+        const timestamp = asNumber(c.timestamp);
+        return {
+          timestamp: Number.isFinite(timestamp) ? timestamp : 0,
+          open: Number.isFinite(open) ? open : close,
+          high: Number.isFinite(high) ? high : close,
+          low: Number.isFinite(low) ? low : close,
+          close,
+        };
+      });
+    this.completedCandles.sort((a, b) => a.timestamp - b.timestamp);
+    this.forming = null;
+    this.skipNextClose = true;
+  }
+
+  push(price, timestampMs) {
+    const parsedPrice = asNumber(price);
+    if (!Number.isFinite(parsedPrice)) {
+      return;
+    }
+
+    const ts = Number.isFinite(timestampMs) ? timestampMs : Date.now();
+    const periodStart = Math.floor(ts / this.intervalMs) * this.intervalMs;
+
+    if (!this.forming || this.forming.periodStart !== periodStart) {
+      if (this.forming) {
+        const closed = {
+          timestamp: this.forming.periodStart,
+          open: this.forming.open,
+          high: this.forming.high,
+          low: this.forming.low,
+          close: this.forming.close,
+        };
+        this.completedCandles.push(closed);
+        if (this.completedCandles.length > this.maxCompleted) {
+          this.completedCandles = this.completedCandles.slice(-this.maxCompleted);
+        }
+        if (this.skipNextClose) {
+          this.skipNextClose = false;
+        } else if (typeof this.onClose === "function") {
+          this.onClose({ ...closed });
+        }
+      }
+      this.forming = { periodStart, open: parsedPrice, high: parsedPrice, low: parsedPrice, close: parsedPrice };
+    } else {
+      this.forming.high = Math.max(this.forming.high, parsedPrice);
+      this.forming.low = Math.min(this.forming.low, parsedPrice);
+      this.forming.close = parsedPrice;
+    }
+  }
+
+  allCandles(maxCount = 0) {
+    const all = this.forming
+      ? [
+          ...this.completedCandles,
+          {
+            timestamp: this.forming.periodStart,
+            open: this.forming.open,
+            high: this.forming.high,
+            low: this.forming.low,
+            close: this.forming.close,
+          },
+        ]
+      : [...this.completedCandles];
+
+    if (maxCount > 0 && all.length > maxCount) {
+      return all.slice(-maxCount);
+    }
+    return all;
+  }
+}
+
+function normalizeSymbolSet(symbols = []) {
+  const list = Array.isArray(symbols) ? symbols : [symbols];
+  return Array.from(new Set(list.filter(Boolean).map((symbol) => normalizeSymbol(symbol)))).sort();
+}
+
+// One long-lived ticker subscription for every execution symbol. Ticks feed a CandleAggregator
+// per symbol that outlives execution windows; windows attach as listeners for their duration.
+// Changing the symbol set closes the socket and reopens it with the new codes right away.
+export class MarketStreamSession {
+  constructor(system, wsClient, options = {}) {
+    this.system = system;
+    this.wsClient = wsClient;
+    this.logger = options.logger || {
+      info() {},
+      warn() {},
+      error() {},
+    };
+    this.reconnectBaseMs = Math.max(1, Math.floor(asNumber(options.reconnectBaseMs, 1_000)));
+    this.reconnectMaxMs = Math.max(this.reconnectBaseMs, Math.floor(asNumber(options.reconnectMaxMs, 30_000)));
+    this.backoffTimers = new Set();
+
+    this.stopped = true;
+    this.symbols = [];
+    this.open = false;
+    this.handle = null;
+    this.loop = null;
+    this.failures = 0;
+    this.resubscribeRequested = false;
+    this.idleWaiter = null;
+    this.aggregators = new Map();
+    this.listeners = new Map();
+    this.connects = 0;
+    this.tickCount = 0;
+    this.lastTickAt = null;
+    this.lastGapAt = null;
+  }
+
+  isHealthy() {
+    return !this.stopped && this.open;
+  }
+
+  covers(symbol) {
+    return !this.stopped && this.symbols.includes(normalizeSymbol(symbol));
+  }
+
+  status() {
+    return {
+      healthy: this.isHealthy(),
+      symbols: [...this.symbols],
+      connects: this.connects,
+      ticks: this.tickCount,
+      lastTickAt: this.lastTickAt,
+      lastGapAt: this.lastGapAt,
+    };
+  }
+
+  // Returns true when the subscription set changed and a resubscribe was scheduled.
+  setSymbols(symbols = []) {
+    const next = normalizeSymbolSet(symbols);
+    if (JSON.stringify(next) === JSON.stringify(this.symbols)) {
+      return false;
+    }
+    this.symbols = next;
+    for (const symbol of this.aggregators.keys()) {
+      if (!next.includes(symbol)) {
+        this.aggregators.delete(symbol);
+      }
+    }
+    this.resubscribeRequested = true;
+    this.handle?.close();
+    this.wakeIdle();
+    this.logger.info("market stream subscription updated", {
+      symbols: next,
+    });
+    return true;
+  }
+
+  // Shared aggregator for a symbol; recreated when the candle interval or size changes.
+  // `seeded` is false until the caller loads history, and drops back to false after a gap.
+  aggregator(symbol, intervalMs, maxCompleted) {
+    const key = normalizeSymbol(symbol);
+    const current = this.aggregators.get(key);
+    if (current && current.aggregator.intervalMs === Math.max(1, Math.floor(intervalMs || 60_000))
+      && current.aggregator.maxCompleted === Math.max(1, Math.floor(maxCompleted))) {
+      return current;
+    }
+    const entry = {
+      aggregator: new CandleAggregator(intervalMs, maxCompleted),
+      seeded: false,
+    };
+    this.aggregators.set(key, entry);
+    return entry;
+  }
+
+  // Same { close, closed } shape as a wsClient stream handle so a window can treat both alike.
+  subscribe(symbol, { onTicker = () => {}, onError = () => {} } = {}) {
+    const key = normalizeSymbol(symbol);
+    let resolveClosed;
+    const closed = new Promise((resolve) => {
+      resolveClosed = resolve;
+    });
+    const listener = { onTicker, onError };
+    if (!this.listeners.has(key)) {
+      this.listeners.set(key, new Set());
+    }
+    this.listeners.get(key).add(listener);
+
+    let done = false;
+    const close = () => {
+      if (done) {
+        return;
+      }
+      done = true;
+      this.listeners.get(key)?.delete(listener);
+      resolveClosed({ code: null, reason: "unsubscribed" });
+    };
+    return { close, closed };
+  }
+
+  dispatch(tick) {
+    const symbol = normalizeSymbol(tick?.symbol);
+    if (!this.symbols.includes(symbol)) {
+      return;
+    }
+    this.tickCount += 1;
+    this.lastTickAt = new Date().toISOString();
+    const tickTs = Number.isFinite(Number(tick.timestamp)) ? Number(tick.timestamp) : Date.now();
+    this.aggregators.get(symbol)?.aggregator.push(tick.tradePrice, tickTs);
+    for (const listener of this.listeners.get(symbol) || []) {
+      listener.onTicker(tick);
+    }
+  }
+
+  markGap(reason) {
+    const wasOpen = this.open;
+    this.open = false;
+    this.lastGapAt = new Date().toISOString();
+    for (const entry of this.aggregators.values()) {
+      entry.seeded = false;
+      entry.aggregator.markPartial();
+    }
+    if (wasOpen) {
+      this.logger.warn("market stream gap detected", {
+        reason,
+      });
+    }
+    const error = new Error(`Market stream gap: ${reason}`);
+    for (const listeners of this.listeners.values()) {
+      for (const listener of listeners) {
+        listener.onError(error);
+      }
+    }
+  }
+
+  async runLoop() {
+    while (!this.stopped) {
+      if (this.symbols.length === 0) {
+        await new Promise((resolve) => {
+          this.idleWaiter = resolve;
+        });
+        this.idleWaiter = null;
+        continue;
+      }
+
+      this.resubscribeRequested = false;
+      let resubscribed = false;
+      try {
+        this.handle = await this.wsClient.openTickerStream({
+          symbols: [...this.symbols],
+          onTicker: (tick) => this.dispatch(tick),
+          onStatus: (status) => {
+            if (status?.event === "open") {
+              this.open = true;
+              this.failures = 0;
+              this.connects += 1;
+            }
+          },
+          onError: () => {
+            this.handle?.close();
+          },
+        });
+        if (this.stopped || this.resubscribeRequested) {
+          this.handle.close();
+        }
+        const closed = await this.handle.closed;
+        resubscribed = this.resubscribeRequested;
+        if (!resubscribed && !this.stopped) {
+          this.markGap(closed?.reason || `closed:${closed?.code ?? "unknown"}`);
+        }
+      } catch (error) {
+        this.markGap(error.message);
+        this.logger.warn("market stream connect failed", {
+          reason: error.message,
+        });
+      }
+      this.handle = null;
+      this.open = false;
+      if (this.stopped || resubscribed) {
+        continue;
+      }
+      this.failures += 1;
+      this.system?.metrics?.wsReconnects.inc({ stream: "market", channel: "ticker" });
+      const delayMs = Math.min(this.reconnectMaxMs, this.reconnectBaseMs * (2 ** Math.min(this.failures - 1, 16)));
+      await this.waitBackoff(delayMs);
+    }
+  }
+
+  wakeIdle() {
+    if (this.idleWaiter) {
+      this.idleWaiter();
+    }
+  }
+
+  waitBackoff(ms) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.backoffTimers.delete(entry);
+        resolve();
+      }, ms);
+      const entry = { timer, resolve };
+      this.backoffTimers.add(entry);
+    });
+  }
+
+  start() {
+    if (!this.stopped) {
+      return;
+    }
+    this.stopped = false;
+    this.loop = this.runLoop();
+    if (typeof this.system?.attachMarketStream === "function") {
+      this.system.attachMarketStream(this);
+    }
+  }
+
+  async stop() {
+    if (this.stopped) {
+      return;
+    }
+    this.stopped = true;
+    if (typeof this.system?.attachMarketStream === "function") {
+      this.system.attachMarketStream(null);
+    }
+    this.open = false;
+    this.handle?.close();
+    this.wakeIdle();
+    for (const entry of this.backoffTimers) {
+      clearTimeout(entry.timer);
+      entry.resolve();
+    }
+    this.backoffTimers.clear();
+    for (const listeners of this.listeners.values()) {
+      for (const listener of listeners) {
+        listener.onError(new Error("Market stream stopped"));
+      }
+    }
+    await this.loop;
+  }
+}
@@ -0,0 +1,283 @@
+import { uuid } from "../lib/ids.js";
+import { nowIso } from "../lib/time.js";
+
+const QTY_EPSILON = 1e-10;
+
+function asNumber(value, fallback = null) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+function toEpochMs(value, fallback = null) {
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return value;
+  }
+  const parsed = Date.parse(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+function roundQty(value) {
+  return Number(value.toFixed(8));
+}
+
+function normalizeMethod(method) {
+  return String(method || "average").trim().toLowerCase() === "fifo" ? "fifo" : "average";
+}
+
+function emptyPosition(symbol) {
+  return {
+    symbol,
+    qty: 0,
+    costKrw: 0,
+    avgCostPrice: null,
+    lots: [],
+    realizedPnlKrw: 0,
+    feesKrw: 0,
+    unmatchedSellQty: 0,
+    lastFillPrice: null,
+    updatedAt: null,
+  };
+}
+
+function refreshPosition(position) {
+  position.qty = roundQty(position.lots.reduce((sum, lot) => sum + lot.qty, 0));
+  position.costKrw = position.lots.reduce((sum, lot) => sum + lot.costKrw, 0);
+  if (position.qty <= QTY_EPSILON) {
+    position.qty = 0;
+    position.costKrw = 0;
+    position.lots = [];
+  }
+  position.avgCostPrice = position.qty > 0 ? position.costKrw / position.qty : null;
+  return position;
+}
+
+export function createPositionLedger(method = "average") {
+  return {
+    method: normalizeMethod(method),
+    positions: {},
+    closedLots: [],
+    pendingDiscrepancies: {},
+    lastReconciledAt: null,
+    updatedAt: nowIso(),
+  };
+}
+
+function positionFor(ledger, symbol) {
+  if (!ledger.positions[symbol]) {
+    ledger.positions[symbol] = emptyPosition(symbol);
+  }
+  return ledger.positions[symbol];
+}
+
+function openLot(ledger, position, { qty, costKrw, openedAt, source }) {
+  if (ledger.method === "average" && position.lots.length > 0) {
+    const lot = position.lots[0];
+    lot.qty = roundQty(lot.qty + qty);
+    lot.costKrw += costKrw;
+    return;
+  }
+  position.lots.push({
+    id: uuid(),
+    qty: roundQty(qty),
+    costKrw,
+    openedAt,
+    source,
+  });
+}
+
+// Consumes lots front-first (FIFO, or the single pooled lot for average cost) and
+// returns the matched slices so the caller can book realized PnL per lot.
+function consumeLots(position, qty) {
+  const slices = [];
+  let remaining = qty;
+  while (remaining > QTY_EPSILON && position.lots.length > 0) {
+    const lot = position.lots[0];
+    const take = Math.min(lot.qty, remaining);
+    const costKrw = lot.qty > 0 ? lot.costKrw * (take / lot.qty) : 0;
+    slices.push({ lotId: lot.id, qty: take, costKrw, openedAt: lot.openedAt });
+    lot.qty = roundQty(lot.qty - take);
+    lot.costKrw -= costKrw;
+    remaining = roundQty(remaining - take);
+    if (lot.qty <= QTY_EPSILON) {
+      position.lots.shift();
+    }
+  }
+  return { slices, unmatchedQty: Math.max(0, remaining) };
+}
+
+export function applyFillToLedger(ledger, fill, { closedLotsRetention = 1_000 } = {}) {
+  const symbol = String(fill?.symbol || "").toUpperCase();
+  const side = String(fill?.side || "").toLowerCase();
+  const qty = asNumber(fill?.qty, 0);
+  const amountKrw = asNumber(fill?.amountKrw, 0);
+  const fee = Math.max(0, asNumber(fill?.fee, 0));
+  if (!symbol || qty <= 0 || amountKrw <= 0 || !["buy", "sell"].includes(side)) {
+    return null;
+  }
+
+  const at = toEpochMs(fill.eventTs, toEpochMs(fill.createdAt, Date.now()));
+  const position = positionFor(ledger, symbol);
+  position.feesKrw += fee;
+  position.lastFillPrice = amountKrw / qty;
+  position.updatedAt = new Date(at).toISOString();
+  ledger.updatedAt = nowIso();
+
+  if (side === "buy") {
+    openLot(ledger, position, { qty, costKrw: amountKrw + fee, openedAt: at, source: "fill" });
+    refreshPosition(position);
+    return [];
+  }
+
+  const { slices, unmatchedQty } = consumeLots(position, qty);
+  const netProceedsKrw = amountKrw - fee;
+  const closed = slices.map((slice) => {
+    const proceedsKrw = netProceedsKrw * (slice.qty / qty);
+    return {
+      id: uuid(),
+      symbol,
+      method: ledger.method,
+      lotId: slice.lotId,
+      qty: roundQty(slice.qty),
+      costKrw: slice.costKrw,
+      proceedsKrw,
+      realizedPnlKrw: proceedsKrw - slice.costKrw,
+      entryPrice: slice.qty > 0 ? slice.costKrw / slice.qty : null,
+      exitPrice: amountKrw / qty,
+      openedAt: slice.openedAt,
+      closedAt: at,
+      exitFillId: fill.id || null,
+    };
+  });
+  for (const lot of closed) {
+    position.realizedPnlKrw += lot.realizedPnlKrw;
+    ledger.closedLots.push(lot);
+  }
+  if (unmatchedQty > QTY_EPSILON) {
+    position.unmatchedSellQty = roundQty(position.unmatchedSellQty + unmatchedQty);
+  }
+  if (ledger.closedLots.length > closedLotsRetention) {
+    ledger.closedLots = ledger.closedLots.slice(-closedLotsRetention);
+  }
+  refreshPosition(position);
+  return closed;
+}
+
+export function buildPositionLedger(fills = [], { method = "average", closedLotsRetention = 1_000 } = {}) {
+  const ledger = createPositionLedger(method);
+  const ordered = [...fills].sort((a, b) =>
+    toEpochMs(a?.eventTs, toEpochMs(a?.createdAt, 0)) - toEpochMs(b?.eventTs, toEpochMs(b?.createdAt, 0)));
+  for (const fill of ordered) {
+    applyFillToLedger(ledger, fill, { closedLotsRetention });
+  }
+  return ledger;
+}
+
+// Deposits, withdrawals and trades made outside this runtime show up only as a
+// difference against exchange balances. A difference is booked (at cost, without
+// realized PnL) only after it has persisted for graceMs, so fills that are still
+// in flight are not double counted.
+export function reconcileLedgerWithAccounts(ledger, accounts = [], {
+  nowMs = Date.now(),
+  graceMs = 60_000,
+  minNotionalKrw = 1_000,
+  prices = {},
+} = {}) {
+  const exchangeQty = new Map();
+  const exchangeAvg = new Map();
+  for (const account of accounts) {
+    const currency = String(account?.currency || "").toUpperCase();
+    const unitCurrency = String(account?.unitCurrency || "KRW").toUpperCase();
+    if (!currency || currency === "KRW" || unitCurrency !== "KRW") {
+      continue;
+    }
+    const symbol = `${currency}_KRW`;
+    const qty = Math.max(0, asNumber(account.balance, 0)) + Math.max(0, asNumber(account.locked, 0));
+    exchangeQty.set(symbol, (exchangeQty.get(symbol) || 0) + qty);
+    const avg = asNumber(account.avgBuyPrice, null);
+    if (avg !== null && avg > 0) {
+      exchangeAvg.set(symbol, avg);
+    }
+  }
+
+  const symbols = new Set([...exchangeQty.keys(), ...Object.keys(ledger.positions)]);
+  const applied = [];
+  const pending = {};
+  for (const symbol of symbols) {
+    const position = ledger.positions[symbol] || emptyPosition(symbol);
+    const diff = roundQty((exchangeQty.get(symbol) || 0) - position.qty);
+    const price = asNumber(prices[symbol], null)
+      ?? exchangeAvg.get(symbol)
+      ?? position.avgCostPrice
+      ?? position.lastFillPrice;
+    if (Math.abs(diff) <= QTY_EPSILON || price === null || Math.abs(diff) * price < minNotionalKrw) {
+      continue;
+    }
+
+    const previous = ledger.pendingDiscrepancies?.[symbol];
+    const firstSeenAt = previous && Math.abs(previous.qty - diff) <= QTY_EPSILON ? previous.firstSeenAt : nowMs;
+    if (nowMs - firstSeenAt < graceMs) {
+      pending[symbol] = { qty: diff, firstSeenAt };
+      continue;
+    }
+
+    const target = positionFor(ledger, symbol);
+    if (diff > 0) {
+      const costPrice = exchangeAvg.get(symbol) ?? price;
+      openLot(ledger, target, { qty: diff, costKrw: diff * costPrice, openedAt: nowMs, source: "account_reconcile" });
+    } else {
+      consumeLots(target, -diff);
+    }
+    target.updatedAt = new Date(nowMs).toISOString();
+    refreshPosition(target);
+    applied.push({ symbol, qty: diff, price: diff > 0 ? exchangeAvg.get(symbol) ?? price : target.avgCostPrice, at: nowMs });
+  }
+
+  ledger.pendingDiscrepancies = pending;
+  ledger.lastReconciledAt = new Date(nowMs).toISOString();
+  if (applied.length > 0) {
+    ledger.updatedAt = nowIso();
+  }
+  return applied;
+}
+
+export function markPositionLedger(ledger, prices = {}) {
+  const positions = [];
+  let costKrw = 0;
+  let marketValueKrw = 0;
+  let realizedPnlKrw = 0;
+  let unrealizedPnlKrw = 0;
+  for (const position of Object.values(ledger?.positions || {})) {
+    const markPrice = asNumber(prices[position.symbol], null) ?? position.lastFillPrice;
+    const value = markPrice !== null ? position.qty * markPrice : null;
+    const unrealized = value !== null ? value - position.costKrw : null;
+    costKrw += position.costKrw;
+    marketValueKrw += value ?? position.costKrw;
+    realizedPnlKrw += position.realizedPnlKrw;
+    unrealizedPnlKrw += unrealized ?? 0;
+    positions.push({
+      symbol: position.symbol,
+      qty: position.qty,
+      avgCostPrice: position.avgCostPrice,
+      costKrw: position.costKrw,
+      markPrice,
+      marketValueKrw: value,
+      unrealizedPnlKrw: unrealized,
+      realizedPnlKrw: position.realizedPnlKrw,
+      feesKrw: position.feesKrw,
+      lots: position.lots.length,
+      unmatchedSellQty: position.unmatchedSellQty,
+    });
+  }
+
+  return {
+    method: ledger?.method || "average",
+    positions: positions.sort((a, b) => a.symbol.localeCompare(b.symbol)),
+    totals: {
+      costKrw,
+      marketValueKrw,
+      realizedPnlKrw,
+      unrealizedPnlKrw,
+    },
+    lastReconciledAt: ledger?.lastReconciledAt || null,
+  };
+}
@@ -0,0 +1,183 @@
+function asNumber(value, fallback = null) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+// Keeps the private myOrder/myAsset streams open for the daemon and feeds events into
+// TradingSystem. Any disconnect is recorded as a gap so the runner can fall back to
+// REST reconciliation for the period the stream was not watching.
+export class PrivateStreamSupervisor {
+  constructor(system, wsClient, options = {}) {
+    this.system = system;
+    this.wsClient = wsClient;
+    this.logger = options.logger || {
+      info() {},
+      warn() {},
+      error() {},
+    };
+    this.reconnectBaseMs = Math.max(1, Math.floor(asNumber(options.reconnectBaseMs, 1_000)));
+    this.reconnectMaxMs = Math.max(this.reconnectBaseMs, Math.floor(asNumber(options.reconnectMaxMs, 30_000)));
+    this.backoffTimers = new Set();
+
+    this.stopped = true;
+    this.channels = {
+      myOrder: { open: false, handle: null, loop: null, failures: 0 },
+      myAsset: { open: false, handle: null, loop: null, failures: 0 },
+    };
+    this.reconcileRequested = true;
+    this.lastGapAt = null;
+    this.lastEventAt = null;
+    this.eventCounts = { myOrder: 0, myAsset: 0 };
+    this.eventChain = Promise.resolve();
+  }
+
+  isHealthy() {
+    return !this.stopped && this.channels.myOrder.open && this.channels.myAsset.open;
+  }
+
+  // Returns true once per gap (and once at startup) so the caller runs a single REST catch-up.
+  consumeReconcileRequest() {
+    if (!this.reconcileRequested) {
+      return false;
+    }
+    this.reconcileRequested = false;
+    return true;
+  }
+
+  status() {
+    return {
+      healthy: this.isHealthy(),
+      myOrderOpen: this.channels.myOrder.open,
+      myAssetOpen: this.channels.myAsset.open,
+      reconcileRequested: this.reconcileRequested,
+      lastGapAt: this.lastGapAt,
+      lastEventAt: this.lastEventAt,
+      events: { ...this.eventCounts },
+    };
+  }
+
+  markGap(channel, reason) {
+    const wasOpen = this.channels[channel].open;
+    this.channels[channel].open = false;
+    this.reconcileRequested = true;
+    this.lastGapAt = new Date().toISOString();
+    if (wasOpen) {
+      this.logger.warn("private stream gap detected", {
+        channel,
+        reason,
+      });
+    }
+  }
+
+  enqueue(channel, task) {
+    this.lastEventAt = new Date().toISOString();
+    this.eventCounts[channel] += 1;
+    const next = this.eventChain.then(task);
+    this.eventChain = next.catch((error) => {
+      this.logger.error("private stream event apply failed", {
+        channel,
+        reason: error.message,
+      });
+    });
+    return next;
+  }
+
+  openChannel(channel) {
+    const onStatus = (status) => {
+      if (status?.event === "open") {
+        this.channels[channel].open = true;
+        this.channels[channel].failures = 0;
+        this.logger.info("private stream connected", { channel });
+      }
+    };
+    const onError = (error) => {
+      this.markGap(channel, error?.message || "stream_error");
+    };
+
+    if (channel === "myOrder") {
+      return this.wsClient.openMyOrderStream({
+        onMyOrder: (event) => this.enqueue(channel, () => this.system.applyMyOrderEvent(event)),
+        onStatus,
+        onError,
+      });
+    }
+    return this.wsClient.openMyAssetStream({
+      onMyAsset: (event) => this.enqueue(channel, () => this.system.applyMyAssetEvent(event)),
+      onStatus,
+      onError,
+    });
+  }
+
+  async runChannel(channel) {
+    const state = this.channels[channel];
+    while (!this.stopped) {
+      try {
+        state.handle = await this.openChannel(channel);
+        if (this.stopped) {
+          state.handle.close();
+        }
+        const closed = await state.handle.closed;
+        this.markGap(channel, closed?.reason || `closed:${closed?.code ?? "unknown"}`);
+      } catch (error) {
+        this.markGap(channel, error.message);
+        this.logger.warn("private stream connect failed", {
+          channel,
+          reason: error.message,
+        });
+      }
+      state.handle = null;
+      if (this.stopped) {
+        break;
+      }
+      state.failures += 1;
+      this.system.metrics?.wsReconnects.inc({ stream: "private", channel });
+      const delayMs = Math.min(this.reconnectMaxMs, this.reconnectBaseMs * (2 ** Math.min(state.failures - 1, 16)));
+      await this.waitBackoff(delayMs);
+    }
+  }
+
+  waitBackoff(ms) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.backoffTimers.delete(entry);
+        resolve();
+      }, ms);
+      const entry = { timer, resolve };
+      this.backoffTimers.add(entry);
+    });
+  }
+
+  start() {
+    if (!this.stopped) {
+      return;
+    }
+    this.stopped = false;
+    for (const channel of Object.keys(this.channels)) {
+      this.channels[channel].loop = this.runChannel(channel);
+    }
+    if (typeof this.system.attachPrivateStream === "function") {
+      this.system.attachPrivateStream(this);
+    }
+  }
+
+  async stop() {
+    if (this.stopped) {
+      return;
+    }
+    this.stopped = true;
+    if (typeof this.system.attachPrivateStream === "function") {
+      this.system.attachPrivateStream(null);
+    }
+    for (const state of Object.values(this.channels)) {
+      state.open = false;
+      state.handle?.close();
+    }
+    for (const entry of this.backoffTimers) {
+      clearTimeout(entry.timer);
+      entry.resolve();
+    }
+    this.backoffTimers.clear();
+    await Promise.all(Object.values(this.channels).map((state) => state.loop));
+    await this.eventChain;
+  }
+}
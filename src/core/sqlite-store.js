@@ -0,0 +1,326 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { normalizeState, StateStore } from "./store.js";
+import { sha256 } from "../lib/ids.js";
+import { nowIso } from "../lib/time.js";
+
+// State collections kept as history tables. Rows are upserted by id and never deleted by
+// retention, which only trims the in-memory working set; the `live:<collection>` doc lists
+// the ids that belong to it.
+const COLLECTIONS = Object.freeze({
+  orders: {
+    table: "orders",
+    symbol: (row) => row.symbol,
+    kind: (row) => row.state,
+    at: (row) => row.createdAt || row.placedAt,
+  },
+  orderEvents: {
+    table: "order_events",
+    symbol: (row) => row.payload?.symbol,
+    kind: (row) => row.eventType,
+    at: (row) => row.eventTs,
+  },
+  fills: {
+    table: "fills",
+    symbol: (row) => row.symbol,
+    kind: (row) => row.side,
+    at: (row) => row.createdAt,
+  },
+  strategyRuns: {
+    table: "strategy_runs",
+    symbol: (row) => row.symbol,
+    kind: (row) => row.status,
+    at: (row) => row.startedAt,
+  },
+  riskEvents: {
+    table: "risk_events",
+    symbol: (row) => row.symbol,
+    kind: (row) => row.type,
+    at: (row) => row.at,
+  },
+});
+
+// KPI history lives in `state.system` as day shards; each row is also kept in its own table.
+const KPI_HISTORY = Object.freeze({
+  table: "kpi_history",
+  symbol: () => null,
+  kind: (row) => row.source,
+  at: (row) => row.recordedAt,
+});
+
+export const HISTORY_COLLECTIONS = Object.freeze([...Object.keys(COLLECTIONS), "kpiHistory"]);
+
+function historySpec(collection) {
+  return collection === "kpiHistory" ? KPI_HISTORY : COLLECTIONS[collection] || null;
+}
+
+function kpiHistoryRows(history) {
+  if (Array.isArray(history)) {
+    return history;
+  }
+  const shards = Array.isArray(history?.shards) ? history.shards : [];
+  return [
+    ...(Array.isArray(history?.rows) ? history.rows : []),
+    ...shards.flatMap((shard) => shard?.rows || shard?.entries || shard?.items || []),
+  ];
+}
+
+function textOrNull(value) {
+  return value === undefined || value === null || value === "" ? null : String(value);
+}
+
+async function loadSqlite() {
+  try {
+    return await import("node:sqlite");
+  } catch (error) {
+    throw new Error("TRADER_STATE_BACKEND=sqlite needs the built-in node:sqlite module (Node.js 22.13 or later)", {
+      cause: error,
+    });
+  }
+}
+
+// StateStore on an embedded SQLite database. Updates run in one IMMEDIATE transaction, which
+// also serializes writers across processes, and only write the rows and docs that changed.
+export class SqliteStateStore extends StateStore {
+  constructor(dbFile, options = {}) {
+    super(dbFile, options);
+    this.dbFile = dbFile;
+    this.db = null;
+    this.revision = null;
+    this.written = new Map();
+    this.sequence = Promise.resolve();
+  }
+
+  async init() {
+    if (!this.db) {
+      await this.open();
+    }
+    return super.init();
+  }
+
+  async open() {
+    const { DatabaseSync } = await loadSqlite();
+    if (this.dbFile !== ":memory:") {
+      await fs.mkdir(path.dirname(this.dbFile), { recursive: true });
+    }
+    this.db = new DatabaseSync(this.dbFile);
+    const tables = [...Object.values(COLLECTIONS), KPI_HISTORY].map(({ table }) => `
+      CREATE TABLE IF NOT EXISTS ${table} (
+        id TEXT PRIMARY KEY,
+        symbol TEXT,
+        kind TEXT,
+        at TEXT,
+        body TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS ${table}_symbol_at ON ${table} (symbol, at);
+      CREATE INDEX IF NOT EXISTS ${table}_kind_at ON ${table} (kind, at);
+      CREATE INDEX IF NOT EXISTS ${table}_at ON ${table} (at);`).join("\n");
+    this.db.exec(`
+      PRAGMA journal_mode = WAL;
+      PRAGMA busy_timeout = ${Math.max(0, Math.floor(this.lockTimeoutMs))};
+      CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+      INSERT OR IGNORE INTO meta (key, value) VALUES ('schema_version', '1'), ('revision', '0');
+      CREATE TABLE IF NOT EXISTS state_doc (key TEXT PRIMARY KEY, body TEXT NOT NULL);
+      ${tables}
+    `);
+  }
+
+  close() {
+    this.db?.close();
+    this.db = null;
+  }
+
+  // Serializes work inside this process; BEGIN IMMEDIATE takes the database write lock, waiting
+  // up to `lockTimeoutMs` for other processes.
+  async withLock(task) {
+    const next = this.sequence.then(async () => {
+      if (!this.db) {
+        await this.open();
+      }
+      this.db.exec("BEGIN IMMEDIATE");
+      try {
+        const result = await task();
+        this.db.exec("COMMIT");
+        return result;
+      } catch (error) {
+        this.db.exec("ROLLBACK");
+        this.revision = null;
+        this.written.clear();
+        throw error;
+      }
+    });
+    this.sequence = next.catch(() => {});
+    return next;
+  }
+
+  async recoverStaleLock() {
+    return false;
+  }
+
+  readRevision() {
+    return this.db.prepare("SELECT value FROM meta WHERE key = 'revision'").get()?.value ?? null;
+  }
+
+  // Other processes bump the revision on every write; the working set is only reread then.
+  async refreshFromDisk() {
+    if (this.state && this.revision !== null && this.readRevision() === this.revision) {
+      return this.state;
+    }
+    return super.refreshFromDisk();
+  }
+
+  async readStateOrNull() {
+    const docs = this.db.prepare("SELECT key, body FROM state_doc").all();
+    this.written.clear();
+    this.revision = this.readRevision();
+    if (docs.length === 0) {
+      return null;
+    }
+
+    const state = {};
+    const live = new Map();
+    for (const { key, body } of docs) {
+      this.written.set(`doc:${key}`, body);
+      if (key.startsWith("live:")) {
+        live.set(key.slice(5), JSON.parse(body));
+      } else {
+        state[key] = JSON.parse(body);
+      }
+    }
+    for (const [collection, spec] of Object.entries(COLLECTIONS)) {
+      const ids = live.get(collection) || [];
+      const rows = this.db
+        .prepare(`SELECT id, body FROM ${spec.table} WHERE id IN (SELECT value FROM json_each(?))`)
+        .all(JSON.stringify(ids));
+      const byId = new Map(rows.map((row) => [row.id, row]));
+      state[collection] = [];
+      for (const id of ids) {
+        const row = byId.get(id);
+        if (row) {
+          this.written.set(`${spec.table}:${id}`, row.body);
+          state[collection].push(JSON.parse(row.body));
+        }
+      }
+    }
+    return state;
+  }
+
+  upsertRow(spec, row, body = JSON.stringify(row)) {
+    const id = textOrNull(row?.id) || sha256(body);
+    const key = `${spec.table}:${id}`;
+    if (this.written.get(key) !== body) {
+      this.db.prepare(`
+        INSERT INTO ${spec.table} (id, symbol, kind, at, body) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (id) DO UPDATE SET symbol = excluded.symbol, kind = excluded.kind, at = excluded.at, body = excluded.body
+      `).run(id, textOrNull(spec.symbol(row)), textOrNull(spec.kind(row)), textOrNull(spec.at(row)), body);
+      this.written.set(key, body);
+    }
+    return id;
+  }
+
+  writeDoc(key, value) {
+    const body = JSON.stringify(value ?? null);
+    if (this.written.get(`doc:${key}`) !== body) {
+      this.db.prepare("INSERT INTO state_doc (key, body) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET body = excluded.body")
+        .run(key, body);
+      this.written.set(`doc:${key}`, body);
+    }
+  }
+
+  async persistUnsafe() {
+    this.state = normalizeState(this.state);
+    this.state.updatedAt = nowIso();
+
+    const docKeys = new Set();
+    for (const [key, value] of Object.entries(this.state)) {
+      const spec = COLLECTIONS[key];
+      if (!spec) {
+        this.writeDoc(key, value);
+        docKeys.add(key);
+        continue;
+      }
+      const ids = [];
+      const previous = this.written.get(`doc:live:${key}`);
+      for (const row of Array.isArray(value) ? value : []) {
+        ids.push(this.upsertRow(spec, row));
+      }
+      this.writeDoc(`live:${key}`, ids);
+      docKeys.add(`live:${key}`);
+      // Rows that left the working set stay in the table but no longer need a cached body.
+      const kept = new Set(ids);
+      for (const id of previous ? JSON.parse(previous) : []) {
+        if (!kept.has(id)) {
+          this.written.delete(`${spec.table}:${id}`);
+        }
+      }
+    }
+    const kpiKeys = new Set();
+    for (const row of kpiHistoryRows(this.state.system?.executionKpiHistory)) {
+      if (row?.recordedAt) {
+        kpiKeys.add(`${KPI_HISTORY.table}:${this.upsertRow(KPI_HISTORY, { id: row.recordedAt, ...row }, JSON.stringify(row))}`);
+      }
+    }
+    for (const key of Array.from(this.written.keys())) {
+      if (key.startsWith("doc:") && !docKeys.has(key.slice(4))) {
+        this.db.prepare("DELETE FROM state_doc WHERE key = ?").run(key.slice(4));
+        this.written.delete(key);
+      } else if (key.startsWith(`${KPI_HISTORY.table}:`) && !kpiKeys.has(key)) {
+        this.written.delete(key);
+      }
+    }
+
+    this.db.prepare("UPDATE meta SET value = CAST(value AS INTEGER) + 1 WHERE key = 'revision'").run();
+    this.revision = this.readRevision();
+  }
+
+  // Rows of one history collection, newest first. `since` / `until` are ISO timestamps.
+  history(collection, { symbol = null, kind = null, since = null, until = null, limit = 100 } = {}) {
+    const spec = historySpec(collection);
+    if (!spec) {
+      return null;
+    }
+    const where = [];
+    const params = [];
+    for (const [column, op, value] of [["symbol", "=", symbol], ["kind", "=", kind], ["at", ">=", since], ["at", "<", until]]) {
+      if (value !== null && value !== undefined) {
+        where.push(`${column} ${op} ?`);
+        params.push(String(value));
+      }
+    }
+    const rows = this.db.prepare(`
+      SELECT body FROM ${spec.table}
+      ${where.length > 0 ? `WHERE ${where.join(" AND ")}` : ""}
+      ORDER BY at DESC, rowid DESC
+      LIMIT ?
+    `).all(...params, Math.max(1, Math.floor(Number(limit) || 100)));
+    return rows.map((row) => JSON.parse(row.body));
+  }
+
+  historyCounts() {
+    return Object.fromEntries(HISTORY_COLLECTIONS.map((collection) => [
+      collection,
+      this.db.prepare(`SELECT COUNT(*) AS count FROM ${historySpec(collection).table}`).get().count,
+    ]));
+  }
+
+  // Loads a whole state (a parsed state.json) into the database. An existing database is only
+  // replaced with `replace`.
+  async importState(state, { replace = false } = {}) {
+    if (!this.db) {
+      await this.open();
+    }
+    return this.withLock(async () => {
+      const hasState = Boolean(this.db.prepare("SELECT 1 AS found FROM state_doc LIMIT 1").get());
+      if (hasState && !replace) {
+        return false;
+      }
+      for (const table of ["state_doc", ...HISTORY_COLLECTIONS.map((collection) => historySpec(collection).table)]) {
+        this.db.exec(`DELETE FROM ${table}`);
+      }
+      this.written.clear();
+      this.state = normalizeState(state);
+      await this.persistUnsafe();
+      return true;
+    });
+  }
+}
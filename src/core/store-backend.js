@@ -0,0 +1,21 @@
+import { EventLog } from "./event-log.js";
+import { SqliteStateStore } from "./sqlite-store.js";
+import { StateStore } from "./store.js";
+
+// TRADER_STATE_BACKEND picks the store: the state.json file (default) or the SQLite database.
+// Either one appends its changes to the event log unless TRADER_EVENT_LOG_ENABLED=false.
+export function createStateStore(runtime = {}) {
+  const eventLog = runtime.eventLog?.enabled
+    ? new EventLog(runtime.eventLog.dir, {
+      maxBytes: runtime.eventLog.maxBytes,
+      maxFiles: runtime.eventLog.maxFiles,
+    })
+    : null;
+  if (runtime.stateBackend === "sqlite") {
+    return new SqliteStateStore(runtime.stateDbFile, { eventLog });
+  }
+  return new StateStore(runtime.stateFile, {
+    lockStaleMs: runtime.stateLockStaleMs,
+    eventLog,
+  });
+}
@@ -12,7 +12,10 @@ function initialState() {
     },
     orders: [],
     orderEvents: [],
+    orderIntents: {},
     fills: [],
+    positionLedger: null,
+    protectiveStops: {},
     balancesSnapshot: [],
     holdings: [],
     marketData: {
@@ -28,7 +31,7 @@ function initialState() {
   };
 }
 
-function normalizeState(state) {
+export function normalizeState(state) {
   const base = initialState();
   const normalized = {
     ...base,
@@ -63,6 +66,8 @@ export class StateStore {
     this.lockRetryMs = Number.isFinite(options.lockRetryMs) ? options.lockRetryMs : 25;
     this.lockTimeoutMs = Number.isFinite(options.lockTimeoutMs) ? options.lockTimeoutMs : 5_000;
     this.lockStaleMs = Number.isFinite(options.lockStaleMs) ? options.lockStaleMs : 30_000;
+    this.eventLog = options.eventLog || null;
+    this.eventLogError = null;
     this.state = null;
   }
 
@@ -178,15 +183,59 @@ export class StateStore {
   async update(mutator) {
     return this.withLock(async () => {
       await this.refreshFromDisk();
+      const before = this.eventLog ? structuredClone(this.state) : null;
       const next = mutator(this.state);
       if (next) {
         this.state = next;
       }
       await this.persistUnsafe();
+      if (before) {
+        await this.logToEventLog(() => this.eventLog.recordUpdate(before, this.state));
+      }
       return this.state;
     });
   }
 
+  // A failing event log must not stop trading; the error is kept for `status`.
+  async logToEventLog(task) {
+    try {
+      await task();
+      this.eventLogError = null;
+    } catch (error) {
+      this.eventLogError = { at: nowIso(), message: error.message };
+    }
+  }
+
+  // Records something that is not part of the state (e.g. applied AI settings) in the event log.
+  async appendEvent(event) {
+    if (!this.eventLog) {
+      return;
+    }
+    await this.withLock(async () => {
+      await this.refreshFromDisk();
+      await this.logToEventLog(() => this.eventLog.recordEvent(event, this.state));
+    });
+  }
+
+  // Replaces the snapshot with the state replayed from the event log. The current snapshot is not
+  // read, so this also works when it is missing or unreadable.
+  async rebuildFromEventLog() {
+    if (!this.eventLog) {
+      return null;
+    }
+    return this.withLock(async () => {
+      const replayed = await this.eventLog.stateAt(null);
+      if (!replayed) {
+        return null;
+      }
+      this.state = normalizeState(replayed.state);
+      const before = structuredClone(this.state);
+      await this.persistUnsafe();
+      await this.logToEventLog(() => this.eventLog.recordUpdate(before, this.state));
+      return { snapshotAt: replayed.snapshotAt, lastAt: replayed.lastAt };
+    });
+  }
+
   getOpenOrders() {
     return this.state.orders.filter((order) =>
       [
@@ -209,3 +258,36 @@ export class StateStore {
     return this.state.orders.find((order) => order.clientOrderKey === clientOrderKey);
   }
 }
+
+// Process-local store with the same surface as StateStore; used where disk I/O must stay out of the loop (replay).
+export class MemoryStateStore extends StateStore {
+  constructor(initial = null) {
+    super(null);
+    this.state = initial ? normalizeState(initial) : null;
+    this.sequence = Promise.resolve();
+  }
+
+  async init() {
+    this.state = normalizeState(this.state || initialState());
+    return this.state;
+  }
+
+  async readStateOrNull() {
+    return this.state;
+  }
+
+  async withLock(task) {
+    const next = this.sequence.then(task);
+    this.sequence = next.catch(() => {});
+    return next;
+  }
+
+  async recoverStaleLock() {
+    return false;
+  }
+
+  async persistUnsafe() {
+    this.state = normalizeState(this.state);
+    this.state.updatedAt = nowIso();
+  }
+}
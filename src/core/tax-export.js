@@ -0,0 +1,405 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { normalizeSymbol } from "../config/defaults.js";
+import { invalidArg } from "../lib/errors.js";
+import { nowIso } from "../lib/time.js";
+
+const QTY_EPSILON = 1e-10;
+const KST_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+export const TAX_EXPORT_FORMATS = Object.freeze(["csv", "ko", "json"]);
+
+function asNumber(value, fallback = null) {
+  if (value === undefined || value === null || value === "") {
+    return fallback;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+function toEpochMs(value, fallback = null) {
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return value;
+  }
+  const parsed = Date.parse(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+function roundQty(value) {
+  return Number(value.toFixed(8));
+}
+
+function roundKrw(value) {
+  return Number.isFinite(value) ? Number(value.toFixed(2)) : null;
+}
+
+// Accounting years follow Korean time, so a trade just after midnight KST on Jan 1 belongs to the new year.
+function kstYear(epochMs) {
+  return new Date(epochMs + KST_OFFSET_MS).getUTCFullYear();
+}
+
+function kstTimestamp(epochMs) {
+  return new Date(epochMs + KST_OFFSET_MS).toISOString().slice(0, 19).replace("T", " ");
+}
+
+function orderFilledTotals(order) {
+  const qty = asNumber(order?.filledQty, 0);
+  if (!(qty > QTY_EPSILON)) {
+    return null;
+  }
+  const price = asNumber(order.filledPrice);
+  const amountKrw = asNumber(order.filledNotional, Number.isFinite(price) ? qty * price : null);
+  return { qty, amountKrw, price, fee: asNumber(order.fee) };
+}
+
+function tradeFromFill(fill) {
+  const qty = asNumber(fill?.qty);
+  const price = asNumber(fill?.price);
+  return {
+    id: String(fill?.id || ""),
+    // eventTs is the exchange execution time; createdAt was the record time on older fills.
+    atMs: toEpochMs(fill?.eventTs, toEpochMs(fill?.createdAt)),
+    symbol: fill?.symbol ? normalizeSymbol(fill.symbol) : null,
+    side: fill?.side === "sell" ? "sell" : fill?.side === "buy" ? "buy" : null,
+    qty,
+    price,
+    amountKrw: asNumber(fill?.amountKrw, Number.isFinite(qty) && Number.isFinite(price) ? qty * price : null),
+    fee: asNumber(fill?.fee),
+    orderId: fill?.orderId || null,
+    exchangeOrderId: fill?.exchangeOrderId || null,
+    source: fill?.source || "fill",
+  };
+}
+
+// One trade row per local fill, plus a row for whatever volume of a filled order no local
+// fill covers (fills dropped by retention, or orders only known from the exchange). Fills and
+// orders are matched by order id or exchange order id; duplicates of either are dropped.
+// Simulated fills from paper mode are not trades and are left out.
+export function collectTaxTrades({ fills = [], orders = [] } = {}) {
+  const trades = [];
+  const seenFills = new Set();
+  const recorded = new Map();
+  for (const fill of fills) {
+    if (fill?.paper === true) {
+      continue;
+    }
+    const key = fill?.id ? String(fill.id) : null;
+    if (key && seenFills.has(key)) {
+      continue;
+    }
+    if (key) {
+      seenFills.add(key);
+    }
+    const trade = tradeFromFill(fill);
+    trades.push(trade);
+    for (const orderKey of [trade.orderId, trade.exchangeOrderId].filter(Boolean)) {
+      const totals = recorded.get(orderKey) || { qty: 0, amountKrw: 0, fee: 0 };
+      totals.qty += asNumber(trade.qty, 0);
+      totals.amountKrw += asNumber(trade.amountKrw, 0);
+      totals.fee += asNumber(trade.fee, 0);
+      recorded.set(orderKey, totals);
+    }
+  }
+
+  // The same order can come from the local store and the exchange; keep the most filled copy.
+  const byOrder = new Map();
+  for (const order of orders) {
+    const key = order?.exchangeOrderId || order?.id;
+    if (!key || !orderFilledTotals(order)) {
+      continue;
+    }
+    const current = byOrder.get(key);
+    if (!current || asNumber(order.filledQty, 0) > asNumber(current.filledQty, 0)) {
+      byOrder.set(key, { ...current, ...order, id: current?.id || order.id || null });
+    }
+  }
+
+  for (const order of byOrder.values()) {
+    const totals = orderFilledTotals(order);
+    const covered = recorded.get(order.id) || recorded.get(order.exchangeOrderId) || { qty: 0, amountKrw: 0, fee: 0 };
+    const qty = totals.qty - covered.qty;
+    if (!(qty > 1e-12)) {
+      continue;
+    }
+    let amountKrw = totals.amountKrw;
+    let fee = totals.fee;
+    if (covered.qty > 0) {
+      amountKrw = Number.isFinite(totals.amountKrw) ? Math.max(0, totals.amountKrw - covered.amountKrw) : null;
+      fee = Number.isFinite(totals.fee) ? Math.max(0, totals.fee - covered.fee) : null;
+    }
+    trades.push({
+      id: `order-${order.exchangeOrderId || order.id}-${roundQty(totals.qty)}`,
+      atMs: toEpochMs(order.lastTradeTs, toEpochMs(order.createdAt, toEpochMs(order.placedAt, toEpochMs(order.updatedAt)))),
+      symbol: order.symbol ? normalizeSymbol(order.symbol) : null,
+      side: order.side === "sell" ? "sell" : order.side === "buy" ? "buy" : null,
+      qty,
+      price: Number.isFinite(amountKrw) && qty > 0 ? amountKrw / qty : totals.price,
+      amountKrw,
+      fee,
+      orderId: order.id || null,
+      exchangeOrderId: order.exchangeOrderId || null,
+      source: order.source || "order",
+    });
+  }
+
+  return trades.sort((a, b) => asNumber(a.atMs, 0) - asNumber(b.atMs, 0) || a.id.localeCompare(b.id));
+}
+
+function emptyYear(year, symbol) {
+  return {
+    year,
+    symbol,
+    trades: 0,
+    buyQty: 0,
+    buyAmountKrw: 0,
+    sellQty: 0,
+    sellAmountKrw: 0,
+    feesKrw: 0,
+    costBasisKrw: 0,
+    realizedGainKrw: 0,
+    flaggedTrades: 0,
+    closingQty: 0,
+    closingAvgCostPrice: null,
+  };
+}
+
+// Walks every trade in time order with a moving-average cost per asset: buys add their KRW
+// amount plus fee to the cost pool, sells realise net proceeds minus average cost times qty.
+// A sell without a known cost for all of its volume is flagged `missing_cost_basis` and left
+// without a gain rather than guessed; the pool stays unknown until the position is flat again.
+export function buildTaxReport(trades = [], { year = null, symbol = null } = {}) {
+  const targetYear = asNumber(year);
+  const targetSymbol = symbol ? normalizeSymbol(symbol) : null;
+  const positions = new Map();
+  const years = new Map();
+  const rows = [];
+
+  for (const trade of trades) {
+    const flags = [];
+    if (!Number.isFinite(trade.atMs)) {
+      flags.push("missing_time");
+    }
+    if (!trade.symbol || !trade.side || !(asNumber(trade.qty, 0) > 0)) {
+      flags.push("incomplete_trade");
+    }
+    if (!Number.isFinite(trade.amountKrw)) {
+      flags.push("missing_amount");
+    }
+    if (!Number.isFinite(trade.fee)) {
+      flags.push("missing_fee");
+    }
+    const fee = asNumber(trade.fee, 0);
+    const position = positions.get(trade.symbol) || { qty: 0, costKrw: 0, unknown: false };
+    positions.set(trade.symbol, position);
+
+    let costKrw = null;
+    let proceedsKrw = null;
+    let costBasisKrw = null;
+    let realizedGainKrw = null;
+    if (!flags.includes("incomplete_trade")) {
+      if (trade.side === "buy") {
+        if (Number.isFinite(trade.amountKrw)) {
+          costKrw = trade.amountKrw + fee;
+          position.costKrw += costKrw;
+        } else {
+          position.unknown = true;
+        }
+        position.qty = roundQty(position.qty + trade.qty);
+      } else {
+        proceedsKrw = Number.isFinite(trade.amountKrw) ? trade.amountKrw - fee : null;
+        if (position.unknown || position.qty + QTY_EPSILON < trade.qty) {
+          flags.push("missing_cost_basis");
+          position.qty = Math.max(0, roundQty(position.qty - trade.qty));
+          position.costKrw = position.qty > 0 ? position.costKrw * (position.qty / (position.qty + trade.qty)) : 0;
+        } else {
+          costBasisKrw = (position.costKrw / position.qty) * trade.qty;
+          realizedGainKrw = Number.isFinite(proceedsKrw) ? proceedsKrw - costBasisKrw : null;
+          position.qty = roundQty(position.qty - trade.qty);
+          position.costKrw = position.qty > QTY_EPSILON ? position.costKrw - costBasisKrw : 0;
+        }
+        if (position.qty <= QTY_EPSILON) {
+          position.qty = 0;
+          position.costKrw = 0;
+          position.unknown = false;
+        }
+      }
+    }
+
+    const tradeYear = Number.isFinite(trade.atMs) ? kstYear(trade.atMs) : null;
+    const avgCostPrice = position.qty > 0 && !position.unknown ? position.costKrw / position.qty : null;
+    if (trade.symbol && tradeYear !== null) {
+      const key = `${tradeYear}:${trade.symbol}`;
+      const summary = years.get(key) || emptyYear(tradeYear, trade.symbol);
+      years.set(key, summary);
+      summary.trades += 1;
+      if (trade.side === "buy") {
+        summary.buyQty = roundQty(summary.buyQty + asNumber(trade.qty, 0));
+        summary.buyAmountKrw += asNumber(trade.amountKrw, 0);
+      } else if (trade.side === "sell") {
+        summary.sellQty = roundQty(summary.sellQty + asNumber(trade.qty, 0));
+        summary.sellAmountKrw += asNumber(trade.amountKrw, 0);
+      }
+      summary.feesKrw += fee;
+      summary.costBasisKrw += asNumber(costBasisKrw, 0);
+      summary.realizedGainKrw += asNumber(realizedGainKrw, 0);
+      summary.flaggedTrades += flags.length > 0 ? 1 : 0;
+      summary.closingQty = position.qty;
+      summary.closingAvgCostPrice = avgCostPrice;
+    }
+
+    rows.push({
+      id: trade.id,
+      at: Number.isFinite(trade.atMs) ? new Date(trade.atMs).toISOString() : null,
+      year: tradeYear,
+      symbol: trade.symbol,
+      side: trade.side,
+      qty: trade.qty,
+      price: trade.price,
+      amountKrw: roundKrw(trade.amountKrw),
+      feeKrw: roundKrw(trade.fee),
+      costKrw: roundKrw(costKrw),
+      proceedsKrw: roundKrw(proceedsKrw),
+      costBasisKrw: roundKrw(costBasisKrw),
+      realizedGainKrw: roundKrw(realizedGainKrw),
+      positionQty: position.qty,
+      avgCostPrice: roundKrw(avgCostPrice),
+      orderId: trade.orderId,
+      exchangeOrderId: trade.exchangeOrderId,
+      source: trade.source,
+      flags,
+    });
+  }
+
+  const selected = (row) => (targetYear === null || row.year === targetYear)
+    && (!targetSymbol || row.symbol === targetSymbol);
+  const tradeRows = rows.filter(selected);
+  const summary = Array.from(years.values())
+    .filter(selected)
+    .sort((a, b) => a.year - b.year || a.symbol.localeCompare(b.symbol))
+    .map((row) => ({
+      ...row,
+      buyAmountKrw: roundKrw(row.buyAmountKrw),
+      sellAmountKrw: roundKrw(row.sellAmountKrw),
+      feesKrw: roundKrw(row.feesKrw),
+      costBasisKrw: roundKrw(row.costBasisKrw),
+      realizedGainKrw: roundKrw(row.realizedGainKrw),
+      closingAvgCostPrice: roundKrw(row.closingAvgCostPrice),
+    }));
+
+  return {
+    generatedAt: nowIso(),
+    costMethod: "moving_average",
+    timezone: "Asia/Seoul",
+    year: targetYear,
+    symbol: targetSymbol,
+    tradeCount: tradeRows.length,
+    flaggedCount: tradeRows.filter((row) => row.flags.length > 0).length,
+    trades: tradeRows,
+    summary,
+  };
+}
+
+const TRADE_COLUMNS = [
+  ["id", "거래ID"],
+  ["at", "거래일시"],
+  ["year", "귀속연도"],
+  ["symbol", "종목"],
+  ["side", "구분"],
+  ["qty", "수량"],
+  ["price", "체결단가"],
+  ["amountKrw", "거래금액"],
+  ["feeKrw", "수수료"],
+  ["costKrw", "매수원가"],
+  ["proceedsKrw", "순매도금액"],
+  ["costBasisKrw", "취득가액"],
+  ["realizedGainKrw", "실현손익"],
+  ["positionQty", "보유수량"],
+  ["avgCostPrice", "평균단가"],
+  ["orderId", "주문번호"],
+  ["exchangeOrderId", "거래소주문번호"],
+  ["source", "출처"],
+  ["flags", "확인필요"],
+];
+
+const SUMMARY_COLUMNS = [
+  ["year", "귀속연도"],
+  ["symbol", "종목"],
+  ["trades", "거래건수"],
+  ["buyQty", "매수수량"],
+  ["buyAmountKrw", "매수금액"],
+  ["sellQty", "매도수량"],
+  ["sellAmountKrw", "매도금액"],
+  ["feesKrw", "수수료"],
+  ["costBasisKrw", "취득가액"],
+  ["realizedGainKrw", "실현손익"],
+  ["flaggedTrades", "확인필요건수"],
+  ["closingQty", "기말수량"],
+  ["closingAvgCostPrice", "기말평균단가"],
+];
+
+const KO_SIDES = { buy: "매수", sell: "매도" };
+const KO_FLAGS = {
+  missing_cost_basis: "취득가액 없음",
+  missing_amount: "거래금액 없음",
+  missing_fee: "수수료 없음",
+  missing_time: "거래일시 없음",
+  incomplete_trade: "거래정보 불완전",
+};
+
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+function formatCell(column, value, korean) {
+  if (column === "flags") {
+    return (value || []).map((flag) => (korean ? KO_FLAGS[flag] || flag : flag)).join(";");
+  }
+  if (korean && column === "at" && value) {
+    return kstTimestamp(Date.parse(value));
+  }
+  if (korean && column === "side") {
+    return KO_SIDES[value] || value;
+  }
+  return value;
+}
+
+// `csv` keeps field names, ISO UTC times and raw flags; `ko` uses Korean headers and labels with
+// KST times, and starts with a UTF-8 BOM so spreadsheet tools pick the encoding up.
+export function renderTaxCsv(rows = [], { table = "trades", format = "csv" } = {}) {
+  const korean = format === "ko";
+  const columns = table === "summary" ? SUMMARY_COLUMNS : TRADE_COLUMNS;
+  const lines = [
+    columns.map(([name, label]) => csvCell(korean ? label : name)).join(","),
+    ...rows.map((row) => columns.map(([name]) => csvCell(formatCell(name, row[name], korean))).join(",")),
+  ];
+  return `${korean ? "\uFEFF" : ""}${lines.join("\r\n")}\r\n`;
+}
+
+// Writes the report under `dir`: trades and summary CSVs for `csv` / `ko`, one JSON file for `json`.
+export async function writeTaxExport(report, { dir, format = "csv" } = {}) {
+  if (!TAX_EXPORT_FORMATS.includes(format)) {
+    throw invalidArg(`Unknown tax export format: ${format}. Use one of ${TAX_EXPORT_FORMATS.join(", ")}`, {
+      field: "format",
+      input: format,
+    });
+  }
+  await fs.mkdir(dir, { recursive: true });
+  const scope = [report.year ?? "all", report.symbol].filter(Boolean).join("-");
+  if (format === "json") {
+    const file = path.join(dir, `tax-${scope}.json`);
+    await fs.writeFile(file, `${JSON.stringify(report, null, 2)}\n`, "utf8");
+    return [file];
+  }
+  const suffix = format === "ko" ? "-ko" : "";
+  const files = [];
+  for (const [table, rows] of [["trades", report.trades], ["summary", report.summary]]) {
+    const file = path.join(dir, `tax-${table}-${scope}${suffix}.csv`);
+    await fs.writeFile(file, renderTaxCsv(rows, { table, format }), "utf8");
+    files.push(file);
+  }
+  return files;
+}
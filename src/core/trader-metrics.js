@@ -0,0 +1,88 @@
+import { EXIT_CODES } from "../config/exit-codes.js";
+import { MetricsRegistry } from "../lib/metrics.js";
+
+const HTTP_LATENCY_BUCKETS_SEC = [0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Metrics kept by the daemon. Every process has its own set; the daemon serves its set when
+// METRICS_ENABLED is on.
+export class TraderMetrics {
+  constructor(registry = new MetricsRegistry()) {
+    this.registry = registry;
+    this.windows = registry.counter("buycoin_windows_total", "Execution windows started by the daemon");
+    this.ticks = registry.counter("buycoin_ticks_total", "Ticker events processed by realtime execution", ["symbol"]);
+    this.signals = registry.counter("buycoin_signals_total", "Strategy signals evaluated", ["symbol", "action"]);
+    this.orderAttempts = registry.counter(
+      "buycoin_order_attempts_total",
+      "Orders that reached placement, dry runs excluded",
+      ["symbol", "side"],
+    );
+    this.orderResults = registry.counter(
+      "buycoin_order_results_total",
+      "Placement results (succeeded, rejected by risk or orderbook checks, failed at the exchange)",
+      ["symbol", "side", "outcome"],
+    );
+    this.orderRejects = registry.counter("buycoin_order_rejects_total", "Order rejections per rule", ["rule"]);
+    this.httpRequests = registry.counter(
+      "buycoin_http_requests_total",
+      "Exchange REST requests per endpoint and HTTP status (0 when no response arrived)",
+      ["method", "endpoint", "status"],
+    );
+    this.httpDuration = registry.histogram(
+      "buycoin_http_request_duration_seconds",
+      "Exchange REST request latency",
+      ["method", "endpoint"],
+      HTTP_LATENCY_BUCKETS_SEC,
+    );
+    this.wsReconnects = registry.counter("buycoin_ws_reconnects_total", "WebSocket stream reconnects", ["stream", "channel"]);
+    this.rateLimitWaits = registry.counter("buycoin_rate_limit_waits_total", "Requests delayed by the REST rate limiter", ["limiter"]);
+    this.rateLimitWaitSeconds = registry.counter(
+      "buycoin_rate_limit_wait_seconds_total",
+      "Time spent waiting for the REST rate limiter",
+      ["limiter"],
+    );
+    this.equity = registry.gauge("buycoin_equity_krw", "Cash plus holdings at the exchange average price, the daily loss basis");
+    this.markedEquity = registry.gauge("buycoin_marked_equity_krw", "Cash plus holdings at the latest mark, the drawdown breaker basis");
+    this.cash = registry.gauge("buycoin_cash_krw", "KRW balance, available and locked");
+    this.exposure = registry.gauge("buycoin_exposure_krw", "Holdings at ledger cost, as the exposure limits count them");
+    this.dailyPnl = registry.gauge("buycoin_daily_pnl_krw", "Equity change since the daily baseline");
+    this.killSwitch = registry.gauge("buycoin_kill_switch", "1 while the kill switch is on");
+    this.overlayMultiplier = registry.gauge("buycoin_overlay_multiplier", "Overlay multiplier last read by the trader");
+  }
+
+  // Takes the events BithumbClient passes to `onRequestEvent`; retries are separate requests.
+  observeRequest(event = {}) {
+    const method = String(event.method || "GET").toUpperCase();
+    const endpoint = String(event.path || "unknown");
+    this.httpRequests.inc({ method, endpoint, status: Number.isFinite(event.status) ? event.status : 0 });
+    if (Number.isFinite(event.durationMs)) {
+      this.httpDuration.observe({ method, endpoint }, event.durationMs / 1000);
+    }
+  }
+
+  observeRateLimitWait({ limiter, waitMs }) {
+    this.rateLimitWaits.inc({ limiter });
+    this.rateLimitWaitSeconds.inc({ limiter }, waitMs / 1000);
+  }
+
+  observeOrderResult({ symbol, side }, result) {
+    const labels = { symbol: symbol || "", side: side || "" };
+    this.orderAttempts.inc(labels);
+    if (result?.ok) {
+      this.orderResults.inc({ ...labels, outcome: "succeeded" });
+      return;
+    }
+    if (result?.code !== EXIT_CODES.RISK_REJECTED) {
+      this.orderResults.inc({ ...labels, outcome: "failed" });
+      return;
+    }
+    this.orderResults.inc({ ...labels, outcome: "rejected" });
+    const reasons = Array.isArray(result.error?.reasons) ? result.error.reasons : [];
+    for (const reason of reasons.length > 0 ? reasons : [{ rule: "UNKNOWN" }]) {
+      this.orderRejects.inc({ rule: reason?.rule || "UNKNOWN" });
+    }
+  }
+
+  render() {
+    return this.registry.render();
+  }
+}
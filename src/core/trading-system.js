@@ -1,18 +1,43 @@
+import fs from "node:fs";
+import os from "node:os";
 import { EXIT_CODES } from "../config/exit-codes.js";
-import { normalizeSymbol, toBithumbMarket } from "../config/defaults.js";
+import { fromBithumbMarket, normalizeSymbol, toBithumbMarket } from "../config/defaults.js";
 import { normalizeAccounts } from "./account-normalizer.js";
-import { StateStore } from "./store.js";
+import { createStateStore } from "./store-backend.js";
+import { MemoryStateStore } from "./store.js";
+import { HISTORY_COLLECTIONS } from "./sqlite-store.js";
+import { buildTaxReport, collectTaxTrades } from "./tax-export.js";
+import { TraderMetrics } from "./trader-metrics.js";
 import { MarketDataService } from "./market-data.js";
+import { CandleStore } from "./candle-store.js";
+import { CandleAggregator } from "./market-stream.js";
 import { BithumbClient } from "../exchange/bithumb-client.js";
 import { BithumbPublicWsClient } from "../exchange/bithumb-public-ws.js";
 import { createSignalEngine } from "../engine/signal-engine.js";
+import {
+  DEFAULT_STRATEGY_NAME,
+  normalizeStrategyName,
+  normalizeStrategyParams,
+  requiredCandleWindow as strategyCandleWindow,
+} from "../engine/strategy-registry.js";
 import { OverlayEngine } from "../engine/overlay-engine.js";
-import { TraditionalRiskEngine } from "../engine/risk-engine.js";
+import { TraditionalRiskEngine, rollingReturnCorrelation } from "../engine/risk-engine.js";
+import { PositionSizer, kellyFromKpiHistory, realizedDailyVolatility } from "../engine/position-sizing.js";
+import { BREAKER_NAMES, CircuitBreakerEngine, emptyCircuitBreakerState } from "../engine/circuit-breakers.js";
 import { ExecutionEngine } from "../engine/execution-engine.js";
+import { ProtectiveExitEngine } from "../engine/protective-exit.js";
+import { fitSellAmount, isDust } from "../engine/dust.js";
+import {
+  applyFillToLedger,
+  buildPositionLedger,
+  createPositionLedger,
+  markPositionLedger,
+  reconcileLedgerWithAccounts,
+} from "./position-ledger.js";
+import { invalidArg } from "../lib/errors.js";
 import { clientOrderKey as buildClientOrderKey, uuid } from "../lib/ids.js";
 import { nowIso } from "../lib/time.js";
 
-const ALLOWED_STRATEGY_NAMES = new Set(["risk_managed_momentum", "breakout"]);
 const ALLOWED_INTERVALS = new Set([
   "1m",
   "3m",
@@ -52,13 +77,6 @@ function asPositiveNumber(value, fallback) {
   return parsed;
 }
 
-function normalizeStrategyName(value, fallback) {
-  const token = String(value || fallback || "risk_managed_momentum")
-    .trim()
-    .toLowerCase();
-  return ALLOWED_STRATEGY_NAMES.has(token) ? token : fallback;
-}
-
 function normalizeInterval(value, fallback) {
   const token = String(value || fallback || "15m").trim().toLowerCase();
   return ALLOWED_INTERVALS.has(token) ? token : fallback;
@@ -97,19 +115,35 @@ function normalizeExecutionPolicy(policy = {}, { autoSellEnabled = true } = {})
   };
 }
 
-function toDateByTimezone(timezone) {
+const dateFormatters = new Map();
+
+function toDateByTimezone(timezone, at = new Date()) {
   try {
-    return new Intl.DateTimeFormat("en-CA", {
-      timeZone: timezone,
-      year: "numeric",
-      month: "2-digit",
-      day: "2-digit",
-    }).format(new Date());
+    let formatter = dateFormatters.get(timezone);
+    if (!formatter) {
+      formatter = new Intl.DateTimeFormat("en-CA", {
+        timeZone: timezone,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+      });
+      dateFormatters.set(timezone, formatter);
+    }
+    return formatter.format(at);
   } catch {
-    return new Date().toISOString().slice(0, 10);
+    return at.toISOString().slice(0, 10);
   }
 }
 
+// Symbol- and group-scoped budgets block one path only, so they do not feed the global reject streak.
+const STREAK_EXEMPT_RULES = new Set([
+  "CIRCUIT_BREAKER",
+  "MAX_SYMBOL_EXPOSURE_KRW",
+  "MAX_SYMBOL_LOSS_KRW",
+  "MAX_GROUP_EXPOSURE_KRW",
+  "MAX_CORRELATED_EXPOSURE_KRW",
+]);
+
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
@@ -167,6 +201,26 @@ function floorToDecimals(value, decimals = 8) {
   return Math.floor(value * factor) / factor;
 }
 
+// Splits `qty` into sells of about `chunkKrw` each without going under the exchange minimum.
+// The last chunk takes the rounding remainder; returns [] when even one sell is too small.
+function liquidationChunks(qty, price, { chunkKrw = 0, minTotalKrw = 0, precision = 8 } = {}) {
+  const notional = qty * price;
+  if (!(qty > 0) || !(price > 0) || notional < minTotalKrw) {
+    return [];
+  }
+  let count = chunkKrw > 0 ? Math.max(1, Math.ceil(notional / chunkKrw)) : 1;
+  while (count > 1 && floorToDecimals(qty / count, precision) * price < minTotalKrw) {
+    count -= 1;
+  }
+  const each = floorToDecimals(qty / count, precision);
+  if (count === 1 || !(each > 0)) {
+    return [qty];
+  }
+  const chunks = Array.from({ length: count - 1 }, () => each);
+  chunks.push(Number((qty - each * (count - 1)).toFixed(precision)));
+  return chunks;
+}
+
 function trimTail(rows, limit) {
   if (!Array.isArray(rows)) {
     return [];
@@ -212,14 +266,8 @@ function clampOrderAmountByRiskLimits(amount, riskConfig = {}) {
   return Math.max(minOrder, requested);
 }
 
-function requiredCandleWindow(config) {
-  const strategyName = String(config?.strategy?.name || "risk_managed_momentum").toLowerCase();
-  if (strategyName === "breakout") {
-    return Math.max(2, Math.floor(asNumber(config?.strategy?.breakoutLookback, 20)) + 1);
-  }
-  const momentum = Math.floor(asNumber(config?.strategy?.momentumLookback, 24));
-  const volatility = Math.floor(asNumber(config?.strategy?.volatilityLookback, 72));
-  return Math.max(2, momentum + 1, volatility + 1);
+export function requiredCandleWindow(config) {
+  return strategyCandleWindow(config?.strategy);
 }
 
 function calculateAccountMetrics(accounts = []) {
@@ -287,6 +335,193 @@ function toEpochMs(value, fallback = null) {
   return Number.isFinite(parsed) ? parsed : fallback;
 }
 
+// One exit fill can close several FIFO lots; it still counts as a single trade.
+function realizedFromClosedLots(closedLots, { fromMs, untilMs, symbol = null }) {
+  const realized = {
+    tradeCount: 0,
+    wins: 0,
+    losses: 0,
+    breakEven: 0,
+    realizedPnlKrw: 0,
+    grossProfitKrw: 0,
+    grossLossKrw: 0,
+    winRatePct: 0,
+    expectancyKrw: 0,
+  };
+  const trades = new Map();
+  for (const lot of closedLots) {
+    const closedAt = toEpochMs(lot?.closedAt, null);
+    if (!Number.isFinite(closedAt) || closedAt < fromMs || closedAt > untilMs) {
+      continue;
+    }
+    if (symbol && normalizeSymbol(lot.symbol || "") !== symbol) {
+      continue;
+    }
+    const key = lot.exitFillId || lot.id;
+    trades.set(key, (trades.get(key) || 0) + asNumber(lot.realizedPnlKrw, 0));
+  }
+  for (const pnl of trades.values()) {
+    realized.tradeCount += 1;
+    realized.realizedPnlKrw += pnl;
+    if (pnl > 0) {
+      realized.wins += 1;
+      realized.grossProfitKrw += pnl;
+    } else if (pnl < 0) {
+      realized.losses += 1;
+      realized.grossLossKrw -= pnl;
+    } else {
+      realized.breakEven += 1;
+    }
+  }
+  return realized;
+}
+
+const UNATTRIBUTED = "unattributed";
+
+function emptyAttributionBucket() {
+  return {
+    fillCount: 0,
+    buyCount: 0,
+    sellCount: 0,
+    totalAmountKrw: 0,
+    totalFeeKrw: 0,
+    slippageSampleCount: 0,
+    totalAbsSlippageBps: 0,
+    tradeCount: 0,
+    wins: 0,
+    losses: 0,
+    breakEven: 0,
+    realizedPnlKrw: 0,
+  };
+}
+
+function addFillToBucket(bucket, fill, absSlippageBps) {
+  bucket.fillCount += 1;
+  if (fill.side === "buy") {
+    bucket.buyCount += 1;
+  } else {
+    bucket.sellCount += 1;
+  }
+  bucket.totalAmountKrw += asNumber(fill.amountKrw, 0);
+  bucket.totalFeeKrw += Math.max(0, asNumber(fill.fee, 0));
+  if (Number.isFinite(absSlippageBps)) {
+    bucket.slippageSampleCount += 1;
+    bucket.totalAbsSlippageBps += absSlippageBps;
+  }
+}
+
+function addTradeToBucket(bucket, pnl) {
+  bucket.tradeCount += 1;
+  bucket.realizedPnlKrw += pnl;
+  if (pnl > 0) {
+    bucket.wins += 1;
+  } else if (pnl < 0) {
+    bucket.losses += 1;
+  } else {
+    bucket.breakEven += 1;
+  }
+}
+
+export function finalizeAttributionBucket(bucket) {
+  const trades = bucket.wins + bucket.losses + bucket.breakEven;
+  return {
+    ...bucket,
+    avgAbsSlippageBps: bucket.slippageSampleCount > 0 ? bucket.totalAbsSlippageBps / bucket.slippageSampleCount : 0,
+    winRatePct: trades > 0 ? (bucket.wins / trades) * 100 : 0,
+    expectancyKrw: trades > 0 ? bucket.realizedPnlKrw / trades : 0,
+  };
+}
+
+function absSlippageBpsOf(fill) {
+  const expectedPrice = asNumber(fill?.expectedPrice, null);
+  const execPrice = asNumber(fill?.price, null);
+  if (expectedPrice === null || execPrice === null || expectedPrice <= 0) {
+    return null;
+  }
+  const bps = Math.abs((execPrice - expectedPrice) / expectedPrice * 10_000);
+  return Number.isFinite(bps) ? bps : null;
+}
+
+// Splits the window's fills and closed trades by strategy, symbol, entry reason and exit reason.
+// A trade's entry reason is the reason of the buy that opened the position it closes, so the
+// walk covers every fill up to `untilMs`, including entries made before the window.
+function calculateKpiAttribution(fills, selected, realizedByFill, { untilMs, targetSymbol }) {
+  const ordered = fills
+    .filter((fill) => {
+      const at = toEpochMs(fill?.eventTs, toEpochMs(fill?.createdAt, null));
+      return Number.isFinite(at) && at <= untilMs
+        && (!targetSymbol || normalizeSymbol(fill?.symbol || "") === targetSymbol);
+    })
+    .sort((a, b) => toEpochMs(a.eventTs, toEpochMs(a.createdAt, 0)) - toEpochMs(b.eventTs, toEpochMs(b.createdAt, 0)));
+  const open = new Map();
+  const entryOf = new Map();
+  for (const fill of ordered) {
+    const symbol = normalizeSymbol(fill?.symbol || "");
+    const side = String(fill?.side || "").toLowerCase();
+    const qty = asNumber(fill?.qty, 0);
+    const position = open.get(symbol) || { qty: 0, entry: null };
+    if (side === "buy" && qty > 0) {
+      if (position.qty <= 1e-12) {
+        position.entry = { strategy: fill.strategy || null, reason: fill.reason || null };
+      }
+      position.qty += qty;
+    } else if (side === "sell" && qty > 0) {
+      entryOf.set(fill, position.entry);
+      position.qty = Math.max(0, position.qty - qty);
+      if (position.qty <= 1e-12) {
+        position.entry = null;
+      }
+    }
+    open.set(symbol, position);
+  }
+
+  const dimensions = {
+    byStrategy: {},
+    bySymbol: {},
+    byEntryReason: {},
+    byExitReason: {},
+  };
+  const bucket = (dimension, key) => {
+    const name = key || UNATTRIBUTED;
+    if (!dimensions[dimension][name]) {
+      dimensions[dimension][name] = emptyAttributionBucket();
+    }
+    return dimensions[dimension][name];
+  };
+  for (const fill of selected) {
+    const side = String(fill?.side || "").toLowerCase();
+    if ((side !== "buy" && side !== "sell") || !(asNumber(fill?.qty, 0) > 0) || !(asNumber(fill?.amountKrw, 0) > 0)) {
+      continue;
+    }
+    const symbol = normalizeSymbol(fill?.symbol || "");
+    const row = { ...fill, side };
+    const slippage = absSlippageBpsOf(fill);
+    if (side === "buy") {
+      addFillToBucket(bucket("byStrategy", fill.strategy), row, slippage);
+      addFillToBucket(bucket("bySymbol", symbol), row, slippage);
+      addFillToBucket(bucket("byEntryReason", fill.reason), row, slippage);
+      continue;
+    }
+    const entry = entryOf.get(fill) || null;
+    const strategy = fill.strategy || entry?.strategy || null;
+    addFillToBucket(bucket("byStrategy", strategy), row, slippage);
+    addFillToBucket(bucket("bySymbol", symbol), row, slippage);
+    addFillToBucket(bucket("byExitReason", fill.reason), row, slippage);
+    if (realizedByFill.has(fill)) {
+      const pnl = realizedByFill.get(fill);
+      addTradeToBucket(bucket("byStrategy", strategy), pnl);
+      addTradeToBucket(bucket("bySymbol", symbol), pnl);
+      addTradeToBucket(bucket("byEntryReason", entry?.reason), pnl);
+      addTradeToBucket(bucket("byExitReason", fill.reason), pnl);
+    }
+  }
+
+  return Object.fromEntries(Object.entries(dimensions).map(([dimension, rows]) => [
+    dimension,
+    Object.fromEntries(Object.entries(rows).map(([key, value]) => [key, finalizeAttributionBucket(value)])),
+  ]));
+}
+
 function calculateExecutionKpiFromFills(fills = [], options = {}) {
   const fromMs = toEpochMs(options.sinceMs, 0);
   const untilMs = Number.isFinite(Number(options.untilMs))
@@ -328,6 +563,8 @@ function calculateExecutionKpiFromFills(fills = [], options = {}) {
       losses: 0,
       breakEven: 0,
       realizedPnlKrw: 0,
+      grossProfitKrw: 0,
+      grossLossKrw: 0,
       winRatePct: 0,
       expectancyKrw: 0,
     },
@@ -338,6 +575,7 @@ function calculateExecutionKpiFromFills(fills = [], options = {}) {
 
   const symbols = new Set();
   const positions = new Map();
+  const realizedByFill = new Map();
   let totalSignedSlippage = 0;
   let totalAbsSlippage = 0;
 
@@ -393,12 +631,15 @@ function calculateExecutionKpiFromFills(fills = [], options = {}) {
         const grossExit = amountKrw;
         const netExit = grossExit - (Number.isFinite(fee) ? fee : 0);
         const realized = netExit - avgCost * matchedQty;
+        realizedByFill.set(fill, realized);
         summary.realized.tradeCount += 1;
         summary.realized.realizedPnlKrw += realized;
         if (realized > 0) {
           summary.realized.wins += 1;
+          summary.realized.grossProfitKrw += realized;
         } else if (realized < 0) {
           summary.realized.losses += 1;
+          summary.realized.grossLossKrw -= realized;
         } else {
           summary.realized.breakEven += 1;
         }
@@ -414,6 +655,26 @@ function calculateExecutionKpiFromFills(fills = [], options = {}) {
     }
   }
 
+  if (Array.isArray(options.closedLots)) {
+    summary.realized = realizedFromClosedLots(options.closedLots, { fromMs, untilMs, symbol: targetSymbol });
+    const ledgerPnl = new Map();
+    for (const lot of options.closedLots) {
+      if (lot?.exitFillId) {
+        ledgerPnl.set(lot.exitFillId, (ledgerPnl.get(lot.exitFillId) || 0) + asNumber(lot.realizedPnlKrw, 0));
+      }
+    }
+    realizedByFill.clear();
+    for (const fill of selectedFills) {
+      if (fill?.id && ledgerPnl.has(fill.id)) {
+        realizedByFill.set(fill, ledgerPnl.get(fill.id));
+      }
+    }
+  }
+  summary.attribution = calculateKpiAttribution(Array.isArray(fills) ? fills : [], selectedFills, realizedByFill, {
+    untilMs,
+    targetSymbol,
+  });
+
   const totalTrades = summary.realized.wins + summary.realized.losses + summary.realized.breakEven;
   summary.fills.avgSignedSlippageBps = summary.fills.slippageSampleCount > 0
     ? totalSignedSlippage / summary.fills.slippageSampleCount
@@ -556,6 +817,19 @@ function normalizeExchangeOrderId(response = null) {
   return null;
 }
 
+// Latest execution time on an exchange order: `trades[].created_at` from the order detail,
+// or `trade_timestamp` on stream-shaped payloads. Null when the payload lists no trades.
+function exchangeLastTradeTs(payload) {
+  let latest = null;
+  for (const trade of Array.isArray(payload?.trades) ? payload.trades : []) {
+    const ts = toEpochMs(trade?.created_at ?? trade?.timestamp, null);
+    if (Number.isFinite(ts) && (latest === null || ts > latest)) {
+      latest = ts;
+    }
+  }
+  return latest ?? toEpochMs(payload?.trade_timestamp, null);
+}
+
 function normalizeOrderFromExchange(response, existing = {}) {
   const payload = toOrderPayload(response);
   const safeExisting = { ...(existing || {}) };
@@ -598,19 +872,72 @@ function normalizeOrderFromExchange(response, existing = {}) {
     exchangeOrderId: exchangeOrderId || existing.exchangeOrderId || null,
     fee,
     clientOrderKey: existing.clientOrderKey || payload.identifier || null,
+    lastTradeTs: exchangeLastTradeTs(payload) ?? existing.lastTradeTs ?? null,
     updatedAt: nowIso(),
   };
 }
 
-function fillRowsFromOrder(orderRecord) {
+function filledTotalsFromOrder(orderRecord) {
   if (!orderRecord || !Number.isFinite(orderRecord.filledQty) || orderRecord.filledQty <= 0) {
-    return [];
+    return null;
   }
   const amountKrw = Number.isFinite(orderRecord.filledNotional)
     ? orderRecord.filledNotional
     : Number.isFinite(orderRecord.filledQty) && Number.isFinite(orderRecord.filledPrice)
       ? orderRecord.filledQty * orderRecord.filledPrice
       : orderRecord.amountKrw;
+  return {
+    qty: orderRecord.filledQty,
+    amountKrw,
+    fee: Number.isFinite(orderRecord.fee) ? orderRecord.fee : null,
+  };
+}
+
+// Reasons written by status updates, not by whoever placed the order.
+const STATUS_UPDATE_REASONS = new Set(["exchange_reconcile", "private_stream"]);
+
+// Order reasons look like `strategy:<name>[:realtime]:<signal reason>` (sliced children append
+// `:<algo>:<index>`); anything else is an operator/manual reason whose first segment is kept.
+function orderAttribution(reason) {
+  const text = String(reason || "").trim();
+  if (!text || STATUS_UPDATE_REASONS.has(text)) {
+    return null;
+  }
+  const parts = text.split(":");
+  if (parts[0] !== "strategy") {
+    return { strategy: null, reason: parts[0] };
+  }
+  const rest = parts.slice(2);
+  if (rest[0] === "realtime") {
+    rest.shift();
+  }
+  return { strategy: parts[1] || null, reason: rest[0] || null };
+}
+
+// Fill rows are deltas against what was already recorded for the order, so cumulative
+// updates from REST reconcile and the private stream never double count the same volume.
+// `filledAtMs` is the exchange execution time; the record time is only used without one.
+function fillRowsFromOrder(orderRecord, { recorded = null, source = "exchange_reconcile", filledAtMs = null } = {}) {
+  const totals = filledTotalsFromOrder(orderRecord);
+  if (!totals) {
+    return [];
+  }
+  const recordedQty = asNumber(recorded?.qty, 0);
+  const qty = totals.qty - recordedQty;
+  if (!(qty > 1e-12)) {
+    return [];
+  }
+
+  let amountKrw = totals.amountKrw;
+  let price = orderRecord.filledPrice || null;
+  let fee = totals.fee;
+  if (recordedQty > 0) {
+    const deltaAmount = asNumber(totals.amountKrw, 0) - asNumber(recorded?.amountKrw, 0);
+    amountKrw = deltaAmount > 0 ? deltaAmount : qty * asNumber(orderRecord.filledPrice, 0);
+    price = amountKrw > 0 ? amountKrw / qty : price;
+    fee = Number.isFinite(totals.fee) ? Math.max(0, totals.fee - asNumber(recorded?.fee, 0)) : null;
+  }
+
   const idSource = orderRecord.id || orderRecord.exchangeOrderId || orderRecord.clientOrderKey || "unknown";
   const idPricePart = orderRecord.filledPrice || "market";
   const idQtyPart = orderRecord.filledQty || 0;
@@ -623,132 +950,138 @@ function fillRowsFromOrder(orderRecord) {
     symbol: orderRecord.symbol || null,
     side: orderRecord.side || null,
     type: orderRecord.type || null,
-    qty: orderRecord.filledQty,
+    qty,
     amountKrw,
-    price: orderRecord.filledPrice || null,
-    fee: Number.isFinite(orderRecord.fee) ? orderRecord.fee : null,
+    price,
+    fee,
     expectedPrice: Number.isFinite(orderRecord.expectedPrice) ? orderRecord.expectedPrice : null,
-    createdAt: nowIso(),
-    eventTs: Date.now(),
-    source: "exchange_reconcile",
+    strategy: orderRecord.attribution?.strategy || null,
+    reason: orderRecord.attribution?.reason || null,
+    createdAt: Number.isFinite(filledAtMs) ? new Date(filledAtMs).toISOString() : nowIso(),
+    eventTs: Number.isFinite(filledAtMs) ? filledAtMs : Date.now(),
+    source,
   }];
 }
 
-function parseIntervalMs(interval) {
-  const token = String(interval || "60m").trim().toLowerCase();
-  const minuteMap = { "1m": 1, "3m": 3, "5m": 5, "10m": 10, "15m": 15, "30m": 30, "60m": 60, "240m": 240 };
-  if (minuteMap[token] !== undefined) {
-    return minuteMap[token] * 60_000;
+// Orders persisted before the recordedFill marker booked a fill row with their cumulative
+// totals on every update, so the largest fill row (or, once retention dropped it, the order's
+// own totals) is what was booked. Without a marker the next sync would book it all again.
+function backfillRecordedFills(orders = [], fills = []) {
+  const bookedByOrder = new Map();
+  for (const fill of fills) {
+    if (fill?.orderId && asNumber(fill.qty, 0) > asNumber(bookedByOrder.get(fill.orderId)?.qty, 0)) {
+      bookedByOrder.set(fill.orderId, fill);
+    }
   }
-  if (token === "day") return 24 * 60 * 60_000;
-  if (token === "week") return 7 * 24 * 60 * 60_000;
-  if (token === "month") return 30 * 24 * 60 * 60_000;
-  return 60_000;
+  let count = 0;
+  for (const order of orders) {
+    if (!order || order.recordedFill) {
+      continue;
+    }
+    const fill = bookedByOrder.get(order.id);
+    const totals = fill
+      ? { qty: asNumber(fill.qty, 0), amountKrw: asNumber(fill.amountKrw, null), fee: asNumber(fill.fee, null) }
+      : filledTotalsFromOrder(order);
+    if (totals) {
+      order.recordedFill = totals;
+      count += 1;
+    }
+  }
+  return count;
 }
 
-class CandleAggregator {
-  constructor(intervalMs, maxCompleted = 200) {
-    this.intervalMs = Math.max(1, Math.floor(intervalMs || 60_000));
-    this.maxCompleted = Math.max(1, Math.floor(maxCompleted));
-    this.completedCandles = [];
-    this.forming = null;
-  }
-
-  loadFromHistory(candles = []) {
-    this.completedCandles = candles
-      .filter((c) => c && Number.isFinite(asNumber(c.close)))
-      .map((c) => {
-        const close = asNumber(c.close);
-        const open = asNumber(c.open ?? close);
-        const high = asNumber(c.high ?? close);
-        const low = asNumber(c.low ?? close);
-        const timestamp = asNumber(c.timestamp);
-        return {
-          timestamp: Number.isFinite(timestamp) ? timestamp : 0,
-          open: Number.isFinite(open) ? open : close,
-          high: Number.isFinite(high) ? high : close,
-          low: Number.isFinite(low) ? low : close,
-          close,
-        };
-      });
-    this.completedCandles.sort((a, b) => a.timestamp - b.timestamp);
-    this.forming = null;
+// The trailing stop follows the high since entry, so a flat position drops its stop and a
+// later buy starts from its own entry price instead of inheriting the old high.
+function clearFlatProtectiveStops(state, symbols = []) {
+  for (const symbol of symbols) {
+    const position = state.positionLedger?.positions?.[symbol];
+    if (state.protectiveStops?.[symbol] && position && !(asNumber(position.qty, 0) > 1e-12)) {
+      delete state.protectiveStops[symbol];
+    }
   }
+}
 
-  push(price, timestampMs) {
-    const parsedPrice = asNumber(price);
-    if (!Number.isFinite(parsedPrice)) {
-      return;
+function isParentOrder(order) {
+  return order?.kind === "parent";
+}
+
+// Parent progress is derived from the linked child records, so REST reconcile and
+// private stream updates on children are picked up without writing to the parent.
+function parentOrderProgress(parent, children = []) {
+  const openStates = openOrderStates();
+  let filledQty = 0;
+  let filledNotional = 0;
+  let openChildren = 0;
+  for (const child of children) {
+    if (openStates.has(child?.state)) {
+      openChildren += 1;
+    }
+    let totals = filledTotalsFromOrder(child);
+    if (!totals && child?.state === "DONE") {
+      totals = {
+        qty: child.side === "sell" ? asNumber(child.qty, 0) : 0,
+        amountKrw: asNumber(child.amountKrw, 0),
+      };
     }
+    filledQty += asNumber(totals?.qty, 0);
+    filledNotional += asNumber(totals?.amountKrw, 0);
+  }
 
-    const ts = Number.isFinite(timestampMs) ? timestampMs : Date.now();
-    const periodStart = Math.floor(ts / this.intervalMs) * this.intervalMs;
+  return {
+    filledQty: Number(filledQty.toFixed(8)),
+    filledNotional: Number(filledNotional.toFixed(2)),
+    openChildren,
+    remainingKrw: parent.side === "buy" ? Math.max(0, parent.amountKrw - filledNotional) : null,
+    remainingQty: parent.side === "sell" ? floorToDecimals(Math.max(0, parent.qty - filledQty), 8) : null,
+  };
+}
 
-    if (!this.forming || this.forming.periodStart !== periodStart) {
-      if (this.forming) {
-        this.completedCandles.push({
-          timestamp: this.forming.periodStart,
-          open: this.forming.open,
-          high: this.forming.high,
-          low: this.forming.low,
-          close: this.forming.close,
-        });
-        if (this.completedCandles.length > this.maxCompleted) {
-          this.completedCandles = this.completedCandles.slice(-this.maxCompleted);
-        }
-      }
-      this.forming = { periodStart, open: parsedPrice, high: parsedPrice, low: parsedPrice, close: parsedPrice };
-    } else {
-      this.forming.high = Math.max(this.forming.high, parsedPrice);
-      this.forming.low = Math.min(this.forming.low, parsedPrice);
-      this.forming.close = parsedPrice;
-    }
-  }
-
-  allCandles(maxCount = 0) {
-    const all = this.forming
-      ? [
-          ...this.completedCandles,
-          {
-            timestamp: this.forming.periodStart,
-            open: this.forming.open,
-            high: this.forming.high,
-            low: this.forming.low,
-            close: this.forming.close,
-          },
-        ]
-      : [...this.completedCandles];
+function orderPayloadFromMyOrderEvent(event) {
+  const askBid = String(event?.askBid || "").toUpperCase();
+  const executedVolume = asNumber(event?.executedVolume, null);
+  const executedFunds = asNumber(event?.executedFunds, null);
+  const payload = {
+    uuid: event?.uuid || null,
+    // myOrder "trade" frames are individual executions; completion arrives as "done".
+    state: event?.state === "trade" ? "partial" : event?.state || null,
+    executed_volume: executedVolume,
+    remaining_volume: asNumber(event?.remainingVolume, null),
+    executed_funds: executedFunds,
+    paid_fee: asNumber(event?.paidFee, null),
+  };
+  if (askBid === "BID" || askBid === "ASK") {
+    payload.side = askBid.toLowerCase();
+  }
+  if (event?.orderType) {
+    payload.ord_type = event.orderType;
+  }
+  if (executedVolume > 0 && executedFunds > 0) {
+    payload.avg_price = executedFunds / executedVolume;
+  }
+  return payload;
+}
 
-    if (maxCount > 0 && all.length > maxCount) {
-      return all.slice(-maxCount);
-    }
-    return all;
+function parseIntervalMs(interval) {
+  const token = String(interval || "60m").trim().toLowerCase();
+  const minuteMap = { "1m": 1, "3m": 3, "5m": 5, "10m": 10, "15m": 15, "30m": 30, "60m": 60, "240m": 240 };
+  if (minuteMap[token] !== undefined) {
+    return minuteMap[token] * 60_000;
   }
+  if (token === "day") return 24 * 60 * 60_000;
+  if (token === "week") return 7 * 24 * 60 * 60_000;
+  if (token === "month") return 30 * 24 * 60 * 60_000;
+  return 60_000;
 }
 
 function normalizeRuntimeStrategy(input = {}, fallback = {}) {
   const base = fallback || {};
   const strategy = input && typeof input === "object" ? input : {};
   return {
-    name: normalizeStrategyName(strategy.name, base.name || "risk_managed_momentum"),
+    name: normalizeStrategyName(strategy.name, base.name || DEFAULT_STRATEGY_NAME),
     defaultSymbol: normalizeSymbol(strategy.defaultSymbol || base.defaultSymbol || "BTC_KRW"),
     candleInterval: normalizeInterval(strategy.candleInterval, base.candleInterval || "15m"),
     candleCount: asPositiveInt(strategy.candleCount, asPositiveInt(base.candleCount, 120)),
-    breakoutLookback: asPositiveInt(strategy.breakoutLookback, asPositiveInt(base.breakoutLookback, 20)),
-    breakoutBufferBps: asPositiveNumber(strategy.breakoutBufferBps, asPositiveNumber(base.breakoutBufferBps, 5)),
-    momentumLookback: asPositiveInt(strategy.momentumLookback, asPositiveInt(base.momentumLookback, 24)),
-    volatilityLookback: asPositiveInt(strategy.volatilityLookback, asPositiveInt(base.volatilityLookback, 72)),
-    momentumEntryBps: asPositiveNumber(strategy.momentumEntryBps, asPositiveNumber(base.momentumEntryBps, 12)),
-    momentumExitBps: asPositiveNumber(strategy.momentumExitBps, asPositiveNumber(base.momentumExitBps, 8)),
-    targetVolatilityPct: asPositiveNumber(strategy.targetVolatilityPct, asPositiveNumber(base.targetVolatilityPct, 0.6)),
-    riskManagedMinMultiplier: asPositiveNumber(
-      strategy.riskManagedMinMultiplier,
-      asPositiveNumber(base.riskManagedMinMultiplier, 0.6),
-    ),
-    riskManagedMaxMultiplier: asPositiveNumber(
-      strategy.riskManagedMaxMultiplier,
-      asPositiveNumber(base.riskManagedMaxMultiplier, 2.2),
-    ),
+    ...normalizeStrategyParams(strategy, base),
     autoSellEnabled: strategy.autoSellEnabled === undefined
       ? base.autoSellEnabled !== false
       : Boolean(strategy.autoSellEnabled),
@@ -809,6 +1142,8 @@ function compactExecutionKpi(raw = null) {
           winRatePct: raw.executionKpi.realized?.winRatePct ?? 0,
           expectancyKrw: raw.executionKpi.realized?.expectancyKrw ?? 0,
           realizedPnlKrw: raw.executionKpi.realized?.realizedPnlKrw ?? 0,
+          grossProfitKrw: raw.executionKpi.realized?.grossProfitKrw ?? 0,
+          grossLossKrw: raw.executionKpi.realized?.grossLossKrw ?? 0,
         },
         positionsTracked: raw.executionKpi.positionsTracked ?? null,
       }
@@ -980,6 +1315,39 @@ function compactExecutionKpiHistoryFromState(rawHistory = null, config = {}) {
   });
 }
 
+// true/false for an owner on this host, null when it cannot be checked (another host, no owner).
+// Boot id plus the kernel start time of the pid, so a recycled pid does not pass for the process
+// that wrote an intent. Null where /proc is not available.
+function processStartToken(pid) {
+  try {
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, "utf8");
+    // The command name may contain spaces, so fields are counted from its closing paren.
+    const startTime = stat.slice(stat.lastIndexOf(")") + 2).split(" ")[19];
+    const bootId = fs.readFileSync("/proc/sys/kernel/random/boot_id", "utf8").trim();
+    return startTime ? `${bootId}:${startTime}` : null;
+  } catch {
+    return null;
+  }
+}
+
+function isProcessAlive(owner) {
+  if (!owner || owner.host !== os.hostname() || !Number.isInteger(owner.pid)) {
+    return null;
+  }
+  try {
+    process.kill(owner.pid, 0);
+  } catch (error) {
+    if (error.code !== "EPERM") {
+      return false;
+    }
+  }
+  if (owner.startToken) {
+    const current = processStartToken(owner.pid);
+    return current === null || current === owner.startToken;
+  }
+  return true;
+}
+
 export class TradingSystem {
   constructor(config, deps = {}) {
     this.config = config;
@@ -989,18 +1357,66 @@ export class TradingSystem {
       error() {},
     };
 
-    this.store = deps.store || new StateStore(config.runtime.stateFile, {
-      lockStaleMs: config.runtime.stateLockStaleMs,
-    });
+    this.metrics = deps.metrics || new TraderMetrics();
+
+    this.store = deps.store || createStateStore(config.runtime);
     this.exchangeClient = deps.exchangeClient || new BithumbClient(config, this.logger);
     this.wsClient = deps.wsClient || new BithumbPublicWsClient(config, this.logger);
     this.marketData = deps.marketData || new MarketDataService(config, this.exchangeClient);
     this.signalEngine = deps.signalEngine || createSignalEngine(config);
     this.overlayEngine = deps.overlayEngine || new OverlayEngine(config);
     this.riskEngine = deps.riskEngine || new TraditionalRiskEngine(config);
-    this.executionEngine = deps.executionEngine || new ExecutionEngine(this.exchangeClient);
+    this.protectiveExitEngine = deps.protectiveExitEngine || new ProtectiveExitEngine(config);
+    this.positionSizer = deps.positionSizer || new PositionSizer(config);
+    this.circuitBreakerEngine = deps.circuitBreakerEngine || new CircuitBreakerEngine(config);
+    this.executionEngine = deps.executionEngine || new ExecutionEngine(this.exchangeClient, {
+      readOrderbook: (symbol) => this.readOrderbookSnapshot(symbol),
+      sleepFn: (ms) => this.sleepFn(ms),
+      settings: config.execution,
+      intentJournal: {
+        open: (orderInput) => this.openOrderIntent(orderInput),
+        submitted: (order) => this.updateOrderIntent(order.clientOrderKey, {
+          status: "SUBMITTED",
+          exchangeOrderId: order.exchangeOrderId || null,
+        }),
+        failed: (orderInput, error) => this.updateOrderIntent(
+          orderInput.clientOrderKey,
+          this.exchangeClient.isRetryableError(error) ? { status: "UNCERTAIN", error: error.message } : null,
+        ),
+      },
+    });
     this.sleepFn = deps.sleepFn || sleep;
+    this.processOwner = deps.processOwner || {
+      host: os.hostname(),
+      pid: process.pid,
+      startToken: processStartToken(process.pid),
+    };
+    this.isProcessAlive = deps.isProcessAlive || isProcessAlive;
     this.orderSequence = Promise.resolve();
+    this.parentOrderSequence = Promise.resolve();
+    this.privateStream = deps.privateStream || null;
+    this.marketStream = deps.marketStream || null;
+    this.candleStore = deps.candleStore || null;
+    this.correlationCache = new Map();
+    this.volatilityCache = new Map();
+    this.lastTicks = new Map();
+    this.liquidationInFlight = null;
+    this.orderChanceCache = new Map();
+    this.lastDustReportAtMs = 0;
+    this.pendingPrivateOrderEvents = new Map();
+    this.lastMarks = new Map();
+  }
+
+  attachPrivateStream(privateStream) {
+    this.privateStream = privateStream || null;
+  }
+
+  attachMarketStream(marketStream) {
+    this.marketStream = marketStream || null;
+  }
+
+  privateStreamHealthy() {
+    return Boolean(this.privateStream && typeof this.privateStream.isHealthy === "function" && this.privateStream.isHealthy());
   }
 
   async withOrderSequence(task) {
@@ -1009,6 +1425,12 @@ export class TradingSystem {
     return next;
   }
 
+  async withParentOrderSequence(task) {
+    const next = this.parentOrderSequence.then(task);
+    this.parentOrderSequence = next.catch(() => {});
+    return next;
+  }
+
     applyStateRetention(state) {
     const retention = this.config?.runtime?.retention || {};
     if (retention.keepLatestOnly) {
@@ -1020,6 +1442,9 @@ export class TradingSystem {
         ? Math.max(0, Math.floor(pruneUnknownSubmitMs))
         : 0;
       const openOrders = orders.filter((order) => {
+        if (isParentOrder(order)) {
+          return order.state === "WORKING";
+        }
         if (!openStates.has(order?.state)) {
           return false;
         }
@@ -1031,7 +1456,7 @@ export class TradingSystem {
         }
         return true;
       });
-      const closedOrders = orders.filter((order) => !openStates.has(order?.state));
+      const closedOrders = orders.filter((order) => !openStates.has(order?.state) && !(isParentOrder(order) && order.state === "WORKING"));
       const keepClosedOrders = trimTail(closedOrders, retention.closedOrders);
 
       const compactOrders = [];
@@ -1050,6 +1475,11 @@ export class TradingSystem {
       state.orders = compactOrders;
 
       const knownOrderIds = new Set(state.orders.map((order) => order?.id).filter(Boolean));
+      for (const order of state.orders) {
+        if (order?.metadata?.parentOrderId) {
+          knownOrderIds.add(order.metadata.parentOrderId);
+        }
+      }
       const knownOrderKeys = new Set(state.orders.map((order) => order?.clientOrderKey).filter(Boolean));
       const orderEvents = Array.isArray(state.orderEvents) ? state.orderEvents : [];
       const orderEventTail = trimTail(orderEvents, retention.orderEvents);
@@ -1141,7 +1571,9 @@ export class TradingSystem {
         return true;
       })
       : [];
-    state.orders = trimTail(filteredOrders, retention.orders).map(stripOrderRecordForStorage);
+    const keptOrders = trimTail(filteredOrders, retention.orders);
+    const droppedParents = filteredOrders.filter((order) => isParentOrder(order) && order.state === "WORKING" && !keptOrders.includes(order));
+    state.orders = [...droppedParents, ...keptOrders].map(stripOrderRecordForStorage);
     state.orderEvents = trimTail(state.orderEvents, retention.orderEvents);
     state.strategyRuns = trimTail(state.strategyRuns, retention.strategyRuns);
     state.balancesSnapshot = trimTail(state.balancesSnapshot, retention.balancesSnapshot);
@@ -1159,7 +1591,10 @@ export class TradingSystem {
 
   async init() {
     await this.store.init();
+    let backfilledFillMarkers = 0;
     await this.store.update((state) => {
+      this.claimStateMode(state);
+      backfilledFillMarkers = backfillRecordedFills(state.orders, state.fills);
       if (typeof state.settings.killSwitch !== "boolean") {
         state.settings.killSwitch = false;
       }
@@ -1176,14 +1611,49 @@ export class TradingSystem {
       if (!state.settings.dailyPnlBaseline) {
         state.settings.dailyPnlBaseline = null;
       }
+      if (!state.orderIntents || typeof state.orderIntents !== "object") {
+        state.orderIntents = {};
+      }
+      if (!state.positionLedger || state.positionLedger.method !== this.config.ledger.costMethod) {
+        state.positionLedger = buildPositionLedger(state.fills || [], {
+          method: this.config.ledger.costMethod,
+          closedLotsRetention: this.config.ledger.closedLotsRetention,
+        });
+      }
       return this.applyStateRetention(state);
     });
+    if (backfilledFillMarkers > 0) {
+      this.logger.info("backfilled fill markers on orders from an older state", { orders: backfilledFillMarkers });
+    }
+  }
+
+  // Live and paper runs must not share one state: paper fills would land in the live ledger and tax export.
+  // Unmarked state that already holds orders or fills predates the marker and is treated as live.
+  claimStateMode(state) {
+    const mode = this.runtimeMode();
+    const hasHistory = (state.orders?.length || 0) > 0 || (state.fills?.length || 0) > 0;
+    const owner = state.system?.mode || (hasHistory ? "live" : null);
+    if (owner && owner !== mode) {
+      throw invalidArg(`State holds ${owner} trading history; use a separate TRADER_STATE_FILE for ${mode} mode`, {
+        field: "TRADER_STATE_FILE",
+        stateMode: owner,
+        runtimeMode: mode,
+      });
+    }
+    if (!state.system) {
+      state.system = {};
+    }
+    state.system.mode = mode;
   }
 
   hasKeys() {
     return Boolean(this.config.exchange.accessKey && this.config.exchange.secretKey);
   }
 
+  runtimeMode() {
+    return this.config.paper?.enabled === true ? "paper" : "live";
+  }
+
   getOpenOrdersCount(symbol = null) {
     const state = this.store.snapshot();
     const openStates = openOrderStates();
@@ -1225,6 +1695,17 @@ export class TradingSystem {
     });
   }
 
+  async recordAgentAudit(entry = {}) {
+    await this.store.update((state) => {
+      state.agentAudit.push({
+        id: uuid(),
+        at: nowIso(),
+        ...entry,
+      });
+      return this.applyStateRetention(state);
+    });
+  }
+
   async bumpRiskRejectStreak({ symbol = null, reasons = [], metrics = {} } = {}) {
     const nowMs = Date.now();
     const resetMs = Math.max(
@@ -1264,7 +1745,7 @@ export class TradingSystem {
     });
   }
 
-  async resolveProtectiveExit({ symbol, currentPrice }) {
+  async resolveProtectiveExit({ symbol, currentPrice, candles = [], nowMs = Date.now() }) {
     const normalizedSymbol = normalizeSymbol(symbol || this.config.strategy.defaultSymbol);
     const [baseCurrency] = normalizedSymbol.split("_");
     const price = asNumber(currentPrice, null);
@@ -1275,42 +1756,67 @@ export class TradingSystem {
 
     const accountContext = await this.loadAccountContext();
     const holdingQty = asNumber(accountContext.metrics.holdingsAvailable?.[baseCurrency], 0);
-    if (!Number.isFinite(holdingQty) || holdingQty <= 0) {
+    const previousStop = this.store.snapshot().protectiveStops?.[normalizedSymbol] || null;
+    // Dust cannot be sold, so it gets no stop and never triggers an exit.
+    if (!Number.isFinite(holdingQty) || holdingQty <= 0
+      || isDust(holdingQty * price, this.cachedSellMinTotalKrw(normalizedSymbol))) {
+      if (previousStop) {
+        await this.saveProtectiveStop(normalizedSymbol, null);
+      }
       return null;
     }
 
-    const avgBuyPrice = asNumber(accountContext.metrics.holdingsAvgBuyPrice?.[baseCurrency], null);
+    this.lastMarks.set(normalizedSymbol, price);
+    const ledgerPosition = this.getLedgerPosition(normalizedSymbol);
+    const avgBuyPrice = ledgerPosition
+      ? ledgerPosition.avgCostPrice
+      : asNumber(accountContext.metrics.holdingsAvgBuyPrice?.[baseCurrency], null);
     if (avgBuyPrice === null || avgBuyPrice <= 0) {
       return null;
     }
 
-    const pnlRatio = price / avgBuyPrice - 1;
-    const stopLossPct = asNumber(this.config.risk.maxHoldingLossPct, 0);
-    const takeProfitPct = asNumber(this.config.risk.maxHoldingTakeProfitPct, 0);
-
-    if (Number.isFinite(stopLossPct) && stopLossPct > 0 && pnlRatio <= -Math.abs(stopLossPct) / 100) {
-      return {
-        shouldExit: true,
-        action: "SELL",
-        reason: "protective_stop_loss",
-        pnlRatio,
-        avgBuyPrice,
-        currentPrice: price,
-      };
+    const { stop, exit } = this.protectiveExitEngine.evaluate({
+      price,
+      avgBuyPrice,
+      stop: previousStop,
+      candles,
+      entryAt: ledgerPosition?.lots?.[0]?.openedAt ?? null,
+      nowMs,
+    });
+    if (!previousStop
+      || stop.highestPrice !== previousStop.highestPrice
+      || stop.atr !== previousStop.atr) {
+      await this.saveProtectiveStop(normalizedSymbol, stop);
     }
+    return exit;
+  }
 
-    if (Number.isFinite(takeProfitPct) && takeProfitPct > 0 && pnlRatio >= Math.abs(takeProfitPct) / 100) {
-      return {
-        shouldExit: true,
-        action: "SELL",
-        reason: "protective_take_profit",
-        pnlRatio,
-        avgBuyPrice,
-        currentPrice: price,
-      };
-    }
+  async saveProtectiveStop(symbol, stop) {
+    await this.store.update((state) => {
+      state.protectiveStops = state.protectiveStops || {};
+      if (stop) {
+        state.protectiveStops[symbol] = stop;
+      } else {
+        delete state.protectiveStops[symbol];
+      }
+      return state;
+    });
+  }
 
-    return null;
+  async recordProtectiveExit(symbol, protectiveExit) {
+    await this.recordRiskEvent({
+      type: "protective_exit",
+      source: "risk_exit_rule",
+      symbol,
+      reason: protectiveExit.reason,
+      rule: protectiveExit.rule,
+      pnlRatio: protectiveExit.pnlRatio,
+      avgBuyPrice: protectiveExit.avgBuyPrice,
+      currentPrice: protectiveExit.currentPrice,
+      stopPrice: protectiveExit.stopPrice ?? null,
+      highestPrice: protectiveExit.highestPrice,
+      heldMs: protectiveExit.heldMs,
+    });
   }
 
   async status() {
@@ -1320,9 +1826,15 @@ export class TradingSystem {
       code: EXIT_CODES.OK,
       data: {
         now: nowIso(),
-        mode: "live",
+        mode: this.runtimeMode(),
         killSwitch: Boolean(state.settings.killSwitch),
         killSwitchReason: state.settings.killSwitchReason || null,
+        kpiGuardBlocks: state.settings.kpiGuardBlocks || { symbols: {}, entryReasons: {} },
+        circuitBreakers: this.circuitBreakerSummary(),
+        dust: state.settings.dustReport || null,
+        eventLog: this.store.eventLog
+          ? { dir: this.store.eventLog.dir, error: this.store.eventLogError || null }
+          : null,
         defaultSymbol: this.config.strategy.defaultSymbol,
         strategy: {
           name: this.config.strategy.name,
@@ -1334,7 +1846,27 @@ export class TradingSystem {
         },
         overlay: state.system?.overlayCache || null,
         dailyPnlBaseline: state.settings.dailyPnlBaseline || null,
+        protectiveStops: state.protectiveStops || {},
         openOrders: this.getOpenOrdersCount(),
+        orderIntents: Object.values(state.orderIntents || {}),
+        parentOrders: state.orders
+          .filter((order) => isParentOrder(order) && order.state === "WORKING")
+          .map((order) => ({
+            id: order.id,
+            symbol: order.symbol,
+            side: order.side,
+            algo: order.algo,
+            amountKrw: order.amountKrw,
+            childCount: order.childCount,
+            filledNotional: order.filledNotional,
+          })),
+        positions: this.positionSummary(),
+        privateStream: this.privateStream && typeof this.privateStream.status === "function"
+          ? this.privateStream.status()
+          : null,
+        marketStream: this.marketStream && typeof this.marketStream.status === "function"
+          ? this.marketStream.status()
+          : null,
         executionKpi: compactExecutionKpi(state.system?.lastExecutionKpi || null),
         executionKpiHistory: normalizeExecutionKpiHistoryRows(state.system?.executionKpiHistory)
           .slice(-5)
@@ -1350,6 +1882,7 @@ export class TradingSystem {
       sinceMs: options.sinceMs,
       untilMs: options.untilMs,
       symbol: options.symbol,
+      closedLots: state.positionLedger?.closedLots,
     });
   }
 
@@ -1376,29 +1909,510 @@ export class TradingSystem {
     });
   }
 
-  async setKillSwitch(enabled, reason = null) {
+  // Entry paths disabled by the scoped KPI guard. Exits stay allowed so positions can still close.
+  kpiGuardBlockFor(symbol, entryReason) {
+    const blocks = this.store.snapshot().settings.kpiGuardBlocks || {};
+    // normalizeSymbol falls back to the default symbol, so an entry-only lookup skips symbol blocks.
+    const normalizedSymbol = symbol ? normalizeSymbol(symbol) : null;
+    if (normalizedSymbol && blocks.symbols?.[normalizedSymbol]) {
+      return { scope: "symbol", key: normalizedSymbol, ...blocks.symbols[normalizedSymbol] };
+    }
+    if (entryReason && blocks.entryReasons?.[entryReason]) {
+      return { scope: "entry", key: entryReason, ...blocks.entryReasons[entryReason] };
+    }
+    return null;
+  }
+
+  async blockTradingPath({ symbol = null, entryReason = null, reason = null } = {}) {
+    if (!symbol && !entryReason) {
+      return {
+        ok: false,
+        code: EXIT_CODES.INVALID_ARGS,
+        error: {
+          message: "blockTradingPath requires symbol or entryReason",
+        },
+      };
+    }
+    let blocks = null;
     await this.store.update((state) => {
-      state.settings.killSwitch = Boolean(enabled);
-      state.settings.killSwitchAt = nowIso();
-      state.settings.killSwitchReason = reason || null;
+      const current = state.settings.kpiGuardBlocks || {};
+      blocks = {
+        symbols: { ...(current.symbols || {}) },
+        entryReasons: { ...(current.entryReasons || {}) },
+      };
+      const entry = { reason: reason || null, at: nowIso() };
+      if (symbol) {
+        blocks.symbols[normalizeSymbol(symbol)] = entry;
+      }
+      if (entryReason) {
+        blocks.entryReasons[String(entryReason)] = entry;
+      }
+      state.settings.kpiGuardBlocks = blocks;
       return state;
     });
-
     return {
       ok: true,
       code: EXIT_CODES.OK,
-      data: {
-        killSwitch: Boolean(enabled),
-        reason: reason || null,
-      },
+      data: blocks,
     };
   }
 
-  async applyStrategySettings(strategy = {}, source = "runtime") {
-    const normalized = normalizeRuntimeStrategy(strategy, this.config.strategy);
-    this.config.strategy = normalized;
-    this.signalEngine = createSignalEngine(this.config);
-    this.logger.info("strategy settings applied", {
+  // Without a symbol or entry reason every block is lifted.
+  async clearKpiGuardBlocks({ symbol = null, entryReason = null } = {}) {
+    let blocks = null;
+    await this.store.update((state) => {
+      const current = state.settings.kpiGuardBlocks || {};
+      blocks = {
+        symbols: { ...(current.symbols || {}) },
+        entryReasons: { ...(current.entryReasons || {}) },
+      };
+      if (!symbol && !entryReason) {
+        blocks = { symbols: {}, entryReasons: {} };
+      }
+      if (symbol) {
+        delete blocks.symbols[normalizeSymbol(symbol)];
+      }
+      if (entryReason) {
+        delete blocks.entryReasons[String(entryReason)];
+      }
+      state.settings.kpiGuardBlocks = blocks;
+      return state;
+    });
+    return {
+      ok: true,
+      code: EXIT_CODES.OK,
+      data: blocks,
+    };
+  }
+
+  circuitBreakerSummary() {
+    const breakers = this.store.snapshot().settings.circuitBreakers || emptyCircuitBreakerState();
+    return {
+      active: Object.values(breakers.breakers),
+      losingStreak: breakers.losingStreak,
+      equity: breakers.equity,
+    };
+  }
+
+  circuitBreakerBlockFor(side = "buy") {
+    return this.circuitBreakerEngine.blockFor(this.store.snapshot().settings.circuitBreakers, side, {
+      nowMs: Date.now(),
+      tradeDate: toDateByTimezone(this.config.runtime.timezone),
+    });
+  }
+
+  // Releases due breakers, then lets `observe` trip new ones on the persisted breaker state.
+  // Releases due breakers and runs `observe` on the breaker state inside a store update the
+  // caller owns; hand the result to reportCircuitBreakerChanges once it is persisted.
+  stepCircuitBreakers(state, observe = null, { nowMs, tradeDate }) {
+    const breakers = state.settings.circuitBreakers || emptyCircuitBreakerState();
+    const released = this.circuitBreakerEngine.release(breakers, { nowMs, tradeDate });
+    const tripped = observe ? observe(breakers, { nowMs, tradeDate }) : [];
+    state.settings.circuitBreakers = breakers;
+    return { tripped, released };
+  }
+
+  async reportCircuitBreakerChanges({ tripped = [], released = [] } = {}) {
+    for (const breaker of released) {
+      this.logger.info("circuit breaker released", {
+        name: breaker.name,
+        reset: breaker.reset,
+      });
+    }
+    for (const breaker of tripped) {
+      this.logger.error("circuit breaker tripped", {
+        name: breaker.name,
+        action: breaker.action,
+        reason: breaker.reason,
+      });
+      await this.recordRiskEvent({
+        type: "circuit_breaker_tripped",
+        source: "circuit_breaker",
+        symbol: breaker.detail?.symbol || null,
+        breaker,
+      });
+      if (breaker.action === "flatten") {
+        this.startLiquidation({ reason: `circuit_breaker:${breaker.name}`, source: "circuit_breaker" });
+      }
+    }
+  }
+
+  async updateCircuitBreakers(observe = null) {
+    const context = {
+      nowMs: Date.now(),
+      tradeDate: toDateByTimezone(this.config.runtime.timezone),
+    };
+    let changes = { tripped: [], released: [] };
+    await this.store.update((state) => {
+      changes = this.stepCircuitBreakers(state, observe, context);
+      return state;
+    });
+    await this.reportCircuitBreakerChanges(changes);
+    return changes;
+  }
+
+  // Samples marked equity for the drawdown breakers; the daemon calls this once per window.
+  async checkCircuitBreakers() {
+    const accountContext = await this.loadAccountContext();
+    const equityKrw = this.markedEquityKrw(accountContext);
+    this.observeAccountMetrics(accountContext, equityKrw);
+    const { tripped, released } = await this.updateCircuitBreakers((breakers, context) =>
+      this.circuitBreakerEngine.observeEquity(breakers, { equityKrw, ...context }));
+    return {
+      ok: true,
+      code: EXIT_CODES.OK,
+      data: {
+        equityKrw,
+        tripped,
+        released,
+        ...this.circuitBreakerSummary(),
+      },
+    };
+  }
+
+  async observeTickForBreakers(symbol, price, timestampMs = null) {
+    const normalized = normalizeSymbol(symbol);
+    const atMs = Number.isFinite(Number(timestampMs)) ? Number(timestampMs) : Date.now();
+    const previous = this.lastTicks.get(normalized) || null;
+    this.lastTicks.set(normalized, { price, atMs });
+    if (!this.circuitBreakerEngine.priceGap({ symbol: normalized, price, previous, atMs })) {
+      return [];
+    }
+    const { tripped } = await this.updateCircuitBreakers((breakers, context) =>
+      this.circuitBreakerEngine.observeTick(breakers, { symbol: normalized, price, previous, atMs, ...context }));
+    return tripped;
+  }
+
+  // Without a name every breaker is reset, whatever its reset policy.
+  async resetCircuitBreakers({ name = null } = {}) {
+    if (name && !BREAKER_NAMES.includes(String(name))) {
+      return {
+        ok: false,
+        code: EXIT_CODES.INVALID_ARGS,
+        error: {
+          message: `Unknown circuit breaker: ${name}`,
+          names: BREAKER_NAMES,
+        },
+      };
+    }
+    const nowMs = Date.now();
+    const tradeDate = toDateByTimezone(this.config.runtime.timezone);
+    let released = [];
+    await this.store.update((state) => {
+      const breakers = state.settings.circuitBreakers || emptyCircuitBreakerState();
+      released = this.circuitBreakerEngine.release(breakers, {
+        nowMs,
+        tradeDate,
+        names: name ? [String(name)] : null,
+        manual: true,
+      });
+      state.settings.circuitBreakers = breakers;
+      return state;
+    });
+    if (released.length > 0) {
+      await this.recordRiskEvent({
+        type: "circuit_breaker_reset",
+        source: "manual",
+        names: released.map((breaker) => breaker.name),
+      });
+    }
+    return {
+      ok: true,
+      code: EXIT_CODES.OK,
+      data: {
+        released: released.map((breaker) => breaker.name),
+        ...this.circuitBreakerSummary(),
+      },
+    };
+  }
+
+  // Not awaited: the kill switch and breakers can fire from inside the order sequence the
+  // liquidation sells need. A liquidation already running is left to finish.
+  startLiquidation(options = {}) {
+    if (this.liquidationInFlight) {
+      return false;
+    }
+    this.liquidateAll(options).catch((error) => {
+      this.logger.error("liquidation failed", {
+        reason: options.reason || null,
+        error: error.message,
+      });
+    });
+    return true;
+  }
+
+  async liquidateAll({ reason = "manual", source = "manual", dryRun = false } = {}) {
+    if (this.liquidationInFlight) {
+      return {
+        ok: false,
+        code: EXIT_CODES.ALREADY_IN_PROGRESS,
+        error: {
+          message: "Liquidation already in progress",
+        },
+      };
+    }
+    this.liquidationInFlight = this.runLiquidation({ reason, source, dryRun: Boolean(dryRun) });
+    try {
+      return await this.liquidationInFlight;
+    } finally {
+      this.liquidationInFlight = null;
+    }
+  }
+
+  // The last `controls.liquidate` value the daemon acted on. It is kept in state so that a flag
+  // left at `true` in the AI settings file does not liquidate again after a restart.
+  lastAiLiquidateControl() {
+    const saved = this.store.snapshot().settings.aiLiquidateControl;
+    return typeof saved?.value === "boolean" ? saved.value : null;
+  }
+
+  async recordAiLiquidateControl(value) {
+    await this.store.update((state) => {
+      state.settings.aiLiquidateControl = { value: Boolean(value), updatedAt: nowIso() };
+      return state;
+    });
+  }
+
+  // Cancels working parents and open orders, then market-sells every KRW-quoted holding in
+  // chunks of LIQUIDATION_CHUNK_KRW. Sells bypass the risk engine so they go through while
+  // the kill switch or a halt_all breaker is active. Whatever cannot be sold is reported as dust.
+  async runLiquidation({ reason, source, dryRun }) {
+    const report = {
+      id: uuid(),
+      reason,
+      source,
+      dryRun,
+      startedAt: nowIso(),
+      finishedAt: null,
+      canceled: [],
+      sells: [],
+      dust: [],
+      errors: [],
+      complete: false,
+    };
+    this.logger.warn("liquidation started", { id: report.id, reason, source, dryRun });
+
+    const orderReason = `liquidation:${reason}`;
+    const workingParents = this.store.snapshot().orders
+      .filter((order) => isParentOrder(order) && order.state === "WORKING");
+    for (const parent of workingParents) {
+      if (dryRun) {
+        report.canceled.push({ orderId: parent.id, symbol: parent.symbol, parent: true, ok: null });
+        continue;
+      }
+      const canceled = await this.cancelParentOrder(parent.id, orderReason);
+      report.canceled.push({
+        orderId: parent.id,
+        symbol: parent.symbol,
+        parent: true,
+        ok: canceled.ok,
+        error: canceled.ok ? null : canceled.error?.message || null,
+      });
+    }
+    for (const order of this.store.getOpenOrders().filter((row) => !isParentOrder(row))) {
+      if (!order.exchangeOrderId) {
+        report.canceled.push({ orderId: order.id, symbol: order.symbol, ok: false, error: "no exchange order id" });
+        continue;
+      }
+      if (dryRun) {
+        report.canceled.push({ orderId: order.id, exchangeOrderId: order.exchangeOrderId, symbol: order.symbol, ok: null });
+        continue;
+      }
+      try {
+        await this.exchangeClient.cancelOrder({ exchangeOrderId: order.exchangeOrderId, symbol: order.symbol });
+        await this.reconcileOrder(order, { attempts: 2, initialDelayMs: 150 });
+        report.canceled.push({ orderId: order.id, exchangeOrderId: order.exchangeOrderId, symbol: order.symbol, ok: true });
+      } catch (error) {
+        report.canceled.push({
+          orderId: order.id,
+          exchangeOrderId: order.exchangeOrderId,
+          symbol: order.symbol,
+          ok: false,
+          error: error.message,
+        });
+      }
+    }
+
+    const accounts = await this.accountList();
+    if (!accounts.ok) {
+      report.errors.push({ step: "accounts", message: accounts.error?.message || "account list failed" });
+    }
+    const precision = asPositiveInt(this.config.strategy.sellAllQtyPrecision, 8);
+    const chunkKrw = asNumber(this.config.liquidation?.chunkKrw, 0) > 0
+      ? this.config.liquidation.chunkKrw
+      : asNumber(this.config.risk.maxOrderNotionalKrw, 0);
+    const chunkDelayMs = Math.max(0, asNumber(this.config.liquidation?.chunkDelayMs, 0));
+
+    for (const account of accounts.ok ? accounts.data.accounts : []) {
+      const currency = String(account?.currency || "").toUpperCase();
+      const unitCurrency = String(account?.unitCurrency || "KRW").toUpperCase();
+      if (!currency || currency === "KRW" || unitCurrency !== "KRW") {
+        continue;
+      }
+      const symbol = `${currency}_KRW`;
+      const balance = Math.max(asNumber(account.balance, 0), 0);
+      const locked = Math.max(asNumber(account.locked, 0), 0);
+      if (balance <= 0 && locked <= 0) {
+        continue;
+      }
+      const price = await this.resolveLiquidationPrice(symbol, account);
+      if (price === null) {
+        report.errors.push({ step: "price", symbol, message: "no price available" });
+        report.dust.push({ symbol, qty: balance + locked, valueKrw: null, reason: "no_price" });
+        continue;
+      }
+
+      let minTotalKrw = 0;
+      try {
+        minTotalKrw = parseMinTotal(await this.exchangeClient.getOrderChance({ symbol }), "sell");
+      } catch (error) {
+        report.errors.push({ step: "order_chance", symbol, message: error.message });
+      }
+
+      const qty = floorToDecimals(balance, precision);
+      const chunks = liquidationChunks(qty, price, { chunkKrw, minTotalKrw, precision });
+      if (qty > 0 && chunks.length === 0) {
+        report.dust.push({ symbol, qty, valueKrw: qty * price, minTotalKrw, reason: "below_min_total" });
+      }
+      let unsoldQty = 0;
+      for (const [index, chunkQty] of chunks.entries()) {
+        if (unsoldQty > 0) {
+          unsoldQty += chunkQty;
+          continue;
+        }
+        if (index > 0 && chunkDelayMs > 0 && !dryRun) {
+          await this.sleepFn(chunkDelayMs);
+        }
+        const sell = dryRun
+          ? { ok: null }
+          : await this.submitLiquidationSell({ symbol, qty: chunkQty, price, reason: orderReason });
+        report.sells.push({
+          symbol,
+          index,
+          qty: chunkQty,
+          amountKrw: chunkQty * price,
+          ...sell,
+        });
+        if (sell.ok === false) {
+          unsoldQty += chunkQty;
+        }
+      }
+      if (unsoldQty > 0) {
+        report.dust.push({ symbol, qty: unsoldQty, valueKrw: unsoldQty * price, reason: "sell_failed" });
+      }
+      const remainder = Number((balance - qty).toFixed(12));
+      if (remainder > 0) {
+        report.dust.push({ symbol, qty: remainder, valueKrw: remainder * price, reason: "below_precision" });
+      }
+      if (locked > 0) {
+        report.dust.push({ symbol, qty: locked, valueKrw: locked * price, reason: "locked" });
+      }
+    }
+
+    report.finishedAt = nowIso();
+    report.complete = report.errors.length === 0
+      && report.canceled.every((row) => row.ok !== false)
+      && report.sells.every((row) => row.ok !== false);
+    if (!dryRun) {
+      await this.recordRiskEvent({
+        type: "liquidation",
+        source,
+        reason,
+        report,
+      });
+    }
+    this.logger.warn("liquidation finished", {
+      id: report.id,
+      reason,
+      canceled: report.canceled.length,
+      sells: report.sells.length,
+      dust: report.dust.length,
+      errors: report.errors.length,
+      complete: report.complete,
+    });
+    return {
+      ok: true,
+      code: EXIT_CODES.OK,
+      data: report,
+    };
+  }
+
+  async resolveLiquidationPrice(symbol, account = {}) {
+    try {
+      const ticker = await this.marketData.getMarketTicker(symbol);
+      const lastPrice = asNumber(this.marketData.extractTickerMetrics(ticker)?.lastPrice, null);
+      if (lastPrice !== null && lastPrice > 0) {
+        this.lastMarks.set(symbol, lastPrice);
+        return lastPrice;
+      }
+    } catch (error) {
+      this.logger.warn("liquidation mark price unavailable", { symbol, reason: error.message });
+    }
+    const fallback = asNumber(this.lastMarks.get(symbol), null) ?? asNumber(account.avgBuyPrice, null);
+    return fallback !== null && fallback > 0 ? fallback : null;
+  }
+
+  async submitLiquidationSell({ symbol, qty, price, reason }) {
+    return this.withOrderSequence(async () => {
+      try {
+        const orderInput = {
+          ...this.buildOrderInput({
+            symbol,
+            side: "sell",
+            type: "market",
+            amountKrw: qty * price,
+            price,
+            expectedPrice: price,
+            strategyRunId: "liquidation",
+          }),
+          qty,
+        };
+        const submitted = await this.executionEngine.submit(orderInput);
+        submitted.expectedPrice = orderInput.expectedPrice;
+        const reconciled = this.privateStreamHealthy()
+          ? submitted
+          : (await this.reconcileOrder(submitted, { persist: false })) || submitted;
+        await this.persistOrder(reconciled, { reason });
+        return {
+          ok: true,
+          orderId: reconciled.id || null,
+          exchangeOrderId: reconciled.exchangeOrderId || null,
+          state: reconciled.state || null,
+        };
+      } catch (error) {
+        return { ok: false, error: error.message };
+      }
+    });
+  }
+
+  async setKillSwitch(enabled, reason = null) {
+    const wasEnabled = Boolean(this.store.snapshot().settings.killSwitch);
+    await this.store.update((state) => {
+      state.settings.killSwitch = Boolean(enabled);
+      state.settings.killSwitchAt = nowIso();
+      state.settings.killSwitchReason = reason || null;
+      return state;
+    });
+    const liquidating = Boolean(enabled) && !wasEnabled && this.config.liquidation?.onKillSwitch === true
+      && this.startLiquidation({ reason: `kill_switch:${reason || "manual"}`, source: "kill_switch" });
+
+    return {
+      ok: true,
+      code: EXIT_CODES.OK,
+      data: {
+        killSwitch: Boolean(enabled),
+        reason: reason || null,
+        liquidating: Boolean(liquidating),
+      },
+    };
+  }
+
+  async applyStrategySettings(strategy = {}, source = "runtime") {
+    const normalized = normalizeRuntimeStrategy(strategy, this.config.strategy);
+    this.config.strategy = normalized;
+    this.signalEngine = createSignalEngine(this.config);
+    await this.store.appendEvent?.({ type: "strategy_settings_applied", source, strategy: normalized });
+    this.logger.info("strategy settings applied", {
       source,
       strategy: normalized.name,
       defaultSymbol: normalized.defaultSymbol,
@@ -1543,7 +2557,7 @@ export class TradingSystem {
         strategy: `${this.config.strategy.name}_realtime`,
         symbol: normalizedSymbol,
         startedAt,
-        mode: "live",
+        mode: this.runtimeMode(),
         dryRun: Boolean(dryRun),
         status: "RUNNING",
       });
@@ -1552,23 +2566,45 @@ export class TradingSystem {
 
     const intervalMs = parseIntervalMs(this.config.strategy.candleInterval);
     const maxCandles = asPositiveInt(this.config.strategy.candleCount, 120);
-    const aggregator = new CandleAggregator(intervalMs, maxCandles + 20);
+    // The shared market stream keeps its aggregator warm across windows; history is only
+    // reloaded on first use or after a stream gap.
+    const shared = this.marketStream && typeof this.marketStream.covers === "function"
+      && this.marketStream.covers(normalizedSymbol)
+      ? this.marketStream.aggregator(normalizedSymbol, intervalMs, maxCandles + 20)
+      : null;
+    const aggregator = shared ? shared.aggregator : new CandleAggregator(intervalMs, maxCandles + 20);
+    if (this.candleStore) {
+      const interval = this.config.strategy.candleInterval;
+      aggregator.onClose = (candle) => {
+        this.candleStore.record(normalizedSymbol, interval, candle).catch((error) => {
+          this.logger.warn("realtime: failed to store live candle", {
+            symbol: normalizedSymbol,
+            reason: error.message,
+          });
+        });
+      };
+    }
 
     // Pre-load historical OHLCV candles to seed the aggregator before live ticks arrive.
-    try {
-      const candleRes = await this.marketData.getCandles({
-        symbol: normalizedSymbol,
-        interval: this.config.strategy.candleInterval,
-        count: maxCandles,
-      });
-      if (candleRes?.candles?.length > 0) {
-        aggregator.loadFromHistory(candleRes.candles);
+    if (!shared?.seeded) {
+      try {
+        const candleRes = await (this.candleStore || this.marketData).getCandles({
+          symbol: normalizedSymbol,
+          interval: this.config.strategy.candleInterval,
+          count: maxCandles,
+        });
+        if (candleRes?.candles?.length > 0) {
+          aggregator.loadFromHistory(candleRes.candles);
+          if (shared) {
+            shared.seeded = true;
+          }
+        }
+      } catch (err) {
+        this.logger.warn("realtime: failed to pre-load historical candles", {
+          symbol: normalizedSymbol,
+          reason: err.message,
+        });
       }
-    } catch (err) {
-      this.logger.warn("realtime: failed to pre-load historical candles", {
-        symbol: normalizedSymbol,
-        reason: err.message,
-      });
     }
 
     const decisions = [];
@@ -1587,12 +2623,14 @@ export class TradingSystem {
     const decisionTrailLimit = asPositiveInt(this.config.runtime?.retention?.strategyRunDecisions, 25);
 
     try {
-      streamHandle = await this.wsClient.openTickerStream({
-        symbols: [normalizedSymbol],
+      const handlers = {
         onTicker: (tick) => {
           tickCount += 1;
+          this.metrics.ticks.inc({ symbol: normalizedSymbol });
           const tickTs = Number.isFinite(Number(tick.timestamp)) ? Number(tick.timestamp) : Date.now();
-          aggregator.push(tick.tradePrice, tickTs);
+          if (!shared) {
+            aggregator.push(tick.tradePrice, tickTs);
+          }
           // Snapshot the candle state at the moment this tick arrived so the async
           // callback evaluates the signal with a consistent, point-in-time view even
           // if later ticks update the aggregator before the promise chain resolves.
@@ -1600,11 +2638,13 @@ export class TradingSystem {
 
           processing = processing
             .then(async () => {
+              await this.observeTickForBreakers(normalizedSymbol, tick.tradePrice, tickTs);
               if (candlesSnapshot.length < windowSize) {
                 return;
               }
 
               const signal = this.signalEngine.evaluate(candlesSnapshot);
+              this.metrics.signals.inc({ symbol: normalizedSymbol, action: signal.action });
               if (signal.action === "BUY") {
                 buySignals += 1;
               } else if (signal.action === "SELL") {
@@ -1614,6 +2654,7 @@ export class TradingSystem {
               const protectiveExit = await this.resolveProtectiveExit({
                 symbol: normalizedSymbol,
                 currentPrice: tick.tradePrice,
+                candles: candlesSnapshot,
               });
               const forcedExit = protectiveExit?.shouldExit ? true : false;
               const protectiveReason = protectiveExit?.reason || null;
@@ -1630,7 +2671,8 @@ export class TradingSystem {
                 selectedAction = protectiveExit.action;
               } else if (canUseOverride) {
                 selectedAction = aiPolicy.forceAction;
-                selectedReason = aiPolicy.note || "ai_override";
+                // A fixed reason keeps the AI entry path separable in KPI attribution; the note goes to the decision trail.
+                selectedReason = `ai_force_${String(aiPolicy.forceAction).toLowerCase()}`;
                 selectedSource = "ai_override";
               } else if (signal.action === "BUY") {
                 if (aiPolicy.allowBuy) {
@@ -1652,16 +2694,20 @@ export class TradingSystem {
                 return;
               }
 
-              const nowMs = Date.now();
-              if (cooldownMs > 0 && nowMs - lastOrderAtMs < cooldownMs) {
+              const entryBlock = selectedAction === "BUY" && !forcedExit
+                ? this.kpiGuardBlockFor(normalizedSymbol, selectedReason)
+                : null;
+              if (entryBlock) {
                 decisions.push({
                   at: nowIso(),
                   price: tick.tradePrice,
                   signal: signal.action,
                   action: selectedAction,
                   actionSource: selectedSource,
-                  side: selectedAction === "SELL" ? "sell" : "buy",
-                  skipped: "cooldown",
+                  actionReason: selectedReason,
+                  side: "buy",
+                  skipped: "kpi_guard_block",
+                  block: entryBlock,
                 });
                 while (decisions.length > decisionTrailLimit) {
                   decisions.shift();
@@ -1669,17 +2715,18 @@ export class TradingSystem {
                 return;
               }
 
-              if (orderAttemptsLimit > 0 && attemptedOrders >= orderAttemptsLimit) {
+              const breaker = this.circuitBreakerBlockFor(selectedAction === "SELL" ? "sell" : "buy");
+              if (breaker) {
                 decisions.push({
                   at: nowIso(),
                   price: tick.tradePrice,
                   signal: signal.action,
                   action: selectedAction,
                   actionSource: selectedSource,
+                  actionReason: selectedReason,
                   side: selectedAction === "SELL" ? "sell" : "buy",
-                  skipped: "order_attempt_cap",
-                  orderAttemptsLimit,
-                  attemptedOrders,
+                  skipped: "circuit_breaker",
+                  breaker: { name: breaker.name, action: breaker.action, reason: breaker.reason },
                 });
                 while (decisions.length > decisionTrailLimit) {
                   decisions.shift();
@@ -1687,34 +2734,16 @@ export class TradingSystem {
                 return;
               }
 
-              const overlay = await this.resolveOverlay();
-              const aiOverrideAmount =
-                selectedSource === "ai_override" ? asPositiveNumber(aiPolicy.forceAmountKrw, null) : null;
-              const baseAmount =
-                aiOverrideAmount ?? asNumber(amount, null) ?? this.config.strategy.baseOrderAmountKrw;
-              const signalMultiplier =
-                selectedSource === "ai_override" ? 1 : signalRiskMultiplier(signal, this.config);
-              const totalMultiplier =
-                selectedSource === "ai_override" && aiOverrideAmount !== null
-                  ? 1
-                  : Math.max(0.01, overlay.multiplier * signalMultiplier);
-              const adjustedAmount = Math.max(1, Math.round(baseAmount * totalMultiplier));
-              const cappedAmount = clampOrderAmountByRiskLimits(adjustedAmount, this.config.risk);
-              const orderSide = selectedAction === "SELL" ? "sell" : "buy";
-              let orderAmountKrw = cappedAmount;
-              let sellPlan = null;
-
-              if (!Number.isFinite(cappedAmount) || cappedAmount <= 0) {
+              const nowMs = Date.now();
+              if (cooldownMs > 0 && nowMs - lastOrderAtMs < cooldownMs) {
                 decisions.push({
                   at: nowIso(),
                   price: tick.tradePrice,
                   signal: signal.action,
                   action: selectedAction,
                   actionSource: selectedSource,
-                  side: orderSide,
-                  skipped: "order_amount_invalid_after_risk_cap",
-                  amountAdjustedKrw: adjustedAmount,
-                  amountCappedKrw: cappedAmount,
+                  side: selectedAction === "SELL" ? "sell" : "buy",
+                  skipped: "cooldown",
                 });
                 while (decisions.length > decisionTrailLimit) {
                   decisions.shift();
@@ -1722,25 +2751,134 @@ export class TradingSystem {
                 return;
               }
 
-              if (orderSide === "sell") {
-                sellPlan = await this.resolveSellOrderAmount({
-                  symbol: normalizedSymbol,
+              if (orderAttemptsLimit > 0 && attemptedOrders >= orderAttemptsLimit) {
+                decisions.push({
+                  at: nowIso(),
                   price: tick.tradePrice,
-                  fallbackAmountKrw: cappedAmount,
+                  signal: signal.action,
+                  action: selectedAction,
+                  actionSource: selectedSource,
+                  side: selectedAction === "SELL" ? "sell" : "buy",
+                  skipped: "order_attempt_cap",
+                  orderAttemptsLimit,
+                  attemptedOrders,
+                });
+                while (decisions.length > decisionTrailLimit) {
+                  decisions.shift();
+                }
+                return;
+              }
+
+              const overlay = await this.resolveOverlay();
+              // Portfolio sizing trades the gap to the symbol's target instead of a fixed ticket.
+              // Protective exits and AI overrides keep their own sizing.
+              let sizing = null;
+              if (this.config.sizing.mode !== "fixed" && selectedSource === "rule_signal") {
+                const plan = await this.resolvePositionTargets({
+                  symbol: normalizedSymbol,
+                  price: tick.tradePrice,
+                  candles: candlesSnapshot,
+                  multiplier: overlay.multiplier,
+                });
+                const targetKrw = selectedAction === "SELL" ? 0 : plan.targets[normalizedSymbol];
+                const delta = targetKrw === undefined
+                  ? null
+                  : this.positionSizer.delta({
+                    targetKrw,
+                    currentKrw: plan.holdings[normalizedSymbol] || 0,
+                    minOrderKrw: Math.max(this.config.sizing.rebalanceMinKrw, this.config.risk.minOrderNotionalKrw),
+                  });
+                sizing = {
+                  mode: plan.mode,
+                  equityKrw: plan.equityKrw,
+                  volatility: plan.volatility[normalizedSymbol] ?? null,
+                  targetKrw: targetKrw ?? null,
+                  currentKrw: plan.holdings[normalizedSymbol] || 0,
+                  cap: plan.cap,
+                  kellyFraction: plan.kelly?.fraction ?? null,
+                  delta,
+                };
+                const trimBlocked = delta?.side === "sell" && selectedAction === "BUY"
+                  && (!autoSellEnabled || !aiPolicy.allowSell);
+                if (!delta || trimBlocked) {
+                  decisions.push({
+                    at: nowIso(),
+                    price: tick.tradePrice,
+                    signal: signal.action,
+                    action: selectedAction,
+                    actionSource: selectedSource,
+                    actionReason: selectedReason,
+                    side: delta?.side || (selectedAction === "SELL" ? "sell" : "buy"),
+                    skipped: trimBlocked ? "rebalance_sell_blocked" : targetKrw === undefined ? "sizing_no_volatility" : "at_target",
+                    sizing,
+                  });
+                  while (decisions.length > decisionTrailLimit) {
+                    decisions.shift();
+                  }
+                  return;
+                }
+                if (delta.side === "sell" && selectedAction === "BUY") {
+                  selectedAction = "SELL";
+                  selectedReason = "rebalance_trim";
+                }
+              }
+              const aiOverrideAmount =
+                selectedSource === "ai_override" ? asPositiveNumber(aiPolicy.forceAmountKrw, null) : null;
+              const baseAmount = sizing
+                ? sizing.delta.amountKrw
+                : aiOverrideAmount ?? asNumber(amount, null) ?? this.config.strategy.baseOrderAmountKrw;
+              const signalMultiplier =
+                selectedSource === "ai_override" || sizing ? 1 : signalRiskMultiplier(signal, this.config);
+              const totalMultiplier =
+                (selectedSource === "ai_override" && aiOverrideAmount !== null) || sizing
+                  ? 1
+                  : Math.max(0.01, overlay.multiplier * signalMultiplier);
+              const adjustedAmount = Math.max(1, Math.round(baseAmount * totalMultiplier));
+              const cappedAmount = clampOrderAmountByRiskLimits(adjustedAmount, this.config.risk);
+              const orderSide = selectedAction === "SELL" ? "sell" : "buy";
+              let orderAmountKrw = cappedAmount;
+              let sellPlan = null;
+
+              if (!Number.isFinite(cappedAmount) || cappedAmount <= 0) {
+                decisions.push({
+                  at: nowIso(),
+                  price: tick.tradePrice,
+                  signal: signal.action,
+                  action: selectedAction,
+                  actionSource: selectedSource,
+                  side: orderSide,
+                  skipped: "order_amount_invalid_after_risk_cap",
+                  amountAdjustedKrw: adjustedAmount,
+                  amountCappedKrw: cappedAmount,
+                });
+                while (decisions.length > decisionTrailLimit) {
+                  decisions.shift();
+                }
+                return;
+              }
+
+              if (orderSide === "sell") {
+                sellPlan = await this.resolveSellOrderAmount({
+                  symbol: normalizedSymbol,
+                  price: tick.tradePrice,
+                  fallbackAmountKrw: cappedAmount,
                 });
                 orderAmountKrw = asNumber(sellPlan.amountKrw, cappedAmount);
-                orderAmountKrw = Math.min(orderAmountKrw, cappedAmount);
+                if (!this.config.slicing?.enabled) {
+                  orderAmountKrw = Math.min(orderAmountKrw, cappedAmount);
+                } else if (sizing) {
+                  orderAmountKrw = Math.min(orderAmountKrw, sizing.delta.amountKrw);
+                }
+                const fitted = fitSellAmount(orderAmountKrw, {
+                  holdingKrw: sellPlan.holdingKrw,
+                  minTotalKrw: sellPlan.minTotalKrw,
+                  maxKrw: this.config.slicing?.enabled ? Infinity : this.config.risk.maxOrderNotionalKrw,
+                });
+                orderAmountKrw = fitted.amountKrw;
+                sellPlan = { ...sellPlan, adjustment: fitted.adjustment };
                 if (!Number.isFinite(orderAmountKrw) || orderAmountKrw <= 0) {
                   if (forcedExit) {
-                    await this.recordRiskEvent({
-                      type: "protective_exit",
-                      source: "risk_exit_rule",
-                      symbol: normalizedSymbol,
-                      reason: protectiveReason,
-                      pnlRatio: protectiveExit.pnlRatio,
-                      avgBuyPrice: protectiveExit.avgBuyPrice,
-                      currentPrice: protectiveExit.currentPrice,
-                    });
+                    await this.recordProtectiveExit(normalizedSymbol, protectiveExit);
                   }
                   decisions.push({
                     at: nowIso(),
@@ -1749,7 +2887,7 @@ export class TradingSystem {
                     action: selectedAction,
                     actionSource: selectedSource,
                     side: orderSide,
-                    skipped: "no_position",
+                    skipped: sellPlan.dust ? "dust" : "no_position",
                     sellPlan,
                   });
                   while (decisions.length > decisionTrailLimit) {
@@ -1761,15 +2899,7 @@ export class TradingSystem {
 
               attemptedOrders += 1;
               if (forcedExit) {
-                await this.recordRiskEvent({
-                  type: "protective_exit",
-                  source: "risk_exit_rule",
-                  symbol: normalizedSymbol,
-                  reason: protectiveReason,
-                  pnlRatio: protectiveExit.pnlRatio,
-                  avgBuyPrice: protectiveExit.avgBuyPrice,
-                  currentPrice: protectiveExit.currentPrice,
-                });
+                await this.recordProtectiveExit(normalizedSymbol, protectiveExit);
               }
 
               const order = await this.placeOrder({
@@ -1781,6 +2911,7 @@ export class TradingSystem {
                 expectedPrice: tick.tradePrice,
                 dryRun,
                 reason: `strategy:${this.config.strategy.name}:realtime:${selectedReason}`,
+                executionMode: this.config.execution.orderMode,
               });
               if (!dryRun && selectedSource === "ai_override" && aiPolicy.forceOnce) {
                 overrideActionConsumed = true;
@@ -1798,6 +2929,7 @@ export class TradingSystem {
                 action: selectedAction,
                 actionSource: selectedSource,
                 actionReason: selectedReason,
+                aiNote: selectedSource === "ai_override" ? aiPolicy.note || null : null,
                 side: orderSide,
                 amountBaseKrw: baseAmount,
                 amountAdjustedKrw: adjustedAmount,
@@ -1806,6 +2938,7 @@ export class TradingSystem {
                 overlayMultiplier: overlay.multiplier,
                 signalMultiplier,
                 totalMultiplier,
+                sizing,
                 sellPlan,
                 protectiveExit: forcedExit ? protectiveExit : null,
                 orderOk: order.ok,
@@ -1829,7 +2962,13 @@ export class TradingSystem {
             streamHandle.close();
           }
         },
-      });
+      };
+      streamHandle = shared
+        ? this.marketStream.subscribe(normalizedSymbol, handlers)
+        : await this.wsClient.openTickerStream({
+          symbols: [normalizedSymbol],
+          ...handlers,
+        });
 
       if (durationMs > 0) {
         timer = setTimeout(() => {
@@ -1958,6 +3097,54 @@ export class TradingSystem {
     }
   }
 
+  // Pages candle history into the on-disk cache, one symbol after another. Requests go through
+  // marketData, so they share the exchange client's public rate limiter and retries.
+  async backfillCandles({ symbols = [], interval = null, count = null, days = null, maxPages = null } = {}) {
+    const list = Array.from(new Set((Array.isArray(symbols) ? symbols : [symbols])
+      .filter(Boolean)
+      .map((symbol) => normalizeSymbol(symbol))));
+    if (list.length === 0) {
+      list.push(normalizeSymbol(this.config.strategy.defaultSymbol));
+    }
+    const store = this.candleStore || new CandleStore(this.config, this.marketData, { logger: this.logger });
+    const results = [];
+    try {
+      for (const symbol of list) {
+        const summary = await store.backfillHistory({
+          symbol,
+          interval: interval || this.config.strategy.candleInterval,
+          count,
+          days,
+          maxPages: maxPages || Infinity,
+          onPage: (page) => {
+            this.logger.info("candle backfill page", {
+              symbol,
+              ...page,
+            });
+          },
+        });
+        results.push(summary);
+      }
+    } catch (error) {
+      return {
+        ok: false,
+        code: error.code === EXIT_CODES.INVALID_ARGS ? EXIT_CODES.INVALID_ARGS : EXIT_CODES.EXCHANGE_RETRYABLE,
+        error: {
+          message: error.message,
+          completed: results,
+        },
+      };
+    }
+    return {
+      ok: true,
+      code: EXIT_CODES.OK,
+      data: {
+        complete: results.every((row) => row.complete),
+        results,
+      },
+    };
+  }
+
   async getOrderChance(symbol) {
     try {
       const normalized = normalizeSymbol(symbol || this.config.strategy.defaultSymbol);
@@ -1988,6 +3175,7 @@ export class TradingSystem {
       const accounts = normalizeAccounts(payload);
       const metrics = calculateAccountMetrics(accounts);
       await this.captureBalancesSnapshot("account_list", accounts);
+      await this.reconcilePositionLedger(accounts);
       return {
         ok: true,
         code: EXIT_CODES.OK,
@@ -2030,11 +3218,79 @@ export class TradingSystem {
     return snapshots[snapshots.length - 1];
   }
 
+  getLedgerPosition(symbol) {
+    const ledger = this.store.snapshot().positionLedger;
+    const position = ledger?.positions?.[normalizeSymbol(symbol)];
+    return position && position.qty > 0 ? position : null;
+  }
+
+  async reconcilePositionLedger(accounts = []) {
+    let applied = [];
+    await this.store.update((state) => {
+      if (!state.positionLedger) {
+        state.positionLedger = createPositionLedger(this.config.ledger.costMethod);
+      }
+      applied = reconcileLedgerWithAccounts(state.positionLedger, accounts, {
+        nowMs: Date.now(),
+        graceMs: this.config.ledger.reconcileGraceSec * 1000,
+        minNotionalKrw: this.config.ledger.reconcileMinKrw,
+        prices: Object.fromEntries(this.lastMarks),
+      });
+      for (const adjustment of applied) {
+        state.riskEvents.push({
+          id: uuid(),
+          at: nowIso(),
+          type: "ledger_reconciled",
+          symbol: adjustment.symbol,
+          qty: adjustment.qty,
+          price: adjustment.price,
+        });
+      }
+      clearFlatProtectiveStops(state, applied.map((adjustment) => adjustment.symbol));
+      return this.applyStateRetention(state);
+    });
+    return applied;
+  }
+
+  positionSummary() {
+    return markPositionLedger(this.store.snapshot().positionLedger, Object.fromEntries(this.lastMarks));
+  }
+
+  async positions({ symbol = null } = {}) {
+    const ledger = this.store.snapshot().positionLedger;
+    const symbols = Object.values(ledger?.positions || {})
+      .filter((position) => position.qty > 0)
+      .map((position) => position.symbol)
+      .filter((row) => !symbol || row === normalizeSymbol(symbol));
+    for (const row of symbols) {
+      try {
+        const ticker = await this.marketData.getMarketTicker(row);
+        const lastPrice = asNumber(this.marketData.extractTickerMetrics(ticker)?.lastPrice, null);
+        if (lastPrice !== null && lastPrice > 0) {
+          this.lastMarks.set(row, lastPrice);
+        }
+      } catch (error) {
+        this.logger.warn("position mark price unavailable", { symbol: row, reason: error.message });
+      }
+    }
+
+    const summary = this.positionSummary();
+    if (symbol) {
+      summary.positions = summary.positions.filter((row) => row.symbol === normalizeSymbol(symbol));
+    }
+    return {
+      ok: true,
+      code: EXIT_CODES.OK,
+      data: summary,
+    };
+  }
+
   async loadAccountContext() {
     try {
       const payload = await this.exchangeClient.getAccounts();
       const accounts = normalizeAccounts(payload);
       await this.captureBalancesSnapshot("risk_context", accounts);
+      await this.reconcilePositionLedger(accounts);
       return {
         accounts,
         metrics: calculateAccountMetrics(accounts),
@@ -2065,6 +3321,9 @@ export class TradingSystem {
     }
   }
 
+  // With sellAllOnExit the whole available holding is sold, otherwise the fallback amount.
+  // The plan carries the holding value and the smallest sellable total so callers can keep
+  // the order and what it leaves behind above the minimum (fitSellAmount).
   async resolveSellOrderAmount({
     symbol,
     price,
@@ -2074,11 +3333,11 @@ export class TradingSystem {
       amountKrw: fallbackAmountKrw,
       source: "fallback_amount",
       availableQty: null,
+      holdingKrw: null,
+      minTotalKrw: null,
+      dust: false,
     };
-
-    if (this.config.strategy.sellAllOnExit === false) {
-      return fallback;
-    }
+    const sellAll = this.config.strategy.sellAllOnExit !== false;
 
     const normalizedSymbol = normalizeSymbol(symbol || this.config.strategy.defaultSymbol);
     const [baseCurrency] = normalizedSymbol.split("_");
@@ -2088,6 +3347,9 @@ export class TradingSystem {
     }
 
     const accountContext = await this.loadAccountContext();
+    if (!sellAll && accountContext.source === "empty") {
+      return fallback;
+    }
     let availableQty = 0;
     for (const account of accountContext.accounts || []) {
       const currency = String(account.currency || "").trim().toUpperCase();
@@ -2102,48 +3364,356 @@ export class TradingSystem {
     const flooredQty = floorToDecimals(availableQty, qtyPrecision);
     if (!Number.isFinite(flooredQty) || flooredQty <= 0) {
       return {
+        ...fallback,
         amountKrw: 0,
-        source: "sell_all_no_position",
+        source: sellAll ? "sell_all_no_position" : "no_position",
         availableQty: 0,
+        holdingKrw: 0,
       };
     }
 
-    const amountKrw = flooredQty * resolvedPrice;
-    if (!Number.isFinite(amountKrw) || amountKrw <= 0) {
+    const holdingKrw = flooredQty * resolvedPrice;
+    if (!Number.isFinite(holdingKrw) || holdingKrw <= 0) {
       return {
+        ...fallback,
         amountKrw: 0,
         source: "sell_all_invalid_notional",
         availableQty: flooredQty,
       };
     }
 
+    const minTotalKrw = await this.sellMinTotalKrw(normalizedSymbol);
+    if (isDust(holdingKrw, minTotalKrw)) {
+      return {
+        amountKrw: 0,
+        source: "dust",
+        availableQty: flooredQty,
+        holdingKrw,
+        minTotalKrw,
+        dust: true,
+      };
+    }
+
     return {
-      amountKrw,
-      source: "sell_all_available_qty",
+      amountKrw: sellAll ? holdingKrw : fallbackAmountKrw,
+      source: sellAll ? "sell_all_available_qty" : "fallback_amount",
       availableQty: flooredQty,
+      holdingKrw,
+      minTotalKrw,
+      dust: false,
     };
   }
 
-  async resolveDailyPnl(equityKrw) {
-    if (!Number.isFinite(equityKrw) || equityKrw <= 0) {
+  // Smallest sell both the exchange (`getOrderChance` ask min_total) and the risk engine
+  // accept. Exchange minimums are cached for DUST_CHANCE_REFRESH_SEC.
+  async sellMinTotalKrw(symbol) {
+    const normalized = normalizeSymbol(symbol);
+    const cached = this.orderChanceCache.get(normalized);
+    if (!cached || cached.expiresAt <= Date.now()) {
+      try {
+        const chance = await this.exchangeClient.getOrderChance({ symbol: normalized });
+        this.cacheSellMinTotal(normalized, parseMinTotal(chance, "sell"));
+      } catch (error) {
+        this.logger.warn("order chance unavailable for dust check", {
+          symbol: normalized,
+          reason: error.message,
+        });
+      }
+    }
+    return this.cachedSellMinTotalKrw(normalized);
+  }
+
+  cacheSellMinTotal(symbol, minTotalKrw) {
+    this.orderChanceCache.set(symbol, {
+      minTotalKrw,
+      expiresAt: Date.now() + asPositiveInt(this.config.dust?.chanceRefreshSec, 3_600) * 1000,
+    });
+  }
+
+  // Without a cached exchange minimum DUST_MIN_TOTAL_KRW stands in for it.
+  cachedSellMinTotalKrw(symbol) {
+    const exchangeMinKrw = asNumber(this.orderChanceCache.get(normalizeSymbol(symbol))?.minTotalKrw, 0)
+      || asNumber(this.config.dust?.minTotalKrw, 0);
+    return Math.max(asNumber(this.config.risk.minOrderNotionalKrw, 0), exchangeMinKrw);
+  }
+
+  // Holdings worth less than the smallest sellable total. The daemon calls maybeReportDust
+  // each window; the report is kept in settings and logged to riskEvents when the set changes.
+  // Full history from the SQLite backend; the JSON store only has the retained tail.
+  async history({ collection, symbol = null, type = null, since = null, until = null, limit = 100 } = {}) {
+    if (typeof this.store.history !== "function") {
       return {
-        tradeDate: toDateByTimezone(this.config.runtime.timezone),
-        baselineEquityKrw: null,
-        dailyPnlKrw: 0,
+        ok: false,
+        code: EXIT_CODES.INVALID_ARGS,
+        error: { message: "History queries need TRADER_STATE_BACKEND=sqlite" },
+      };
+    }
+    const toIso = (value) => {
+      if (!value) {
+        return null;
+      }
+      const parsedMs = Date.parse(String(value));
+      return Number.isFinite(parsedMs) ? new Date(parsedMs).toISOString() : undefined;
+    };
+    const range = { since: toIso(since), until: toIso(until) };
+    if (range.since === undefined || range.until === undefined) {
+      return {
+        ok: false,
+        code: EXIT_CODES.INVALID_ARGS,
+        error: { message: "since/until must be ISO timestamps" },
       };
     }
+    const rows = this.store.history(collection, {
+      symbol: symbol ? normalizeSymbol(symbol) : null,
+      kind: type || null,
+      ...range,
+      limit: asPositiveInt(limit, 100),
+    });
+    if (!rows) {
+      return {
+        ok: false,
+        code: EXIT_CODES.INVALID_ARGS,
+        error: { message: `Unknown history collection: ${collection}. Use one of ${HISTORY_COLLECTIONS.join(", ")}` },
+      };
+    }
+    return {
+      ok: true,
+      code: EXIT_CODES.OK,
+      data: { collection, count: rows.length, rows },
+    };
+  }
 
-    const tradeDate = toDateByTimezone(this.config.runtime.timezone);
-    let baseline = null;
+  // Trade rows and yearly per-asset totals for accounting, from every fill and filled order the
+  // store still has (all history rows on SQLite). With `backfill`, finished orders are also paged
+  // from the exchange to cover trades that retention already dropped locally.
+  async taxExport({ year = null, symbol = null, backfill = false, maxPages = 20 } = {}) {
+    const targetYear = year === null || year === undefined || year === "" ? null : Number(year);
+    if (targetYear !== null && !(Number.isInteger(targetYear) && targetYear >= 2000 && targetYear <= 9999)) {
+      return {
+        ok: false,
+        code: EXIT_CODES.INVALID_ARGS,
+        error: { message: `Invalid year: ${year}` },
+      };
+    }
+    const targetSymbol = symbol ? normalizeSymbol(symbol) : null;
+    const snapshot = this.store.snapshot();
+    if (this.runtimeMode() === "paper" || snapshot.system?.mode === "paper") {
+      return {
+        ok: false,
+        code: EXIT_CODES.INVALID_ARGS,
+        error: { message: "Tax export reads live trading history; this state holds paper fills" },
+      };
+    }
+    const fills = [...snapshot.fills];
+    const orders = [...snapshot.orders];
+    if (typeof this.store.history === "function") {
+      fills.push(...this.store.history("fills", { symbol: targetSymbol, limit: 1_000_000_000 }));
+      orders.push(...this.store.history("orders", { symbol: targetSymbol, limit: 1_000_000_000 }));
+    }
 
-    await this.store.update((state) => {
-      const saved = state.settings.dailyPnlBaseline;
-      const savedValue = asNumber(saved?.equityKrw, null);
-      if (saved && saved.date === tradeDate && savedValue !== null && savedValue > 0) {
-        baseline = savedValue;
-        return state;
+    const exchangeOrders = [];
+    if (backfill) {
+      const pageSize = 100;
+      try {
+        for (let page = 1; page <= asPositiveInt(maxPages, 20); page += 1) {
+          const rows = toOrderListRows(await this.exchangeClient.listOrders({
+            symbol: targetSymbol,
+            states: ["done", "cancel"],
+            page,
+            limit: pageSize,
+            orderBy: "desc",
+          }));
+          for (const row of rows) {
+            const payload = toOrderPayload(row);
+            exchangeOrders.push(normalizeOrderFromExchange(row, {
+              symbol: payload.market ? fromBithumbMarket(payload.market) : null,
+              createdAt: payload.created_at || null,
+              source: "exchange_backfill",
+            }));
+          }
+          if (rows.length < pageSize) {
+            break;
+          }
+        }
+      } catch (error) {
+        return {
+          ok: false,
+          code: this.exchangeClient.isRetryableError(error) ? EXIT_CODES.EXCHANGE_RETRYABLE : EXIT_CODES.EXCHANGE_FATAL,
+          error: { message: `Exchange order backfill failed: ${error.message}` },
+        };
+      }
+    }
+
+    const trades = collectTaxTrades({ fills, orders: [...orders, ...exchangeOrders] });
+    return {
+      ok: true,
+      code: EXIT_CODES.OK,
+      data: {
+        ...buildTaxReport(trades, { year: targetYear, symbol: targetSymbol }),
+        sources: {
+          fills: fills.length,
+          orders: orders.length,
+          exchangeOrders: exchangeOrders.length,
+        },
+      },
+    };
+  }
+
+  // What the event log says the state was at `time`: the chosen top-level `keys`, or a summary of
+  // open orders, intents, recent fills and risk events plus the decisions logged since the snapshot.
+  async stateAt({ time = null, keys = null } = {}) {
+    const eventLog = this.store.eventLog;
+    if (!eventLog) {
+      return {
+        ok: false,
+        code: EXIT_CODES.INVALID_ARGS,
+        error: { message: "The event log is disabled (TRADER_EVENT_LOG_ENABLED=false)" },
+      };
+    }
+    const parsedMs = time ? Date.parse(String(time)) : Date.now();
+    if (!Number.isFinite(parsedMs)) {
+      return {
+        ok: false,
+        code: EXIT_CODES.INVALID_ARGS,
+        error: { message: "time must be an ISO timestamp" },
+      };
+    }
+    const at = new Date(parsedMs).toISOString();
+    const replayed = await eventLog.stateAt(at);
+    if (!replayed) {
+      return {
+        ok: false,
+        code: EXIT_CODES.INVALID_ARGS,
+        error: { message: `The event log does not reach back to ${at}` },
+      };
+    }
+
+    const { state } = replayed;
+    const selected = String(keys || "").split(",").map((key) => key.trim()).filter(Boolean);
+    const view = selected.length > 0
+      ? Object.fromEntries(selected.map((key) => [key, state[key] ?? null]))
+      : {
+        settings: state.settings || {},
+        openOrders: new MemoryStateStore(state).getOpenOrders(),
+        orderIntents: Object.values(state.orderIntents || {}),
+        holdings: state.holdings || [],
+        recentFills: (state.fills || []).slice(-20),
+        recentRiskEvents: (state.riskEvents || []).slice(-20),
+        decisions: replayed.events.slice(-20),
+      };
+    return {
+      ok: true,
+      code: EXIT_CODES.OK,
+      data: {
+        at,
+        snapshotAt: replayed.snapshotAt,
+        lastChangeAt: replayed.lastAt,
+        ...view,
+      },
+    };
+  }
+
+  async rebuildStateFromEventLog() {
+    if (!this.store.eventLog) {
+      return {
+        ok: false,
+        code: EXIT_CODES.INVALID_ARGS,
+        error: { message: "The event log is disabled (TRADER_EVENT_LOG_ENABLED=false)" },
+      };
+    }
+    const rebuilt = await this.store.rebuildFromEventLog();
+    if (!rebuilt) {
+      return {
+        ok: false,
+        code: EXIT_CODES.INVALID_ARGS,
+        error: { message: `No snapshot found in ${this.store.eventLog.dir}` },
+      };
+    }
+    return {
+      ok: true,
+      code: EXIT_CODES.OK,
+      data: rebuilt,
+    };
+  }
+
+  async dustReport() {
+    const accountContext = await this.loadAccountContext();
+    const holdings = [];
+    for (const account of accountContext.accounts || []) {
+      const currency = String(account?.currency || "").toUpperCase();
+      const unitCurrency = String(account?.unitCurrency || "KRW").toUpperCase();
+      const qty = Math.max(asNumber(account?.balance, 0), 0) + Math.max(asNumber(account?.locked, 0), 0);
+      if (!currency || currency === "KRW" || unitCurrency !== "KRW" || qty <= 0) {
+        continue;
+      }
+      const symbol = `${currency}_KRW`;
+      const price = await this.resolveLiquidationPrice(symbol, account);
+      if (price === null) {
+        continue;
+      }
+      const minTotalKrw = await this.sellMinTotalKrw(symbol);
+      if (isDust(qty * price, minTotalKrw)) {
+        holdings.push({ symbol, qty, price, valueKrw: qty * price, minTotalKrw });
       }
+    }
+    const report = {
+      at: nowIso(),
+      count: holdings.length,
+      totalValueKrw: holdings.reduce((sum, row) => sum + row.valueKrw, 0),
+      holdings,
+    };
 
+    let previous = null;
+    await this.store.update((state) => {
+      previous = state.settings.dustReport || null;
+      state.settings.dustReport = report;
+      return state;
+    });
+    const symbolsKey = (row) => (row?.holdings || []).map((item) => item.symbol).sort().join(",");
+    if (symbolsKey(previous) !== symbolsKey(report)) {
+      this.logger.info("dust holdings changed", {
+        symbols: holdings.map((row) => row.symbol),
+        totalValueKrw: report.totalValueKrw,
+      });
+      await this.recordRiskEvent({
+        type: "dust_report",
+        source: "dust",
+        report,
+      });
+    }
+    return {
+      ok: true,
+      code: EXIT_CODES.OK,
+      data: report,
+    };
+  }
+
+  async maybeReportDust(nowMs = Date.now()) {
+    const intervalSec = asNumber(this.config.dust?.reportIntervalSec, 0);
+    if (!(intervalSec > 0) || nowMs - this.lastDustReportAtMs < intervalSec * 1000) {
+      return null;
+    }
+    this.lastDustReportAtMs = nowMs;
+    return this.dustReport();
+  }
+
+  // Stores the day's baseline inside a store update the caller owns, the first time it is
+  // needed on a trade date, and returns the daily PnL against it.
+  applyDailyPnlBaseline(state, equityKrw, tradeDate) {
+    if (!Number.isFinite(equityKrw) || equityKrw <= 0) {
+      return {
+        tradeDate,
+        baselineEquityKrw: null,
+        dailyPnlKrw: 0,
+      };
+    }
+
+    let baseline;
+    const saved = state.settings.dailyPnlBaseline;
+    const savedValue = asNumber(saved?.equityKrw, null);
+    if (saved && saved.date === tradeDate && savedValue !== null && savedValue > 0) {
+      baseline = savedValue;
+    } else {
       const configured = asNumber(this.config.risk.initialCapitalKrw, null);
       baseline = configured !== null && configured > 0 ? configured : equityKrw;
       state.settings.dailyPnlBaseline = {
@@ -2152,8 +3722,8 @@ export class TradingSystem {
         source: configured !== null && configured > 0 ? "initial_capital" : "first_equity_of_day",
         updatedAt: nowIso(),
       };
-      return state;
-    });
+    }
+    this.metrics.dailyPnl.set({}, equityKrw - baseline);
 
     return {
       tradeDate,
@@ -2162,6 +3732,7 @@ export class TradingSystem {
     };
   }
 
+
   async resolveOverlay() {
     const timeoutMs = this.config.overlay.timeoutMs;
     const timeoutResult = {
@@ -2254,9 +3825,272 @@ export class TradingSystem {
     };
   }
 
+  // Cost basis per holding comes from the ledger; holdings the ledger has not booked yet
+  // (inside the reconcile grace period) fall back to the exchange average price. Dust is left out.
+  ledgerExposureBySymbol(accounts = []) {
+    const exposure = {};
+    for (const account of accounts) {
+      const currency = String(account?.currency || "").toUpperCase();
+      const unitCurrency = String(account?.unitCurrency || "KRW").toUpperCase();
+      if (!currency || currency === "KRW" || unitCurrency !== "KRW") {
+        continue;
+      }
+      const symbol = `${currency}_KRW`;
+      const qty = asNumber(account.balance, 0) + asNumber(account.locked, 0);
+      const avgBuyPrice = asNumber(account.avgBuyPrice, 0);
+      const mark = asNumber(this.lastMarks.get(symbol), null) ?? avgBuyPrice;
+      if (isDust(qty * mark, this.cachedSellMinTotalKrw(symbol))) {
+        continue;
+      }
+      const position = this.getLedgerPosition(symbol);
+      if (position) {
+        exposure[symbol] = position.costKrw;
+        continue;
+      }
+      if (qty > 0 && avgBuyPrice > 0) {
+        exposure[symbol] = qty * avgBuyPrice;
+      }
+    }
+    return exposure;
+  }
+
+  symbolUnrealizedKrw(symbol, markPrice = null) {
+    const normalized = normalizeSymbol(symbol);
+    const position = this.getLedgerPosition(normalized);
+    const price = asNumber(this.lastMarks.get(normalized), null) ?? asNumber(markPrice, null) ?? position?.lastFillPrice;
+    return position && price > 0 ? position.qty * price - position.costKrw : 0;
+  }
+
+  // Realized PnL booked today plus the change in unrealized PnL since the day-start mark, so a
+  // loss carried over from earlier days does not count against today's budget.
+  symbolDailyPnlKrw(symbol, markPrice = null) {
+    const normalized = normalizeSymbol(symbol);
+    const state = this.store.snapshot();
+    const timezone = this.config.runtime.timezone;
+    const tradeDate = toDateByTimezone(timezone);
+    const realizedKrw = (state.positionLedger?.closedLots || [])
+      .filter((lot) => lot.symbol === normalized && toDateByTimezone(timezone, new Date(lot.closedAt)) === tradeDate)
+      .reduce((sum, lot) => sum + asNumber(lot.realizedPnlKrw, 0), 0);
+    const unrealizedKrw = this.symbolUnrealizedKrw(normalized, markPrice);
+    const dayStart = state.settings.symbolDayStart;
+    const startUnrealizedKrw = dayStart?.date === tradeDate ? asNumber(dayStart.unrealizedKrw?.[normalized], null) : null;
+    return realizedKrw + unrealizedKrw - (startUnrealizedKrw ?? unrealizedKrw);
+  }
+
+  // Stores the first unrealized PnL seen on the trade date; only written once per symbol and day,
+  // and only for symbols with a loss budget.
+  async markSymbolDayStart(symbol, markPrice = null) {
+    const normalized = normalizeSymbol(symbol);
+    const limits = this.config.risk.symbolMaxLossKrw || {};
+    if (!(asNumber(limits[normalized] ?? limits["*"], 0) > 0)) {
+      return;
+    }
+    const tradeDate = toDateByTimezone(this.config.runtime.timezone);
+    const saved = this.store.snapshot().settings.symbolDayStart;
+    if (saved?.date === tradeDate && asNumber(saved.unrealizedKrw?.[normalized], null) !== null) {
+      return;
+    }
+    const unrealizedKrw = this.symbolUnrealizedKrw(normalized, markPrice);
+    await this.store.update((state) => {
+      const current = state.settings.symbolDayStart?.date === tradeDate
+        ? state.settings.symbolDayStart
+        : { date: tradeDate, unrealizedKrw: {} };
+      current.unrealizedKrw = { [normalized]: unrealizedKrw, ...current.unrealizedKrw };
+      state.settings.symbolDayStart = current;
+      return state;
+    });
+  }
+
+  heldLedgerSymbols() {
+    const positions = this.store.snapshot().positionLedger?.positions || {};
+    return Object.keys(positions).filter((symbol) => asNumber(positions[symbol]?.qty, 0) > 0);
+  }
+
+  // Rolling return correlation of `symbol` against each held symbol, from cached candles.
+  // Pairs are cached for RISK_CORRELATION_REFRESH_SEC; a pair without data is left out.
+  // `cachedOnly` is used inside the order sequence, where no candles are fetched.
+  async symbolCorrelations(symbol, heldSymbols = [], { cachedOnly = false } = {}) {
+    const risk = this.config.risk;
+    const normalized = normalizeSymbol(symbol);
+    const source = this.candleStore || this.marketData;
+    const nowMs = Date.now();
+    const correlations = {};
+    const candles = new Map();
+    const loadCandles = async (row) => {
+      if (!candles.has(row)) {
+        const response = await source.getCandles({
+          symbol: row,
+          interval: risk.correlationInterval,
+          count: risk.correlationLookback + 1,
+        });
+        candles.set(row, response?.candles || []);
+      }
+      return candles.get(row);
+    };
+
+    for (const other of heldSymbols.map((row) => normalizeSymbol(row)).filter((row) => row !== normalized)) {
+      const key = [normalized, other].sort().join("|");
+      const cached = this.correlationCache.get(key);
+      if (cached && cached.expiresAt > nowMs) {
+        correlations[other] = cached.value;
+        continue;
+      }
+      if (cachedOnly) {
+        this.logger.warn("risk: correlation not prefetched, pair left out", { symbol: normalized, other });
+        continue;
+      }
+      try {
+        const value = rollingReturnCorrelation(
+          await loadCandles(normalized),
+          await loadCandles(other),
+          risk.correlationLookback,
+        );
+        this.correlationCache.set(key, { value, expiresAt: nowMs + risk.correlationRefreshSec * 1000 });
+        correlations[other] = value;
+      } catch (error) {
+        this.logger.warn("risk: failed to load candles for correlation", {
+          symbol: normalized,
+          other,
+          reason: error.message,
+        });
+      }
+    }
+    return correlations;
+  }
+
+  // Market value per KRW-quoted holding at the last known price, falling back to the average
+  // buy price; `price` overrides the mark for `symbol`.
+  markedHoldings(accounts = [], { symbol = null, price = null } = {}) {
+    const holdings = {};
+    for (const account of accounts) {
+      const currency = String(account?.currency || "").toUpperCase();
+      const unitCurrency = String(account?.unitCurrency || "KRW").toUpperCase();
+      if (!currency || currency === "KRW" || unitCurrency !== "KRW") {
+        continue;
+      }
+      const row = `${currency}_KRW`;
+      const qty = asNumber(account.balance, 0) + asNumber(account.locked, 0);
+      const mark = row === symbol && asNumber(price, 0) > 0
+        ? asNumber(price, 0)
+        : asNumber(this.lastMarks.get(row), null) ?? asNumber(account.avgBuyPrice, 0);
+      if (qty > 0 && mark > 0) {
+        holdings[row] = (holdings[row] || 0) + qty * mark;
+      }
+    }
+    return holdings;
+  }
+
+  // Each gauge uses the basis of the risk check it mirrors: equity and daily PnL the daily
+  // loss limit's, exposure the ledger cost the exposure limits sum, marked equity the breakers'.
+  observeAccountMetrics(accountContext, markedEquityKrw) {
+    const equityKrw = asNumber(accountContext.metrics.equityKrw, 0);
+    const exposure = this.ledgerExposureBySymbol(accountContext.accounts);
+    this.metrics.equity.set({}, equityKrw);
+    this.metrics.markedEquity.set({}, markedEquityKrw);
+    this.metrics.cash.set({}, asNumber(accountContext.metrics.cashKrw, 0));
+    this.metrics.exposure.set({}, Object.values(exposure).reduce((sum, value) => sum + value, 0));
+    // Read-only: the daily baseline is only stored by applyDailyPnlBaseline.
+    const baseline = this.store.snapshot().settings.dailyPnlBaseline;
+    if (baseline?.date === toDateByTimezone(this.config.runtime.timezone) && asNumber(baseline.equityKrw, 0) > 0) {
+      this.metrics.dailyPnl.set({}, equityKrw - baseline.equityKrw);
+    }
+  }
+
+  // Gauges read from state when the metrics endpoint is scraped.
+  refreshMetrics() {
+    const state = this.store.snapshot();
+    this.metrics.killSwitch.set({}, state.settings.killSwitch ? 1 : 0);
+    this.metrics.overlayMultiplier.set({}, asNumber(state.system?.overlayCache?.multiplier, null));
+    return this.metrics;
+  }
+
+  markedEquityKrw(accountContext, holdings = this.markedHoldings(accountContext.accounts)) {
+    return asNumber(accountContext.metrics.cashKrw, 0)
+      + Object.values(holdings).reduce((sum, value) => sum + value, 0);
+  }
+
+  async symbolVolatility(symbol, { candles = null } = {}) {
+    const sizing = this.config.sizing;
+    const normalized = normalizeSymbol(symbol);
+    const key = `${normalized}|${sizing.volInterval}`;
+    const nowMs = Date.now();
+    const cached = this.volatilityCache.get(key);
+    if (cached && cached.expiresAt > nowMs) {
+      return cached.value;
+    }
+    let rows = candles;
+    if (!rows || sizing.volInterval !== this.config.strategy.candleInterval) {
+      const response = await (this.candleStore || this.marketData).getCandles({
+        symbol: normalized,
+        interval: sizing.volInterval,
+        count: sizing.volLookback + 1,
+      });
+      rows = response?.candles || [];
+    }
+    const value = realizedDailyVolatility(rows, parseIntervalMs(sizing.volInterval), sizing.volLookback);
+    if (value !== null) {
+      this.volatilityCache.set(key, { value, expiresAt: nowMs + sizing.refreshSec * 1000 });
+    }
+    return value;
+  }
+
+  // Target notional for every execution symbol from marked equity, holdings and realized
+  // volatility. `holdings` is the market value per symbol, marked at `price` for `symbol`.
+  async resolvePositionTargets({ symbol, price = null, candles = null, multiplier = 1 } = {}) {
+    const normalized = normalizeSymbol(symbol);
+    const accountContext = await this.loadAccountContext();
+    const holdings = this.markedHoldings(accountContext.accounts, { symbol: normalized, price });
+
+    const symbols = Array.from(new Set([...(this.config.execution.symbols || []), normalized]));
+    const volatility = {};
+    for (const row of symbols) {
+      try {
+        volatility[row] = await this.symbolVolatility(row, { candles: row === normalized ? candles : null });
+      } catch (error) {
+        this.logger.warn("sizing: failed to load candles for volatility", {
+          symbol: row,
+          reason: error.message,
+        });
+      }
+    }
+
+    const kelly = this.config.sizing.kellyFraction > 0
+      ? kellyFromKpiHistory(normalizeExecutionKpiHistoryRows(this.store.snapshot().system?.executionKpiHistory), {
+        minTrades: this.config.sizing.kellyMinTrades,
+      })
+      : null;
+    const plan = this.positionSizer.targets({
+      equityKrw: this.markedEquityKrw(accountContext, holdings),
+      symbols,
+      volatility,
+      holdings,
+      kelly,
+      multiplier,
+    });
+    return {
+      ...plan,
+      holdings,
+    };
+  }
+
   async evaluateRiskForOrder(orderInput, { chanceMinTotalKrw = 0 } = {}) {
     const accountContext = await this.loadAccountContext();
-    const pnlContext = await this.resolveDailyPnl(accountContext.metrics.equityKrw);
+    const equityKrw = this.markedEquityKrw(accountContext);
+    this.observeAccountMetrics(accountContext, equityKrw);
+    // The breaker equity sample and the daily PnL baseline share one state write per order.
+    const context = {
+      nowMs: Date.now(),
+      tradeDate: toDateByTimezone(this.config.runtime.timezone),
+    };
+    let breakerChanges;
+    let pnlContext;
+    await this.store.update((state) => {
+      breakerChanges = this.stepCircuitBreakers(state, (breakers, breakerContext) =>
+        this.circuitBreakerEngine.observeEquity(breakers, { equityKrw, ...breakerContext }), context);
+      pnlContext = this.applyDailyPnlBaseline(state, accountContext.metrics.equityKrw, context.tradeDate);
+      return state;
+    });
+    await this.reportCircuitBreakerChanges(breakerChanges);
     const [baseCurrency] = String(orderInput.symbol || "").split("_");
     const availableCashKrw = asNumber(
       accountContext.metrics.availableCashKrw,
@@ -2271,28 +4105,215 @@ export class TradingSystem {
       holdingPrice !== null && holdingPrice > 0
         ? Math.max(0, holdingQty * holdingPrice)
         : 0;
+    const exposureBySymbol = this.ledgerExposureBySymbol(accountContext.accounts);
+    const heldSymbols = Object.keys(exposureBySymbol).filter((row) => exposureBySymbol[row] > 0);
+    const correlations = String(orderInput.side || "buy").toLowerCase() === "buy"
+      && this.config.risk.correlatedMaxExposureKrw > 0
+      && heldSymbols.length > 0
+      ? await this.symbolCorrelations(orderInput.symbol, heldSymbols, { cachedOnly: true })
+      : {};
+    await this.markSymbolDayStart(orderInput.symbol, holdingPrice);
 
     const risk = this.riskEngine.evaluate({
       amountKrw: orderInput.amountKrw,
       side: orderInput.side,
       killSwitch: this.store.snapshot().settings.killSwitch,
+      circuitBreaker: this.circuitBreakerBlockFor(orderInput.side),
       openOrdersCount: this.getOpenOrdersCount(),
       openOrdersBySymbol: this.getOpenOrdersCount(orderInput.symbol),
-      exposureKrw: accountContext.metrics.exposureKrw,
+      exposureKrw: Object.values(exposureBySymbol).reduce((sum, value) => sum + value, 0),
       availableCashKrw,
       dailyPnlKrw: pnlContext.dailyPnlKrw,
       chanceMinTotalKrw,
       holdingNotionalKrw,
+      symbol: orderInput.symbol,
+      exposureBySymbol,
+      symbolPnlKrw: this.symbolDailyPnlKrw(orderInput.symbol, holdingPrice),
+      correlations,
+    });
+
+    return {
+      risk,
+      accountContext,
+      pnlContext,
+    };
+  }
+
+  async openOrderIntent(orderInput) {
+    const key = orderInput?.clientOrderKey;
+    if (!key) {
+      return;
+    }
+    await this.store.update((state) => {
+      const now = nowIso();
+      state.orderIntents = state.orderIntents || {};
+      state.orderIntents[key] = {
+        clientOrderKey: key,
+        symbol: orderInput.symbol,
+        side: orderInput.side,
+        type: orderInput.type,
+        price: asNumber(orderInput.price, null),
+        qty: asNumber(orderInput.qty, null),
+        amountKrw: asNumber(orderInput.amountKrw, null),
+        strategyRunId: orderInput.strategyRunId || null,
+        owner: this.processOwner,
+        status: "PENDING",
+        exchangeOrderId: null,
+        error: null,
+        createdAt: now,
+        updatedAt: now,
+      };
+      return state;
+    });
+  }
+
+  // A null patch removes the intent.
+  async updateOrderIntent(clientOrderKey, patch) {
+    if (!clientOrderKey || !this.store.snapshot().orderIntents?.[clientOrderKey]) {
+      return;
+    }
+    await this.store.update((state) => {
+      const intent = state.orderIntents?.[clientOrderKey];
+      if (!intent) {
+        return state;
+      }
+      if (patch) {
+        state.orderIntents[clientOrderKey] = { ...intent, ...patch, updatedAt: nowIso() };
+      } else {
+        delete state.orderIntents[clientOrderKey];
+      }
+      return state;
+    });
+  }
+
+  // Intents still in the journal were written before a submission whose order never reached
+  // persistOrder. Orders the exchange knows are adopted, or canceled first when they are still
+  // open and ORDER_INTENT_OPEN_ACTION=cancel; intents the exchange has no order for are marked
+  // failed. Only the daemon sweeps, and it leaves intents whose owning process is still running.
+  // Its own intents and intents without a checkable owner wait for ORDER_INTENT_MIN_AGE_SEC, and
+  // any failed lookup waits for the next sweep.
+  async recoverOrderIntents({ nowMs = Date.now() } = {}) {
+    const minAgeMs = asNumber(this.config.orderIntents?.minAgeSec, 30) * 1000;
+    const self = this.processOwner;
+    const intents = Object.values(this.store.snapshot().orderIntents || {}).filter((intent) => {
+      const aged = !(nowMs - Date.parse(intent?.createdAt || "") < minAgeMs);
+      const owner = intent?.owner;
+      if (owner?.host === self.host && owner?.pid === self.pid && (!owner.startToken || owner.startToken === self.startToken)) {
+        // Our own intents are not in flight any more once they are past the minimum age.
+        return aged;
+      }
+      const alive = this.isProcessAlive(owner);
+      if (alive !== null) {
+        return !alive;
+      }
+      return aged;
+    });
+    const results = [];
+    for (const intent of intents) {
+      results.push(await this.recoverOrderIntent(intent));
+    }
+    if (results.length > 0) {
+      const counts = {};
+      for (const result of results) {
+        counts[result.outcome] = (counts[result.outcome] || 0) + 1;
+      }
+      this.logger.warn("order intents recovered", counts);
+    }
+    return results;
+  }
+
+  async recoverOrderIntent(intent) {
+    const key = intent.clientOrderKey;
+    const summary = { clientOrderKey: key, symbol: intent.symbol, side: intent.side };
+    if (this.store.findOrderByClientOrderKey(key)) {
+      await this.updateOrderIntent(key, null);
+      return { ...summary, outcome: "already_persisted" };
+    }
+
+    const orderHint = {
+      side: intent.side,
+      type: intent.type,
+      price: intent.price,
+      qty: intent.qty,
+      createdAt: intent.createdAt,
+    };
+    let payload;
+    try {
+      payload = intent.exchangeOrderId
+        ? await this.exchangeClient.getOrderStatus({
+          exchangeOrderId: intent.exchangeOrderId,
+          symbol: intent.symbol,
+          clientOrderKey: key,
+          orderHint,
+        })
+        : await this.exchangeClient.findOrderByClientOrderKey({ symbol: intent.symbol, clientOrderKey: key, orderHint });
+    } catch (error) {
+      // The order may still exist, so only a lookup that succeeds without an order fails the intent.
+      await this.updateOrderIntent(key, { status: "UNCERTAIN", error: error.message });
+      return { ...summary, outcome: "unresolved", error: error.message };
+    }
+
+    if (!payload) {
+      await this.store.update((state) => {
+        delete state.orderIntents?.[key];
+        state.orderEvents.push({
+          id: uuid(),
+          orderId: null,
+          eventType: "INTENT_FAILED",
+          eventTs: nowIso(),
+          payload: {
+            symbol: intent.symbol,
+            side: intent.side,
+            type: intent.type,
+            amountKrw: intent.amountKrw,
+            exchangeOrderId: intent.exchangeOrderId || null,
+            clientOrderKey: key,
+            intentStatus: intent.status,
+            error: intent.error || null,
+          },
+        });
+        return this.applyStateRetention(state);
+      });
+      return { ...summary, outcome: "failed" };
+    }
+
+    let order = normalizeOrderFromExchange(payload, {
+      id: uuid(),
+      symbol: intent.symbol,
+      side: intent.side,
+      type: intent.type,
+      price: intent.price,
+      qty: intent.qty,
+      amountKrw: intent.amountKrw,
+      exchangeOrderId: intent.exchangeOrderId || null,
+      clientOrderKey: key,
+      placedAt: intent.createdAt,
+    });
+    let outcome = "adopted";
+    if (!isTerminalOrderState(order.state) && this.config.orderIntents?.openAction === "cancel" && order.exchangeOrderId) {
+      try {
+        await this.exchangeClient.cancelOrder({ exchangeOrderId: order.exchangeOrderId, symbol: order.symbol });
+        order = await this.reconcileOrder(order, { attempts: 2, initialDelayMs: 150, persist: false });
+        outcome = "canceled";
+      } catch (error) {
+        summary.error = error.message;
+      }
+    }
+    await this.persistOrder(order, {
+      reason: `order_intent_recovery:${outcome}`,
+      strategyRunId: intent.strategyRunId,
     });
-
     return {
-      risk,
-      accountContext,
-      pnlContext,
+      ...summary,
+      outcome,
+      orderId: order.id,
+      exchangeOrderId: order.exchangeOrderId || null,
+      state: order.state,
     };
   }
 
-  async persistOrder(orderRecord, metadata = {}) {
+  async persistOrder(orderRecord, metadata = {}, { fillSource = "exchange_reconcile", fillEventTs = null } = {}) {
+    const closedTradePnls = [];
     await this.store.update((state) => {
       const now = nowIso();
       const nowTs = Date.now();
@@ -2309,14 +4330,23 @@ export class TradingSystem {
         }
         return false;
       });
+      const recordedFill = existsIndex >= 0 ? state.orders[existsIndex]?.recordedFill || null : null;
+      // Reconcile/stream updates carry their own metadata; the parent link must survive them.
+      const parentOrderId = metadata?.parentOrderId
+        || (existsIndex >= 0 ? state.orders[existsIndex]?.metadata?.parentOrderId : null)
+        || null;
       const next = {
         ...record,
         clientOrderKey: record?.clientOrderKey || null,
         createdAt: existsIndex >= 0 ? (state.orders[existsIndex]?.createdAt || nowIso()) : (record?.createdAt || now),
         updatedAt: now,
-        metadata,
+        metadata: parentOrderId ? { ...metadata, parentOrderId } : metadata,
+        attribution: (existsIndex >= 0 ? state.orders[existsIndex]?.attribution : null)
+          || orderAttribution(metadata?.reason),
       };
 
+      const totals = filledTotalsFromOrder(record);
+      next.recordedFill = totals && totals.qty > asNumber(recordedFill?.qty, 0) ? totals : recordedFill;
       if (existsIndex >= 0) {
         state.orders[existsIndex] = {
           ...state.orders[existsIndex],
@@ -2325,6 +4355,9 @@ export class TradingSystem {
       } else {
         state.orders.push(next);
       }
+      if (record?.clientOrderKey && state.orderIntents?.[record.clientOrderKey]) {
+        delete state.orderIntents[record.clientOrderKey];
+      }
 
       state.orderEvents.push({
         id: uuid(),
@@ -2342,7 +4375,9 @@ export class TradingSystem {
         },
       });
 
-      const fills = fillRowsFromOrder(record);
+      const filledAtMs = Number.isFinite(fillEventTs) ? fillEventTs : asNumber(next.lastTradeTs, null);
+      const fills = fillRowsFromOrder(next, { recorded: recordedFill, source: fillSource, filledAtMs });
+      const paper = this.runtimeMode() === "paper";
       if (fills.length > 0) {
         const seenFillKeys = new Set();
         for (const fill of state.fills || []) {
@@ -2355,15 +4390,35 @@ export class TradingSystem {
             continue;
           }
           seenFillKeys.add(fill.id);
-          state.fills.push({
+          const row = {
             ...fill,
-            eventTs: nowTs,
+            eventTs: Number.isFinite(filledAtMs) ? filledAtMs : nowTs,
+            ...(paper ? { paper: true } : {}),
+          };
+          state.fills.push(row);
+          if (!state.positionLedger) {
+            state.positionLedger = createPositionLedger(this.config.ledger.costMethod);
+          }
+          const closed = applyFillToLedger(state.positionLedger, row, {
+            closedLotsRetention: this.config.ledger.closedLotsRetention,
           });
+          if (closed?.length > 0) {
+            closedTradePnls.push(closed.reduce((sum, lot) => sum + lot.realizedPnlKrw, 0));
+          }
+          if (asNumber(row.price, 0) > 0) {
+            this.lastMarks.set(normalizeSymbol(row.symbol), row.price);
+          }
         }
+        clearFlatProtectiveStops(state, fills.filter((fill) => fill.side === "sell").map((fill) => normalizeSymbol(fill.symbol)));
       }
 
       return this.applyStateRetention(state);
     });
+
+    if (closedTradePnls.length > 0) {
+      await this.updateCircuitBreakers((breakers, context) => closedTradePnls
+        .flatMap((pnlKrw) => this.circuitBreakerEngine.observeTrade(breakers, { pnlKrw, ...context })));
+    }
   }
 
   async reconcileOrder(
@@ -2424,6 +4479,84 @@ export class TradingSystem {
     return current;
   }
 
+  async applyMyOrderEvent(event) {
+    const exchangeOrderId = String(event?.uuid || "").trim();
+    if (!exchangeOrderId) {
+      return { applied: false, reason: "missing_uuid" };
+    }
+
+    const local = this.store.snapshot().orders.find((order) => order.exchangeOrderId === exchangeOrderId);
+    if (!local) {
+      // The stream can report an order before placeOrder has persisted it.
+      const queued = this.pendingPrivateOrderEvents.get(exchangeOrderId) || [];
+      queued.push(event);
+      this.pendingPrivateOrderEvents.set(exchangeOrderId, queued);
+      while (this.pendingPrivateOrderEvents.size > 200) {
+        this.pendingPrivateOrderEvents.delete(this.pendingPrivateOrderEvents.keys().next().value);
+      }
+      return { applied: false, reason: "unknown_order" };
+    }
+    if (local.state && isTerminalOrderState(local.state)) {
+      return { applied: false, reason: "terminal" };
+    }
+
+    const updated = normalizeOrderFromExchange(orderPayloadFromMyOrderEvent(event), local);
+    const fillEventTs = asNumber(event.tradeTimestamp, asNumber(event.timestamp, null));
+    await this.persistOrder(updated, {
+      reason: "private_stream",
+      tradeUuid: event.tradeUuid || null,
+    }, {
+      fillSource: "private_stream",
+      fillEventTs,
+    });
+    return { applied: true, state: updated.state };
+  }
+
+  async flushPendingPrivateOrderEvents(exchangeOrderId) {
+    const queued = this.pendingPrivateOrderEvents.get(exchangeOrderId);
+    if (!queued) {
+      return 0;
+    }
+    this.pendingPrivateOrderEvents.delete(exchangeOrderId);
+    let applied = 0;
+    for (const event of queued) {
+      const result = await this.applyMyOrderEvent(event);
+      if (result.applied) {
+        applied += 1;
+      }
+    }
+    return applied;
+  }
+
+  async applyMyAssetEvent(event) {
+    const assets = Array.isArray(event?.assets) ? event.assets : [];
+    if (assets.length === 0) {
+      return { applied: false };
+    }
+
+    const latest = this.getLatestBalancesSnapshot();
+    const byCurrency = new Map((latest?.items || []).map((row) => [row.currency, { ...row }]));
+    for (const asset of assets) {
+      const current = byCurrency.get(asset.currency) || {
+        currency: asset.currency,
+        unitCurrency: "KRW",
+        symbol: `${asset.currency}_KRW`,
+        balance: 0,
+        locked: 0,
+        avgBuyPrice: null,
+      };
+      byCurrency.set(asset.currency, {
+        ...current,
+        balance: asNumber(asset.balance, current.balance),
+        locked: asNumber(asset.locked, current.locked),
+        raw: asset.raw || current.raw || null,
+      });
+    }
+
+    const capturedAt = await this.captureBalancesSnapshot("private_stream", Array.from(byCurrency.values()));
+    return { applied: true, capturedAt };
+  }
+
   async reconcileOpenOrders({ maxCandidates = 8 } = {}) {
     const openStates = openOrderStates();
     const allOpen = this.store.snapshot().orders.filter((order) => openStates.has(order?.state));
@@ -2452,6 +4585,149 @@ export class TradingSystem {
     };
   }
 
+  async readOrderbookSnapshot(symbol) {
+    if (typeof this.wsClient?.openOrderbookStream !== "function") {
+      return null;
+    }
+
+    let resolveBook;
+    const book = new Promise((resolve) => {
+      resolveBook = resolve;
+    });
+    const timer = setTimeout(() => resolveBook(null), this.config.execution.orderbookSnapshotTimeoutMs ?? 3_000);
+    try {
+      const handle = await this.wsClient.openOrderbookStream({
+        symbols: [symbol],
+        isOnlyRealtime: false,
+        isOnlySnapshot: true,
+        onOrderbook: (frame) => resolveBook(frame),
+        onError: () => resolveBook(null),
+      });
+      try {
+        return await book;
+      } finally {
+        handle.close();
+      }
+    } catch (error) {
+      this.logger.warn("orderbook snapshot failed", {
+        symbol,
+        reason: error.message,
+      });
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async refreshWorkingOrder(order, { settle = false } = {}) {
+    if (this.privateStreamHealthy() && order?.exchangeOrderId) {
+      const streamed = this.store.snapshot().orders.find((row) => row.exchangeOrderId === order.exchangeOrderId);
+      if (streamed) {
+        return { ...order, ...streamed };
+      }
+      if (!settle) {
+        return order;
+      }
+    }
+    return this.reconcileOrder(order, {
+      attempts: settle ? 3 : 1,
+      persist: false,
+    });
+  }
+
+  async recordExecutionStep(parentOrderId, orderInput, { step, details = {}, order = null }, reason) {
+    await this.store.update((state) => {
+      state.orderEvents.push({
+        id: uuid(),
+        orderId: parentOrderId,
+        eventType: `EXECUTION_${String(step).toUpperCase()}`,
+        eventTs: nowIso(),
+        payload: {
+          symbol: orderInput.symbol,
+          side: orderInput.side,
+          amountKrw: orderInput.amountKrw,
+          executionMode: "limit_touch",
+          legOrderId: order?.id || null,
+          exchangeOrderId: order?.exchangeOrderId || null,
+          clientOrderKey: order?.clientOrderKey || orderInput.clientOrderKey,
+          reason,
+          details,
+        },
+      });
+      return this.applyStateRetention(state);
+    });
+  }
+
+  async executeAtTouch(orderInput, { reason, minOrderKrw = 0, parentOrderId = uuid(), book = null }) {
+    const outcome = await this.executionEngine.submitAtTouch(orderInput, {
+      minOrderKrw,
+      book,
+      refreshOrder: (order, options) => this.refreshWorkingOrder(order, options),
+      onEvent: async (event) => {
+        if (event.order) {
+          event.order.expectedPrice = orderInput.expectedPrice;
+          await this.persistOrder(event.order, {
+            reason,
+            executionMode: "limit_touch",
+            parentOrderId,
+            step: event.step,
+          });
+          if (event.order.exchangeOrderId) {
+            await this.flushPendingPrivateOrderEvents(event.order.exchangeOrderId);
+          }
+        }
+        await this.recordExecutionStep(parentOrderId, orderInput, event, reason);
+      },
+    });
+
+    if (!outcome.ok) {
+      await this.recordRiskEvent({
+        type: "orderbook_rejected",
+        source: "execution_engine",
+        symbol: orderInput.symbol,
+        reasons: outcome.reasons,
+        orderbook: outcome.check || null,
+      });
+      return {
+        ok: false,
+        code: EXIT_CODES.RISK_REJECTED,
+        error: {
+          message: "Orderbook check rejected order",
+          reasons: outcome.reasons,
+          orderbook: outcome.check || null,
+        },
+      };
+    }
+
+    const stored = this.store.snapshot().orders;
+    const legs = outcome.legs.map((leg) => ({ ...leg, ...(stored.find((row) => row.id === leg.id) || {}) }));
+    const final = legs.at(-1) || null;
+    return {
+      ok: true,
+      code: EXIT_CODES.OK,
+      data: {
+        ...(final ? stripOrderRecordForStorage(final) : {}),
+        execution: {
+          mode: "limit_touch",
+          parentOrderId,
+          legs: legs.map((leg) => ({
+            id: leg.id,
+            exchangeOrderId: leg.exchangeOrderId || null,
+            type: leg.type,
+            price: leg.price,
+            state: leg.state,
+            filledQty: leg.filledQty ?? null,
+          })),
+          filledQty: outcome.filledQty,
+          filledNotional: outcome.filledNotional,
+          remainingKrw: outcome.remainingKrw,
+          remainingQty: outcome.remainingQty,
+          unresolved: Boolean(outcome.unresolved),
+        },
+      },
+    };
+  }
+
   async placeOrder({
     symbol,
     side,
@@ -2461,8 +4737,38 @@ export class TradingSystem {
     expectedPrice = null,
     dryRun = false,
     reason = "manual",
+    executionMode = "market",
+    parentOrderId = null,
   }) {
-    return this.withOrderSequence(async () => {
+    if (!parentOrderId && this.shouldSliceOrder(amount)) {
+      return this.submitParentOrder({
+        symbol,
+        side,
+        type,
+        amount,
+        price,
+        expectedPrice,
+        dryRun,
+        reason,
+        executionMode,
+      });
+    }
+
+    // Correlation candles are loaded before the order sequence so no REST call holds it up.
+    if (symbol && String(side || "").toLowerCase() === "buy" && this.config.risk.correlatedMaxExposureKrw > 0) {
+      await this.symbolCorrelations(symbol, this.heldLedgerSymbols());
+    }
+    // Same for the entry orderbook snapshot, which opens its own stream.
+    let entryBook = null;
+    if (executionMode === "limit_touch" && String(type || "market").trim().toLowerCase() === "market" && !dryRun) {
+      try {
+        entryBook = await this.readOrderbookSnapshot(normalizeSymbol(symbol));
+      } catch {
+        // An invalid symbol is rejected inside the order sequence.
+      }
+    }
+
+    const result = await this.withOrderSequence(async () => {
       try {
         const orderInput = this.buildOrderInput({
           symbol,
@@ -2475,16 +4781,23 @@ export class TradingSystem {
 
       const chance = await this.exchangeClient.getOrderChance({ symbol: orderInput.symbol });
       const chanceMinTotalKrw = parseMinTotal(chance, orderInput.side);
+      if (orderInput.side === "sell") {
+        this.cacheSellMinTotal(orderInput.symbol, chanceMinTotalKrw);
+      }
 
       const context = await this.evaluateRiskForOrder(orderInput, { chanceMinTotalKrw });
       if (!context.risk.allowed) {
         const reasons = Array.isArray(context.risk.reasons) ? context.risk.reasons : [];
         const hitDailyLossLimit = reasons.some((reason) => reason?.rule === "MAX_DAILY_LOSS_KRW");
-        const streak = await this.bumpRiskRejectStreak({
-          symbol: orderInput.symbol,
-          reasons,
-          metrics: context.risk.metrics,
-        });
+        // Rejections by a tripped breaker or a scoped budget are expected and must not escalate to the kill switch.
+        const exemptOnly = reasons.length > 0 && reasons.every((reason) => STREAK_EXEMPT_RULES.has(reason?.rule));
+        const streak = exemptOnly
+          ? 0
+          : await this.bumpRiskRejectStreak({
+            symbol: orderInput.symbol,
+            reasons,
+            metrics: context.risk.metrics,
+          });
         await this.recordRiskEvent({
           type: "order_rejected",
           source: "risk_engine",
@@ -2544,16 +4857,29 @@ export class TradingSystem {
         };
       }
 
+        if (executionMode === "limit_touch" && orderInput.type === "market") {
+          return await this.executeAtTouch(orderInput, {
+            reason,
+            minOrderKrw: chanceMinTotalKrw,
+            book: entryBook,
+            ...(parentOrderId ? { parentOrderId } : {}),
+          });
+        }
+
         const submitted = await this.executionEngine.submit(orderInput);
         submitted.expectedPrice = orderInput.expectedPrice;
-        let reconciled = await this.reconcileOrder(submitted, { persist: false });
+        let reconciled = this.privateStreamHealthy()
+          ? submitted
+          : await this.reconcileOrder(submitted, { persist: false });
         if (!reconciled) {
           reconciled = submitted;
         }
 
-        await this.persistOrder(reconciled, {
-          reason,
-        });
+        await this.persistOrder(reconciled, parentOrderId ? { reason, parentOrderId } : { reason });
+        if (reconciled.exchangeOrderId && await this.flushPendingPrivateOrderEvents(reconciled.exchangeOrderId) > 0) {
+          const streamed = this.store.snapshot().orders.find((order) => order.exchangeOrderId === reconciled.exchangeOrderId);
+          reconciled = { ...reconciled, ...streamed };
+        }
 
         return {
           ok: true,
@@ -2573,6 +4899,370 @@ export class TradingSystem {
         };
       }
     });
+    if (!dryRun) {
+      this.metrics.observeOrderResult({ symbol: normalizeSymbol(symbol), side: String(side || "").toLowerCase() }, result);
+    }
+    return result;
+  }
+
+  shouldSliceOrder(amount) {
+    const slicing = this.config.slicing || {};
+    const parsed = asNumber(amount, null);
+    return Boolean(slicing.enabled) && parsed !== null && parsed > asNumber(slicing.thresholdKrw, Infinity);
+  }
+
+  getParentOrder(parentOrderId) {
+    return this.store.snapshot().orders.find((order) => isParentOrder(order) && order.id === parentOrderId) || null;
+  }
+
+  parentOrderChildren(parentOrderId) {
+    return this.store.snapshot().orders.filter((order) => !isParentOrder(order) && order.metadata?.parentOrderId === parentOrderId);
+  }
+
+  async updateParentOrder(parentOrderId, patch = {}, event = null) {
+    let updated = null;
+    await this.store.update((state) => {
+      const index = state.orders.findIndex((order) => isParentOrder(order) && order.id === parentOrderId);
+      if (index < 0) {
+        return state;
+      }
+      updated = {
+        ...state.orders[index],
+        ...patch,
+        updatedAt: nowIso(),
+      };
+      state.orders[index] = updated;
+      if (event) {
+        state.orderEvents.push({
+          id: uuid(),
+          orderId: parentOrderId,
+          eventType: event.type,
+          eventTs: nowIso(),
+          payload: {
+            symbol: updated.symbol,
+            side: updated.side,
+            type: updated.type,
+            amountKrw: updated.amountKrw,
+            algo: updated.algo,
+            ...event.payload,
+          },
+        });
+      }
+      return this.applyStateRetention(state);
+    });
+    return updated;
+  }
+
+  async submitParentOrder({
+    symbol,
+    side,
+    type = "market",
+    amount,
+    price = null,
+    expectedPrice = null,
+    algo = null,
+    dryRun = false,
+    reason = "manual",
+    executionMode = "market",
+  }) {
+    const slicing = this.config.slicing || {};
+    let normalizedSide;
+    let normalizedType;
+    try {
+      normalizedSide = normalizeSide(side);
+      normalizedType = normalizeType(type);
+    } catch (error) {
+      return { ok: false, code: EXIT_CODES.INVALID_ARGS, error: { message: error.message } };
+    }
+    const amountKrw = asNumber(amount, null);
+    const referencePrice = asNumber(price, null) ?? asNumber(expectedPrice, null);
+    const normalizedAlgo = String(algo || slicing.algo || "twap").toLowerCase();
+    if (amountKrw === null || amountKrw <= 0) {
+      return { ok: false, code: EXIT_CODES.INVALID_ARGS, error: { message: "amount must be a positive number" } };
+    }
+    if (!["twap", "iceberg"].includes(normalizedAlgo)) {
+      return { ok: false, code: EXIT_CODES.INVALID_ARGS, error: { message: `Invalid slicing algo: ${algo}` } };
+    }
+    if ((normalizedSide === "sell" || normalizedType === "limit") && !(referencePrice > 0)) {
+      return {
+        ok: false,
+        code: EXIT_CODES.INVALID_ARGS,
+        error: { message: "sliced sell and limit orders require --price" },
+      };
+    }
+
+    const childAmountKrw = Math.max(1, asNumber(slicing.childAmountKrw, amountKrw));
+    const parent = {
+      id: uuid(),
+      kind: "parent",
+      algo: normalizedAlgo,
+      state: "WORKING",
+      symbol: normalizeSymbol(symbol || this.config.strategy.defaultSymbol),
+      side: normalizedSide,
+      type: normalizedType,
+      amountKrw,
+      qty: normalizedSide === "sell" ? computeQtyFromAmount(amountKrw, referencePrice) : null,
+      price: referencePrice,
+      expectedPrice: asNumber(expectedPrice, null),
+      childAmountKrw,
+      plannedChildren: Math.ceil(amountKrw / childAmountKrw),
+      intervalMs: normalizedAlgo === "twap" ? asPositiveInt(slicing.intervalSec, 30) * 1_000 : 0,
+      executionMode,
+      childCount: 0,
+      failures: 0,
+      lastError: null,
+      nextChildAt: Date.now(),
+      filledQty: 0,
+      filledNotional: 0,
+      createdAt: nowIso(),
+      updatedAt: nowIso(),
+      metadata: { reason },
+    };
+
+    if (dryRun) {
+      return {
+        ok: true,
+        code: EXIT_CODES.OK,
+        data: {
+          dryRun: true,
+          parent,
+        },
+      };
+    }
+
+    await this.store.update((state) => {
+      state.orders.push(parent);
+      state.orderEvents.push({
+        id: uuid(),
+        orderId: parent.id,
+        eventType: "PARENT_CREATED",
+        eventTs: nowIso(),
+        payload: {
+          symbol: parent.symbol,
+          side: parent.side,
+          type: parent.type,
+          amountKrw: parent.amountKrw,
+          algo: parent.algo,
+          plannedChildren: parent.plannedChildren,
+          reason,
+        },
+      });
+      return this.applyStateRetention(state);
+    });
+    this.logger.info("parent order created", {
+      parentOrderId: parent.id,
+      symbol: parent.symbol,
+      side: parent.side,
+      amountKrw: parent.amountKrw,
+      algo: parent.algo,
+      plannedChildren: parent.plannedChildren,
+    });
+
+    const work = await this.workParentOrders({ parentOrderIds: [parent.id] });
+    return {
+      ok: true,
+      code: EXIT_CODES.OK,
+      data: {
+        ...this.getParentOrder(parent.id),
+        lastChild: work.results[0]?.child || null,
+      },
+    };
+  }
+
+  async resolveChildPrice(parent) {
+    if (parent.type === "limit") {
+      return parent.price;
+    }
+    try {
+      const ticker = await this.marketData.getMarketTicker(parent.symbol);
+      const lastPrice = asNumber(this.marketData.extractTickerMetrics(ticker)?.lastPrice, null);
+      return lastPrice !== null && lastPrice > 0 ? lastPrice : parent.price;
+    } catch {
+      return parent.price;
+    }
+  }
+
+  async workParentOrders({ nowMs = Date.now(), parentOrderIds = null } = {}) {
+    return this.withParentOrderSequence(async () => {
+      const working = this.store.snapshot().orders.filter((order) =>
+        isParentOrder(order)
+        && order.state === "WORKING"
+        && (!parentOrderIds || parentOrderIds.includes(order.id)));
+      const results = [];
+      for (const parent of working) {
+        results.push(await this.advanceParentOrder(parent, nowMs));
+      }
+      return {
+        working: working.length,
+        placed: results.filter((row) => row.action === "child_placed").length,
+        completed: results.filter((row) => row.action === "done").length,
+        canceled: results.filter((row) => row.action === "canceled").length,
+        results,
+      };
+    });
+  }
+
+  async advanceParentOrder(parent, nowMs) {
+    const minNotional = asNumber(this.config.risk.minOrderNotionalKrw, 0);
+    const openStates = openOrderStates();
+    if (!this.privateStreamHealthy()) {
+      for (const child of this.parentOrderChildren(parent.id)) {
+        if (openStates.has(child.state) && (child.exchangeOrderId || child.clientOrderKey)) {
+          await this.reconcileOrder(child, { attempts: 1 });
+        }
+      }
+    }
+
+    let progress = parentOrderProgress(parent, this.parentOrderChildren(parent.id));
+    const remainingNotional = (current) => (parent.side === "buy"
+      ? current.remainingKrw
+      : current.remainingQty * asNumber(parent.lastChildPrice, parent.price));
+    if (progress.openChildren > 0) {
+      await this.updateParentOrder(parent.id, progress);
+      return { parentOrderId: parent.id, action: "waiting_child" };
+    }
+    if (remainingNotional(progress) < Math.max(minNotional, 1e-9)) {
+      await this.updateParentOrder(parent.id, {
+        ...progress,
+        state: "DONE",
+        completedAt: nowIso(),
+      }, { type: "PARENT_DONE", payload: { ...progress } });
+      return { parentOrderId: parent.id, action: "done" };
+    }
+    if (nowMs < asNumber(parent.nextChildAt, 0)) {
+      return { parentOrderId: parent.id, action: "scheduled" };
+    }
+    if (this.store.snapshot().settings.killSwitch) {
+      return { parentOrderId: parent.id, action: "paused_kill_switch" };
+    }
+
+    const price = await this.resolveChildPrice(parent);
+    const childrenLeft = Math.max(1, Math.ceil(remainingNotional(progress) / parent.childAmountKrw));
+    let amountKrw;
+    if (parent.side === "buy") {
+      amountKrw = childrenLeft === 1 ? progress.remainingKrw : Math.round(progress.remainingKrw / childrenLeft);
+    } else {
+      const childQty = childrenLeft === 1
+        ? progress.remainingQty
+        : floorToDecimals(progress.remainingQty / childrenLeft, 8);
+      amountKrw = childQty * price;
+    }
+
+    const index = asNumber(parent.childCount, 0) + 1;
+    const child = await this.placeOrder({
+      symbol: parent.symbol,
+      side: parent.side,
+      type: parent.type,
+      amount: amountKrw,
+      price: parent.side === "sell" || parent.type === "limit" ? price : null,
+      expectedPrice: price,
+      reason: `${parent.metadata?.reason || "manual"}:${parent.algo}:${index}`,
+      executionMode: parent.executionMode,
+      parentOrderId: parent.id,
+    });
+
+    const failures = child.ok ? parent.failures : parent.failures + 1;
+    progress = parentOrderProgress(parent, this.parentOrderChildren(parent.id));
+    await this.updateParentOrder(parent.id, {
+      ...progress,
+      childCount: child.ok ? index : parent.childCount,
+      failures,
+      lastError: child.ok ? null : child.error,
+      lastChildPrice: price,
+      nextChildAt: nowMs + parent.intervalMs,
+    }, {
+      type: child.ok ? "PARENT_CHILD_PLACED" : "PARENT_CHILD_FAILED",
+      payload: {
+        index,
+        childAmountKrw: amountKrw,
+        childOrderId: child.ok ? child.data?.id || null : null,
+        code: child.code,
+        error: child.ok ? null : child.error,
+      },
+    });
+
+    if (!child.ok && failures >= asPositiveInt(this.config.slicing?.maxChildFailures, 3)) {
+      await this.closeParentOrder(parent.id, "child_failures");
+      return { parentOrderId: parent.id, action: "canceled", child };
+    }
+    return { parentOrderId: parent.id, action: child.ok ? "child_placed" : "child_failed", child };
+  }
+
+  async closeParentOrder(parentOrderId, reason) {
+    const errors = [];
+    for (const child of this.parentOrderChildren(parentOrderId)) {
+      if (!openOrderStates().has(child.state) || !child.exchangeOrderId) {
+        continue;
+      }
+      try {
+        await this.exchangeClient.cancelOrder({
+          exchangeOrderId: child.exchangeOrderId,
+          symbol: child.symbol,
+        });
+      } catch (error) {
+        errors.push({ childOrderId: child.id, message: error.message });
+      }
+      await this.reconcileOrder(child, { attempts: 2, initialDelayMs: 150 });
+    }
+
+    const parent = this.getParentOrder(parentOrderId);
+    const progress = parentOrderProgress(parent, this.parentOrderChildren(parentOrderId));
+    const updated = await this.updateParentOrder(parentOrderId, {
+      ...progress,
+      state: "CANCELED",
+      canceledAt: nowIso(),
+      cancelReason: reason,
+      cancelErrors: errors,
+    }, {
+      type: "PARENT_CANCELED",
+      payload: { reason, ...progress, cancelErrors: errors },
+    });
+    this.logger.warn("parent order canceled", {
+      parentOrderId,
+      reason,
+      filledNotional: progress.filledNotional,
+      openChildren: progress.openChildren,
+    });
+    return updated;
+  }
+
+  async cancelParentOrder(parentOrderId, reason = "manual") {
+    return this.withParentOrderSequence(async () => {
+      const parent = this.getParentOrder(parentOrderId);
+      if (!parent) {
+        return {
+          ok: false,
+          code: EXIT_CODES.INVALID_ARGS,
+          error: { message: `Parent order not found: ${parentOrderId}` },
+        };
+      }
+      if (parent.state !== "WORKING") {
+        return { ok: true, code: EXIT_CODES.OK, data: parent };
+      }
+      return {
+        ok: true,
+        code: EXIT_CODES.OK,
+        data: await this.closeParentOrder(parentOrderId, reason),
+      };
+    });
+  }
+
+  // Called once at daemon startup: parents left WORKING by a previous process either
+  // continue from their persisted progress or are cancelled together with open children.
+  async resumeParentOrders({ resume = true } = {}) {
+    const working = this.store.snapshot().orders.filter((order) => isParentOrder(order) && order.state === "WORKING");
+    let resumed = 0;
+    let canceled = 0;
+    for (const parent of working) {
+      if (resume) {
+        await this.updateParentOrder(parent.id, {}, { type: "PARENT_RESUMED", payload: { childCount: parent.childCount } });
+        resumed += 1;
+      } else {
+        await this.cancelParentOrder(parent.id, "restart");
+        canceled += 1;
+      }
+    }
+    return { resumed, canceled };
   }
 
   async runStrategyOnce({ symbol = null, amount = null, dryRun = false } = {}) {
@@ -2586,7 +5276,7 @@ export class TradingSystem {
       strategy: this.config.strategy.name,
       symbol: normalizedSymbol,
       startedAt,
-      mode: "live",
+      mode: this.runtimeMode(),
       dryRun: Boolean(dryRun),
       status: "RUNNING",
     };
@@ -2611,6 +5301,7 @@ export class TradingSystem {
       }
 
       const signal = this.signalEngine.evaluate(candleRes.data.candles);
+      this.metrics.signals.inc({ symbol: normalizedSymbol, action: signal.action });
       const overlay = await this.resolveOverlay();
       const baseAmount = asNumber(amount, null) ?? this.config.strategy.baseOrderAmountKrw;
       const signalMultiplier = signalRiskMultiplier(signal, this.config);
@@ -2621,6 +5312,7 @@ export class TradingSystem {
       const protectiveExit = await this.resolveProtectiveExit({
         symbol: normalizedSymbol,
         currentPrice: lastClose,
+        candles: candleRes.data.candles,
       });
       const forcedExit = protectiveExit?.shouldExit ? true : false;
       const reason = protectiveExit?.reason || signal.reason;
@@ -2651,15 +5343,7 @@ export class TradingSystem {
       }
 
       if (forcedExit) {
-        await this.recordRiskEvent({
-          type: "protective_exit",
-          source: "risk_exit_rule",
-          symbol: normalizedSymbol,
-          reason,
-          pnlRatio: protectiveExit.pnlRatio,
-          avgBuyPrice: protectiveExit.avgBuyPrice,
-          currentPrice: protectiveExit.currentPrice,
-        });
+        await this.recordProtectiveExit(normalizedSymbol, protectiveExit);
       }
 
       if (orderSide === "sell") {
@@ -2669,7 +5353,17 @@ export class TradingSystem {
           price: lastClose,
           fallbackAmountKrw: cappedAmount,
         });
-        submittedAmountKrw = Math.min(asNumber(sellPlan.amountKrw, cappedAmount), cappedAmount);
+        submittedAmountKrw = asNumber(sellPlan.amountKrw, cappedAmount);
+        if (!this.config.slicing?.enabled) {
+          submittedAmountKrw = Math.min(submittedAmountKrw, cappedAmount);
+        }
+        const fitted = fitSellAmount(submittedAmountKrw, {
+          holdingKrw: sellPlan.holdingKrw,
+          minTotalKrw: sellPlan.minTotalKrw,
+          maxKrw: this.config.slicing?.enabled ? Infinity : this.config.risk.maxOrderNotionalKrw,
+        });
+        submittedAmountKrw = fitted.amountKrw;
+        sellPlan = { ...sellPlan, adjustment: fitted.adjustment };
       }
 
       const decision = {
@@ -2686,12 +5380,20 @@ export class TradingSystem {
       };
 
       const actionable = forcedExit || signal.action === "BUY" || (autoSellEnabled && signal.action === "SELL");
-      if (!actionable) {
+      const entryBlock = !forcedExit && orderSide === "buy" ? this.kpiGuardBlockFor(normalizedSymbol, reason) : null;
+      const breaker = actionable ? this.circuitBreakerBlockFor(orderSide) : null;
+      if (!actionable || entryBlock || breaker) {
+        let note = "no execution for non-actionable signal";
+        if (entryBlock) {
+          note = `entry blocked by kpi guard (${entryBlock.scope}:${entryBlock.key})`;
+        } else if (breaker) {
+          note = `${orderSide} blocked by circuit breaker (${breaker.name}:${breaker.action})`;
+        }
         const result = {
           runId,
           ...decision,
           order: null,
-          note: "no execution for non-actionable signal",
+          note,
         };
         await this.finishRun(runId, "COMPLETED", { result });
         return {
@@ -2706,7 +5408,7 @@ export class TradingSystem {
           runId,
           ...decision,
           order: null,
-          note: "sell skipped: no available position",
+          note: sellPlan?.dust ? "sell skipped: dust position" : "sell skipped: no available position",
         };
         await this.finishRun(runId, "COMPLETED", { result });
         return {
@@ -2725,6 +5427,7 @@ export class TradingSystem {
         expectedPrice: lastClose,
         dryRun,
         reason: `strategy:${this.config.strategy.name}:${reason}`,
+        executionMode: this.config.execution.orderMode,
       });
 
       if (!order.ok) {
@@ -2969,6 +5672,9 @@ export class TradingSystem {
     }
 
     const local = this.store.snapshot().orders.find((order) => order.id === requested || order.exchangeOrderId === requested);
+    if (isParentOrder(local)) {
+      return this.cancelParentOrder(local.id, "manual_cancel");
+    }
 
     try {
       const exchangeOrderId = local?.exchangeOrderId || requested;
@@ -0,0 +1,206 @@
+export const BREAKER_ACTIONS = Object.freeze(["halt_buys", "halt_all", "flatten"]);
+export const BREAKER_RESETS = Object.freeze(["auto", "next_day", "manual"]);
+
+const BREAKERS = Object.freeze({
+  rolling_drawdown: "rollingDrawdown",
+  intraday_drawdown: "intradayDrawdown",
+  losing_streak: "losingStreak",
+  price_gap: "priceGap",
+});
+
+export const BREAKER_NAMES = Object.freeze(Object.keys(BREAKERS));
+
+function asNumber(value, fallback = null) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+export function emptyCircuitBreakerState() {
+  return {
+    equity: {
+      peakKrw: null,
+      peakAt: null,
+      days: [],
+    },
+    losingStreak: 0,
+    breakers: {},
+  };
+}
+
+// Breakers trip from equity samples, closed trades and ticks. State is a plain object the
+// caller persists; the observe and release methods mutate it and return what changed.
+export class CircuitBreakerEngine {
+  constructor(config) {
+    this.config = config;
+  }
+
+  policy(name) {
+    return this.config.circuitBreakers?.[BREAKERS[name]] || null;
+  }
+
+  trip(state, name, { nowMs, tradeDate, reason, detail = {} }) {
+    if (state.breakers[name]) {
+      return null;
+    }
+    const policy = this.policy(name);
+    const breaker = {
+      name,
+      action: policy.action,
+      reset: policy.reset,
+      reason,
+      detail,
+      tradeDate,
+      trippedAt: new Date(nowMs).toISOString(),
+      coolOffUntil: new Date(nowMs + policy.cooloffSec * 1000).toISOString(),
+    };
+    state.breakers[name] = breaker;
+    return breaker;
+  }
+
+  // Manual breakers stay until reset; the others clear once the cool-off has passed,
+  // next_day ones only on a later trading day.
+  isDue(breaker, { nowMs, tradeDate }) {
+    const cooled = nowMs >= Date.parse(breaker.coolOffUntil);
+    return (breaker.reset === "auto" && cooled)
+      || (breaker.reset === "next_day" && cooled && tradeDate !== breaker.tradeDate);
+  }
+
+  // Drawdown breakers restart peak tracking on release so the same drawdown does not trip
+  // them again right away.
+  release(state, { nowMs, tradeDate, names = null, manual = false }) {
+    const released = [];
+    for (const [name, breaker] of Object.entries(state.breakers)) {
+      if (names && !names.includes(name)) {
+        continue;
+      }
+      if (!manual && !this.isDue(breaker, { nowMs, tradeDate })) {
+        continue;
+      }
+      delete state.breakers[name];
+      released.push(breaker);
+      if (name === "rolling_drawdown") {
+        state.equity.days = [];
+      } else if (name === "intraday_drawdown") {
+        state.equity.days = state.equity.days.filter((day) => day.date !== tradeDate);
+      } else if (name === "losing_streak") {
+        state.losingStreak = 0;
+      }
+    }
+    return released;
+  }
+
+  observeEquity(state, { equityKrw, nowMs, tradeDate }) {
+    const equity = asNumber(equityKrw, 0);
+    if (equity <= 0) {
+      return [];
+    }
+    const tracker = state.equity;
+    if (tracker.peakKrw === null || equity > tracker.peakKrw) {
+      tracker.peakKrw = equity;
+      tracker.peakAt = new Date(nowMs).toISOString();
+    }
+    let today = tracker.days.find((day) => day.date === tradeDate);
+    if (!today) {
+      today = { date: tradeDate, peakKrw: equity, lastKrw: equity };
+      tracker.days.push(today);
+      tracker.days.sort((a, b) => a.date.localeCompare(b.date));
+    }
+    today.peakKrw = Math.max(today.peakKrw, equity);
+    today.lastKrw = equity;
+
+    const trips = [];
+    const rolling = this.policy("rolling_drawdown");
+    tracker.days = tracker.days.slice(-Math.max(1, rolling?.days || 1));
+    if (rolling?.thresholdPct > 0) {
+      const peakKrw = Math.max(...tracker.days.map((day) => day.peakKrw));
+      const drawdownPct = (peakKrw - equity) / peakKrw * 100;
+      if (drawdownPct >= rolling.thresholdPct) {
+        trips.push(this.trip(state, "rolling_drawdown", {
+          nowMs,
+          tradeDate,
+          reason: `${rolling.days}d drawdown ${drawdownPct.toFixed(2)}% >= ${rolling.thresholdPct}%`,
+          detail: { peakKrw, equityKrw: equity, drawdownPct, days: rolling.days },
+        }));
+      }
+    }
+
+    const intraday = this.policy("intraday_drawdown");
+    if (intraday?.thresholdPct > 0) {
+      const drawdownPct = (today.peakKrw - equity) / today.peakKrw * 100;
+      if (drawdownPct >= intraday.thresholdPct) {
+        trips.push(this.trip(state, "intraday_drawdown", {
+          nowMs,
+          tradeDate,
+          reason: `intraday drawdown ${drawdownPct.toFixed(2)}% >= ${intraday.thresholdPct}%`,
+          detail: { peakKrw: today.peakKrw, equityKrw: equity, drawdownPct },
+        }));
+      }
+    }
+    return trips.filter(Boolean);
+  }
+
+  // Breakeven trades leave the streak unchanged.
+  observeTrade(state, { pnlKrw, nowMs, tradeDate }) {
+    const pnl = asNumber(pnlKrw, 0);
+    if (pnl < 0) {
+      state.losingStreak += 1;
+    } else if (pnl > 0) {
+      state.losingStreak = 0;
+    }
+    const policy = this.policy("losing_streak");
+    if (!(policy?.maxLosses > 0) || state.losingStreak < policy.maxLosses) {
+      return [];
+    }
+    const breaker = this.trip(state, "losing_streak", {
+      nowMs,
+      tradeDate,
+      reason: `${state.losingStreak} losing trades in a row`,
+      detail: { losingStreak: state.losingStreak, maxLosses: policy.maxLosses },
+    });
+    return breaker ? [breaker] : [];
+  }
+
+  // Gap between a tick and the previous one for the symbol, or null when it is within the
+  // threshold. Ticks further apart than the window (reconnects, quiet markets) never count.
+  priceGap({ symbol, price, previous = null, atMs }) {
+    const policy = this.policy("price_gap");
+    const last = asNumber(previous?.price, null);
+    const current = asNumber(price, null);
+    if (!(policy?.thresholdPct > 0) || last === null || last <= 0 || current === null || current <= 0) {
+      return null;
+    }
+    const elapsedMs = atMs - asNumber(previous.atMs, 0);
+    if (elapsedMs < 0 || elapsedMs > policy.windowSec * 1000) {
+      return null;
+    }
+    const gapPct = Math.abs(current / last - 1) * 100;
+    return gapPct >= policy.thresholdPct
+      ? { symbol, previousPrice: last, price: current, gapPct, elapsedMs }
+      : null;
+  }
+
+  observeTick(state, { symbol, price, previous = null, atMs, nowMs, tradeDate }) {
+    const gap = this.priceGap({ symbol, price, previous, atMs });
+    if (!gap) {
+      return [];
+    }
+    const breaker = this.trip(state, "price_gap", {
+      nowMs,
+      tradeDate,
+      reason: `${symbol} moved ${gap.gapPct.toFixed(2)}% between ticks >= ${this.policy("price_gap").thresholdPct}%`,
+      detail: gap,
+    });
+    return breaker ? [breaker] : [];
+  }
+
+  // First breaker that stops an order on `side`: every action stops buys, only halt_all stops
+  // sells. Breakers already due for release no longer block.
+  blockFor(state, side = "buy", { nowMs = Date.now(), tradeDate = null } = {}) {
+    const breakers = Object.values(state?.breakers || {})
+      .filter((breaker) => !this.isDue(breaker, { nowMs, tradeDate: tradeDate ?? breaker.tradeDate }));
+    if (String(side).toLowerCase() === "sell") {
+      return breakers.find((breaker) => breaker.action === "halt_all") || null;
+    }
+    return breakers[0] || null;
+  }
+}
@@ -0,0 +1,48 @@
+function asNumber(value, fallback = null) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+// A holding is dust when it has value but is worth less than the smallest sell the exchange
+// (or the risk engine) accepts.
+export function isDust(valueKrw, minTotalKrw) {
+  const value = asNumber(valueKrw, 0);
+  return value > 0 && value < asNumber(minTotalKrw, 0);
+}
+
+// Adjusts a sell so neither the order nor what it leaves behind is below `minTotalKrw`:
+// dust holdings are skipped, small sells round up to the minimum, and a sell that would leave
+// dust takes the whole holding, or leaves exactly the minimum when the whole holding is above
+// `maxKrw`. Without a known holding the amount is returned unchanged.
+export function fitSellAmount(amountKrw, { holdingKrw = null, minTotalKrw = 0, maxKrw = Infinity } = {}) {
+  const requested = Math.max(0, asNumber(amountKrw, 0));
+  const holding = holdingKrw === null || holdingKrw === undefined ? null : asNumber(holdingKrw, null);
+  if (holding === null) {
+    return { amountKrw: requested, adjustment: null };
+  }
+  if (holding <= 0) {
+    return { amountKrw: 0, adjustment: "no_position" };
+  }
+  const min = Math.max(0, asNumber(minTotalKrw, 0));
+  if (holding < min) {
+    return { amountKrw: 0, adjustment: "dust" };
+  }
+
+  let amount = Math.min(requested, holding);
+  let adjustment = null;
+  if (amount < min) {
+    amount = min;
+    adjustment = "round_up_to_min";
+  }
+  const residual = holding - amount;
+  if (residual > 1e-9 && residual < min) {
+    if (holding <= (asNumber(maxKrw, 0) > 0 ? maxKrw : Infinity)) {
+      amount = holding;
+      adjustment = "sell_all_residual_dust";
+    } else {
+      amount = holding - min;
+      adjustment = "leave_sellable_residual";
+    }
+  }
+  return { amountKrw: amount, adjustment };
+}
@@ -69,23 +69,162 @@ function resolveExchangeOrderId(payload) {
   return null;
 }
 
+function floorQty(value) {
+  if (!Number.isFinite(value) || value <= 0) {
+    return 0;
+  }
+  return Math.floor(value * 1e8) / 1e8;
+}
+
+function isTerminalState(state) {
+  return state === "DONE" || state === "CANCELED";
+}
+
+function sideLevels(book, side) {
+  const units = Array.isArray(book?.units) ? book.units : [];
+  return units
+    .map((unit) => (side === "buy"
+      ? { price: asNumber(unit?.askPrice), size: asNumber(unit?.askSize) }
+      : { price: asNumber(unit?.bidPrice), size: asNumber(unit?.bidSize) }))
+    .filter((level) => level.price !== null && level.price > 0 && level.size !== null && level.size >= 0);
+}
+
+// Spread and top-N depth on the side the order would take liquidity from
+// (asks for buys, bids for sells).
+export function assessOrderbook(book, side, settings = {}) {
+  const units = Array.isArray(book?.units) ? book.units : [];
+  const bestAsk = asNumber(units[0]?.askPrice);
+  const bestBid = asNumber(units[0]?.bidPrice);
+  const depthLevels = Math.max(1, Math.floor(asNumber(settings.orderbookDepthLevels) ?? 5));
+  const maxSpreadBps = asNumber(settings.orderbookMaxSpreadBps);
+  const minDepthKrw = asNumber(settings.orderbookMinDepthKrw) ?? 0;
+
+  if (bestAsk === null || bestBid === null || bestAsk <= 0 || bestBid <= 0 || bestAsk < bestBid) {
+    return {
+      ok: false,
+      bestAsk,
+      bestBid,
+      spreadBps: null,
+      depthKrw: null,
+      reasons: [{ rule: "ORDERBOOK_TOUCH_INVALID", detail: "best bid/ask missing or crossed" }],
+    };
+  }
+
+  const mid = (bestAsk + bestBid) / 2;
+  const spreadBps = ((bestAsk - bestBid) / mid) * 10_000;
+  const depthKrw = sideLevels(book, side)
+    .slice(0, depthLevels)
+    .reduce((sum, level) => sum + level.price * level.size, 0);
+
+  const reasons = [];
+  if (maxSpreadBps !== null && spreadBps > maxSpreadBps) {
+    reasons.push({ rule: "ORDERBOOK_MAX_SPREAD_BPS", detail: `spread ${spreadBps.toFixed(2)}bps > ${maxSpreadBps}bps` });
+  }
+  if (depthKrw < minDepthKrw) {
+    reasons.push({ rule: "ORDERBOOK_MIN_DEPTH_KRW", detail: `top-${depthLevels} depth ${Math.round(depthKrw)} < ${minDepthKrw}` });
+  }
+
+  return {
+    ok: reasons.length === 0,
+    bestAsk,
+    bestBid,
+    spreadBps: Number(spreadBps.toFixed(4)),
+    depthKrw: Math.round(depthKrw),
+    depthLevels,
+    reasons,
+  };
+}
+
+// Bithumb KRW market price units: [lowest price, tick] from the top tier down.
+const KRW_TICK_SIZES = [
+  [2_000_000, 1_000],
+  [1_000_000, 500],
+  [500_000, 100],
+  [100_000, 50],
+  [10_000, 10],
+  [1_000, 1],
+  [100, 0.1],
+  [10, 0.01],
+  [1, 0.001],
+  [0.1, 0.0001],
+  [0.01, 0.00001],
+  [0.001, 0.000001],
+  [0, 0.0000001],
+];
+
+export function krwTickSize(price) {
+  const value = asNumber(price);
+  if (value === null || value <= 0) {
+    return null;
+  }
+  return KRW_TICK_SIZES.find(([floor]) => value >= floor)[1];
+}
+
+// Joins the passive side of the book. insideTicks > 0 steps into the spread by the
+// exchange tick at the touch price, never crossing the opposite touch.
+export function touchPrice(book, side, insideTicks = 0) {
+  const units = Array.isArray(book?.units) ? book.units : [];
+  const bestAsk = asNumber(units[0]?.askPrice);
+  const bestBid = asNumber(units[0]?.bidPrice);
+  const touch = side === "buy" ? bestBid : bestAsk;
+  if (touch === null || touch <= 0) {
+    return null;
+  }
+
+  const steps = Math.max(0, Math.floor(asNumber(insideTicks) ?? 0));
+  const tick = krwTickSize(touch);
+  if (steps === 0 || !tick || bestAsk === null || bestBid === null) {
+    return touch;
+  }
+
+  if (side === "buy") {
+    const improved = Number(Math.min(touch + tick * steps, bestAsk - tick).toFixed(8));
+    return improved > touch ? improved : touch;
+  }
+  const improved = Number(Math.max(touch - tick * steps, bestBid + tick).toFixed(8));
+  return improved < touch ? improved : touch;
+}
+
+function filledNotionalOf(order) {
+  const notional = asNumber(order?.filledNotional);
+  if (notional !== null) {
+    return notional;
+  }
+  const qty = asNumber(order?.filledQty);
+  const price = asNumber(order?.filledPrice) ?? asNumber(order?.price);
+  return qty !== null && price !== null ? qty * price : 0;
+}
+
 export class ExecutionEngine {
-  constructor(exchangeClient) {
+  constructor(exchangeClient, options = {}) {
     this.exchangeClient = exchangeClient;
+    this.readOrderbook = options.readOrderbook || null;
+    this.sleepFn = options.sleepFn || ((ms) => new Promise((resolve) => setTimeout(resolve, ms)));
+    this.settings = options.settings || {};
+    this.intentJournal = options.intentJournal || null;
   }
 
+  // With an intent journal the order is recorded before it is sent, so a crash between
+  // placement and persistence leaves something to recover from on the next start.
   async submit(orderInput) {
-    const response = await this.exchangeClient.placeOrder({
-      symbol: orderInput.symbol,
-      side: orderInput.side,
-      type: orderInput.type,
-      price: orderInput.price,
-      qty: orderInput.qty,
-      amountKrw: orderInput.amountKrw,
-      clientOrderKey: orderInput.clientOrderKey,
-    });
+    await this.intentJournal?.open(orderInput);
+    let response;
+    try {
+      response = await this.exchangeClient.placeOrder({
+        symbol: orderInput.symbol,
+        side: orderInput.side,
+        type: orderInput.type,
+        price: orderInput.price,
+        qty: orderInput.qty,
+        amountKrw: orderInput.amountKrw,
+        clientOrderKey: orderInput.clientOrderKey,
+      });
+    } catch (error) {
+      await this.intentJournal?.failed(orderInput, error);
+      throw error;
+    }
 
-    return {
+    const order = {
       id: uuid(),
       exchangeOrderId: resolveExchangeOrderId(response),
       state: normalizeOrderState(response),
@@ -99,5 +238,194 @@ export class ExecutionEngine {
       clientOrderKey: orderInput.clientOrderKey,
       raw: response,
     };
+    await this.intentJournal?.submitted(order);
+    return order;
+  }
+
+  async readBook(symbol) {
+    if (typeof this.readOrderbook !== "function") {
+      return null;
+    }
+    try {
+      return await this.readOrderbook(symbol);
+    } catch {
+      return null;
+    }
+  }
+
+  async waitForFill(order, refreshOrder) {
+    let current = order;
+    if (isTerminalState(current.state)) {
+      return current;
+    }
+    const timeoutMs = Math.max(0, asNumber(this.settings.limitTimeoutMs) ?? 5_000);
+    const pollMs = Math.max(1, asNumber(this.settings.limitPollMs) ?? 1_000);
+    const polls = Math.max(1, Math.ceil(timeoutMs / pollMs));
+    for (let i = 0; i < polls; i += 1) {
+      await this.sleepFn(Math.min(pollMs, timeoutMs));
+      current = (await refreshOrder(current)) || current;
+      if (isTerminalState(current.state)) {
+        break;
+      }
+    }
+    return current;
+  }
+
+  async cancelWorking(order, refreshOrder, emit) {
+    try {
+      await this.exchangeClient.cancelOrder({
+        exchangeOrderId: order.exchangeOrderId,
+        symbol: order.symbol,
+      });
+    } catch (error) {
+      await emit("cancel_failed", { message: error.message }, null);
+    }
+
+    let current = order;
+    for (let i = 0; i < 3; i += 1) {
+      current = (await refreshOrder(current)) || current;
+      if (isTerminalState(current.state)) {
+        break;
+      }
+      await this.sleepFn(Math.max(1, asNumber(this.settings.limitPollMs) ?? 1_000));
+    }
+    return current;
+  }
+
+  // Limit-at-touch execution for an order that would otherwise go out as market:
+  // check spread/depth, rest a limit at (or inside) the touch, and after each timeout
+  // cancel and reprice, finally falling back to market for whatever is left.
+  // onEvent({ step, details, order }) is called for every step so the caller can
+  // persist legs and journal the sequence. `book` is an entry snapshot the caller already read.
+  async submitAtTouch(orderInput, {
+    minOrderKrw = 0,
+    book: prefetchedBook = null,
+    refreshOrder = async (order) => order,
+    onEvent = async () => {},
+  } = {}) {
+    const settings = this.settings;
+    const side = orderInput.side;
+    const legs = [];
+    const emit = (step, details = {}, order = null) => onEvent({ step, details, order });
+    let remainingKrw = side === "buy" ? orderInput.amountKrw : null;
+    let remainingQty = side === "sell" ? orderInput.qty : null;
+    let refPrice = asNumber(orderInput.price) ?? asNumber(orderInput.expectedPrice);
+
+    const remainingNotional = () => (side === "buy" ? remainingKrw : remainingQty * (refPrice || 0));
+    const result = (extra = {}) => ({
+      ok: true,
+      legs,
+      final: legs.at(-1) || null,
+      filledQty: legs.reduce((sum, leg) => sum + (asNumber(leg.filledQty) ?? 0), 0),
+      filledNotional: legs.reduce((sum, leg) => sum + filledNotionalOf(leg), 0),
+      remainingKrw: side === "buy" ? remainingKrw : null,
+      remainingQty: side === "sell" ? remainingQty : null,
+      ...extra,
+    });
+
+    let book = prefetchedBook || await this.readBook(orderInput.symbol);
+    if (!book) {
+      await emit("orderbook_unavailable");
+      if (!settings.limitMarketFallback) {
+        return {
+          ok: false,
+          legs,
+          reasons: [{ rule: "ORDERBOOK_UNAVAILABLE", detail: "no orderbook snapshot" }],
+        };
+      }
+    } else {
+      const check = assessOrderbook(book, side, settings);
+      await emit("orderbook_check", check);
+      if (!check.ok) {
+        return { ok: false, legs, reasons: check.reasons, check };
+      }
+    }
+
+    const attempts = book ? 1 + Math.max(0, Math.floor(asNumber(settings.limitRepriceAttempts) ?? 0)) : 0;
+    for (let attempt = 0; attempt < attempts; attempt += 1) {
+      if (attempt > 0) {
+        book = await this.readBook(orderInput.symbol);
+        const check = book ? assessOrderbook(book, side, settings) : null;
+        await emit("reprice", { attempt, ...(check || { ok: false, reasons: [{ rule: "ORDERBOOK_UNAVAILABLE" }] }) });
+        if (!check?.ok) {
+          break;
+        }
+      }
+
+      const price = touchPrice(book, side, settings.limitInsideTicks);
+      const qty = side === "buy" ? floorQty(remainingKrw / price) : remainingQty;
+      if (price === null || !(qty > 0)) {
+        break;
+      }
+      refPrice = side === "sell" ? price : refPrice;
+
+      let leg = await this.submit({
+        ...orderInput,
+        type: "limit",
+        price,
+        qty,
+        amountKrw: side === "buy" ? remainingKrw : Math.round(qty * price),
+        clientOrderKey: `${orderInput.clientOrderKey}-L${attempt}`,
+      });
+      legs.push(leg);
+      await emit("limit_placed", { attempt, price, qty }, leg);
+
+      leg = await this.waitForFill(leg, refreshOrder);
+      legs[legs.length - 1] = leg;
+      if (leg.state === "DONE") {
+        await emit("limit_filled", { attempt, price, filledQty: asNumber(leg.filledQty) ?? qty }, leg);
+        remainingKrw = side === "buy" ? 0 : null;
+        remainingQty = side === "sell" ? 0 : null;
+        return result();
+      }
+
+      await emit("limit_timeout", { attempt, price, state: leg.state, timeoutMs: settings.limitTimeoutMs });
+      leg = await this.cancelWorking(leg, refreshOrder, emit);
+      legs[legs.length - 1] = leg;
+      if (!isTerminalState(leg.state)) {
+        // Never stack a new leg on top of one that may still be working.
+        await emit("cancel_unconfirmed", { attempt, state: leg.state }, leg);
+        return result({ unresolved: true });
+      }
+
+      const filledQty = asNumber(leg.filledQty) ?? 0;
+      await emit(leg.state === "DONE" ? "limit_filled" : "limit_canceled", { attempt, price, filledQty }, leg);
+      if (side === "buy") {
+        remainingKrw = Math.max(0, remainingKrw - filledNotionalOf(leg));
+      } else {
+        remainingQty = floorQty(remainingQty - filledQty);
+      }
+      if (leg.state === "DONE" || remainingNotional() <= 0) {
+        return result();
+      }
+      if (remainingNotional() < minOrderKrw) {
+        await emit("remainder_below_minimum", { remainingKrw: Math.round(remainingNotional()), minOrderKrw });
+        return result();
+      }
+    }
+
+    if (legs.length > 0 && remainingNotional() < minOrderKrw) {
+      await emit("remainder_below_minimum", { remainingKrw: Math.round(remainingNotional()), minOrderKrw });
+      return result();
+    }
+    if (!settings.limitMarketFallback) {
+      await emit("unfilled", { remainingKrw: Math.round(remainingNotional()) });
+      return result();
+    }
+
+    const submitted = await this.submit({
+      ...orderInput,
+      type: "market",
+      price: side === "buy" ? remainingKrw : refPrice,
+      qty: side === "buy" ? 1 : remainingQty,
+      amountKrw: side === "buy" ? remainingKrw : Math.round(remainingNotional()),
+      clientOrderKey: `${orderInput.clientOrderKey}-M`,
+    });
+    const leg = (await refreshOrder(submitted, { settle: true })) || submitted;
+    legs.push(leg);
+    await emit("market_fallback", { amountKrw: leg.amountKrw, qty: leg.qty }, leg);
+    remainingKrw = side === "buy" ? 0 : null;
+    remainingQty = side === "sell" ? 0 : null;
+    return result();
   }
 }
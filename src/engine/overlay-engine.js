@@ -111,8 +111,12 @@ export class OverlayEngine {
     return this.normalize(raw);
   }
 
-  async setCurrent({ multiplier, score = null, regime = null, note = null } = {}) {
+  async writeRaw(payload) {
     await this.ensureDir();
+    await fs.writeFile(this.filePath, JSON.stringify(payload, null, 2), "utf8");
+  }
+
+  async setCurrent({ multiplier, score = null, regime = null, note = null } = {}) {
     const min = this.config.overlay.minMultiplier;
     const max = this.config.overlay.maxMultiplier;
     const parsedMultiplier = asNumber(multiplier);
@@ -126,7 +130,7 @@ export class OverlayEngine {
       note: note || null,
     };
 
-    await fs.writeFile(this.filePath, JSON.stringify(payload, null, 2), "utf8");
+    await this.writeRaw(payload);
     return this.normalize(payload);
   }
 }
@@ -0,0 +1,165 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const SIZING_MODES = Object.freeze(["fixed", "equal_risk", "inverse_vol"]);
+
+function asNumber(value, fallback = null) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+function limitFor(limits, key) {
+  const value = asNumber(limits?.[key] ?? limits?.["*"], 0);
+  return value > 0 ? value : null;
+}
+
+// Standard deviation of close-to-close log returns over the last `lookback` candles,
+// scaled from the candle interval to one day. Returns null without enough candles.
+export function realizedDailyVolatility(candles = [], intervalMs, lookback = 48) {
+  const closes = candles
+    .map((candle) => asNumber(candle?.close, null))
+    .filter((close) => close !== null && close > 0)
+    .slice(-(Math.max(2, lookback) + 1));
+  const returns = [];
+  for (let index = 1; index < closes.length; index += 1) {
+    returns.push(Math.log(closes[index] / closes[index - 1]));
+  }
+  if (returns.length < 2 || !(intervalMs > 0)) {
+    return null;
+  }
+  const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+  const variance = returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (returns.length - 1);
+  return Math.sqrt(variance) * Math.sqrt(DAY_MS / intervalMs);
+}
+
+// Kelly fraction f = p - (1 - p) / b from summed KPI history rows, where p is the win rate
+// and b the average win over the average loss. Null until `minTrades` decided trades exist.
+export function kellyFromKpiHistory(rows = [], { minTrades = 30 } = {}) {
+  let wins = 0;
+  let losses = 0;
+  let grossProfitKrw = 0;
+  let grossLossKrw = 0;
+  for (const row of rows) {
+    const realized = row?.executionKpi?.realized || row?.realized || {};
+    wins += asNumber(realized.wins, 0);
+    losses += asNumber(realized.losses, 0);
+    grossProfitKrw += asNumber(realized.grossProfitKrw, 0);
+    grossLossKrw += asNumber(realized.grossLossKrw, 0);
+  }
+  const trades = wins + losses;
+  if (trades < Math.max(1, minTrades)) {
+    return null;
+  }
+  const winRate = wins / trades;
+  if (wins === 0 || grossProfitKrw <= 0) {
+    return { fraction: 0, winRate, payoffRatio: 0, trades };
+  }
+  if (losses === 0 || grossLossKrw <= 0) {
+    return { fraction: 1, winRate, payoffRatio: null, trades };
+  }
+  const payoffRatio = (grossProfitKrw / wins) / (grossLossKrw / losses);
+  return {
+    fraction: Math.min(1, Math.max(0, winRate - (1 - winRate) / payoffRatio)),
+    winRate,
+    payoffRatio,
+    trades,
+  };
+}
+
+export class PositionSizer {
+  constructor(config) {
+    this.config = config;
+  }
+
+  // Target notional per symbol. `volatility` maps symbol -> daily volatility (symbols without
+  // one get no target), `holdings` maps symbol -> current market value and `kelly` is the
+  // result of kellyFromKpiHistory. Targets are scaled down to fit the risk exposure limits.
+  targets({ equityKrw, symbols = [], volatility = {}, holdings = {}, kelly = null, multiplier = 1 } = {}) {
+    const sizing = this.config.sizing;
+    const risk = this.config.risk;
+    const equity = Math.max(0, asNumber(equityKrw, 0));
+    const volFloor = Math.max(1e-6, asNumber(sizing.minVolPct, 0.5) / 100);
+    const vols = {};
+    for (const symbol of symbols) {
+      const vol = asNumber(volatility[symbol], null);
+      if (vol !== null) {
+        vols[symbol] = Math.max(volFloor, vol);
+      }
+    }
+
+    const raw = {};
+    if (sizing.mode === "equal_risk") {
+      // Each symbol carries the same expected daily move in KRW.
+      const budgetKrw = equity * asNumber(sizing.targetVolPct, 1) / 100;
+      for (const [symbol, vol] of Object.entries(vols)) {
+        raw[symbol] = budgetKrw / vol;
+      }
+    } else if (sizing.mode === "inverse_vol") {
+      const grossKrw = equity * asNumber(sizing.grossExposurePct, 50) / 100;
+      const inverseSum = Object.values(vols).reduce((sum, vol) => sum + 1 / vol, 0);
+      for (const [symbol, vol] of Object.entries(vols)) {
+        raw[symbol] = inverseSum > 0 ? grossKrw * (1 / vol) / inverseSum : 0;
+      }
+    }
+
+    const scale = Math.max(0, asNumber(multiplier, 1));
+    const targets = {};
+    for (const [symbol, value] of Object.entries(raw)) {
+      const symbolLimit = limitFor(risk.symbolMaxExposureKrw, symbol);
+      targets[symbol] = Math.min(value * scale, symbolLimit ?? Infinity);
+    }
+
+    const caps = [];
+    const kellyFraction = asNumber(sizing.kellyFraction, 0);
+    if (kellyFraction > 0 && kelly) {
+      caps.push({ rule: "kelly", limitKrw: equity * kellyFraction * kelly.fraction });
+    }
+    if (asNumber(risk.maxExposureKrw, 0) > 0) {
+      caps.push({ rule: "max_exposure", limitKrw: risk.maxExposureKrw });
+    }
+    // Holdings outside the sized set still use up the gross budget.
+    const unsizedKrw = Object.entries(holdings)
+      .filter(([symbol]) => !(symbol in targets))
+      .reduce((sum, [, value]) => sum + Math.max(0, asNumber(value, 0)), 0);
+    const grossKrw = Object.values(targets).reduce((sum, value) => sum + value, 0);
+    let capRule = null;
+    let capFactor = 1;
+    for (const cap of caps) {
+      const room = Math.max(0, cap.limitKrw - unsizedKrw);
+      const factor = grossKrw > room ? room / grossKrw : 1;
+      if (factor < capFactor) {
+        capFactor = factor;
+        capRule = cap.rule;
+      }
+    }
+    for (const symbol of Object.keys(targets)) {
+      targets[symbol] *= capFactor;
+    }
+
+    return {
+      mode: sizing.mode,
+      equityKrw: equity,
+      volatility: vols,
+      targets,
+      grossTargetKrw: grossKrw * capFactor,
+      cap: capRule ? { rule: capRule, factor: capFactor } : null,
+      kelly,
+    };
+  }
+
+  // Order that moves the current holding toward the target. Deltas below `minOrderKrw`
+  // are not worth trading and return null.
+  delta({ targetKrw, currentKrw, minOrderKrw = 0 } = {}) {
+    const target = Math.max(0, asNumber(targetKrw, 0));
+    const current = Math.max(0, asNumber(currentKrw, 0));
+    const diff = target - current;
+    if (Math.abs(diff) < Math.max(1, asNumber(minOrderKrw, 0))) {
+      return null;
+    }
+    return {
+      side: diff > 0 ? "buy" : "sell",
+      amountKrw: Math.abs(diff),
+      targetKrw: target,
+      currentKrw: current,
+    };
+  }
+}
@@ -0,0 +1,88 @@
+function asNumber(value, fallback = null) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+export function averageTrueRange(candles = [], period = 14) {
+  const rows = Array.isArray(candles) ? candles : [];
+  const length = Math.max(1, Math.floor(period));
+  if (rows.length < length + 1) {
+    return null;
+  }
+
+  const ranges = [];
+  for (let i = rows.length - length; i < rows.length; i += 1) {
+    const high = asNumber(rows[i]?.high, null);
+    const low = asNumber(rows[i]?.low, null);
+    const prevClose = asNumber(rows[i - 1]?.close, null);
+    if (high === null || low === null || prevClose === null) {
+      return null;
+    }
+    ranges.push(Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose)));
+  }
+  return ranges.reduce((sum, value) => sum + value, 0) / ranges.length;
+}
+
+export class ProtectiveExitEngine {
+  constructor(config) {
+    this.config = config;
+  }
+
+  // Returns the updated per-position stop state (to be persisted) and the first
+  // rule that fired, if any. Fixed stop-loss wins over the price stops, and the
+  // time stop is checked last.
+  evaluate({ price, avgBuyPrice, stop = null, candles = [], entryAt = null, nowMs = Date.now() } = {}) {
+    const limits = this.config.risk;
+    const next = {
+      entryAt: asNumber(stop?.entryAt, null) ?? asNumber(entryAt, nowMs),
+      highestPrice: Math.max(asNumber(stop?.highestPrice, price), price),
+      atr: asNumber(stop?.atr, null),
+      atrStopPrice: null,
+      trailingStopPrice: null,
+      updatedAt: nowMs,
+    };
+
+    const atrMultiplier = asNumber(limits.atrStopMultiplier, 0);
+    if (atrMultiplier > 0) {
+      next.atr = averageTrueRange(candles, asNumber(limits.atrPeriod, 14)) ?? next.atr;
+      if (next.atr !== null) {
+        next.atrStopPrice = avgBuyPrice - atrMultiplier * next.atr;
+      }
+    }
+    const trailingPct = asNumber(limits.trailingStopPct, 0);
+    if (trailingPct > 0) {
+      next.trailingStopPrice = next.highestPrice * (1 - Math.abs(trailingPct) / 100);
+    }
+
+    const pnlRatio = price / avgBuyPrice - 1;
+    const heldMs = Math.max(0, nowMs - next.entryAt);
+    const base = {
+      shouldExit: true,
+      action: "SELL",
+      pnlRatio,
+      avgBuyPrice,
+      currentPrice: price,
+      highestPrice: next.highestPrice,
+      heldMs,
+    };
+
+    const stopLossPct = asNumber(limits.maxHoldingLossPct, 0);
+    const takeProfitPct = asNumber(limits.maxHoldingTakeProfitPct, 0);
+    const maxHoldingMs = Math.max(0, asNumber(limits.maxHoldingMinutes, 0)) * 60_000;
+
+    let exit = null;
+    if (stopLossPct > 0 && pnlRatio <= -Math.abs(stopLossPct) / 100) {
+      exit = { ...base, reason: "protective_stop_loss", rule: "STOP_LOSS_PCT" };
+    } else if (next.atrStopPrice !== null && price <= next.atrStopPrice) {
+      exit = { ...base, reason: "protective_atr_stop", rule: "ATR_STOP", stopPrice: next.atrStopPrice, atr: next.atr };
+    } else if (next.trailingStopPrice !== null && price <= next.trailingStopPrice) {
+      exit = { ...base, reason: "protective_trailing_stop", rule: "TRAILING_STOP", stopPrice: next.trailingStopPrice };
+    } else if (takeProfitPct > 0 && pnlRatio >= Math.abs(takeProfitPct) / 100) {
+      exit = { ...base, reason: "protective_take_profit", rule: "TAKE_PROFIT_PCT" };
+    } else if (maxHoldingMs > 0 && heldMs >= maxHoldingMs) {
+      exit = { ...base, reason: "protective_max_hold", rule: "MAX_HOLDING_TIME" };
+    }
+
+    return { stop: next, exit };
+  }
+}
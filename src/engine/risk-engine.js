@@ -3,6 +3,66 @@ function asNumber(value, fallback = 0) {
   return Number.isFinite(parsed) ? parsed : fallback;
 }
 
+function limitFor(limits, key) {
+  const value = asNumber(limits?.[key] ?? limits?.["*"], 0);
+  return value > 0 ? value : null;
+}
+
+function normalizeSymbolKey(symbol) {
+  return String(symbol || "").trim().toUpperCase().replace(/-/g, "_");
+}
+
+export function assetGroupOf(symbol, risk = {}) {
+  const key = normalizeSymbolKey(symbol);
+  for (const [group, members] of Object.entries(risk.assetGroups || {})) {
+    if (Array.isArray(members) && members.includes(key)) {
+      return group;
+    }
+  }
+  return risk.defaultAssetGroup || "alts";
+}
+
+// Pearson correlation of close-to-close log returns over the last `lookback` candles both
+// series share. Returns null when fewer than three common returns are available.
+export function rollingReturnCorrelation(candlesA = [], candlesB = [], lookback = 72) {
+  const closesB = new Map();
+  for (const candle of candlesB) {
+    const close = asNumber(candle?.close, 0);
+    if (close > 0) {
+      closesB.set(asNumber(candle.timestamp, null), close);
+    }
+  }
+  const pairs = candlesA
+    .filter((candle) => asNumber(candle?.close, 0) > 0 && closesB.has(asNumber(candle.timestamp, null)))
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .map((candle) => [asNumber(candle.close, 0), closesB.get(asNumber(candle.timestamp, null))])
+    .slice(-(Math.max(2, lookback) + 1));
+  const returnsA = [];
+  const returnsB = [];
+  for (let index = 1; index < pairs.length; index += 1) {
+    returnsA.push(Math.log(pairs[index][0] / pairs[index - 1][0]));
+    returnsB.push(Math.log(pairs[index][1] / pairs[index - 1][1]));
+  }
+  if (returnsA.length < 3) {
+    return null;
+  }
+
+  const meanA = returnsA.reduce((sum, value) => sum + value, 0) / returnsA.length;
+  const meanB = returnsB.reduce((sum, value) => sum + value, 0) / returnsB.length;
+  let covariance = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+  for (let index = 0; index < returnsA.length; index += 1) {
+    covariance += (returnsA[index] - meanA) * (returnsB[index] - meanB);
+    varianceA += (returnsA[index] - meanA) ** 2;
+    varianceB += (returnsB[index] - meanB) ** 2;
+  }
+  if (varianceA <= 0 || varianceB <= 0) {
+    return null;
+  }
+  return covariance / Math.sqrt(varianceA * varianceB);
+}
+
 export class TraditionalRiskEngine {
   constructor(config) {
     this.config = config;
@@ -19,6 +79,11 @@ export class TraditionalRiskEngine {
     const dailyPnlKrw = asNumber(input.dailyPnlKrw, 0);
     const chanceMinTotalKrw = asNumber(input.chanceMinTotalKrw, 0);
     const holdingNotionalKrw = asNumber(input.holdingNotionalKrw, 0);
+    const symbol = normalizeSymbolKey(input.symbol);
+    const exposureBySymbol = input.exposureBySymbol || {};
+    const symbolExposureKrw = asNumber(exposureBySymbol[symbol], 0);
+    const symbolPnlKrw = asNumber(input.symbolPnlKrw, 0);
+    const correlations = input.correlations || {};
 
     const appliedMinNotional = Math.max(limits.minOrderNotionalKrw, chanceMinTotalKrw);
     const projectedExposureKrw = exposureKrw + (side === "buy" ? amountKrw : 0);
@@ -31,6 +96,14 @@ export class TraditionalRiskEngine {
       });
     }
 
+    if (input.circuitBreaker) {
+      reasons.push({
+        rule: "CIRCUIT_BREAKER",
+        detail: `${input.circuitBreaker.name} (${input.circuitBreaker.action}): ${input.circuitBreaker.reason}`,
+        breaker: input.circuitBreaker.name,
+      });
+    }
+
     if (openOrdersCount >= limits.maxOpenOrders) {
       reasons.push({
         rule: "MAX_OPEN_ORDERS",
@@ -66,6 +139,59 @@ export class TraditionalRiskEngine {
       });
     }
 
+    const symbolExposureLimit = limitFor(limits.symbolMaxExposureKrw, symbol);
+    const projectedSymbolExposureKrw = symbolExposureKrw + (side === "buy" ? amountKrw : 0);
+    if (side === "buy" && symbolExposureLimit !== null && projectedSymbolExposureKrw > symbolExposureLimit) {
+      reasons.push({
+        rule: "MAX_SYMBOL_EXPOSURE_KRW",
+        detail: `${symbol} ${projectedSymbolExposureKrw} > ${symbolExposureLimit}`,
+        symbol,
+      });
+    }
+
+    // Only entries are blocked; exits must stay possible on a losing symbol.
+    const symbolLossLimit = limitFor(limits.symbolMaxLossKrw, symbol);
+    if (side === "buy" && symbolLossLimit !== null && symbolPnlKrw <= -symbolLossLimit) {
+      reasons.push({
+        rule: "MAX_SYMBOL_LOSS_KRW",
+        detail: `${symbol} ${symbolPnlKrw} <= -${symbolLossLimit}`,
+        symbol,
+      });
+    }
+
+    const group = assetGroupOf(symbol, limits);
+    const groupLimit = limitFor(limits.groupMaxExposureKrw, group);
+    const groupExposureKrw = Object.entries(exposureBySymbol)
+      .filter(([row]) => assetGroupOf(row, limits) === group)
+      .reduce((sum, [, value]) => sum + asNumber(value, 0), 0);
+    const projectedGroupExposureKrw = groupExposureKrw + (side === "buy" ? amountKrw : 0);
+    if (side === "buy" && groupLimit !== null && projectedGroupExposureKrw > groupLimit) {
+      reasons.push({
+        rule: "MAX_GROUP_EXPOSURE_KRW",
+        detail: `${group} ${projectedGroupExposureKrw} > ${groupLimit}`,
+        group,
+      });
+    }
+
+    // Held symbols whose returns move with this one share a single budget.
+    const correlatedLimit = asNumber(limits.correlatedMaxExposureKrw, 0);
+    const threshold = asNumber(limits.correlationThreshold, 1);
+    const correlatedSymbols = Object.entries(correlations)
+      .filter(([row, value]) => row !== symbol && value !== null && asNumber(value, -1) >= threshold
+        && asNumber(exposureBySymbol[row], 0) > 0)
+      .map(([row]) => row)
+      .sort();
+    const correlatedExposureKrw = correlatedSymbols
+      .reduce((sum, row) => sum + asNumber(exposureBySymbol[row], 0), projectedSymbolExposureKrw);
+    if (side === "buy" && correlatedLimit > 0 && correlatedSymbols.length > 0 && correlatedExposureKrw > correlatedLimit) {
+      reasons.push({
+        rule: "MAX_CORRELATED_EXPOSURE_KRW",
+        detail: `${[symbol, ...correlatedSymbols].join("+")} ${correlatedExposureKrw} > ${correlatedLimit}`,
+        symbols: [symbol, ...correlatedSymbols],
+        correlations: Object.fromEntries(correlatedSymbols.map((row) => [row, Number(asNumber(correlations[row], 0).toFixed(4))])),
+      });
+    }
+
     if (side === "buy" && availableCashKrw + 1e-9 < amountKrw) {
       reasons.push({
         rule: "INSUFFICIENT_CASH",
@@ -108,6 +234,12 @@ export class TraditionalRiskEngine {
         openOrdersBySymbol,
         dailyPnlKrw,
         holdingNotionalKrw,
+        symbolExposureKrw,
+        symbolPnlKrw,
+        group,
+        groupExposureKrw,
+        correlatedSymbols,
+        correlatedExposureKrw: correlatedSymbols.length > 0 ? correlatedExposureKrw : null,
       },
     };
   }
@@ -0,0 +1,90 @@
+function asNumber(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function normalizeCandles(candles = []) {
+  if (!Array.isArray(candles)) {
+    return [];
+  }
+
+  const normalized = candles
+    .map((candle) => {
+      const directTs = asNumber(candle.timestamp);
+      const parsedTs = Date.parse(candle.candleTimeKst || candle.candleTimeUtc || "");
+      const fallbackTs = Number.isFinite(parsedTs) ? parsedTs : 0;
+      return {
+        timestamp: directTs !== null ? directTs : fallbackTs,
+        high: asNumber(candle.high),
+        low: asNumber(candle.low),
+        close: asNumber(candle.close),
+      };
+    })
+    .filter((row) => row.high !== null && row.low !== null && row.close !== null);
+
+  normalized.sort((a, b) => a.timestamp - b.timestamp);
+  return normalized;
+}
+
+export const breakoutStrategy = {
+  name: "breakout",
+  params: {
+    breakoutLookback: {
+      type: "int",
+      default: 20,
+      min: 2,
+      max: 500,
+      env: "STRATEGY_BREAKOUT_LOOKBACK",
+      grid: { env: "OPTIMIZER_BREAKOUT_LOOKBACKS", key: "breakoutLookbacks", values: [10, 20, 30, 55] },
+    },
+    breakoutBufferBps: {
+      type: "number",
+      default: 5,
+      min: 0,
+      max: 500,
+      env: "STRATEGY_BREAKOUT_BUFFER_BPS",
+      grid: { env: "OPTIMIZER_BREAKOUT_BUFFER_BPS", key: "breakoutBufferBpsCandidates", values: [0, 5, 10] },
+    },
+  },
+
+  requiredCandles(params) {
+    return params.breakoutLookback + 1;
+  },
+
+  evaluate(candles, { params }) {
+    const rows = normalizeCandles(candles);
+    const required = params.breakoutLookback + 1;
+    if (rows.length < required) {
+      return {
+        action: "HOLD",
+        reason: "insufficient_candles",
+        metrics: {
+          required,
+          received: rows.length,
+        },
+      };
+    }
+
+    const recent = rows.slice(-required);
+    const current = recent[recent.length - 1];
+    const history = recent.slice(0, -1);
+    const highest = Math.max(...history.map((row) => row.high));
+    const lowest = Math.min(...history.map((row) => row.low));
+    const buffer = params.breakoutBufferBps / 10_000;
+    const metrics = {
+      currentClose: current.close,
+      highest,
+      lowest,
+      lookback: params.breakoutLookback,
+      bufferBps: params.breakoutBufferBps,
+    };
+
+    if (current.close > highest * (1 + buffer)) {
+      return { action: "BUY", reason: "breakout_up", metrics };
+    }
+    if (current.close < lowest * (1 - buffer)) {
+      return { action: "SELL", reason: "breakout_down", metrics };
+    }
+    return { action: "HOLD", reason: "no_breakout", metrics };
+  },
+};
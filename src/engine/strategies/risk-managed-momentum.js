@@ -0,0 +1,195 @@
+function asNumber(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function stddev(values = []) {
+  if (!Array.isArray(values) || values.length === 0) {
+    return 0;
+  }
+
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  return Math.sqrt(Math.max(0, variance));
+}
+
+function normalizeCandles(candles = []) {
+  if (!Array.isArray(candles)) {
+    return [];
+  }
+
+  const normalized = candles
+    .map((candle) => {
+      const directTs = asNumber(candle.timestamp);
+      const parsedTs = Date.parse(candle.candleTimeKst || candle.candleTimeUtc || "");
+      const fallbackTs = Number.isFinite(parsedTs) ? parsedTs : 0;
+      return {
+        timestamp: directTs !== null ? directTs : fallbackTs,
+        high: asNumber(candle.high),
+        low: asNumber(candle.low),
+        close: asNumber(candle.close),
+      };
+    })
+    .filter((row) => row.high !== null && row.low !== null && row.close !== null);
+
+  normalized.sort((a, b) => a.timestamp - b.timestamp);
+  return normalized;
+}
+
+// safeRange bounds what the AI settings file may set (README AI Operator Contract);
+// values outside it silently break the strategy (e.g. momentumEntryBps>30 disables buying).
+export const riskManagedMomentumStrategy = {
+  name: "risk_managed_momentum",
+  params: {
+    momentumLookback: {
+      type: "int",
+      default: 24,
+      min: 2,
+      max: 1_000,
+      safeRange: { min: 12, max: 72 },
+      env: "STRATEGY_MOMENTUM_LOOKBACK",
+      grid: { env: "OPTIMIZER_MOMENTUM_LOOKBACKS", key: "momentumLookbacks", values: [24, 36, 48, 72] },
+    },
+    volatilityLookback: {
+      type: "int",
+      default: 72,
+      min: 5,
+      max: 1_000,
+      safeRange: { min: 48, max: 144 },
+      env: "STRATEGY_VOLATILITY_LOOKBACK",
+      grid: { env: "OPTIMIZER_VOLATILITY_LOOKBACKS", key: "volatilityLookbacks", values: [72, 96, 120, 144] },
+    },
+    momentumEntryBps: {
+      type: "number",
+      default: 12,
+      min: 0,
+      max: 1_000,
+      safeRange: { min: 6, max: 30 },
+      env: "STRATEGY_MOMENTUM_ENTRY_BPS",
+      grid: { env: "OPTIMIZER_ENTRY_BPS", key: "entryBpsCandidates", values: [10, 16, 24, 32] },
+    },
+    momentumExitBps: {
+      type: "number",
+      default: 8,
+      min: 0,
+      max: 1_000,
+      safeRange: { min: 4, max: 20 },
+      env: "STRATEGY_MOMENTUM_EXIT_BPS",
+      grid: { env: "OPTIMIZER_EXIT_BPS", key: "exitBpsCandidates", values: [6, 10, 14, 20] },
+    },
+    targetVolatilityPct: {
+      type: "number",
+      default: 0.6,
+      min: 0.01,
+      max: 20,
+      safeRange: { min: 0.3, max: 1.2 },
+      env: "STRATEGY_TARGET_VOLATILITY_PCT",
+      grid: { env: "OPTIMIZER_TARGET_VOLATILITY_PCT", key: "targetVolatilityPctCandidates", values: [0.35, 0.5] },
+    },
+    riskManagedMinMultiplier: {
+      type: "number",
+      default: 0.6,
+      min: 0.01,
+      max: 10,
+      safeRange: { min: 0.4, max: 1 },
+      env: "STRATEGY_RM_MIN_MULTIPLIER",
+      grid: { env: "OPTIMIZER_RM_MIN_MULTIPLIER", key: "rmMinMultiplierCandidates", values: [0.4] },
+    },
+    riskManagedMaxMultiplier: {
+      type: "number",
+      default: 2.2,
+      min: 0.01,
+      max: 10,
+      safeRange: { min: 1.2, max: 2.5 },
+      env: "STRATEGY_RM_MAX_MULTIPLIER",
+      grid: { env: "OPTIMIZER_RM_MAX_MULTIPLIER", key: "rmMaxMultiplierCandidates", values: [1.6, 1.8] },
+    },
+  },
+
+  requiredCandles(params) {
+    return Math.max(params.momentumLookback + 1, params.volatilityLookback + 1);
+  },
+
+  acceptsCandidate(candidate) {
+    return candidate.volatilityLookback > candidate.momentumLookback
+      && candidate.momentumExitBps <= candidate.momentumEntryBps * 1.25
+      && candidate.riskManagedMaxMultiplier >= candidate.riskManagedMinMultiplier;
+  },
+
+  evaluate(candles, { params }) {
+    const rows = normalizeCandles(candles);
+    const required = this.requiredCandles(params);
+    if (rows.length < required) {
+      return {
+        action: "HOLD",
+        reason: "insufficient_candles",
+        metrics: {
+          required,
+          received: rows.length,
+        },
+      };
+    }
+
+    const closes = rows.map((row) => row.close);
+    const currentClose = closes.at(-1);
+    const momentumRef = closes.at(-(params.momentumLookback + 1));
+    if (!Number.isFinite(currentClose) || !Number.isFinite(momentumRef) || momentumRef <= 0) {
+      return {
+        action: "HOLD",
+        reason: "invalid_prices",
+        metrics: {
+          currentClose,
+          momentumRef,
+        },
+      };
+    }
+
+    const momentumReturn = currentClose / momentumRef - 1;
+    const returns = [];
+    const startIdx = Math.max(1, closes.length - params.volatilityLookback);
+    for (let i = startIdx; i < closes.length; i += 1) {
+      const prev = closes[i - 1];
+      const curr = closes[i];
+      if (Number.isFinite(prev) && prev > 0 && Number.isFinite(curr)) {
+        returns.push(curr / prev - 1);
+      }
+    }
+
+    const realizedVol = stddev(returns);
+    const targetVol = params.targetVolatilityPct / 100;
+    const rawMultiplier = realizedVol > 0 ? targetVol / realizedVol : params.riskManagedMaxMultiplier;
+    const riskMultiplier = clamp(rawMultiplier, params.riskManagedMinMultiplier, params.riskManagedMaxMultiplier);
+
+    const entryThreshold = params.momentumEntryBps / 10_000;
+    const exitThreshold = params.momentumExitBps / 10_000;
+
+    let action = "HOLD";
+    let reason = "flat_momentum";
+    if (momentumReturn >= entryThreshold) {
+      action = "BUY";
+      reason = "momentum_up";
+    } else if (momentumReturn <= -exitThreshold) {
+      action = "SELL";
+      reason = "momentum_down";
+    }
+
+    return {
+      action,
+      reason,
+      metrics: {
+        currentClose,
+        momentumLookback: params.momentumLookback,
+        volatilityLookback: params.volatilityLookback,
+        momentumReturn,
+        momentumBps: momentumReturn * 10_000,
+        realizedVolPct: realizedVol * 100,
+        targetVolatilityPct: params.targetVolatilityPct,
+        riskMultiplier,
+      },
+    };
+  },
+};
@@ -1,5 +1,6 @@
 import { normalizeSymbol } from "../config/defaults.js";
-import { RiskManagedMomentumSignalEngine } from "./signal-engine.js";
+import { createSignalEngine } from "./signal-engine.js";
+import { buildParameterGrid } from "./strategy-registry.js";
 
 function asNumber(value, fallback = null) {
   const parsed = Number(value);
@@ -126,68 +127,6 @@ function maxDrawdownPct(equityCurve = []) {
   return maxDrawdown * 100;
 }
 
-function buildMomentumGrid(config = {}) {
-  const momentumLookbacks = Array.isArray(config.momentumLookbacks) && config.momentumLookbacks.length > 0
-    ? config.momentumLookbacks
-    : [24, 36, 48, 72];
-  const volatilityLookbacks = Array.isArray(config.volatilityLookbacks) && config.volatilityLookbacks.length > 0
-    ? config.volatilityLookbacks
-    : [72, 96, 120, 144];
-  const entryBpsCandidates = Array.isArray(config.entryBpsCandidates) && config.entryBpsCandidates.length > 0
-    ? config.entryBpsCandidates
-    : [10, 16, 24, 32];
-  const exitBpsCandidates = Array.isArray(config.exitBpsCandidates) && config.exitBpsCandidates.length > 0
-    ? config.exitBpsCandidates
-    : [6, 10, 14, 20];
-  const targetVolatilityPctCandidates =
-    Array.isArray(config.targetVolatilityPctCandidates) && config.targetVolatilityPctCandidates.length > 0
-      ? config.targetVolatilityPctCandidates
-      : [0.35, 0.5];
-  const rmMinMultiplierCandidates =
-    Array.isArray(config.rmMinMultiplierCandidates) && config.rmMinMultiplierCandidates.length > 0
-      ? config.rmMinMultiplierCandidates
-      : [0.4];
-  const rmMaxMultiplierCandidates =
-    Array.isArray(config.rmMaxMultiplierCandidates) && config.rmMaxMultiplierCandidates.length > 0
-      ? config.rmMaxMultiplierCandidates
-      : [1.6, 1.8];
-
-  const grid = [];
-  for (const momentumLookback of momentumLookbacks) {
-    for (const volatilityLookback of volatilityLookbacks) {
-      if (volatilityLookback <= momentumLookback) {
-        continue;
-      }
-      for (const entryBps of entryBpsCandidates) {
-        for (const exitBps of exitBpsCandidates) {
-          if (exitBps > entryBps * 1.25) {
-            continue;
-          }
-          for (const targetVolatilityPct of targetVolatilityPctCandidates) {
-            for (const riskManagedMinMultiplier of rmMinMultiplierCandidates) {
-              for (const riskManagedMaxMultiplier of rmMaxMultiplierCandidates) {
-                if (riskManagedMaxMultiplier < riskManagedMinMultiplier) {
-                  continue;
-                }
-                grid.push({
-                  momentumLookback,
-                  volatilityLookback,
-                  momentumEntryBps: entryBps,
-                  momentumExitBps: exitBps,
-                  targetVolatilityPct,
-                  riskManagedMinMultiplier,
-                  riskManagedMaxMultiplier,
-                });
-              }
-            }
-          }
-        }
-      }
-    }
-  }
-  return grid;
-}
-
 function scoreCandidate(metrics) {
   const totalReturnPct = asNumber(metrics.totalReturnPct, 0) ?? 0;
   const maxDdPct = asNumber(metrics.maxDrawdownPct, 0) ?? 0;
@@ -250,8 +189,9 @@ export function simulateRiskManagedMomentum({
   }
 
   const feeRate = Math.max(0, (asNumber(feeBps, 0) ?? 0) / 10_000);
-  const engine = new RiskManagedMomentumSignalEngine({
+  const engine = createSignalEngine({
     strategy: {
+      name: "risk_managed_momentum",
       ...strategy,
     },
   });
@@ -554,7 +494,8 @@ export function optimizeRiskManagedMomentum({
   gridConfig = {},
   walkForward = {},
 } = {}) {
-  const grid = buildMomentumGrid(gridConfig);
+  const strategyName = strategyBase.name || "risk_managed_momentum";
+  const grid = buildParameterGrid(strategyName, gridConfig);
   const ranked = [];
   const symbols = Object.keys(candlesBySymbol).map((item) => normalizeSymbol(item));
 
@@ -566,8 +507,8 @@ export function optimizeRiskManagedMomentum({
 
     for (const candidate of grid) {
       const strategy = {
-        name: "risk_managed_momentum",
         ...strategyBase,
+        name: strategyName,
         ...candidate,
       };
 
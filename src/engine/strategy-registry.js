@@ -0,0 +1,145 @@
+import { breakoutStrategy } from "./strategies/breakout.js";
+import { riskManagedMomentumStrategy } from "./strategies/risk-managed-momentum.js";
+
+// A strategy module declares { name, params, requiredCandles(params), evaluate(candles, context) }
+// and optionally acceptsCandidate(candidate) to prune optimizer grid combinations.
+// Parameters live flat in config.strategy, so names must be unique across strategies.
+const STRATEGY_MODULES = [
+  riskManagedMomentumStrategy,
+  breakoutStrategy,
+];
+
+export const DEFAULT_STRATEGY_NAME = "risk_managed_momentum";
+
+const STRATEGIES = new Map();
+const PARAMS = new Map();
+for (const strategy of STRATEGY_MODULES) {
+  if (STRATEGIES.has(strategy.name)) {
+    throw new Error(`Duplicate strategy name: ${strategy.name}`);
+  }
+  STRATEGIES.set(strategy.name, strategy);
+  for (const [key, spec] of Object.entries(strategy.params)) {
+    if (PARAMS.has(key)) {
+      throw new Error(`Strategy parameter ${key} is declared by both ${PARAMS.get(key).strategy} and ${strategy.name}`);
+    }
+    PARAMS.set(key, { ...spec, strategy: strategy.name });
+  }
+}
+
+function coerceParam(spec, value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) {
+    return null;
+  }
+  const number = spec.type === "int" ? Math.floor(parsed) : parsed;
+  return Math.max(spec.min, Math.min(spec.max, number));
+}
+
+export function listStrategies() {
+  return [...STRATEGIES.keys()];
+}
+
+export function normalizeStrategyName(value, fallback = DEFAULT_STRATEGY_NAME) {
+  const token = String(value || fallback || DEFAULT_STRATEGY_NAME).trim().toLowerCase();
+  return STRATEGIES.has(token) ? token : fallback;
+}
+
+export function getStrategy(name) {
+  return STRATEGIES.get(normalizeStrategyName(name)) || STRATEGIES.get(DEFAULT_STRATEGY_NAME);
+}
+
+export function strategyParamSpecs() {
+  return Object.fromEntries(PARAMS);
+}
+
+export function normalizeStrategyParams(input = {}, fallback = {}, { strategy = null } = {}) {
+  const source = input && typeof input === "object" ? input : {};
+  const base = fallback && typeof fallback === "object" ? fallback : {};
+  const params = {};
+  for (const [key, spec] of PARAMS) {
+    if (strategy && spec.strategy !== strategy) {
+      continue;
+    }
+    params[key] = coerceParam(spec, source[key]) ?? coerceParam(spec, base[key]) ?? spec.default;
+  }
+  return params;
+}
+
+// Like the other numeric env settings, zero or negative values keep the default.
+export function strategyParamsFromEnv(env = {}) {
+  const params = {};
+  for (const [key, spec] of PARAMS) {
+    params[key] = Number(env[spec.env]) > 0 ? coerceParam(spec, env[spec.env]) : spec.default;
+  }
+  return params;
+}
+
+// Clamps params into each spec's safeRange (AI-writable bounds) and reports what changed.
+export function clampStrategyParamsToSafeRange(params = {}, onClamp = () => {}) {
+  const clamped = { ...params };
+  for (const [key, spec] of PARAMS) {
+    const value = clamped[key];
+    if (!spec.safeRange || typeof value !== "number") {
+      continue;
+    }
+    const next = Math.max(spec.safeRange.min, Math.min(spec.safeRange.max, value));
+    if (next !== value) {
+      onClamp({ field: key, received: value, clamped: next, safeMin: spec.safeRange.min, safeMax: spec.safeRange.max });
+      clamped[key] = next;
+    }
+  }
+  return clamped;
+}
+
+export function requiredCandleWindow(strategyConfig = {}) {
+  const strategy = getStrategy(strategyConfig?.name);
+  const params = normalizeStrategyParams(strategyConfig, {}, { strategy: strategy.name });
+  return Math.max(2, Math.floor(strategy.requiredCandles(params)));
+}
+
+function parseGridValues(spec, raw) {
+  if (raw === undefined || raw === null || raw === "") {
+    return null;
+  }
+  const items = Array.isArray(raw) ? raw : String(raw).split(",");
+  const values = items
+    .map((item) => coerceParam(spec, typeof item === "string" ? item.trim() : item))
+    .filter((item) => item !== null);
+  return values.length > 0 ? values : null;
+}
+
+export function optimizerGridFromEnv(env = {}) {
+  const grid = {};
+  for (const spec of PARAMS.values()) {
+    if (spec.grid) {
+      grid[spec.grid.key] = parseGridValues(spec, env[spec.grid.env]) ?? spec.grid.values.slice();
+    }
+  }
+  return grid;
+}
+
+// Cartesian product over the strategy's grid params in declaration order.
+// gridConfig uses the grid keys (e.g. momentumLookbacks) produced by optimizerGridFromEnv.
+export function buildParameterGrid(name, gridConfig = {}) {
+  const strategy = getStrategy(name);
+  const axes = Object.entries(strategy.params)
+    .filter(([, spec]) => spec.grid)
+    .map(([key, spec]) => [key, parseGridValues(spec, gridConfig?.[spec.grid.key]) ?? spec.grid.values]);
+
+  let grid = [{}];
+  for (const [key, values] of axes) {
+    const next = [];
+    for (const candidate of grid) {
+      for (const value of values) {
+        next.push({ ...candidate, [key]: value });
+      }
+    }
+    grid = next;
+  }
+  return typeof strategy.acceptsCandidate === "function"
+    ? grid.filter((candidate) => strategy.acceptsCandidate(candidate))
+    : grid;
+}
@@ -52,7 +52,7 @@ function encodeJwtHS256(secret, payload) {
   return `${encodedHeader}.${encodedPayload}.${signature}`;
 }
 
-class ExchangeHttpError extends Error {
+export class ExchangeHttpError extends Error {
   constructor(message, details = {}) {
     super(message);
     this.name = "ExchangeHttpError";
@@ -142,13 +142,16 @@ export class BithumbClient {
     this.timeoutMs = config.exchange.timeoutMs;
     this.maxRetries = config.exchange.maxRetries;
     this.retryBaseMs = config.exchange.retryBaseMs;
+    this.onRequestEvent = typeof options.onRequestEvent === "function" ? options.onRequestEvent : null;
+    this.onRateLimitWait = typeof options.onRateLimitWait === "function" ? options.onRateLimitWait : null;
     this.publicLimiter = new PerSecondSlidingWindowLimiter({
       maxPerSec: config.exchange.publicMaxPerSec,
+      onWait: (waitMs) => this.onRateLimitWait?.({ limiter: "public", waitMs }),
     });
     this.privateLimiter = new PerSecondSlidingWindowLimiter({
       maxPerSec: config.exchange.privateMaxPerSec,
+      onWait: (waitMs) => this.onRateLimitWait?.({ limiter: "private", waitMs }),
     });
-    this.onRequestEvent = typeof options.onRequestEvent === "function" ? options.onRequestEvent : null;
     this.nowFn = typeof options.nowFn === "function" ? options.nowFn : () => Date.now();
   }
 
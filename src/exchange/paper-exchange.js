@@ -0,0 +1,674 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { normalizeSymbol, toBithumbMarket } from "../config/defaults.js";
+import { extractTickerMetrics, MarketDataService } from "../core/market-data.js";
+import { uuid } from "../lib/ids.js";
+import { BithumbClient } from "./bithumb-client.js";
+
+const QTY_DECIMALS = 8;
+
+export class PaperExchangeError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "PaperExchangeError";
+    this.status = details.status ?? null;
+    this.payload = details.payload ?? null;
+    this.retryable = Boolean(details.retryable);
+  }
+}
+
+function asNumber(value, fallback = null) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+function asNonNegativeNumber(value, fallback = 0) {
+  const parsed = asNumber(value, null);
+  return parsed !== null && parsed >= 0 ? parsed : fallback;
+}
+
+function floorQty(value) {
+  const factor = 10 ** QTY_DECIMALS;
+  return Math.floor(value * factor) / factor;
+}
+
+function toAmountString(value) {
+  if (!Number.isFinite(value)) {
+    return null;
+  }
+  return String(Number(value.toFixed(QTY_DECIMALS)));
+}
+
+function baseCurrency(symbol) {
+  return normalizeSymbol(symbol).split("_")[0];
+}
+
+function quoteCurrency(symbol) {
+  return normalizeSymbol(symbol).split("_")[1] || "KRW";
+}
+
+function initialWallet(initialCashKrw, nowIsoValue) {
+  return {
+    version: 1,
+    balances: {
+      KRW: {
+        balance: initialCashKrw,
+        locked: 0,
+        avgBuyPrice: 0,
+      },
+    },
+    orders: [],
+    createdAt: nowIsoValue,
+    updatedAt: nowIsoValue,
+  };
+}
+
+function normalizeWallet(raw, initialCashKrw, nowIsoValue) {
+  const base = initialWallet(initialCashKrw, nowIsoValue);
+  if (!raw || typeof raw !== "object") {
+    return base;
+  }
+  const balances = {};
+  for (const [currency, row] of Object.entries(raw.balances || {})) {
+    balances[String(currency).toUpperCase()] = {
+      balance: asNonNegativeNumber(row?.balance, 0),
+      locked: asNonNegativeNumber(row?.locked, 0),
+      avgBuyPrice: asNonNegativeNumber(row?.avgBuyPrice, 0),
+    };
+  }
+  if (!balances.KRW) {
+    balances.KRW = { ...base.balances.KRW };
+  }
+  return {
+    ...base,
+    ...raw,
+    balances,
+    orders: Array.isArray(raw.orders) ? raw.orders : [],
+  };
+}
+
+function isOpenOrder(order) {
+  return order?.state === "wait";
+}
+
+export class PaperExchangeClient {
+  constructor(config, logger, options = {}) {
+    const paper = config.paper || {};
+    this.config = config;
+    this.logger = logger || {
+      info() {},
+      warn() {},
+      error() {},
+    };
+    this.walletFile = paper.walletFile || path.join(process.cwd(), ".trader", "paper-wallet.json");
+    this.initialCashKrw = asNumber(paper.initialCashKrw, 1_000_000);
+    this.feeRate = asNonNegativeNumber(paper.feeBps, 4) / 10_000;
+    this.slippageRate = asNonNegativeNumber(paper.slippageBps, 5) / 10_000;
+    this.minOrderTotalKrw = asNonNegativeNumber(paper.minOrderTotalKrw, 5_000);
+    this.tickerMaxAgeMs = asNonNegativeNumber(paper.tickerMaxAgeMs, 5_000);
+    this.maxClosedOrders = Math.max(1, Math.floor(asNumber(paper.maxClosedOrders, 500)));
+    this.nowFn = typeof options.nowFn === "function" ? options.nowFn : () => Date.now();
+    this.persistEnabled = options.persist !== false;
+    this.publicClient = options.publicClient || new BithumbClient(config, this.logger);
+    this.marketData = options.marketData || new MarketDataService(config, this.publicClient);
+    this.wsClient = options.wsClient || null;
+    this.wallet = null;
+    this.lastTicks = new Map();
+    this.tickerStreams = new Map();
+    this.sequence = Promise.resolve();
+  }
+
+  nowIso() {
+    return new Date(this.nowFn()).toISOString();
+  }
+
+  async withSequence(task) {
+    const next = this.sequence.then(task);
+    this.sequence = next.catch(() => {});
+    return next;
+  }
+
+  async loadWallet() {
+    if (this.wallet) {
+      return this.wallet;
+    }
+
+    let raw = null;
+    if (this.persistEnabled) {
+      try {
+        raw = JSON.parse(await fs.readFile(this.walletFile, "utf8"));
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          throw new PaperExchangeError(`Failed to read paper wallet: ${error.message}`, { retryable: false });
+        }
+      }
+    }
+
+    this.wallet = normalizeWallet(raw, this.initialCashKrw, this.nowIso());
+    if (!raw && this.persistEnabled) {
+      await this.persistWallet();
+      this.logger.info("paper wallet created", {
+        walletFile: this.walletFile,
+        initialCashKrw: this.initialCashKrw,
+      });
+    }
+    return this.wallet;
+  }
+
+  async persistWallet() {
+    const wallet = this.wallet;
+    const open = wallet.orders.filter((order) => isOpenOrder(order));
+    const closed = wallet.orders.filter((order) => !isOpenOrder(order));
+    wallet.orders = [...closed.slice(-this.maxClosedOrders), ...open]
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+    wallet.updatedAt = this.nowIso();
+    if (!this.persistEnabled) {
+      return;
+    }
+
+    await fs.mkdir(path.dirname(this.walletFile), { recursive: true });
+    const tmp = `${this.walletFile}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(wallet, null, 2), "utf8");
+    await fs.rename(tmp, this.walletFile);
+  }
+
+  balanceRow(currency) {
+    const key = String(currency).toUpperCase();
+    if (!this.wallet.balances[key]) {
+      this.wallet.balances[key] = { balance: 0, locked: 0, avgBuyPrice: 0 };
+    }
+    return this.wallet.balances[key];
+  }
+
+  isRetryableError(error) {
+    if (!error) {
+      return false;
+    }
+    if (error.retryable) {
+      return true;
+    }
+    if (error.status === 429) {
+      return true;
+    }
+    return typeof error.status === "number" && error.status >= 500;
+  }
+
+  // Public market data still comes from the real exchange; private endpoints never leave this process.
+  async withRetry(req) {
+    if (req?.requiresAuth) {
+      throw new PaperExchangeError(`Paper exchange does not proxy private endpoint ${req.path}`, {
+        status: 400,
+        retryable: false,
+      });
+    }
+    return this.publicClient.withRetry(req);
+  }
+
+  async ensureTickerStream(symbol) {
+    if (!this.wsClient || this.tickerStreams.has(symbol)) {
+      return;
+    }
+
+    this.tickerStreams.set(symbol, null);
+    try {
+      const handle = await this.wsClient.openTickerStream({
+        symbols: [symbol],
+        onTicker: (tick) => {
+          this.applyTicker(tick).catch((error) => {
+            this.logger.warn("paper ticker apply failed", {
+              symbol,
+              reason: error.message,
+            });
+          });
+        },
+        onError: (error) => {
+          this.logger.warn("paper ticker stream error", {
+            symbol,
+            reason: error.message,
+          });
+        },
+      });
+      this.tickerStreams.set(symbol, handle);
+      Promise.resolve(handle?.closed).finally(() => {
+        if (this.tickerStreams.get(symbol) === handle) {
+          this.tickerStreams.delete(symbol);
+        }
+      });
+    } catch (error) {
+      this.tickerStreams.delete(symbol);
+      this.logger.warn("paper ticker stream open failed", {
+        symbol,
+        reason: error.message,
+      });
+    }
+  }
+
+  async close() {
+    const handles = Array.from(this.tickerStreams.values()).filter(Boolean);
+    this.tickerStreams.clear();
+    for (const handle of handles) {
+      handle.close();
+    }
+  }
+
+  async applyTicker(tick) {
+    const symbol = normalizeSymbol(tick?.symbol);
+    const price = asNumber(tick?.tradePrice, null);
+    if (!tick?.symbol || price === null || price <= 0) {
+      return 0;
+    }
+
+    this.lastTicks.set(symbol, {
+      price,
+      receivedAt: this.nowFn(),
+      source: "ticker_stream",
+    });
+
+    return this.withSequence(async () => {
+      await this.loadWallet();
+      let filled = 0;
+      for (const order of this.wallet.orders) {
+        if (order.symbol !== symbol || !isOpenOrder(order)) {
+          continue;
+        }
+        const crossed = order.side === "bid" ? price <= order.price : price >= order.price;
+        if (crossed) {
+          this.fillOrder(order, order.price);
+          filled += 1;
+        }
+      }
+      if (filled > 0) {
+        await this.persistWallet();
+      }
+      return filled;
+    });
+  }
+
+  async resolveReferencePrice(symbol) {
+    await this.ensureTickerStream(symbol);
+    const tick = this.lastTicks.get(symbol);
+    if (tick && this.nowFn() - tick.receivedAt <= this.tickerMaxAgeMs) {
+      return tick.price;
+    }
+
+    const ticker = await this.marketData.getMarketTicker(symbol);
+    const price = extractTickerMetrics(ticker?.payload).lastPrice;
+    if (!Number.isFinite(price) || price <= 0) {
+      throw new PaperExchangeError(`Paper exchange has no reference price for ${symbol}`, {
+        status: 503,
+        retryable: true,
+      });
+    }
+
+    this.lastTicks.set(symbol, {
+      price,
+      receivedAt: this.nowFn(),
+      source: "rest_ticker",
+    });
+    return price;
+  }
+
+  fillOrder(order, fillPrice, qtyOverride = null) {
+    const quote = this.balanceRow(quoteCurrency(order.symbol));
+    const coin = this.balanceRow(baseCurrency(order.symbol));
+    const qty = qtyOverride ?? order.volume;
+    const funds = qty * fillPrice;
+    const fee = funds * this.feeRate;
+
+    if (order.side === "bid") {
+      quote.locked = Math.max(0, quote.locked - order.reservedKrw);
+      quote.balance += order.reservedKrw - funds - fee;
+      const heldQty = coin.balance + coin.locked;
+      coin.avgBuyPrice = heldQty + qty > 0
+        ? (heldQty * coin.avgBuyPrice + funds) / (heldQty + qty)
+        : 0;
+      coin.balance += qty;
+    } else {
+      coin.locked = Math.max(0, floorQty(coin.locked - order.reservedQty));
+      coin.balance = floorQty(coin.balance + order.reservedQty - qty);
+      quote.balance += funds - fee;
+      if (coin.balance + coin.locked <= 0) {
+        coin.avgBuyPrice = 0;
+      }
+    }
+
+    const ts = this.nowIso();
+    order.reservedKrw = 0;
+    order.reservedQty = 0;
+    order.volume = order.volume ?? qty;
+    order.executedVolume = qty;
+    order.executedFunds = funds;
+    order.paidFee = fee;
+    order.state = "done";
+    order.updatedAt = ts;
+    order.trades = [{
+      uuid: uuid(),
+      price: fillPrice,
+      volume: qty,
+      funds,
+      createdAt: ts,
+    }];
+  }
+
+  toOrderResponse(order) {
+    const executedVolume = order.executedVolume || 0;
+    const avgPrice = executedVolume > 0 ? order.executedFunds / executedVolume : null;
+    const remainingVolume = order.state === "wait" && Number.isFinite(order.volume)
+      ? order.volume - executedVolume
+      : 0;
+
+    return {
+      uuid: order.uuid,
+      side: order.side,
+      ord_type: order.ordType,
+      price: toAmountString(order.ordType === "price" ? order.amountKrw : order.price),
+      state: order.state,
+      market: toBithumbMarket(order.symbol),
+      created_at: order.createdAt,
+      volume: toAmountString(order.volume),
+      remaining_volume: toAmountString(remainingVolume),
+      reserved_fee: toAmountString(order.side === "bid" ? order.reservedKrw * this.feeRate : 0),
+      remaining_fee: toAmountString(0),
+      paid_fee: toAmountString(order.paidFee || 0),
+      locked: toAmountString(order.side === "bid" ? order.reservedKrw : order.reservedQty),
+      executed_volume: toAmountString(executedVolume),
+      executed_funds: toAmountString(order.executedFunds || 0),
+      avg_price: toAmountString(avgPrice),
+      trades_count: Array.isArray(order.trades) ? order.trades.length : 0,
+      identifier: order.identifier || null,
+      trades: (order.trades || []).map((trade) => ({
+        market: toBithumbMarket(order.symbol),
+        uuid: trade.uuid,
+        price: toAmountString(trade.price),
+        volume: toAmountString(trade.volume),
+        funds: toAmountString(trade.funds),
+        side: order.side,
+        created_at: trade.createdAt,
+      })),
+    };
+  }
+
+  async getAccounts() {
+    return this.withSequence(async () => {
+      await this.loadWallet();
+      return Object.entries(this.wallet.balances)
+        .filter(([currency, row]) => currency === "KRW" || row.balance > 0 || row.locked > 0)
+        .map(([currency, row]) => ({
+          currency,
+          balance: toAmountString(row.balance),
+          locked: toAmountString(row.locked),
+          avg_buy_price: toAmountString(row.avgBuyPrice),
+          avg_buy_price_modified: false,
+          unit_currency: "KRW",
+        }));
+    });
+  }
+
+  async getOrderChance({ symbol }) {
+    const normalized = normalizeSymbol(symbol);
+    const base = baseCurrency(normalized);
+    const quote = quoteCurrency(normalized);
+    const accounts = await this.getAccounts();
+    const accountFor = (currency) => accounts.find((row) => row.currency === currency) || {
+      currency,
+      balance: "0",
+      locked: "0",
+      avg_buy_price: "0",
+      avg_buy_price_modified: false,
+      unit_currency: "KRW",
+    };
+    const feeText = String(this.feeRate);
+
+    return {
+      bid_fee: feeText,
+      ask_fee: feeText,
+      maker_bid_fee: feeText,
+      maker_ask_fee: feeText,
+      market: {
+        id: toBithumbMarket(normalized),
+        name: normalized,
+        order_types: ["limit", "price", "market"],
+        order_sides: ["ask", "bid"],
+        bid: { currency: quote, min_total: String(this.minOrderTotalKrw) },
+        ask: { currency: quote, min_total: String(this.minOrderTotalKrw) },
+        max_total: "1000000000",
+        state: "active",
+      },
+      bid_account: accountFor(quote),
+      ask_account: accountFor(base),
+    };
+  }
+
+  async placeOrder({ symbol, side, type, price, qty, amountKrw = null, clientOrderKey = null }) {
+    const normalized = normalizeSymbol(symbol);
+    const sideNormalized = String(side || "").toLowerCase() === "sell" ? "ask" : "bid";
+    const typeNormalized = String(type || "limit").toLowerCase();
+    let ordType = typeNormalized;
+    if (typeNormalized === "market" && sideNormalized === "bid") {
+      ordType = "price";
+    }
+    if (!["limit", "price", "market"].includes(ordType)) {
+      throw new PaperExchangeError(`Unsupported order type: ${type}`, { status: 400, retryable: false });
+    }
+    if (ordType === "market" && sideNormalized !== "ask") {
+      throw new PaperExchangeError("ord_type=market requires side=ask", { status: 400, retryable: false });
+    }
+
+    const referencePrice = await this.resolveReferencePrice(normalized);
+
+    return this.withSequence(async () => {
+      await this.loadWallet();
+      if (clientOrderKey && this.wallet.orders.some((order) => order.identifier === String(clientOrderKey))) {
+        throw new PaperExchangeError("Duplicate identifier", { status: 400, retryable: false });
+      }
+
+      const order = {
+        uuid: uuid(),
+        identifier: clientOrderKey ? String(clientOrderKey) : null,
+        symbol: normalized,
+        side: sideNormalized,
+        ordType,
+        price: null,
+        volume: null,
+        amountKrw: null,
+        reservedKrw: 0,
+        reservedQty: 0,
+        executedVolume: 0,
+        executedFunds: 0,
+        paidFee: 0,
+        state: "wait",
+        trades: [],
+        referencePrice,
+        createdAt: this.nowIso(),
+        updatedAt: this.nowIso(),
+      };
+      const quote = this.balanceRow(quoteCurrency(normalized));
+      const coin = this.balanceRow(baseCurrency(normalized));
+      let immediateFill = null;
+
+      if (ordType === "price") {
+        const spend = Number.isFinite(Number(amountKrw)) ? Number(amountKrw) : Number(price);
+        if (!Number.isFinite(spend) || spend <= 0) {
+          throw new PaperExchangeError("Invalid market-buy notional (price)", { status: 400, retryable: false });
+        }
+        const fillPrice = referencePrice * (1 + this.slippageRate);
+        const fillQty = floorQty(spend / fillPrice);
+        order.amountKrw = spend;
+        order.reservedKrw = spend * (1 + this.feeRate);
+        immediateFill = { price: fillPrice, qty: fillQty };
+      } else if (ordType === "market") {
+        const volume = floorQty(asNumber(qty, 0));
+        if (volume <= 0) {
+          throw new PaperExchangeError("Invalid market-sell volume", { status: 400, retryable: false });
+        }
+        order.volume = volume;
+        order.reservedQty = volume;
+        immediateFill = { price: referencePrice * (1 - this.slippageRate), qty: volume };
+      } else {
+        const limitPrice = asNumber(price, 0);
+        const volume = floorQty(asNumber(qty, 0));
+        if (limitPrice <= 0 || volume <= 0) {
+          throw new PaperExchangeError("Limit order requires positive price and volume", {
+            status: 400,
+            retryable: false,
+          });
+        }
+        order.price = limitPrice;
+        order.volume = volume;
+        if (sideNormalized === "bid") {
+          order.reservedKrw = limitPrice * volume * (1 + this.feeRate);
+          if (referencePrice <= limitPrice) {
+            immediateFill = { price: Math.min(limitPrice, referencePrice * (1 + this.slippageRate)), qty: volume };
+          }
+        } else {
+          order.reservedQty = volume;
+          if (referencePrice >= limitPrice) {
+            immediateFill = { price: Math.max(limitPrice, referencePrice * (1 - this.slippageRate)), qty: volume };
+          }
+        }
+      }
+
+      // Market sells are valued at the reference price, like the exchange's own min_total check.
+      const orderTotal = ordType === "price" ? order.amountKrw : (order.price ?? referencePrice) * order.volume;
+      if (orderTotal < this.minOrderTotalKrw) {
+        throw new PaperExchangeError(`Order total ${orderTotal} KRW is below min_total ${this.minOrderTotalKrw} KRW`, {
+          status: 400,
+          retryable: false,
+          payload: { error: { name: `under_min_total_${sideNormalized}` } },
+        });
+      }
+      if (order.reservedKrw > quote.balance + 1e-9) {
+        throw new PaperExchangeError("Insufficient KRW balance", {
+          status: 400,
+          retryable: false,
+          payload: { error: { name: "insufficient_funds_bid" } },
+        });
+      }
+      if (order.reservedQty > coin.balance + 1e-12) {
+        throw new PaperExchangeError(`Insufficient ${baseCurrency(normalized)} balance`, {
+          status: 400,
+          retryable: false,
+          payload: { error: { name: "insufficient_funds_ask" } },
+        });
+      }
+      if (immediateFill && immediateFill.qty <= 0) {
+        throw new PaperExchangeError("Order notional too small to fill", { status: 400, retryable: false });
+      }
+
+      quote.balance -= order.reservedKrw;
+      quote.locked += order.reservedKrw;
+      coin.balance = floorQty(coin.balance - order.reservedQty);
+      coin.locked = floorQty(coin.locked + order.reservedQty);
+      this.wallet.orders.push(order);
+
+      // Live placement only acknowledges the order; fills are observed through getOrderStatus.
+      const ack = this.toOrderResponse(order);
+      if (immediateFill) {
+        this.fillOrder(order, immediateFill.price, immediateFill.qty);
+      }
+      await this.persistWallet();
+      return ack;
+    });
+  }
+
+  findOrder({ exchangeOrderId = null, clientOrderKey = null } = {}) {
+    if (exchangeOrderId) {
+      return this.wallet.orders.find((order) => order.uuid === String(exchangeOrderId)) || null;
+    }
+    if (clientOrderKey) {
+      return this.wallet.orders.find((order) => order.identifier === String(clientOrderKey)) || null;
+    }
+    return null;
+  }
+
+  async getOrder({ exchangeOrderId }) {
+    return this.getOrderStatus({ exchangeOrderId });
+  }
+
+  async getOrderStatus({ exchangeOrderId = null, clientOrderKey = null } = {}) {
+    if (!exchangeOrderId && !clientOrderKey) {
+      throw new PaperExchangeError("Order lookup requires exchangeOrderId or clientOrderKey", { retryable: false });
+    }
+
+    return this.withSequence(async () => {
+      await this.loadWallet();
+      const order = this.findOrder({ exchangeOrderId, clientOrderKey });
+      if (!order) {
+        throw new PaperExchangeError("Unable to resolve order status", { status: 404, retryable: false });
+      }
+      return this.toOrderResponse(order);
+    });
+  }
+
+  async findOrderByClientOrderKey({ clientOrderKey }) {
+    if (!clientOrderKey) {
+      return null;
+    }
+    return this.withSequence(async () => {
+      await this.loadWallet();
+      const order = this.findOrder({ clientOrderKey });
+      return order ? this.toOrderResponse(order) : null;
+    });
+  }
+
+  async listOrders({
+    symbol = null,
+    uuids = null,
+    state = null,
+    states = null,
+    page = 1,
+    limit = 100,
+    orderBy = "desc",
+  } = {}) {
+    return this.withSequence(async () => {
+      await this.loadWallet();
+      const normalized = symbol ? normalizeSymbol(symbol) : null;
+      const uuidSet = Array.isArray(uuids) && uuids.length > 0 ? new Set(uuids.map(String)) : null;
+      const stateSet = new Set(
+        [state, ...(Array.isArray(states) ? states : [])]
+          .filter(Boolean)
+          .map((item) => String(item).toLowerCase()),
+      );
+      const rows = this.wallet.orders
+        .filter((order) => !normalized || order.symbol === normalized)
+        .filter((order) => !uuidSet || uuidSet.has(order.uuid))
+        .filter((order) => stateSet.size === 0 || stateSet.has(order.state))
+        .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+      if (String(orderBy).toLowerCase() !== "asc") {
+        rows.reverse();
+      }
+      const size = Math.max(1, Math.floor(asNumber(limit, 100)));
+      const offset = (Math.max(1, Math.floor(asNumber(page, 1))) - 1) * size;
+      return rows.slice(offset, offset + size).map((order) => this.toOrderResponse(order));
+    });
+  }
+
+  async cancelOrder({ exchangeOrderId }) {
+    return this.withSequence(async () => {
+      await this.loadWallet();
+      const order = this.findOrder({ exchangeOrderId });
+      if (!order) {
+        throw new PaperExchangeError("Order not found", { status: 404, retryable: false });
+      }
+      if (!isOpenOrder(order)) {
+        throw new PaperExchangeError(`Order is not cancellable in state ${order.state}`, {
+          status: 400,
+          retryable: false,
+        });
+      }
+
+      const quote = this.balanceRow(quoteCurrency(order.symbol));
+      const coin = this.balanceRow(baseCurrency(order.symbol));
+      quote.locked = Math.max(0, quote.locked - order.reservedKrw);
+      quote.balance += order.reservedKrw;
+      coin.locked = Math.max(0, floorQty(coin.locked - order.reservedQty));
+      coin.balance = floorQty(coin.balance + order.reservedQty);
+      order.reservedKrw = 0;
+      order.reservedQty = 0;
+      order.state = "cancel";
+      order.updatedAt = this.nowIso();
+      await this.persistWallet();
+      return this.toOrderResponse(order);
+    });
+  }
+}
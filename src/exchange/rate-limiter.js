@@ -11,10 +11,11 @@ function toPositiveInt(value, fallback) {
 }
 
 export class PerSecondSlidingWindowLimiter {
-  constructor({ maxPerSec = 1, nowFn = () => Date.now(), sleepFn = sleep } = {}) {
+  constructor({ maxPerSec = 1, nowFn = () => Date.now(), sleepFn = sleep, onWait = null } = {}) {
     this.maxPerSec = toPositiveInt(maxPerSec, 1);
     this.nowFn = nowFn;
     this.sleepFn = sleepFn;
+    this.onWait = typeof onWait === "function" ? onWait : null;
     this.timestamps = [];
     this.lock = Promise.resolve();
   }
@@ -38,6 +39,7 @@ export class PerSecondSlidingWindowLimiter {
 
       const earliest = this.timestamps[0];
       const waitMs = Math.max(1, earliest + 1000 - nowMs);
+      this.onWait?.(waitMs);
       await this.sleepFn(waitMs);
     }
   }
@@ -0,0 +1,61 @@
+import http from "node:http";
+import { invalidArg } from "./errors.js";
+
+const LOOPBACK_HOSTS = new Set(["127.0.0.1", "::1", "localhost"]);
+
+function asNumber(value, fallback = null) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+// Plain HTTP listener shared by the control API and the metrics endpoint. It refuses to
+// bind anywhere but loopback; `field` names the env var reported when it does.
+export class LoopbackServer {
+  constructor({ host, port, defaultPort = 0, label = "Server", field = null } = {}) {
+    this.host = String(host || "127.0.0.1").trim();
+    this.port = Math.max(0, Math.floor(asNumber(port, defaultPort)));
+    this.label = label;
+    this.field = field;
+    this.server = null;
+  }
+
+  async listen(handler) {
+    if (!LOOPBACK_HOSTS.has(this.host)) {
+      throw invalidArg(`${this.label} must bind to a loopback host`, {
+        field: this.field,
+        input: this.host,
+      });
+    }
+    if (this.server) {
+      return this.address();
+    }
+
+    this.server = http.createServer(handler);
+    await new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off("error", reject);
+        resolve();
+      });
+    });
+    return this.address();
+  }
+
+  address() {
+    const address = this.server?.address();
+    if (!address || typeof address === "string") {
+      return { host: this.host, port: this.port };
+    }
+    return { host: address.address, port: address.port };
+  }
+
+  async close() {
+    if (!this.server) {
+      return;
+    }
+    const server = this.server;
+    this.server = null;
+    server.closeAllConnections?.();
+    await new Promise((resolve) => server.close(() => resolve()));
+  }
+}
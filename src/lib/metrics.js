@@ -0,0 +1,137 @@
+// In-process counters, gauges and histograms rendered in the Prometheus text exposition format.
+
+function escapeLabel(value) {
+  return String(value ?? "").replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, "\\\"");
+}
+
+function escapeHelp(value) {
+  return String(value ?? "").replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+}
+
+function formatValue(value) {
+  if (Number.isNaN(value)) {
+    return "NaN";
+  }
+  if (value === Infinity) {
+    return "+Inf";
+  }
+  if (value === -Infinity) {
+    return "-Inf";
+  }
+  return String(value);
+}
+
+function formatLabels(pairs) {
+  return pairs.length > 0 ? `{${pairs.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}` : "";
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = [], { buckets = [] } = {}) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.series = new Map();
+  }
+
+  seriesFor(labels = {}) {
+    const values = this.labelNames.map((name) => String(labels[name] ?? ""));
+    const key = JSON.stringify(values);
+    if (!this.series.has(key)) {
+      this.series.set(key, {
+        labels: this.labelNames.map((name, index) => [name, values[index]]),
+        value: 0,
+        counts: this.buckets.map(() => 0),
+        sum: 0,
+        count: 0,
+      });
+    }
+    return this.series.get(key);
+  }
+
+  inc(labels = {}, value = 1) {
+    const amount = Number(value);
+    if (!Number.isFinite(amount) || (this.type === "counter" && amount < 0)) {
+      return;
+    }
+    this.seriesFor(labels).value += amount;
+  }
+
+  set(labels = {}, value = 0) {
+    const amount = Number(value);
+    if (value === null || value === undefined || !Number.isFinite(amount)) {
+      return;
+    }
+    this.seriesFor(labels).value = amount;
+  }
+
+  observe(labels = {}, value = 0) {
+    const amount = Number(value);
+    if (!Number.isFinite(amount)) {
+      return;
+    }
+    const series = this.seriesFor(labels);
+    this.buckets.forEach((upper, index) => {
+      if (amount <= upper) {
+        series.counts[index] += 1;
+      }
+    });
+    series.sum += amount;
+    series.count += 1;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`];
+    for (const series of this.series.values()) {
+      if (this.type !== "histogram") {
+        lines.push(`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+        continue;
+      }
+      this.buckets.forEach((upper, index) => {
+        lines.push(`${this.name}_bucket${formatLabels([...series.labels, ["le", formatValue(upper)]])} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels([...series.labels, ["le", "+Inf"]])} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    return lines.join("\n");
+  }
+}
+
+// Declaring a metric twice returns the first declaration, so call sites can declare what they use.
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  declare(type, name, help, labelNames, options) {
+    const existing = this.metrics.get(name);
+    if (existing) {
+      if (existing.type !== type) {
+        throw new Error(`Metric ${name} is already declared as a ${existing.type}`);
+      }
+      return existing;
+    }
+    const metric = new Metric(type, name, help, labelNames, options);
+    this.metrics.set(name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames = []) {
+    return this.declare("counter", name, help, labelNames);
+  }
+
+  gauge(name, help, labelNames = []) {
+    return this.declare("gauge", name, help, labelNames);
+  }
+
+  histogram(name, help, labelNames = [], buckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]) {
+    return this.declare("histogram", name, help, labelNames, { buckets });
+  }
+
+  render() {
+    const blocks = Array.from(this.metrics.values()).map((metric) => metric.render());
+    return blocks.length > 0 ? `${blocks.join("\n")}\n` : "";
+  }
+}
@@ -0,0 +1,140 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { loadConfig } from "../src/config/defaults.js";
+import {
+  buildReplayConfig,
+  buildReplaySeries,
+  candlesToTicks,
+  installVirtualClock,
+  loadReplayRows,
+  runBacktest,
+} from "../src/app/backtest.js";
+
+const BASE_MS = Date.UTC(2026, 0, 1);
+const INTERVAL_MS = 15 * 60_000;
+
+function syntheticCandles(count = 140, trendFrom = 90) {
+  const rows = [];
+  let close = 1000;
+  for (let i = 0; i < count; i += 1) {
+    const open = close;
+    close = i < trendFrom ? 1000 + Math.sin(i / 3) * 5 : close * 1.01;
+    rows.push({
+      symbol: "BTC_KRW",
+      candleTimeUtc: new Date(BASE_MS + i * INTERVAL_MS).toISOString().slice(0, 19),
+      open,
+      high: Math.max(open, close) * 1.002,
+      low: Math.min(open, close) * 0.998,
+      close,
+    });
+  }
+  return rows;
+}
+
+async function createConfig(extra = {}) {
+  const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), "backtest-test-"));
+  return loadConfig({
+    TRADER_STATE_FILE: path.join(baseDir, "state.json"),
+    TRADER_OVERLAY_FILE: path.join(baseDir, "overlay.json"),
+    STRATEGY_CANDLE_INTERVAL: "15m",
+    EXECUTION_ORDER_AMOUNT_KRW: "20000",
+    BACKTEST_SYMBOLS: "BTC_KRW",
+    BACKTEST_WINDOW_SEC: "900",
+    BACKTEST_REPORT_FILE: path.join(baseDir, "report.jsonl"),
+    BACKTEST_SUMMARY_FILE: path.join(baseDir, "summary.json"),
+    BACKTEST_RESULT_FILE: path.join(baseDir, "result.json"),
+    ...extra,
+  });
+}
+
+test("candles expand into intrabar ticks ordered open, extremes, close", () => {
+  const [candle] = buildReplaySeries(syntheticCandles(1), { interval: "15m" }).get("BTC_KRW").candles;
+  const ticks = candlesToTicks([{ ...candle, open: 100, high: 110, low: 90, close: 105 }], INTERVAL_MS);
+
+  assert.deepEqual(ticks.map((row) => row.tradePrice), [100, 90, 110, 105]);
+  assert.ok(ticks.every((row) => row.timestamp >= BASE_MS && row.timestamp < BASE_MS + INTERVAL_MS));
+});
+
+test("replay loader rejects candles recorded at a different interval", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "backtest-rows-"));
+  const file = path.join(dir, "candles.jsonl");
+  await fs.writeFile(
+    file,
+    syntheticCandles(3).map((row) => JSON.stringify({ ...row, interval: "1m" })).join("\n"),
+    "utf8",
+  );
+
+  const rows = await loadReplayRows(file);
+  assert.equal(rows.length, 3);
+  assert.throws(() => buildReplaySeries(rows, { interval: "15m" }), /does not match strategy interval/);
+});
+
+test("virtual clock drives Date and restores the real one", () => {
+  const RealDate = Date;
+  const clock = installVirtualClock(BASE_MS);
+  try {
+    assert.equal(Date.now(), BASE_MS);
+    assert.equal(new Date().getTime(), BASE_MS);
+    clock.set(BASE_MS + 1_000);
+    clock.set(BASE_MS);
+    assert.equal(Date.now(), BASE_MS + 1_000);
+    assert.equal(new Date(0).getTime(), 0);
+  } finally {
+    clock.restore();
+  }
+  assert.equal(Date, RealDate);
+});
+
+test("backtest replays candles through the execution service and paper exchange", async () => {
+  const RealDate = Date;
+  const config = await createConfig();
+  const result = await runBacktest({ config, rows: syntheticCandles(), logger: null });
+
+  assert.equal(result.ok, true, JSON.stringify(result.error));
+  assert.equal(result.data.stoppedBy, "window_limit");
+  assert.equal(result.data.windows, result.data.plannedWindows);
+  assert.equal(result.data.ticksRemaining, 0);
+  assert.ok(result.data.executionKpi.fills.buyCount > 0);
+  assert.ok(result.data.finalEquityKrw > result.data.initialCashKrw);
+  assert.equal(Date, RealDate);
+
+  const reportLines = (await fs.readFile(config.backtest.reportFile, "utf8")).trim().split("\n");
+  assert.equal(reportLines.length, result.data.windows);
+  const first = JSON.parse(reportLines[0]);
+  assert.equal(first.type, "execution_kpi_monitor");
+  assert.ok(first.sampledAtMs >= Date.parse(result.data.startAt));
+  assert.ok(first.sampledAtMs < BASE_MS + 2 * 24 * 60 * 60_000);
+
+  const saved = JSON.parse(await fs.readFile(config.backtest.resultFile, "utf8"));
+  assert.equal(saved.finalEquityKrw, result.data.finalEquityKrw);
+});
+
+test("replay config keeps the daemon's side effects off", async () => {
+  const config = await createConfig({
+    CANDLE_CACHE_ENABLED: "true",
+    CONTROL_API_ENABLED: "true",
+    CONTROL_API_TOKEN: "secret",
+    METRICS_ENABLED: "true",
+  });
+  const replayConfig = buildReplayConfig(config, ["BTC_KRW"]);
+
+  assert.equal(replayConfig.paper.enabled, true);
+  assert.equal(replayConfig.marketUniverse.enabled, false);
+  assert.equal(replayConfig.execution.marketStreamEnabled, false);
+  assert.equal(replayConfig.candleCache.enabled, false);
+  assert.equal(replayConfig.controlApi.enabled, false);
+  assert.equal(replayConfig.metrics.enabled, false);
+  assert.equal(config.candleCache.enabled, true, "the live config is left untouched");
+});
+
+test("backtest reports missing warmup history instead of trading", async () => {
+  const config = await createConfig();
+  const result = await runBacktest({ config, rows: syntheticCandles(10), logger: null });
+
+  assert.equal(result.ok, false);
+  assert.equal(result.code, 2);
+  assert.match(result.error.message, /warmup/);
+});
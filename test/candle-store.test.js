@@ -0,0 +1,151 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { loadConfig } from "../src/config/defaults.js";
+import { CandleStore, detectCandleGaps } from "../src/core/candle-store.js";
+import { CandleAggregator } from "../src/core/market-stream.js";
+
+const MINUTE = 60_000;
+const NOW = Date.UTC(2025, 0, 1, 12, 0, 30);
+
+// Serves 1m candles like the exchange: newest first, strictly before `to`, skipping periods without trades.
+class ExchangeCandlesMock {
+  constructor({ fromMs, toMs, skip = [] }) {
+    this.calls = [];
+    this.rows = [];
+    for (let ts = fromMs; ts <= toMs; ts += MINUTE) {
+      if (!skip.includes(ts)) {
+        this.rows.push(ts);
+      }
+    }
+  }
+
+  async getCandles({ symbol, interval, count, to }) {
+    this.calls.push({ count, to });
+    const toMs = Date.parse(to);
+    const candles = this.rows
+      .filter((ts) => ts < toMs)
+      .slice(-count)
+      .reverse()
+      .map((ts) => ({
+        symbol,
+        interval,
+        open: ts / MINUTE,
+        high: ts / MINUTE + 1,
+        low: ts / MINUTE - 1,
+        close: ts / MINUTE,
+        candleTimeUtc: new Date(ts).toISOString().slice(0, 19),
+        timestamp: ts + 42_000,
+      }));
+    return { symbol, interval, candles };
+  }
+}
+
+async function createStore(marketData, env = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "candle-store-test-"));
+  const config = loadConfig({ CANDLE_CACHE_DIR: dir, ...env });
+  return { dir, store: new CandleStore(config, marketData) };
+}
+
+test("gap detection reports contiguous missing periods", () => {
+  const candles = [0, 1, 4, 6].map((n) => ({ timestamp: n * MINUTE }));
+  assert.deepEqual(detectCandleGaps(candles, MINUTE, { startMs: 0, endMs: 6 * MINUTE }), [
+    { fromMs: 2 * MINUTE, toMs: 3 * MINUTE, missing: 2 },
+    { fromMs: 5 * MINUTE, toMs: 5 * MINUTE, missing: 1 },
+  ]);
+});
+
+test("candle cache backfills past one page with the to cursor and only fetches missing ranges", async () => {
+  const lastClosed = Math.floor(NOW / MINUTE) * MINUTE - MINUTE;
+  const quiet = lastClosed - 250 * MINUTE;
+  const exchange = new ExchangeCandlesMock({ fromMs: lastClosed - 999 * MINUTE, toMs: lastClosed + MINUTE, skip: [quiet] });
+  const { dir, store } = await createStore(exchange);
+
+  const first = await store.getCandles({ symbol: "BTC_KRW", interval: "1m", count: 500, nowMs: NOW });
+  assert.equal(first.candles.length, 499);
+  assert.equal(first.candles.at(-1).timestamp, lastClosed, "the forming candle is not cached");
+  assert.equal(first.candles[0].timestamp, lastClosed - 499 * MINUTE);
+  assert.deepEqual(first.gaps, [{ fromMs: quiet, toMs: quiet, missing: 1 }]);
+  assert.equal(exchange.calls.length, 3);
+  assert.equal(exchange.calls[0].to, new Date(lastClosed + MINUTE).toISOString().replace(/\.\d{3}Z$/, "Z"));
+
+  exchange.calls = [];
+  const again = await store.getCandles({ symbol: "BTC_KRW", interval: "1m", count: 500, nowMs: NOW });
+  assert.equal(again.candles.length, 499);
+  assert.equal(exchange.calls.length, 0, "known quiet periods are not refetched");
+
+  const restarted = new CandleStore(loadConfig({ CANDLE_CACHE_DIR: dir }), exchange);
+  const later = await restarted.getCandles({ symbol: "BTC_KRW", interval: "1m", count: 500, nowMs: NOW + 2 * MINUTE });
+  assert.equal(later.candles.at(-1).timestamp, lastClosed + MINUTE, "an unpublished period stays missing");
+  assert.deepEqual(exchange.calls.map((call) => call.count), [2], "quiet periods stay confirmed across restarts");
+});
+
+test("history backfill resumes after interruption, stops at the exchange history start and drops invalid rows", async () => {
+  const lastClosed = Math.floor(NOW / MINUTE) * MINUTE - MINUTE;
+  const firstListed = lastClosed - 449 * MINUTE;
+  const exchange = new ExchangeCandlesMock({ fromMs: firstListed, toMs: lastClosed, skip: [lastClosed - 10 * MINUTE] });
+  const inner = exchange.getCandles.bind(exchange);
+  exchange.getCandles = async (params) => {
+    const response = await inner(params);
+    if (exchange.calls.length === 1) {
+      response.candles[3] = { ...response.candles[3], high: 1 };
+    }
+    return response;
+  };
+  const { dir, store } = await createStore(exchange);
+  const pages = [];
+
+  const partial = await store.backfillHistory({ symbol: "btc_krw", interval: "1m", count: 1_000, maxPages: 1, nowMs: NOW, onPage: (page) => pages.push(page) });
+  assert.equal(partial.pages, 1);
+  assert.equal(partial.rejected, 1);
+  assert.equal(partial.complete, false);
+  assert.equal(pages[0].remaining, 800);
+
+  exchange.calls = [];
+  const restarted = new CandleStore(loadConfig({ CANDLE_CACHE_DIR: dir }), exchange);
+  const done = await restarted.backfillHistory({ symbol: "BTC_KRW", interval: "1m", count: 1_000, nowMs: NOW });
+  assert.deepEqual(exchange.calls.slice(0, 2).map((call) => [call.count, Date.parse(call.to)]), [
+    [1, lastClosed - 2 * MINUTE],
+    [200, lastClosed - 200 * MINUTE],
+  ], "retries the rejected row, then resumes below the stored page");
+  assert.equal(done.complete, true);
+  assert.equal(done.historyStartsAt, new Date(firstListed).toISOString());
+  assert.equal(done.from, new Date(firstListed).toISOString());
+  assert.equal(done.emptyPeriods, 1);
+  assert.equal(done.stored, 449);
+  assert.equal(done.gaps, 1, "the quiet period is the only hole in the series");
+
+  exchange.calls = [];
+  const again = await new CandleStore(loadConfig({ CANDLE_CACHE_DIR: dir }), exchange)
+    .backfillHistory({ symbol: "BTC_KRW", interval: "1m", count: 1_000, nowMs: NOW });
+  assert.equal(exchange.calls.length, 0, "a finished dataset needs no requests");
+  assert.equal(again.stored, done.stored);
+  await assert.rejects(() => store.backfillHistory({ symbol: "BTC_KRW", interval: "1d", count: 10 }), /minute intervals/);
+});
+
+test("live candles fill the cache without overriding exchange candles", async () => {
+  const exchange = new ExchangeCandlesMock({ fromMs: 0, toMs: -1 });
+  const { dir, store } = await createStore(exchange);
+  const aggregator = new CandleAggregator(MINUTE, 10);
+  const recorded = [];
+  aggregator.onClose = (candle) => {
+    recorded.push(candle.timestamp);
+    return store.record("BTC_KRW", "1m", candle);
+  };
+  aggregator.push(1, 30_000);
+  aggregator.push(2, MINUTE);
+  aggregator.push(3, 2 * MINUTE);
+  aggregator.push(4, 3 * MINUTE);
+  assert.deepEqual(recorded, [MINUTE, 2 * MINUTE], "the partial first candle is skipped");
+
+  await store.record("BTC_KRW", "1m", { timestamp: MINUTE, open: 9, high: 9, low: 9, close: 9 });
+  const series = await store.load("BTC_KRW", "1m");
+  series.candles.set(2 * MINUTE, { ...series.candles.get(2 * MINUTE), source: "rest" });
+  assert.equal(await store.record("BTC_KRW", "1m", { timestamp: 2 * MINUTE, close: 7 }), false);
+
+  const lines = (await fs.readFile(path.join(dir, "BTC_KRW-1m.jsonl"), "utf8")).trim().split("\n");
+  assert.equal(lines.length, 3);
+  assert.equal(series.candles.get(MINUTE).close, 9);
+});
@@ -0,0 +1,168 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadConfig } from "../src/config/defaults.js";
+import { CircuitBreakerEngine, emptyCircuitBreakerState } from "../src/engine/circuit-breakers.js";
+import { TraditionalRiskEngine } from "../src/engine/risk-engine.js";
+import { MemoryStateStore } from "../src/core/store.js";
+import { TradingSystem } from "../src/core/trading-system.js";
+
+const T0 = Date.UTC(2025, 0, 1);
+const HOUR = 60 * 60 * 1000;
+
+function filledOrder(id, side, qty, price) {
+  return {
+    id,
+    exchangeOrderId: `ex-${id}`,
+    symbol: "BTC_KRW",
+    side,
+    type: "market",
+    state: "DONE",
+    amountKrw: qty * price,
+    filledQty: qty,
+    filledPrice: price,
+    fee: 0,
+  };
+}
+
+test("drawdown breakers trip from equity samples and follow their reset policy", () => {
+  const engine = new CircuitBreakerEngine(loadConfig({
+    CIRCUIT_ROLLING_DRAWDOWN_PCT: "10",
+    CIRCUIT_ROLLING_DRAWDOWN_DAYS: "2",
+    CIRCUIT_INTRADAY_DRAWDOWN_PCT: "5",
+  }));
+  const state = emptyCircuitBreakerState();
+
+  assert.deepEqual(engine.observeEquity(state, { equityKrw: 1_000_000, nowMs: T0, tradeDate: "2025-01-01" }), []);
+  assert.deepEqual(engine.observeEquity(state, { equityKrw: 920_000, nowMs: T0 + 24 * HOUR, tradeDate: "2025-01-02" }), [],
+    "the first sample of a day is that day's peak");
+  const trips = engine.observeEquity(state, { equityKrw: 850_000, nowMs: T0 + 25 * HOUR, tradeDate: "2025-01-02" });
+  assert.deepEqual(trips.map((breaker) => [breaker.name, breaker.action, breaker.reset]), [
+    ["rolling_drawdown", "halt_all", "manual"],
+    ["intraday_drawdown", "halt_buys", "next_day"],
+  ]);
+  assert.equal(trips[0].detail.peakKrw, 1_000_000);
+
+  const later = { nowMs: T0 + 30 * HOUR, tradeDate: "2025-01-02" };
+  assert.deepEqual(engine.release(state, later), [], "next_day waits for a later trading day");
+  const nextDay = { nowMs: T0 + 48 * HOUR, tradeDate: "2025-01-03" };
+  assert.deepEqual(engine.release(state, nextDay).map((breaker) => breaker.name), ["intraday_drawdown"]);
+  assert.ok(state.breakers.rolling_drawdown, "manual breakers wait for a reset");
+  assert.deepEqual(engine.release(state, { ...nextDay, manual: true }).map((breaker) => breaker.name), ["rolling_drawdown"]);
+  assert.deepEqual(state.equity.days, []);
+  assert.deepEqual(engine.observeEquity(state, { equityKrw: 850_000, ...nextDay }), [], "peak tracking restarts after a reset");
+});
+
+test("losing streak and price gap breakers clear after their cool-off", () => {
+  const engine = new CircuitBreakerEngine(loadConfig({
+    CIRCUIT_LOSING_STREAK_MAX: "3",
+    CIRCUIT_PRICE_GAP_PCT: "3",
+    CIRCUIT_PRICE_GAP_WINDOW_SEC: "5",
+    CIRCUIT_PRICE_GAP_ACTION: "halt_all",
+  }));
+  const state = emptyCircuitBreakerState();
+  const at = { nowMs: T0, tradeDate: "2025-01-01" };
+
+  for (const pnlKrw of [-100, -50, 0]) {
+    assert.deepEqual(engine.observeTrade(state, { pnlKrw, ...at }), []);
+  }
+  assert.equal(state.losingStreak, 2, "breakeven trades leave the streak alone");
+  assert.equal(engine.observeTrade(state, { pnlKrw: -10, ...at })[0].name, "losing_streak");
+
+  const previous = { price: 100, atMs: T0 };
+  assert.equal(engine.priceGap({ symbol: "BTC_KRW", price: 104, previous, atMs: T0 + 6_000 }), null,
+    "ticks further apart than the window do not count");
+  assert.equal(engine.priceGap({ symbol: "BTC_KRW", price: 102, previous, atMs: T0 + 1_000 }), null);
+  assert.equal(engine.observeTick(state, { symbol: "BTC_KRW", price: 96, previous, atMs: T0 + 1_000, ...at })[0].name, "price_gap");
+
+  assert.equal(engine.blockFor(state, "buy", at).name, "losing_streak");
+  assert.equal(engine.blockFor(state, "sell", at).name, "price_gap", "only halt_all stops sells");
+
+  const afterGap = { nowMs: T0 + 301_000, tradeDate: "2025-01-01" };
+  assert.equal(engine.blockFor(state, "sell", afterGap), null, "due breakers no longer block");
+  assert.deepEqual(engine.release(state, afterGap).map((breaker) => breaker.name), ["price_gap"]);
+  const afterStreak = { nowMs: T0 + 1_801_000, tradeDate: "2025-01-01" };
+  assert.deepEqual(engine.release(state, afterStreak).map((breaker) => breaker.name), ["losing_streak"]);
+  assert.equal(state.losingStreak, 0);
+});
+
+test("risk engine rejects orders stopped by a circuit breaker", () => {
+  const risk = new TraditionalRiskEngine(loadConfig({}));
+  const result = risk.evaluate({
+    symbol: "BTC_KRW",
+    side: "buy",
+    amountKrw: 10_000,
+    openOrdersCount: 0,
+    exposureKrw: 0,
+    availableCashKrw: 1_000_000,
+    dailyPnlKrw: 0,
+    circuitBreaker: { name: "losing_streak", action: "halt_buys", reason: "3 losing trades in a row" },
+  });
+  assert.equal(result.allowed, false);
+  const reason = result.reasons.find((item) => item.rule === "CIRCUIT_BREAKER");
+  assert.equal(reason.breaker, "losing_streak");
+  assert.match(reason.detail, /losing_streak \(halt_buys\)/);
+});
+
+test("closed losing trades trip the losing streak breaker until it is reset", async () => {
+  const system = new TradingSystem(loadConfig({ CIRCUIT_LOSING_STREAK_MAX: "2" }), {
+    store: new MemoryStateStore(),
+    exchangeClient: { isRetryableError: () => false },
+    wsClient: {},
+    overlayEngine: {
+      async readCurrent() {
+        return { multiplier: 1, source: "default", stale: false, updatedAt: new Date().toISOString() };
+      },
+    },
+    sleepFn: async () => {},
+  });
+  await system.init();
+
+  await system.persistOrder(filledOrder("b-1", "buy", 2, 100), { reason: "strategy:breakout:realtime:breakout_up" });
+  await system.persistOrder(filledOrder("s-1", "sell", 1, 90), { reason: "strategy:breakout:realtime:momentum_down" });
+  assert.equal((await system.status()).data.circuitBreakers.active.length, 0);
+  await system.persistOrder(filledOrder("s-2", "sell", 1, 80), { reason: "strategy:breakout:realtime:momentum_down" });
+
+  const active = (await system.status()).data.circuitBreakers.active;
+  assert.deepEqual(active.map((breaker) => breaker.name), ["losing_streak"]);
+  assert.equal(system.circuitBreakerBlockFor("buy").name, "losing_streak");
+  assert.equal(system.circuitBreakerBlockFor("sell"), null);
+  assert.ok(system.store.snapshot().riskEvents.some((event) => event.type === "circuit_breaker_tripped"));
+
+  assert.equal((await system.resetCircuitBreakers({ name: "nope" })).ok, false);
+  const reset = await system.resetCircuitBreakers({ name: "losing_streak" });
+  assert.deepEqual(reset.data.released, ["losing_streak"]);
+  assert.equal(reset.data.losingStreak, 0);
+  assert.equal(system.circuitBreakerBlockFor("buy"), null);
+});
+
+test("a risk check records the breaker equity sample and the daily baseline in one state write", async () => {
+  const store = new MemoryStateStore();
+  const system = new TradingSystem(loadConfig({}), {
+    store,
+    exchangeClient: {
+      isRetryableError: () => false,
+      async getAccounts() {
+        return [{ currency: "KRW", balance: "500000", locked: "0", unit_currency: "KRW" }];
+      },
+    },
+    wsClient: {},
+    sleepFn: async () => {},
+  });
+  await system.init();
+
+  let writes = 0;
+  const update = store.update.bind(store);
+  store.update = (mutator) => {
+    writes += 1;
+    return update(mutator);
+  };
+  await system.loadAccountContext();
+  const accountWrites = writes;
+  writes = 0;
+  const { pnlContext } = await system.evaluateRiskForOrder({ symbol: "BTC_KRW", side: "buy", amountKrw: 20_000 });
+  assert.equal(writes, accountWrites + 1, "one write on top of loading the account");
+  assert.equal(pnlContext.baselineEquityKrw, 500_000);
+  const state = store.snapshot();
+  assert.equal(state.settings.dailyPnlBaseline.equityKrw, 500_000);
+  assert.equal(state.settings.circuitBreakers.equity.peakKrw, 500_000);
+});
@@ -0,0 +1,181 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseArgs, renderTable, resolveCommand, runCli } from "../src/app/cli.js";
+import { loadConfig } from "../src/config/defaults.js";
+import { EXIT_CODES } from "../src/config/exit-codes.js";
+import { ExchangeHttpError } from "../src/exchange/bithumb-client.js";
+import { invalidArg } from "../src/lib/errors.js";
+
+class Sink {
+  constructor() {
+    this.text = "";
+  }
+
+  write(chunk) {
+    this.text += chunk;
+  }
+}
+
+class SystemMock {
+  constructor() {
+    this.calls = [];
+    this.audit = [];
+  }
+
+  async init() {}
+
+  async status() {
+    if (this.statusError) {
+      throw this.statusError;
+    }
+    return { ok: true, code: 0, data: { mode: "live", killSwitch: false } };
+  }
+
+  async orderList(options) {
+    this.calls.push(["orderList", options]);
+    return {
+      ok: true,
+      code: 0,
+      data: {
+        count: 2,
+        orders: [
+          { uuid: "a-1", side: "bid", state: "wait" },
+          { uuid: "b-22", side: "ask", state: "wait" },
+        ],
+      },
+    };
+  }
+
+  async setKillSwitch(enabled, reason) {
+    this.calls.push(["setKillSwitch", enabled, reason]);
+    return { ok: true, code: 0, data: { killSwitch: enabled, reason } };
+  }
+
+  async orderCancel(id) {
+    this.calls.push(["orderCancel", id]);
+    return { ok: false, code: EXIT_CODES.EXCHANGE_FATAL, error: { message: "order not found" } };
+  }
+
+  async placeOrder(args) {
+    this.calls.push(["placeOrder", args]);
+    throw invalidArg("limit order requires --price");
+  }
+
+  async rebuildStateFromEventLog() {
+    this.calls.push(["rebuildStateFromEventLog"]);
+    return { ok: true, code: 0, data: { lastAt: null } };
+  }
+
+  async recordAgentAudit(entry) {
+    if (this.store && !this.store.ready) {
+      throw new Error("store not initialised");
+    }
+    this.calls.push(["recordAgentAudit"]);
+    this.audit.push(entry);
+  }
+}
+
+function runWith(argv, { env = {}, confirm = async () => false, statusError = null } = {}) {
+  const stdout = new Sink();
+  const stderr = new Sink();
+  const system = new SystemMock();
+  system.statusError = statusError;
+  system.exchangeClient = { isRetryableError: (error) => error.status >= 500 };
+  const confirmations = [];
+  return runCli(argv, {
+    config: loadConfig(env),
+    system,
+    stdout,
+    stderr,
+    confirm: async (message) => {
+      confirmations.push(message);
+      return confirm(message);
+    },
+  }).then((code) => ({ code, stdout: stdout.text, stderr: stderr.text, system, confirmations }));
+}
+
+test("cli parses subcommands, value options and boolean flags", () => {
+  const parsed = parseArgs(["order", "list", "--symbol", "BTC_KRW", "--limit=5", "--table", "-y"]);
+  assert.deepEqual(parsed.positional, ["order", "list"]);
+  assert.deepEqual(parsed.options, { symbol: "BTC_KRW", limit: "5", table: true, yes: true });
+  assert.equal(resolveCommand(parsed.positional).name, "order list");
+  assert.equal(resolveCommand(["kill-switch", "on"]).args[0], "on");
+  assert.equal(resolveCommand(["candles", "backfill"]).name, "candles backfill");
+  assert.equal(resolveCommand(["candles"]).name, "candles");
+  assert.equal(resolveCommand(["nope"]), null);
+  assert.throws(() => parseArgs(["status", "--symbol"]), /requires a value/);
+});
+
+test("cli prints json by default and tables on request", async () => {
+  const json = await runWith(["status"]);
+  assert.equal(json.code, 0);
+  assert.equal(JSON.parse(json.stdout).data.mode, "live");
+
+  const table = await runWith(["order", "list", "--symbol", "BTC_KRW", "--table"]);
+  assert.equal(table.code, 0);
+  const lines = table.stdout.trim().split("\n");
+  assert.equal(lines[0], "uuid  side  state");
+  assert.equal(lines[3], "b-22  ask   wait");
+  assert.equal(table.system.calls[0][1].symbol, "BTC_KRW");
+  assert.equal(renderTable([]), "(no rows)");
+});
+
+test("cli asks for confirmation on live mutations and records confirmed ones", async () => {
+  const declined = await runWith(["kill-switch", "on"]);
+  assert.equal(declined.code, EXIT_CODES.INVALID_ARGS);
+  assert.equal(declined.system.calls.length, 0);
+  assert.match(declined.confirmations[0], /LIVE: turn kill switch on/);
+
+  const confirmed = await runWith(["kill-switch", "on", "--reason", "ops"], { confirm: async () => true });
+  assert.equal(confirmed.code, 0);
+  assert.deepEqual(confirmed.system.calls[0], ["setKillSwitch", true, "cli: ops"]);
+  assert.equal(confirmed.system.audit[0].source, "cli");
+  assert.equal(confirmed.system.audit[0].action, "kill-switch");
+
+  const paper = await runWith(["kill-switch", "off"], { env: { PAPER_TRADING_ENABLED: "true" } });
+  assert.equal(paper.code, 0);
+  assert.equal(paper.confirmations.length, 0);
+});
+
+test("cli opens the store before auditing a command that runs without init", async () => {
+  const stdout = new Sink();
+  const stderr = new Sink();
+  const system = new SystemMock();
+  system.init = async () => {
+    system.calls.push(["init"]);
+  };
+  system.store = {
+    ready: false,
+    async init() {
+      system.calls.push(["store.init"]);
+      this.ready = true;
+    },
+  };
+  const code = await runCli(["state", "rebuild", "--yes"], { config: loadConfig({}), system, stdout, stderr });
+  assert.equal(code, 0);
+  assert.equal(stderr.text, "");
+  assert.deepEqual(system.calls, [["rebuildStateFromEventLog"], ["store.init"], ["recordAgentAudit"]]);
+  assert.equal(system.audit[0].action, "state rebuild");
+});
+
+test("cli maps failures to exit codes from config/exit-codes.js", async () => {
+  const exchangeError = await runWith(["order", "cancel", "--id", "x", "--yes"]);
+  assert.equal(exchangeError.code, EXIT_CODES.EXCHANGE_FATAL);
+  assert.match(exchangeError.stderr, /order not found/);
+  assert.equal(exchangeError.system.audit[0].ok, false);
+
+  const invalid = await runWith(["order", "place", "--symbol", "BTC_KRW", "--side", "buy", "--type", "limit", "--amount", "5000", "-y"]);
+  assert.equal(invalid.code, EXIT_CODES.INVALID_ARGS);
+  assert.match(invalid.stderr, /requires --price/);
+
+  const unknown = await runWith(["launch"]);
+  assert.equal(unknown.code, EXIT_CODES.INVALID_ARGS);
+  assert.match(unknown.stderr, /Unknown command/);
+
+  const retryable = await runWith(["status"], { statusError: new ExchangeHttpError("bad gateway", { status: 502 }) });
+  assert.equal(retryable.code, EXIT_CODES.EXCHANGE_RETRYABLE);
+  const fatal = await runWith(["status"], { statusError: new ExchangeHttpError("unauthorized", { status: 401 }) });
+  assert.equal(fatal.code, EXIT_CODES.EXCHANGE_FATAL);
+  const internal = await runWith(["status"], { statusError: Object.assign(new Error("EACCES"), { code: "EACCES" }) });
+  assert.equal(internal.code, EXIT_CODES.INTERNAL_ERROR, "errors without an exit code are not bad arguments");
+});
@@ -1,10 +1,13 @@
 import test from "node:test";
 import assert from "node:assert/strict";
-import { loadConfig, toBithumbMarket, normalizeSymbol } from "../src/config/defaults.js";
+import path from "node:path";
+import { loadConfig, supportsNodeSqlite, toBithumbMarket, normalizeSymbol } from "../src/config/defaults.js";
 
 test("defaults include orthodox strategy and overlay settings", () => {
   const config = loadConfig({});
   assert.equal(config.runtime.httpAuditEnabled, false);
+  assert.equal(config.candleCache.enabled, false);
+  assert.equal(config.runtime.eventLog.enabled, false);
   assert.equal(config.runtime.httpAuditFile.endsWith(".trader/http-audit.jsonl"), true);
   assert.equal(config.runtime.httpAuditMaxBytes, 10 * 1024 * 1024);
   assert.equal(config.runtime.retention.keepLatestOnly, true);
@@ -56,7 +59,56 @@ test("defaults include orthodox strategy and overlay settings", () => {
   assert.equal(config.optimizer.reoptIntervalSec, 3600);
 });
 
+test("risk budgets parse per-symbol limits and asset groups", () => {
+  const defaults = loadConfig({});
+  assert.deepEqual(defaults.risk.symbolMaxExposureKrw, {});
+  assert.deepEqual(defaults.risk.assetGroups.stablecoins, ["USDT_KRW", "USDC_KRW"]);
+  assert.equal(defaults.risk.correlatedMaxExposureKrw, 0);
+
+  const config = loadConfig({
+    RISK_SYMBOL_MAX_EXPOSURE_KRW: "btc-krw:800000,*:300000,bad,ETH_KRW:-1",
+    RISK_ASSET_GROUPS: "Majors=btc_krw|ETH_KRW,stablecoins=USDT_KRW",
+    RISK_GROUP_MAX_EXPOSURE_KRW: "majors:1500000,ALTS:600000",
+  });
+  assert.deepEqual(config.risk.symbolMaxExposureKrw, { BTC_KRW: 800000, "*": 300000 });
+  assert.deepEqual(config.risk.assetGroups, { majors: ["BTC_KRW", "ETH_KRW"], stablecoins: ["USDT_KRW"] });
+  assert.deepEqual(config.risk.groupMaxExposureKrw, { majors: 1500000, alts: 600000 });
+});
+
 test("symbol conversion helpers work", () => {
   assert.equal(normalizeSymbol("usdt-krw"), "USDT_KRW");
   assert.equal(toBithumbMarket("USDT_KRW"), "KRW-USDT");
 });
+
+test("the sqlite backend is refused at config load on Node.js before 22.13", () => {
+  assert.equal(supportsNodeSqlite("20.19.0"), false);
+  assert.equal(supportsNodeSqlite("22.12.0"), false);
+  assert.equal(supportsNodeSqlite("22.13.0"), true);
+  assert.equal(supportsNodeSqlite("24.1.0"), true);
+
+  if (supportsNodeSqlite()) {
+    assert.equal(loadConfig({ TRADER_STATE_BACKEND: "sqlite" }).runtime.stateBackend, "sqlite");
+  } else {
+    assert.throws(() => loadConfig({ TRADER_STATE_BACKEND: "sqlite" }), /needs Node\.js 22\.13 or later/);
+  }
+  assert.equal(loadConfig({}).runtime.stateBackend, "json");
+});
+
+test("paper mode defaults to its own state, event log and KPI files", () => {
+  const live = loadConfig({});
+  const paper = loadConfig({ PAPER_TRADING_ENABLED: "true" });
+
+  assert.equal(path.basename(live.runtime.stateFile), "state.json");
+  assert.equal(path.basename(paper.runtime.stateFile), "paper-state.json");
+  assert.equal(path.basename(paper.runtime.stateDbFile), "paper-state.db");
+  assert.equal(path.basename(paper.runtime.eventLog.dir), "paper-events");
+  assert.equal(path.basename(paper.execution.kpiReportFile), "paper-execution-kpi-report.jsonl");
+  assert.equal(path.basename(paper.execution.kpiReportSummaryFile), "paper-execution-kpi-summary.json");
+  const pinned = loadConfig({
+    PAPER_TRADING_ENABLED: "true",
+    TRADER_STATE_FILE: "/tmp/shared/state.json",
+    EXECUTION_KPI_REPORT_FILE: "/tmp/shared/kpi.jsonl",
+  });
+  assert.equal(pinned.runtime.stateFile, "/tmp/shared/state.json");
+  assert.equal(pinned.execution.kpiReportFile, "/tmp/shared/kpi.jsonl");
+});
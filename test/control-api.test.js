@@ -0,0 +1,221 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { ControlApiServer } from "../src/app/control-api.js";
+import { loadConfig } from "../src/config/defaults.js";
+import { EXIT_CODES } from "../src/config/exit-codes.js";
+import { MemoryStateStore } from "../src/core/store.js";
+import { TradingSystem } from "../src/core/trading-system.js";
+
+class ExchangeMock {
+  constructor() {
+    this.canceled = [];
+    this.listArgs = [];
+  }
+
+  async listOrders(args) {
+    this.listArgs.push(args);
+    return [{ uuid: "ex-1", market: "KRW-BTC", side: "bid", ord_type: "limit", state: "wait", price: "1000", volume: "1" }];
+  }
+
+  async cancelOrder({ exchangeOrderId }) {
+    this.canceled.push(exchangeOrderId);
+    return { uuid: exchangeOrderId, state: "cancel" };
+  }
+
+  isRetryableError() {
+    return false;
+  }
+}
+
+class OverlayMock {
+  async setCurrent({ multiplier, regime }) {
+    return { multiplier: Number(multiplier), regime: regime || null, source: "manual" };
+  }
+}
+
+class UniverseMock {
+  constructor() {
+    this.enabled = true;
+    this.nextRefreshAtMs = 0;
+    this.snapshot = { generatedAt: "2026-01-01T00:00:00.000Z", symbols: ["BTC_KRW"] };
+    this.refreshCalls = [];
+  }
+
+  async maybeRefresh(args) {
+    this.refreshCalls.push(args);
+    this.snapshot = { generatedAt: "2026-01-02T00:00:00.000Z", symbols: ["BTC_KRW", "ETH_KRW"] };
+    return { ok: true, data: this.snapshot };
+  }
+}
+
+function createLogger() {
+  const entries = [];
+  const log = (level) => (message, fields) => entries.push({ level, message, fields });
+  return { entries, info: log("info"), warn: log("warn"), error: log("error") };
+}
+
+async function createHarness(env = {}) {
+  const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), "control-api-test-"));
+  const summaryFile = path.join(baseDir, "kpi-summary.json");
+  const config = loadConfig({
+    TRADER_STATE_FILE: path.join(baseDir, "state.json"),
+    EXECUTION_KPI_REPORT_SUMMARY_FILE: summaryFile,
+    CONTROL_API_ENABLED: "true",
+    CONTROL_API_PORT: "0",
+    CONTROL_API_TOKEN: "secret-token",
+    ...env,
+  });
+  const exchange = new ExchangeMock();
+  const system = new TradingSystem(config, {
+    store: new MemoryStateStore(),
+    exchangeClient: exchange,
+    wsClient: {},
+    overlayEngine: new OverlayMock(),
+  });
+  await system.init();
+  const universe = new UniverseMock();
+  const logger = createLogger();
+  const server = new ControlApiServer(config, {
+    system,
+    marketUniverse: universe,
+    aiRuntime: () => ({ applied: { source: "defaults" } }),
+    logger,
+  });
+  const { port } = await server.start();
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  const call = async (method, route, { body, token } = {}) => {
+    const response = await fetch(`${baseUrl}${route}`, {
+      method,
+      headers: {
+        "content-type": "application/json",
+        ...(token ? { authorization: `Bearer ${token}` } : {}),
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: response.status, payload: await response.json() };
+  };
+
+  return { config, system, exchange, universe, server, call, summaryFile, logger };
+}
+
+test("control api exposes status, orders, kpi summary, universe and ai settings", async () => {
+  const { server, call, exchange, summaryFile } = await createHarness();
+  try {
+    await fs.writeFile(summaryFile, JSON.stringify({ sampledAt: "2026-01-01T00:00:00.000Z", windows: 3 }), "utf8");
+
+    const status = await call("GET", "/status");
+    assert.equal(status.status, 200);
+    assert.equal(status.payload.data.killSwitch, false);
+
+    const orders = await call("GET", "/orders?symbol=BTC_KRW");
+    assert.equal(orders.status, 200);
+    assert.equal(orders.payload.data.count, 1);
+    assert.equal(exchange.listArgs[0].symbol, "BTC_KRW");
+    assert.deepEqual(exchange.listArgs[0].states, ["wait", "watch"]);
+
+    const kpi = await call("GET", "/kpi");
+    assert.equal(kpi.payload.data.summary.windows, 3);
+
+    const universe = await call("GET", "/universe");
+    assert.deepEqual(universe.payload.data.snapshot.symbols, ["BTC_KRW"]);
+
+    const ai = await call("GET", "/ai-settings");
+    assert.equal(ai.payload.data.applied.source, "defaults");
+
+    const missing = await call("GET", "/nope");
+    assert.equal(missing.status, 404);
+  } finally {
+    await server.close();
+  }
+});
+
+test("control api mutations require the bearer token and are recorded in agentAudit", async () => {
+  const { server, call, system, exchange, universe, logger } = await createHarness();
+  try {
+    const denied = await call("POST", "/kill-switch", { body: { enabled: true } });
+    assert.equal(denied.status, 401);
+    assert.equal(system.store.snapshot().settings.killSwitch, false);
+
+    const wrong = await call("POST", "/kill-switch", { body: { enabled: true }, token: "secret-tokeX" });
+    assert.equal(wrong.status, 401);
+
+    const kill = await call("POST", "/kill-switch", { body: { enabled: true, reason: "maintenance" }, token: "secret-token" });
+    assert.equal(kill.status, 200);
+    assert.equal(system.store.snapshot().settings.killSwitch, true);
+    assert.equal(system.store.snapshot().settings.killSwitchReason, "control_api: maintenance");
+
+    const badKill = await call("POST", "/kill-switch", { body: { enabled: "yes" }, token: "secret-token" });
+    assert.equal(badKill.status, 400);
+
+    const overlay = await call("POST", "/overlay", { body: { multiplier: 0.5, regime: "risk_off" }, token: "secret-token" });
+    assert.equal(overlay.status, 200);
+    assert.equal(system.store.snapshot().system.overlayCache.multiplier, 0.5);
+
+    const cancel = await call("POST", "/orders/ex-1/cancel", { body: {}, token: "secret-token" });
+    assert.equal(cancel.status, 200);
+    assert.deepEqual(exchange.canceled, ["ex-1"]);
+
+    const refresh = await call("POST", "/universe/refresh", { token: "secret-token" });
+    assert.equal(refresh.status, 200);
+    assert.deepEqual(refresh.payload.data.symbols, ["BTC_KRW", "ETH_KRW"]);
+    assert.equal(universe.refreshCalls[0].force, true);
+
+    universe.maybeRefresh = async () => {
+      throw new Error("upstream down");
+    };
+    const broken = await call("POST", "/universe/refresh", { token: "secret-token" });
+    assert.equal(broken.status, 500);
+    assert.equal(broken.payload.code, EXIT_CODES.INTERNAL_ERROR);
+
+    const audit = system.store.snapshot().agentAudit;
+    assert.deepEqual(
+      audit.map((row) => [row.action, row.ok]),
+      [
+        ["kill_switch", false],
+        ["kill_switch", false],
+        ["kill_switch", true],
+        ["kill_switch", false],
+        ["overlay_set", true],
+        ["order_cancel", true],
+        ["universe_refresh", true],
+        ["universe_refresh", false],
+      ],
+    );
+    assert.equal(audit.at(-1).error, "upstream down", "a mutation that throws is still audited");
+    assert.deepEqual([audit[0].code, audit[0].error, audit[0].request], [EXIT_CODES.FORBIDDEN_IN_AGENT_MODE, "Unauthorized", { path: "/kill-switch" }]);
+    assert.equal(audit[2].source, "control_api");
+    assert.equal(audit[2].request.body.reason, "maintenance");
+    assert.deepEqual(
+      logger.entries.filter((row) => row.message.startsWith("control api mutation")).map((row) => [row.level, row.message]).slice(0, 2),
+      [["warn", "control api mutation applied"], ["error", "control api mutation failed"]],
+    );
+
+    system.recordAgentAudit = async () => {
+      throw new Error("disk full");
+    };
+    const unaudited = await call("POST", "/overlay", { body: { multiplier: 0.7 }, token: "secret-token" });
+    assert.equal(unaudited.status, 200, "an applied mutation is reported even when its audit fails");
+    assert.equal(system.store.snapshot().system.overlayCache.multiplier, 0.7);
+    assert.ok(logger.entries.some((row) => row.message === "control api audit failed" && row.fields.reason === "disk full"));
+  } finally {
+    await server.close();
+  }
+});
+
+test("control api disables mutations without a token and refuses non-loopback hosts", async () => {
+  const { server, call, system } = await createHarness({ CONTROL_API_TOKEN: "" });
+  try {
+    const result = await call("POST", "/kill-switch", { body: { enabled: true } });
+    assert.equal(result.status, 403);
+    assert.equal(system.store.snapshot().agentAudit.length, 0);
+  } finally {
+    await server.close();
+  }
+
+  const exposed = new ControlApiServer(loadConfig({ CONTROL_API_HOST: "0.0.0.0" }), { system });
+  await assert.rejects(exposed.start(), /loopback/);
+});
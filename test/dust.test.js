@@ -0,0 +1,93 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadConfig } from "../src/config/defaults.js";
+import { fitSellAmount, isDust } from "../src/engine/dust.js";
+import { MemoryStateStore } from "../src/core/store.js";
+import { TradingSystem } from "../src/core/trading-system.js";
+
+test("sell amounts round up or take the whole holding instead of leaving dust", () => {
+  assert.equal(isDust(4_999, 5_000), true);
+  assert.equal(isDust(0, 5_000), false);
+
+  const min = { minTotalKrw: 5_000, maxKrw: 300_000 };
+  assert.deepEqual(fitSellAmount(10_000, { ...min, holdingKrw: 4_000 }), { amountKrw: 0, adjustment: "dust" });
+  assert.deepEqual(fitSellAmount(10_000, { ...min, holdingKrw: 0 }), { amountKrw: 0, adjustment: "no_position" });
+  assert.deepEqual(fitSellAmount(3_000, { ...min, holdingKrw: 50_000 }), { amountKrw: 5_000, adjustment: "round_up_to_min" });
+  assert.deepEqual(fitSellAmount(20_000, { ...min, holdingKrw: 22_000 }), { amountKrw: 22_000, adjustment: "sell_all_residual_dust" });
+  assert.deepEqual(fitSellAmount(300_000, { ...min, holdingKrw: 302_000 }), { amountKrw: 297_000, adjustment: "leave_sellable_residual" },
+    "the whole holding is above the order cap, so a sellable residual is left");
+  assert.deepEqual(fitSellAmount(20_000, { ...min, holdingKrw: 100_000 }), { amountKrw: 20_000, adjustment: null });
+  assert.deepEqual(fitSellAmount(20_000, { holdingKrw: null }), { amountKrw: 20_000, adjustment: null });
+});
+
+function createSystem() {
+  const chanceCalls = [];
+  const system = new TradingSystem(loadConfig({ RISK_MIN_ORDER_NOTIONAL_KRW: "5000" }), {
+    store: new MemoryStateStore(),
+    exchangeClient: {
+      isRetryableError: () => false,
+      async getAccounts() {
+        return [
+          { currency: "KRW", balance: "1000000", locked: "0", unit_currency: "KRW" },
+          { currency: "BTC", balance: "0.001", locked: "0", avg_buy_price: "90000000", unit_currency: "KRW" },
+          { currency: "XRP", balance: "3", locked: "0", avg_buy_price: "1000", unit_currency: "KRW" },
+        ];
+      },
+      async getOrderChance({ symbol }) {
+        chanceCalls.push(symbol);
+        return { market: { ask: { min_total: "5000" } } };
+      },
+    },
+    marketData: {
+      async getMarketTicker(symbol) {
+        return { lastPrice: symbol === "XRP_KRW" ? 900 : 100_000_000 };
+      },
+      extractTickerMetrics(ticker) {
+        return { lastPrice: ticker.lastPrice };
+      },
+    },
+    wsClient: {},
+    overlayEngine: {
+      async readCurrent() {
+        return { multiplier: 1, source: "default", stale: false, updatedAt: new Date().toISOString() };
+      },
+    },
+    sleepFn: async () => {},
+  });
+  return { system, chanceCalls };
+}
+
+test("dust holdings are skipped by sells, exposure and protective exits", async () => {
+  const { system, chanceCalls } = createSystem();
+  await system.init();
+
+  const dustPlan = await system.resolveSellOrderAmount({ symbol: "XRP_KRW", price: 900, fallbackAmountKrw: 20_000 });
+  assert.equal(dustPlan.amountKrw, 0);
+  assert.equal(dustPlan.dust, true);
+  assert.equal(dustPlan.minTotalKrw, 5_000);
+
+  const btcPlan = await system.resolveSellOrderAmount({ symbol: "BTC_KRW", price: 100_000_000, fallbackAmountKrw: 20_000 });
+  assert.equal(btcPlan.amountKrw, 100_000);
+  assert.equal(btcPlan.dust, false);
+  assert.deepEqual(chanceCalls, ["XRP_KRW", "BTC_KRW"]);
+
+  const accounts = (await system.loadAccountContext()).accounts;
+  assert.deepEqual(Object.keys(system.ledgerExposureBySymbol(accounts)), ["BTC_KRW"]);
+  assert.equal(await system.resolveProtectiveExit({ symbol: "XRP_KRW", currentPrice: 500 }), null,
+    "a -50% move on dust is not an exit");
+  assert.deepEqual(chanceCalls, ["XRP_KRW", "BTC_KRW"], "the order chance minimum is cached");
+});
+
+test("dust report is kept in status and logged when the dust set changes", async () => {
+  const { system } = createSystem();
+  await system.init();
+
+  const first = await system.maybeReportDust(Date.now());
+  assert.deepEqual(first.data.holdings.map((row) => [row.symbol, row.valueKrw]), [["XRP_KRW", 2_700]]);
+  assert.equal(await system.maybeReportDust(Date.now()), null, "reports wait for DUST_REPORT_INTERVAL_SEC");
+  await system.dustReport();
+
+  assert.equal((await system.status()).data.dust.count, 1);
+  const events = system.store.snapshot().riskEvents.filter((event) => event.type === "dust_report");
+  assert.equal(events.length, 1);
+});
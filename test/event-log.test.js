@@ -0,0 +1,117 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { loadConfig } from "../src/config/defaults.js";
+import { applyChanges, diffState, EventLog } from "../src/core/event-log.js";
+import { StateStore } from "../src/core/store.js";
+import { TradingSystem } from "../src/core/trading-system.js";
+
+async function tempDir() {
+  return fs.mkdtemp(path.join(os.tmpdir(), "trader-events-"));
+}
+
+test("state diffs splice collections and replay to the same state", () => {
+  const before = {
+    settings: { killSwitch: false, note: "x" },
+    fills: [{ id: "f-1" }, { id: "f-2" }, { id: "f-3" }],
+    orders: [{ id: "o-1", state: "WAIT" }, { id: "o-2", state: "WAIT" }],
+    ticks: [1, 2, 3],
+  };
+  const after = {
+    settings: { killSwitch: true },
+    fills: [{ id: "f-2" }, { id: "f-3" }, { id: "f-4" }],
+    orders: [{ id: "o-1", state: "WAIT" }, { id: "o-2", state: "DONE", filledQty: 1 }],
+    ticks: [2, 1],
+  };
+  const changes = diffState(before, after);
+  assert.deepEqual(changes, [
+    { op: "unset", path: ["settings", "note"] },
+    { op: "set", path: ["settings", "killSwitch"], value: true },
+    { op: "splice", path: ["fills"], drop: 1, append: [{ id: "f-4" }] },
+    { op: "set", path: ["orders", 1, "state"], value: "DONE" },
+    { op: "set", path: ["orders", 1, "filledQty"], value: 1 },
+    { op: "set", path: ["ticks"], value: [2, 1] },
+  ]);
+  assert.deepEqual(applyChanges(structuredClone(before), JSON.parse(JSON.stringify(changes))), after);
+});
+
+test("the store logs every update and can rebuild or look back from the log", async () => {
+  const dir = await tempDir();
+  const eventLog = new EventLog(path.join(dir, "events"), { maxBytes: 0 });
+  const store = new StateStore(path.join(dir, "state.json"), { eventLog });
+  await store.init();
+
+  for (let index = 1; index <= 4; index += 1) {
+    await store.update((state) => {
+      state.fills.push({ id: `f-${index}`, symbol: "BTC_KRW" });
+      state.fills = state.fills.slice(-2);
+      return state;
+    });
+  }
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  const beforeKillSwitch = new Date().toISOString();
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  await store.update((state) => {
+    state.settings.killSwitch = true;
+    return state;
+  });
+  await store.appendEvent({ type: "strategy_settings_applied", source: "test" });
+  const expected = structuredClone(store.snapshot());
+
+  const earlier = await eventLog.stateAt(beforeKillSwitch);
+  assert.equal(earlier.state.settings.killSwitch, false);
+  assert.deepEqual(earlier.state.fills.map((fill) => fill.id), ["f-3", "f-4"]);
+  const latest = await eventLog.stateAt();
+  assert.deepEqual(latest.events.map((event) => event.type), ["strategy_settings_applied"]);
+  assert.equal(await eventLog.stateAt("2000-01-01T00:00:00.000Z"), null, "nothing is known before the first snapshot");
+
+  await fs.writeFile(path.join(dir, "state.json"), "{ truncated");
+  const rebuilt = await new StateStore(path.join(dir, "state.json"), { eventLog }).rebuildFromEventLog();
+  assert.ok(rebuilt.lastAt);
+  const restored = JSON.parse(await fs.readFile(path.join(dir, "state.json"), "utf8"));
+  assert.deepEqual({ ...restored, updatedAt: null }, { ...expected, updatedAt: null });
+});
+
+test("rotated log files start with a snapshot and old ones are pruned", async () => {
+  const dir = await tempDir();
+  const eventLog = new EventLog(path.join(dir, "events"), { maxBytes: 200, maxFiles: 2 });
+  const store = new StateStore(path.join(dir, "state.json"), { eventLog });
+  await store.init();
+
+  for (let index = 1; index <= 6; index += 1) {
+    await store.update((state) => {
+      state.riskEvents.push({ id: `r-${index}`, type: "test" });
+      return state;
+    });
+  }
+  const files = await eventLog.files();
+  assert.equal(files.length, 3, "two rotated files and the current one");
+  for (const file of files) {
+    assert.equal((await eventLog.readRecords(file))[0].type, "snapshot");
+  }
+  assert.deepEqual((await eventLog.stateAt()).state.riskEvents.map((event) => event.id), ["r-1", "r-2", "r-3", "r-4", "r-5", "r-6"]);
+});
+
+test("stateAt summarises what the system knew from the event log", async () => {
+  const system = new TradingSystem(loadConfig({
+    TRADER_STATE_FILE: path.join(await tempDir(), "state.json"),
+    TRADER_EVENT_LOG_ENABLED: "true",
+  }), {
+    exchangeClient: { isRetryableError: () => false },
+    wsClient: {},
+  });
+  await system.init();
+  await system.persistOrder({ id: "o-1", symbol: "BTC_KRW", side: "buy", type: "limit", state: "WAIT" }, { reason: "manual" });
+  await system.setKillSwitch(true, "test");
+  await system.applyStrategySettings({}, "ai_settings");
+
+  const result = await system.stateAt();
+  assert.equal(result.ok, true);
+  assert.equal(result.data.settings.killSwitch, true);
+  assert.deepEqual(result.data.openOrders.map((order) => order.id), ["o-1"]);
+  assert.deepEqual(result.data.decisions.map((event) => [event.type, event.source]), [["strategy_settings_applied", "ai_settings"]]);
+  assert.deepEqual(Object.keys((await system.stateAt({ keys: "orders" })).data), ["at", "snapshotAt", "lastChangeAt", "orders"]);
+  assert.equal((await system.stateAt({ time: "nope" })).ok, false);
+});
@@ -0,0 +1,260 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadConfig } from "../src/config/defaults.js";
+import { EXIT_CODES } from "../src/config/exit-codes.js";
+import { MemoryStateStore } from "../src/core/store.js";
+import { TradingSystem } from "../src/core/trading-system.js";
+import { assessOrderbook, krwTickSize, touchPrice } from "../src/engine/execution-engine.js";
+
+function book(units) {
+  return {
+    type: "orderbook",
+    symbol: "BTC_KRW",
+    units: units.map(([bidPrice, bidSize, askPrice, askSize]) => ({ bidPrice, bidSize, askPrice, askSize })),
+  };
+}
+
+const TIGHT = book([
+  [100_000, 10, 100_010, 10],
+  [99_990, 10, 100_020, 10],
+  [99_980, 10, 100_030, 10],
+]);
+
+class ExchangeMock {
+  constructor() {
+    this.placed = [];
+    this.canceled = [];
+    this.statusById = new Map();
+    this.fillOnPlace = null;
+  }
+
+  isRetryableError() {
+    return false;
+  }
+
+  async getAccounts() {
+    return [
+      { currency: "KRW", balance: "1000000", locked: "0", unit_currency: "KRW" },
+      { currency: "BTC", balance: "1", locked: "0", avg_buy_price: "100000", unit_currency: "KRW" },
+    ];
+  }
+
+  async getOrderChance() {
+    return { market: { bid: { min_total: "5000" }, ask: { min_total: "5000" } } };
+  }
+
+  async placeOrder(order) {
+    const uuid = `ex-${this.placed.length + 1}`;
+    this.placed.push({ ...order, uuid });
+    const status = this.fillOnPlace?.(order, uuid) || { uuid, state: "wait", executed_volume: "0" };
+    this.statusById.set(uuid, status);
+    return { uuid, state: "wait" };
+  }
+
+  async getOrderStatus({ exchangeOrderId }) {
+    return this.statusById.get(exchangeOrderId);
+  }
+
+  async cancelOrder({ exchangeOrderId }) {
+    this.canceled.push(exchangeOrderId);
+    const current = this.statusById.get(exchangeOrderId);
+    this.statusById.set(exchangeOrderId, { ...current, state: "cancel" });
+    return { uuid: exchangeOrderId, state: "wait" };
+  }
+}
+
+class OverlayMock {
+  async readCurrent() {
+    return { multiplier: 1, source: "default", stale: false, updatedAt: new Date().toISOString() };
+  }
+}
+
+async function createSystem(books, extra = {}) {
+  const config = loadConfig({
+    RISK_MIN_ORDER_NOTIONAL_KRW: "5000",
+    EXECUTION_ORDER_MODE: "limit_touch",
+    EXECUTION_ORDERBOOK_MAX_SPREAD_BPS: "10",
+    EXECUTION_ORDERBOOK_MIN_DEPTH_KRW: "500000",
+    EXECUTION_LIMIT_TIMEOUT_MS: "3000",
+    EXECUTION_LIMIT_POLL_MS: "1000",
+    ...extra,
+  });
+  const exchange = new ExchangeMock();
+  const queue = [...books];
+  const sleeps = [];
+  const system = new TradingSystem(config, {
+    store: new MemoryStateStore(),
+    exchangeClient: exchange,
+    wsClient: {
+      async openOrderbookStream({ onOrderbook, isOnlySnapshot }) {
+        assert.equal(isOnlySnapshot, true);
+        const next = queue.length > 1 ? queue.shift() : queue[0];
+        queueMicrotask(() => onOrderbook(next));
+        return { close() {}, closed: Promise.resolve() };
+      },
+    },
+    overlayEngine: new OverlayMock(),
+    sleepFn: async (ms) => {
+      sleeps.push(ms);
+    },
+  });
+  await system.init();
+  return { system, exchange, sleeps };
+}
+
+function executionSteps(system) {
+  return system.store.snapshot().orderEvents
+    .filter((event) => event.eventType.startsWith("EXECUTION_"))
+    .map((event) => event.eventType);
+}
+
+test("orderbook assessment measures spread and depth on the side being taken", () => {
+  const check = assessOrderbook(TIGHT, "buy", { orderbookMaxSpreadBps: 10, orderbookDepthLevels: 2, orderbookMinDepthKrw: 0 });
+  assert.equal(check.ok, true);
+  assert.equal(check.bestBid, 100_000);
+  assert.equal(check.bestAsk, 100_010);
+  assert.ok(check.spreadBps > 0.99 && check.spreadBps < 1.01);
+  assert.equal(check.depthKrw, 2_000_300);
+
+  const wide = assessOrderbook(book([[100_000, 1, 100_500, 1]]), "sell", {
+    orderbookMaxSpreadBps: 10,
+    orderbookMinDepthKrw: 200_000,
+  });
+  assert.equal(wide.ok, false);
+  assert.deepEqual(wide.reasons.map((reason) => reason.rule), ["ORDERBOOK_MAX_SPREAD_BPS", "ORDERBOOK_MIN_DEPTH_KRW"]);
+
+  assert.equal(touchPrice(TIGHT, "buy"), 100_000);
+  assert.equal(touchPrice(TIGHT, "sell"), 100_010);
+  // Ticks come from the exchange price units, not the gap to a sparse second level.
+  const roomy = book([[100_000, 1, 100_300, 1], [90_000, 1, 110_000, 1]]);
+  assert.equal(touchPrice(roomy, "buy", 2), 100_100);
+  assert.equal(touchPrice(roomy, "sell", 10), 100_050, "never crosses the opposite touch");
+  assert.equal(touchPrice(book([[999_900, 1, 1_002_000, 1]]), "buy", 1), 1_000_000);
+  assert.deepEqual([2_500_000, 1_500_000, 100_000, 99_999, 5_000, 150, 0.5].map(krwTickSize), [1_000, 500, 50, 10, 1, 0.1, 0.0001]);
+});
+
+test("limit_touch refuses entry when the spread is too wide and journals the check", async () => {
+  const { system, exchange } = await createSystem([book([[100_000, 10, 100_300, 10]])]);
+
+  const result = await system.placeOrder({
+    symbol: "BTC_KRW",
+    side: "buy",
+    type: "market",
+    amount: 20_000,
+    expectedPrice: 100_150,
+    executionMode: "limit_touch",
+  });
+
+  assert.equal(result.ok, false);
+  assert.equal(result.code, EXIT_CODES.RISK_REJECTED);
+  assert.equal(result.error.reasons[0].rule, "ORDERBOOK_MAX_SPREAD_BPS");
+  assert.equal(exchange.placed.length, 0);
+  assert.deepEqual(executionSteps(system), ["EXECUTION_ORDERBOOK_CHECK"]);
+  assert.equal(system.store.snapshot().riskEvents.at(-1).type, "orderbook_rejected");
+});
+
+test("limit_touch fills a resting limit at the touch without falling back", async () => {
+  const { system, exchange } = await createSystem([TIGHT]);
+  exchange.fillOnPlace = (order, uuid) => ({
+    uuid,
+    state: "done",
+    volume: String(order.qty),
+    executed_volume: String(order.qty),
+    executed_funds: String(order.qty * order.price),
+  });
+  const calls = [];
+  const openOrderbookStream = system.wsClient.openOrderbookStream;
+  system.wsClient.openOrderbookStream = (options) => {
+    calls.push("orderbook");
+    return openOrderbookStream(options);
+  };
+  const getOrderChance = exchange.getOrderChance.bind(exchange);
+  exchange.getOrderChance = (query) => {
+    calls.push("chance");
+    return getOrderChance(query);
+  };
+
+  const result = await system.placeOrder({
+    symbol: "BTC_KRW",
+    side: "buy",
+    type: "market",
+    amount: 20_000,
+    expectedPrice: 100_005,
+    executionMode: "limit_touch",
+  });
+
+  assert.equal(result.ok, true, JSON.stringify(result.error));
+  assert.equal(exchange.placed.length, 1);
+  assert.equal(exchange.placed[0].type, "limit");
+  assert.equal(exchange.placed[0].price, 100_000);
+  assert.equal(exchange.placed[0].qty, 0.2);
+  assert.equal(result.data.state, "DONE");
+  assert.equal(result.data.execution.legs.length, 1);
+  assert.deepEqual(executionSteps(system), [
+    "EXECUTION_ORDERBOOK_CHECK",
+    "EXECUTION_LIMIT_PLACED",
+    "EXECUTION_LIMIT_FILLED",
+  ]);
+  assert.equal(system.store.snapshot().fills.length, 1);
+  assert.deepEqual(calls, ["orderbook", "chance"], "the entry book is read once, before the order sequence");
+});
+
+test("limit_touch reprices after a timeout and sends the remainder as market", async () => {
+  const next = book([
+    [100_100, 10, 100_110, 10],
+    [100_090, 10, 100_120, 10],
+  ]);
+  const { system, exchange, sleeps } = await createSystem([TIGHT, next]);
+  exchange.fillOnPlace = (order, uuid) => {
+    if (order.type === "market") {
+      return { uuid, state: "done", ord_type: "price", price: String(order.price), executed_volume: "0.05", executed_funds: String(order.price) };
+    }
+    if (uuid === "ex-1") {
+      return { uuid, state: "wait", volume: String(order.qty), executed_volume: "0.1", executed_funds: "10000" };
+    }
+    return { uuid, state: "wait", volume: String(order.qty), executed_volume: "0" };
+  };
+
+  const result = await system.placeOrder({
+    symbol: "BTC_KRW",
+    side: "buy",
+    type: "market",
+    amount: 20_000,
+    expectedPrice: 100_005,
+    executionMode: "limit_touch",
+    reason: "strategy:test",
+  });
+
+  assert.equal(result.ok, true, JSON.stringify(result.error));
+  assert.deepEqual(exchange.placed.map((order) => [order.type, order.price]), [
+    ["limit", 100_000],
+    ["limit", 100_100],
+    ["market", 10_000],
+  ]);
+  assert.deepEqual(exchange.canceled, ["ex-1", "ex-2"]);
+  assert.equal(exchange.placed[1].clientOrderKey, `${exchange.placed[0].clientOrderKey.replace(/-L0$/, "")}-L1`);
+  assert.equal(sleeps.filter((ms) => ms === 1000).length >= 6, true, "each leg waits out the timeout");
+
+  assert.deepEqual(executionSteps(system), [
+    "EXECUTION_ORDERBOOK_CHECK",
+    "EXECUTION_LIMIT_PLACED",
+    "EXECUTION_LIMIT_TIMEOUT",
+    "EXECUTION_LIMIT_CANCELED",
+    "EXECUTION_REPRICE",
+    "EXECUTION_LIMIT_PLACED",
+    "EXECUTION_LIMIT_TIMEOUT",
+    "EXECUTION_LIMIT_CANCELED",
+    "EXECUTION_MARKET_FALLBACK",
+  ]);
+
+  const state = system.store.snapshot();
+  const parentIds = new Set(state.orderEvents
+    .filter((event) => event.eventType.startsWith("EXECUTION_"))
+    .map((event) => event.orderId));
+  assert.equal(parentIds.size, 1);
+  assert.equal(result.data.execution.parentOrderId, [...parentIds][0]);
+  assert.equal(state.orders.length, 3);
+  assert.ok(state.orders.every((order) => order.metadata.parentOrderId === result.data.execution.parentOrderId));
+  assert.equal(state.fills.length, 2);
+  assert.equal(result.data.execution.filledNotional, 20_000);
+});
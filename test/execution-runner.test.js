@@ -320,3 +320,119 @@ test("execution service applies market universe filter to requested symbols", as
   const symbols = system.calls.args.map((row) => row.symbol).sort();
   assert.deepEqual(symbols, ["BTC_KRW", "USDT_KRW"]);
 });
+
+test("execution service blocks a losing symbol instead of stopping when the kpi guard is scoped", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "kpi-scope-test-"));
+  const config = baseConfig();
+  config.execution = {
+    ...config.execution,
+    symbols: ["BTC_KRW", "XRP_KRW"],
+    kpiGuardEnabled: true,
+    kpiGuardScope: ["symbol"],
+    kpiGuardMinTrades: 2,
+    kpiGuardMinWinRatePct: 40,
+    kpiGuardMaxConsecutiveViolations: 2,
+    kpiReportSummaryFile: path.join(dir, "summary.json"),
+  };
+  const bucket = (wins, losses) => ({
+    fillCount: (wins + losses) * 2,
+    tradeCount: wins + losses,
+    wins,
+    losses,
+    breakEven: 0,
+    realizedPnlKrw: (wins - losses) * 100,
+    winRatePct: (wins / (wins + losses)) * 100,
+    expectancyKrw: ((wins - losses) * 100) / (wins + losses),
+    avgAbsSlippageBps: 1,
+  });
+
+  class GuardedSystemMock extends SystemMock {
+    constructor() {
+      super();
+      this.blocks = [];
+      this.killSwitch = [];
+    }
+
+    computeExecutionKpi() {
+      return {
+        fills: { count: 8 },
+        realized: { tradeCount: 4, wins: 2, losses: 2, winRatePct: 50 },
+        positions: {},
+        attribution: {
+          bySymbol: { BTC_KRW: bucket(2, 0), XRP_KRW: bucket(0, 2) },
+          byEntryReason: { momentum_up: bucket(2, 2) },
+        },
+      };
+    }
+
+    kpiGuardBlockFor(symbol) {
+      return this.blocks.some((row) => row.symbol === symbol) ? { scope: "symbol", key: symbol } : null;
+    }
+
+    async blockTradingPath(args) {
+      this.blocks.push(args);
+      return { ok: true, code: 0, data: {} };
+    }
+
+    async setKillSwitch(enabled, reason) {
+      this.killSwitch.push([enabled, reason]);
+      return { ok: true, code: 0, data: {} };
+    }
+  }
+
+  const system = new GuardedSystemMock();
+  const result = await runExecutionService({ system, config, stopAfterWindows: 3 });
+
+  assert.equal(result.stoppedBy, "window_limit");
+  assert.deepEqual(system.killSwitch, []);
+  assert.deepEqual(system.blocks.map((row) => row.symbol), ["XRP_KRW"], "blocked once the streak reaches the limit");
+  assert.match(system.blocks[0].reason, /low_win_rate/);
+
+  const summary = JSON.parse(await fs.readFile(config.execution.kpiReportSummaryFile, "utf8"));
+  assert.equal(summary.summary.attribution.bySymbol.XRP_KRW.losses, 6);
+  assert.equal(summary.summary.attribution.byEntryReason.momentum_up.winRatePct, 50);
+});
+
+test("ai liquidate control fires once per edge and not again after a restart", async () => {
+  const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), "execution-ai-liquidate-"));
+  const settingsFile = path.join(baseDir, "ai-settings.json");
+  await fs.writeFile(settingsFile, JSON.stringify({
+    version: 1,
+    updatedAt: new Date().toISOString(),
+    execution: { enabled: true, symbol: "BTC_KRW", symbols: ["BTC_KRW"], orderAmountKrw: 20000 },
+    controls: { liquidate: true },
+  }), "utf8");
+  const config = baseConfig();
+  config.ai.enabled = true;
+  config.ai.settingsFile = settingsFile;
+
+  // Stands in for the state file that survives the restart.
+  const persisted = { settings: {} };
+  class LiquidatingSystemMock extends SystemMock {
+    constructor() {
+      super();
+      this.liquidations = 0;
+    }
+
+    lastAiLiquidateControl() {
+      return persisted.settings.aiLiquidateControl?.value ?? null;
+    }
+
+    async recordAiLiquidateControl(value) {
+      persisted.settings.aiLiquidateControl = { value };
+    }
+
+    async liquidateAll() {
+      this.liquidations += 1;
+      return { ok: true, code: 0, data: {} };
+    }
+  }
+
+  const first = new LiquidatingSystemMock();
+  await runExecutionService({ system: first, config, stopAfterWindows: 2 });
+  assert.equal(first.liquidations, 1);
+
+  const restarted = new LiquidatingSystemMock();
+  await runExecutionService({ system: restarted, config, stopAfterWindows: 2 });
+  assert.equal(restarted.liquidations, 0, "a flag left at true is not a new request");
+});
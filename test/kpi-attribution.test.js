@@ -0,0 +1,133 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadConfig } from "../src/config/defaults.js";
+import { buildPositionLedger } from "../src/core/position-ledger.js";
+import { MemoryStateStore } from "../src/core/store.js";
+import { TradingSystem } from "../src/core/trading-system.js";
+
+const T0 = Date.UTC(2025, 0, 1);
+
+function createSystem() {
+  return new TradingSystem(loadConfig({}), {
+    store: new MemoryStateStore(),
+    exchangeClient: { isRetryableError: () => false },
+    wsClient: {},
+    overlayEngine: {
+      async readCurrent() {
+        return { multiplier: 1, source: "default", stale: false, updatedAt: new Date().toISOString() };
+      },
+    },
+    sleepFn: async () => {},
+  });
+}
+
+function filledOrder(id, symbol, side, qty, price) {
+  return {
+    id,
+    exchangeOrderId: `ex-${id}`,
+    symbol,
+    side,
+    type: "market",
+    state: "DONE",
+    amountKrw: qty * price,
+    filledQty: qty,
+    filledPrice: price,
+    fee: 0,
+  };
+}
+
+test("fills keep the placing order's strategy and reason through status updates", async () => {
+  const system = createSystem();
+  await system.init();
+
+  const order = filledOrder("o-1", "BTC_KRW", "buy", 1, 100);
+  await system.persistOrder({ ...order, state: "WAIT", filledQty: 0 }, { reason: "strategy:breakout:realtime:breakout_up" });
+  await system.persistOrder(order, { reason: "exchange_reconcile" });
+  await system.persistOrder(filledOrder("o-2", "BTC_KRW", "sell", 1, 90), { reason: "strategy:breakout:protective_stop_loss:twap:0" });
+
+  const fills = system.store.snapshot().fills;
+  assert.deepEqual(fills.map((fill) => [fill.strategy, fill.reason]), [
+    ["breakout", "breakout_up"],
+    ["breakout", "protective_stop_loss"],
+  ]);
+});
+
+test("execution kpi is attributed by strategy, symbol, entry and exit reason", async () => {
+  const system = createSystem();
+  await system.init();
+  const fill = (id, symbol, side, qty, price, at, strategy, reason) => ({
+    id,
+    symbol,
+    side,
+    qty,
+    amountKrw: qty * price,
+    price,
+    fee: 0,
+    eventTs: T0 + at,
+    strategy,
+    reason,
+  });
+  await system.store.update((state) => {
+    state.fills = [
+      fill("f1", "BTC_KRW", "buy", 1, 100, 0, "risk_managed_momentum", "momentum_up"),
+      fill("f2", "BTC_KRW", "sell", 1, 90, 2_000, "risk_managed_momentum", "protective_stop_loss"),
+      fill("f3", "ETH_KRW", "buy", 2, 10, 2_000, "risk_managed_momentum", "ai_force_buy"),
+      fill("f4", "ETH_KRW", "sell", 2, 12, 3_000, "risk_managed_momentum", "momentum_down"),
+      fill("f5", "XRP_KRW", "buy", 5, 1, 3_000, null, null),
+    ];
+    state.positionLedger = buildPositionLedger(state.fills);
+    return state;
+  });
+
+  const kpi = system.computeExecutionKpi({ sinceMs: T0 + 1_000, untilMs: T0 + 5_000 });
+  const { byStrategy, bySymbol, byEntryReason, byExitReason } = kpi.attribution;
+
+  assert.equal(kpi.realized.tradeCount, 2);
+  assert.equal(byStrategy.risk_managed_momentum.tradeCount, 2);
+  assert.equal(byStrategy.risk_managed_momentum.realizedPnlKrw, -6);
+  assert.equal(byStrategy.unattributed.buyCount, 1);
+  assert.equal(bySymbol.BTC_KRW.realizedPnlKrw, -10);
+  assert.equal(bySymbol.ETH_KRW.winRatePct, 100);
+  assert.equal(byEntryReason.momentum_up.tradeCount, 1, "entry made before the window still owns the trade");
+  assert.equal(byEntryReason.momentum_up.fillCount, 0);
+  assert.equal(byEntryReason.ai_force_buy.expectancyKrw, 4);
+  assert.equal(byExitReason.protective_stop_loss.losses, 1);
+  assert.equal(byExitReason.momentum_down.wins, 1);
+
+  const btcOnly = system.computeExecutionKpi({ sinceMs: T0 + 1_000, untilMs: T0 + 5_000, symbol: "BTC_KRW" });
+  assert.deepEqual(Object.keys(btcOnly.attribution.bySymbol), ["BTC_KRW"]);
+});
+
+test("kpi guard blocks stop entries on one path and can be lifted", async () => {
+  const system = createSystem();
+  await system.init();
+
+  await system.blockTradingPath({ symbol: "xrp_krw", reason: "kpi_guard: low_win_rate" });
+  await system.blockTradingPath({ entryReason: "breakout_up", reason: "kpi_guard: low_expectancy" });
+  assert.equal(system.kpiGuardBlockFor("XRP_KRW", "momentum_up").scope, "symbol");
+  assert.equal(system.kpiGuardBlockFor("BTC_KRW", "breakout_up").key, "breakout_up");
+  assert.equal(system.kpiGuardBlockFor("BTC_KRW", "momentum_up"), null);
+  assert.equal((await system.status()).data.kpiGuardBlocks.symbols.XRP_KRW.reason, "kpi_guard: low_win_rate");
+
+  await system.clearKpiGuardBlocks({ symbol: "XRP_KRW" });
+  assert.equal(system.kpiGuardBlockFor("XRP_KRW", "momentum_up"), null);
+  assert.notEqual(system.kpiGuardBlockFor("ETH_KRW", "breakout_up"), null);
+  await system.clearKpiGuardBlocks();
+  assert.equal(system.kpiGuardBlockFor("ETH_KRW", "breakout_up"), null);
+  assert.equal((await system.blockTradingPath({})).ok, false);
+});
+
+test("entry-only guard lookups are not shadowed by a default-symbol block", async () => {
+  const system = createSystem();
+  await system.init();
+
+  await system.blockTradingPath({ symbol: "BTC_KRW", reason: "kpi_guard: low_win_rate" });
+  assert.equal(system.kpiGuardBlockFor(null, "breakout_up"), null);
+
+  await system.blockTradingPath({ entryReason: "breakout_up", reason: "kpi_guard: low_expectancy" });
+  assert.deepEqual(
+    [system.kpiGuardBlockFor(null, "breakout_up").scope, system.kpiGuardBlockFor(null, "breakout_up").key],
+    ["entry", "breakout_up"],
+  );
+  assert.equal(system.kpiGuardBlockFor("BTC_KRW", "breakout_up").scope, "symbol");
+});
@@ -0,0 +1,147 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadConfig } from "../src/config/defaults.js";
+import { EXIT_CODES } from "../src/config/exit-codes.js";
+import { MemoryStateStore } from "../src/core/store.js";
+import { TradingSystem } from "../src/core/trading-system.js";
+
+class ExchangeMock {
+  constructor(accounts) {
+    this.accounts = accounts;
+    this.placed = [];
+    this.canceled = [];
+    this.statusById = new Map([["ex-open", { uuid: "ex-open", state: "wait", executed_volume: "0" }]]);
+  }
+
+  isRetryableError() {
+    return false;
+  }
+
+  async getAccounts() {
+    return this.accounts;
+  }
+
+  async getOrderChance() {
+    return { market: { bid: { min_total: "5000" }, ask: { min_total: "5000" } } };
+  }
+
+  async placeOrder(order) {
+    const uuid = `ex-${this.placed.length + 1}`;
+    this.placed.push({ ...order, uuid });
+    this.statusById.set(uuid, { uuid, state: "done", executed_volume: String(order.qty), avg_price: "100000000" });
+    return { uuid, state: "wait" };
+  }
+
+  async getOrderStatus({ exchangeOrderId }) {
+    return this.statusById.get(exchangeOrderId);
+  }
+
+  async cancelOrder({ exchangeOrderId }) {
+    this.canceled.push(exchangeOrderId);
+    this.statusById.set(exchangeOrderId, { uuid: exchangeOrderId, state: "cancel", executed_volume: "0" });
+    return { uuid: exchangeOrderId, state: "wait" };
+  }
+}
+
+async function createSystem(env = {}) {
+  const exchange = new ExchangeMock([
+    { currency: "KRW", balance: "1000000", locked: "0", unit_currency: "KRW" },
+    { currency: "BTC", balance: "0.123456789", locked: "0.01", avg_buy_price: "90000000", unit_currency: "KRW" },
+    { currency: "XRP", balance: "1", locked: "0", avg_buy_price: "800", unit_currency: "KRW" },
+  ]);
+  const prices = { BTC_KRW: 100_000_000, XRP_KRW: 900 };
+  const system = new TradingSystem(loadConfig({
+    LIQUIDATION_CHUNK_KRW: "5000000",
+    LIQUIDATION_CHUNK_DELAY_MS: "250",
+    ...env,
+  }), {
+    store: new MemoryStateStore(),
+    exchangeClient: exchange,
+    wsClient: {},
+    marketData: {
+      async getMarketTicker(symbol) {
+        return { symbol, lastPrice: prices[symbol] };
+      },
+      extractTickerMetrics(ticker) {
+        return { lastPrice: ticker.lastPrice };
+      },
+    },
+    overlayEngine: {
+      async readCurrent() {
+        return { multiplier: 1, source: "default", stale: false, updatedAt: new Date().toISOString() };
+      },
+    },
+    sleepFn: async () => {},
+  });
+  await system.init();
+  await system.persistOrder({
+    id: "o-open",
+    exchangeOrderId: "ex-open",
+    symbol: "BTC_KRW",
+    side: "buy",
+    type: "limit",
+    state: "WAIT",
+    price: 95_000_000,
+    qty: 0.001,
+    amountKrw: 95_000,
+  }, { reason: "manual" });
+  return { system, exchange };
+}
+
+test("liquidation cancels open orders, sells holdings in chunks and reports dust", async () => {
+  const { system, exchange } = await createSystem();
+  await system.setKillSwitch(true, "test");
+
+  const result = await system.liquidateAll({ reason: "test", source: "test" });
+  assert.equal(result.ok, true);
+  const report = result.data;
+
+  assert.deepEqual(exchange.canceled, ["ex-open"]);
+  assert.equal(system.store.getOpenOrders().length, 0);
+
+  assert.deepEqual(exchange.placed.map((order) => [order.symbol, order.side, order.qty]), [
+    ["BTC_KRW", "sell", 0.04115226],
+    ["BTC_KRW", "sell", 0.04115226],
+    ["BTC_KRW", "sell", 0.04115226],
+  ], "kill switch does not stop liquidation; 0.12345678 BTC is split into three sells");
+  assert.ok(report.sells.every((sell) => sell.ok && sell.amountKrw <= 5_000_000));
+
+  assert.deepEqual(report.dust.map((row) => [row.symbol, row.reason]), [
+    ["BTC_KRW", "below_precision"],
+    ["BTC_KRW", "locked"],
+    ["XRP_KRW", "below_min_total"],
+  ]);
+  assert.equal(report.complete, true);
+
+  const event = system.store.snapshot().riskEvents.find((row) => row.type === "liquidation");
+  assert.equal(event.report.id, report.id);
+  assert.equal(event.source, "test");
+});
+
+test("liquidation dry run plans without touching the exchange", async () => {
+  const { system, exchange } = await createSystem();
+  const result = await system.liquidateAll({ dryRun: true });
+
+  assert.equal(exchange.placed.length, 0);
+  assert.equal(exchange.canceled.length, 0);
+  assert.equal(result.data.canceled.length, 1);
+  assert.equal(result.data.sells.length, 3);
+  assert.equal(system.store.snapshot().riskEvents.some((row) => row.type === "liquidation"), false);
+
+  const [running, concurrent] = await Promise.all([system.liquidateAll({ dryRun: true }), system.liquidateAll({ dryRun: true })]);
+  assert.equal(running.ok, true);
+  assert.equal(concurrent.code, EXIT_CODES.ALREADY_IN_PROGRESS);
+});
+
+test("turning on the kill switch liquidates when LIQUIDATION_ON_KILL_SWITCH is set", async () => {
+  const { system, exchange } = await createSystem({ LIQUIDATION_ON_KILL_SWITCH: "true" });
+
+  const enabled = await system.setKillSwitch(true, "drill");
+  assert.equal(enabled.data.liquidating, true);
+  await system.liquidationInFlight;
+  assert.equal(exchange.placed.length, 3);
+  assert.equal((await system.liquidateAll()).ok, true, "the in-flight guard is cleared afterwards");
+
+  const again = await system.setKillSwitch(true, "drill");
+  assert.equal(again.data.liquidating, false, "only the off -> on transition liquidates");
+});
@@ -0,0 +1,150 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadConfig } from "../src/config/defaults.js";
+import { MarketStreamSession } from "../src/core/market-stream.js";
+import { MemoryStateStore } from "../src/core/store.js";
+import { TradingSystem } from "../src/core/trading-system.js";
+
+class TickerWsMock {
+  constructor() {
+    this.streams = [];
+  }
+
+  async openTickerStream(handlers) {
+    let resolveClosed;
+    const stream = {
+      handlers,
+      closed: new Promise((resolve) => {
+        resolveClosed = resolve;
+      }),
+      close: (reason = "closed") => resolveClosed({ code: 1000, reason }),
+    };
+    this.streams.push(stream);
+    queueMicrotask(() => handlers.onStatus({ event: "open" }));
+    return { close: stream.close, closed: stream.closed };
+  }
+
+  latest() {
+    return this.streams.at(-1);
+  }
+
+  tick(symbol, tradePrice, timestamp) {
+    this.latest().handlers.onTicker({ type: "ticker", symbol, tradePrice, timestamp });
+  }
+}
+
+class MarketDataMock {
+  constructor() {
+    this.calls = 0;
+  }
+
+  async getCandles() {
+    this.calls += 1;
+    return {
+      candles: [{ timestamp: 0, open: 100, high: 100, low: 100, close: 100 }],
+    };
+  }
+}
+
+class OverlayMock {
+  async readCurrent() {
+    return { multiplier: 1, source: "default", stale: false, updatedAt: new Date().toISOString() };
+  }
+}
+
+function settle() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+async function waitFor(predicate, timeoutMs = 2_000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) {
+      throw new Error("condition not met in time");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+test("market stream session multiplexes symbols and resubscribes on set changes", async () => {
+  const ws = new TickerWsMock();
+  const session = new MarketStreamSession(null, ws, { reconnectBaseMs: 20, reconnectMaxMs: 40 });
+  session.start();
+  await settle();
+  assert.equal(ws.streams.length, 0, "nothing to subscribe yet");
+
+  assert.equal(session.setSymbols(["eth_krw", "BTC_KRW"]), true);
+  await settle();
+  assert.deepEqual(ws.latest().handlers.symbols, ["BTC_KRW", "ETH_KRW"]);
+  assert.equal(session.isHealthy(), true);
+
+  const btc = session.aggregator("BTC_KRW", 60_000, 10);
+  const received = [];
+  const handle = session.subscribe("ETH_KRW", { onTicker: (tick) => received.push(tick.tradePrice) });
+  ws.tick("BTC_KRW", 100, 1_000);
+  ws.tick("ETH_KRW", 10, 1_000);
+  ws.tick("XRP_KRW", 1, 1_000);
+  assert.equal(btc.aggregator.allCandles().at(-1).close, 100);
+  assert.deepEqual(received, [10]);
+
+  assert.equal(session.setSymbols(["BTC_KRW", "ETH_KRW"]), false);
+  assert.equal(session.setSymbols(["BTC_KRW"]), true);
+  await settle();
+  assert.equal(ws.streams.length, 2, "resubscribe reopens without backoff");
+  assert.deepEqual(ws.latest().handlers.symbols, ["BTC_KRW"]);
+  assert.equal(session.aggregator("BTC_KRW", 60_000, 10), btc, "aggregator survives the resubscribe");
+
+  btc.seeded = true;
+  const errors = [];
+  handle.close();
+  session.subscribe("BTC_KRW", { onError: (error) => errors.push(error.message) });
+  ws.latest().close("server_restart");
+  await settle();
+  assert.equal(session.isHealthy(), false);
+  assert.equal(btc.seeded, false, "a gap forces a history reload");
+  assert.deepEqual(errors, ["Market stream gap: server_restart"]);
+
+  await waitFor(() => session.isHealthy());
+  assert.equal(ws.streams.length, 3);
+  await session.stop();
+  assert.equal(session.covers("BTC_KRW"), false);
+});
+
+test("realtime windows share one stream and keep candles warm between windows", async () => {
+  const ws = new TickerWsMock();
+  const marketData = new MarketDataMock();
+  const system = new TradingSystem(loadConfig({ STRATEGY_CANDLE_INTERVAL: "1m" }), {
+    store: new MemoryStateStore(),
+    exchangeClient: { isRetryableError: () => false },
+    wsClient: ws,
+    marketData,
+    overlayEngine: new OverlayMock(),
+    sleepFn: async () => {},
+  });
+  await system.init();
+  const session = new MarketStreamSession(system, ws, { reconnectBaseMs: 20, reconnectMaxMs: 40 });
+  session.start();
+  assert.equal(system.marketStream, session);
+  session.setSymbols(["BTC_KRW", "ETH_KRW"]);
+  await settle();
+
+  const first = system.runStrategyRealtime({ symbol: "BTC_KRW", durationSec: 1, dryRun: true });
+  await settle();
+  ws.tick("BTC_KRW", 101, 60_000);
+  const firstResult = await first;
+  assert.equal(firstResult.ok, true);
+  assert.equal(firstResult.data.tickCount, 1);
+
+  ws.tick("BTC_KRW", 102, 120_000);
+  const second = await system.runStrategyRealtime({ symbol: "BTC_KRW", durationSec: 1, dryRun: true });
+  assert.equal(second.ok, true);
+  assert.equal(second.data.tickCount, 0);
+
+  assert.equal(ws.streams.length, 1, "windows do not open their own streams");
+  assert.equal(marketData.calls, 1, "history is loaded once per symbol");
+  const closes = session.aggregator("BTC_KRW", 60_000, 140).aggregator.allCandles().map((row) => row.close);
+  assert.deepEqual(closes, [100, 101, 102]);
+
+  await session.stop();
+  assert.equal(system.marketStream, null);
+});
@@ -0,0 +1,160 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { MetricsServer } from "../src/app/metrics-server.js";
+import { loadConfig } from "../src/config/defaults.js";
+import { EXIT_CODES } from "../src/config/exit-codes.js";
+import { MemoryStateStore } from "../src/core/store.js";
+import { TraderMetrics } from "../src/core/trader-metrics.js";
+import { TradingSystem } from "../src/core/trading-system.js";
+import { MetricsRegistry } from "../src/lib/metrics.js";
+
+class ExchangeMock {
+  isRetryableError() {
+    return false;
+  }
+
+  async getAccounts() {
+    return [{ currency: "KRW", balance: "120000", locked: "0", avg_buy_price: "0", unit_currency: "KRW" }];
+  }
+
+  async getOrderChance() {
+    return { market: { bid: { min_total: "5000" }, ask: { min_total: "5000" } } };
+  }
+
+  async placeOrder() {
+    return { uuid: "exchange-1" };
+  }
+
+  async getOrder() {
+    return { uuid: "exchange-1" };
+  }
+}
+
+test("registry renders counters, gauges and histograms in the Prometheus text format", () => {
+  const registry = new MetricsRegistry();
+  const requests = registry.counter("app_requests_total", "Requests\nserved", ["path"]);
+  requests.inc({ path: "/a\"b" });
+  requests.inc({ path: "/a\"b" }, 2);
+  requests.inc({ path: "/a\"b" }, -5);
+  registry.gauge("app_level", "Level").set({}, 1.5);
+  registry.gauge("app_level", "Level").set({}, null);
+  const latency = registry.histogram("app_latency_seconds", "Latency", ["path"], [0.5, 0.1]);
+  latency.observe({ path: "/x" }, 0.05);
+  latency.observe({ path: "/x" }, 0.3);
+  latency.observe({ path: "/x" }, 2);
+
+  assert.equal(registry.counter("app_requests_total", "Requests"), requests, "declaring twice returns the same metric");
+  assert.throws(() => registry.gauge("app_requests_total", "Requests"), /already declared as a counter/);
+
+  const text = registry.render();
+  assert.match(text, /^# HELP app_requests_total Requests\\nserved\n# TYPE app_requests_total counter\n/);
+  assert.match(text, /^app_requests_total\{path="\/a\\"b"\} 3$/m);
+  assert.match(text, /^app_level 1\.5$/m);
+  assert.match(text, /^app_latency_seconds_bucket\{path="\/x",le="0\.1"\} 1$/m);
+  assert.match(text, /^app_latency_seconds_bucket\{path="\/x",le="0\.5"\} 2$/m);
+  assert.match(text, /^app_latency_seconds_bucket\{path="\/x",le="\+Inf"\} 3$/m);
+  assert.match(text, /^app_latency_seconds_sum\{path="\/x"\} 2\.35$/m);
+  assert.match(text, /^app_latency_seconds_count\{path="\/x"\} 3$/m);
+  assert.ok(text.endsWith("\n"));
+});
+
+test("trader metrics count order outcomes, reject rules, REST requests and limiter waits", () => {
+  const metrics = new TraderMetrics();
+  const order = { symbol: "BTC_KRW", side: "buy" };
+  metrics.observeOrderResult(order, { ok: true, code: EXIT_CODES.OK, data: {} });
+  metrics.observeOrderResult(order, {
+    ok: false,
+    code: EXIT_CODES.RISK_REJECTED,
+    error: { reasons: [{ rule: "MAX_EXPOSURE" }, { rule: "MIN_ORDER_NOTIONAL_KRW" }] },
+  });
+  metrics.observeOrderResult(order, { ok: false, code: EXIT_CODES.RISK_REJECTED, error: {} });
+  metrics.observeOrderResult(order, { ok: false, code: EXIT_CODES.EXCHANGE_RETRYABLE, error: {} });
+  metrics.observeRequest({ method: "get", path: "/v1/ticker", status: 200, durationMs: 40 });
+  metrics.observeRequest({ method: "POST", path: "/v2/orders", status: null, durationMs: 3_000 });
+  metrics.observeRateLimitWait({ limiter: "private", waitMs: 250 });
+
+  const text = metrics.render();
+  assert.match(text, /^buycoin_order_attempts_total\{symbol="BTC_KRW",side="buy"\} 4$/m);
+  assert.match(text, /^buycoin_order_results_total\{symbol="BTC_KRW",side="buy",outcome="succeeded"\} 1$/m);
+  assert.match(text, /^buycoin_order_results_total\{symbol="BTC_KRW",side="buy",outcome="rejected"\} 2$/m);
+  assert.match(text, /^buycoin_order_results_total\{symbol="BTC_KRW",side="buy",outcome="failed"\} 1$/m);
+  assert.match(text, /^buycoin_order_rejects_total\{rule="MAX_EXPOSURE"\} 1$/m);
+  assert.match(text, /^buycoin_order_rejects_total\{rule="UNKNOWN"\} 1$/m);
+  assert.match(text, /^buycoin_http_requests_total\{method="GET",endpoint="\/v1\/ticker",status="200"\} 1$/m);
+  assert.match(text, /^buycoin_http_requests_total\{method="POST",endpoint="\/v2\/orders",status="0"\} 1$/m);
+  assert.match(text, /^buycoin_http_request_duration_seconds_bucket\{method="GET",endpoint="\/v1\/ticker",le="0\.05"\} 1$/m);
+  assert.match(text, /^buycoin_rate_limit_wait_seconds_total\{limiter="private"\} 0\.25$/m);
+});
+
+test("trading system feeds order and account metrics that the endpoint serves on loopback", async () => {
+  const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), "metrics-test-"));
+  const config = loadConfig({
+    TRADER_STATE_FILE: path.join(baseDir, "state.json"),
+    METRICS_ENABLED: "true",
+    METRICS_PORT: "0",
+  });
+  const metrics = new TraderMetrics();
+  const system = new TradingSystem(config, {
+    store: new MemoryStateStore(),
+    exchangeClient: new ExchangeMock(),
+    wsClient: {},
+    metrics,
+  });
+  await system.init();
+
+  const rejected = await system.placeOrder({ symbol: "BTC_KRW", side: "buy", type: "limit", amount: 6_000, price: 100 });
+  assert.equal(rejected.code, EXIT_CODES.RISK_REJECTED);
+  const placed = await system.placeOrder({ symbol: "BTC_KRW", side: "buy", type: "limit", amount: 30_000, price: 100 });
+  assert.equal(placed.ok, true);
+  await system.placeOrder({ symbol: "BTC_KRW", side: "buy", type: "limit", amount: 30_000, price: 100, dryRun: true });
+  await system.setKillSwitch(true, "test");
+
+  const server = new MetricsServer(config, { metrics, collect: () => system.refreshMetrics() });
+  const { port } = await server.start();
+  try {
+    const response = await fetch(`http://127.0.0.1:${port}/metrics`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get("content-type"), /^text\/plain; version=0\.0\.4/);
+    const text = await response.text();
+    assert.match(text, /^buycoin_order_attempts_total\{symbol="BTC_KRW",side="buy"\} 2$/m, "dry runs are not counted");
+    assert.match(text, /^buycoin_order_rejects_total\{rule="MIN_ORDER_NOTIONAL_KRW"\} 1$/m);
+    assert.match(text, /^buycoin_cash_krw 120000$/m);
+    assert.match(text, /^buycoin_kill_switch 1$/m);
+
+    assert.equal((await fetch(`http://127.0.0.1:${port}/other`)).status, 404);
+    assert.equal((await fetch(`http://127.0.0.1:${port}/metrics`, { method: "POST" })).status, 405);
+  } finally {
+    await server.close();
+  }
+
+  const exposed = new MetricsServer({ metrics: { host: "0.0.0.0", port: 0 } }, { metrics });
+  await assert.rejects(() => exposed.start(), /loopback/);
+});
+
+test("account gauges use the same bases as the risk checks", async () => {
+  const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), "metrics-test-"));
+  const config = loadConfig({ TRADER_STATE_FILE: path.join(baseDir, "state.json") });
+  const exchange = new ExchangeMock();
+  exchange.getAccounts = async () => [
+    { currency: "KRW", balance: "120000", locked: "0", avg_buy_price: "0", unit_currency: "KRW" },
+    { currency: "BTC", balance: "1000", locked: "0", avg_buy_price: "100", unit_currency: "KRW" },
+  ];
+  const metrics = new TraderMetrics();
+  const system = new TradingSystem(config, {
+    store: new MemoryStateStore(),
+    exchangeClient: exchange,
+    wsClient: {},
+    metrics,
+  });
+  await system.init();
+  system.lastMarks.set("BTC_KRW", 150);
+
+  await system.checkCircuitBreakers();
+  const text = metrics.render();
+  assert.match(text, /^buycoin_equity_krw 220000$/m, "cost basis, as the daily loss limit sees it");
+  assert.match(text, /^buycoin_marked_equity_krw 270000$/m);
+  assert.match(text, /^buycoin_exposure_krw 100000$/m, "cost the exposure limits add up, not the mark");
+});
@@ -0,0 +1,222 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import os from "node:os";
+import { loadConfig } from "../src/config/defaults.js";
+import { MemoryStateStore } from "../src/core/store.js";
+import { TradingSystem } from "../src/core/trading-system.js";
+
+class RetryableError extends Error {
+  constructor(message) {
+    super(message);
+    this.retryable = true;
+  }
+}
+
+class ExchangeMock {
+  constructor() {
+    this.ordersByKey = new Map();
+    this.canceled = [];
+    this.placeError = null;
+    this.onPlace = null;
+  }
+
+  isRetryableError(error) {
+    return Boolean(error?.retryable);
+  }
+
+  async placeOrder(order) {
+    this.onPlace?.(order);
+    if (this.placeError) {
+      throw this.placeError;
+    }
+    const uuid = `ex-${order.clientOrderKey}`;
+    this.ordersByKey.set(order.clientOrderKey, { uuid, identifier: order.clientOrderKey, state: "wait", executed_volume: "0" });
+    return { uuid, state: "wait" };
+  }
+
+  async findOrderByClientOrderKey({ clientOrderKey }) {
+    const order = this.ordersByKey.get(clientOrderKey);
+    if (order instanceof Error) {
+      throw order;
+    }
+    return order || null;
+  }
+
+  async getOrderStatus({ exchangeOrderId, clientOrderKey }) {
+    const order = this.ordersByKey.get(clientOrderKey);
+    if (!order || order.uuid !== exchangeOrderId) {
+      throw Object.assign(new Error("order not found"), { status: 404 });
+    }
+    return order;
+  }
+
+  async cancelOrder({ exchangeOrderId }) {
+    this.canceled.push(exchangeOrderId);
+    for (const [key, order] of this.ordersByKey) {
+      if (order.uuid === exchangeOrderId) {
+        this.ordersByKey.set(key, { ...order, state: "cancel" });
+      }
+    }
+    return { uuid: exchangeOrderId, state: "wait" };
+  }
+}
+
+function createSystem(exchange, initial = null, env = {}, deps = {}) {
+  return new TradingSystem(loadConfig(env), {
+    store: new MemoryStateStore(initial),
+    exchangeClient: exchange,
+    wsClient: {},
+    overlayEngine: {
+      async readCurrent() {
+        return { multiplier: 1, source: "default", stale: false, updatedAt: new Date().toISOString() };
+      },
+    },
+    sleepFn: async () => {},
+    ...deps,
+  });
+}
+
+function orderInput(clientOrderKey) {
+  return { symbol: "BTC_KRW", side: "buy", type: "limit", price: 100_000_000, qty: 0.0001, amountKrw: 10_000, clientOrderKey };
+}
+
+test("submissions are journaled before they reach the exchange and cleared once persisted", async () => {
+  const exchange = new ExchangeMock();
+  const system = createSystem(exchange);
+  await system.init();
+
+  exchange.onPlace = (order) => {
+    assert.equal(system.store.snapshot().orderIntents[order.clientOrderKey].status, "PENDING");
+  };
+  const submitted = await system.executionEngine.submit(orderInput("k-ok"));
+  assert.deepEqual(
+    [system.store.snapshot().orderIntents["k-ok"].status, system.store.snapshot().orderIntents["k-ok"].exchangeOrderId],
+    ["SUBMITTED", "ex-k-ok"],
+  );
+  await system.persistOrder(submitted, { reason: "manual" });
+  assert.deepEqual(system.store.snapshot().orderIntents, {});
+
+  exchange.placeError = Object.assign(new Error("insufficient funds"), { status: 400 });
+  await assert.rejects(system.executionEngine.submit(orderInput("k-rejected")));
+  assert.equal(system.store.snapshot().orderIntents["k-rejected"], undefined, "a rejected order never existed");
+
+  exchange.placeError = new RetryableError("socket hang up");
+  await assert.rejects(system.executionEngine.submit(orderInput("k-timeout")));
+  assert.equal(system.store.snapshot().orderIntents["k-timeout"].status, "UNCERTAIN");
+  assert.equal((await system.status()).data.orderIntents.length, 1);
+  assert.deepEqual(system.store.snapshot().orderIntents["k-timeout"].owner, system.processOwner);
+});
+
+test("recovery adopts, cancels or fails unfinished intents", async () => {
+  const exchange = new ExchangeMock();
+  exchange.ordersByKey.set("k-done", {
+    uuid: "ex-k-done",
+    identifier: "k-done",
+    state: "done",
+    side: "bid",
+    ord_type: "limit",
+    volume: "0.0001",
+    executed_volume: "0.0001",
+    avg_price: "100000000",
+  });
+  exchange.ordersByKey.set("k-open", { uuid: "ex-k-open", identifier: "k-open", state: "wait", executed_volume: "0" });
+  exchange.ordersByKey.set("k-flaky", new RetryableError("timeout"));
+  exchange.ordersByKey.set("k-denied", Object.assign(new Error("invalid access key"), { status: 401 }));
+
+  const old = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+  const intent = (clientOrderKey, extra = {}) => ({
+    ...orderInput(clientOrderKey),
+    status: "PENDING",
+    exchangeOrderId: null,
+    createdAt: old,
+    ...extra,
+  });
+  const system = createSystem(exchange, {
+    orderIntents: {
+      "k-done": intent("k-done", { status: "SUBMITTED", exchangeOrderId: "ex-k-done" }),
+      "k-open": intent("k-open"),
+      "k-missing": intent("k-missing"),
+      "k-flaky": intent("k-flaky", { status: "UNCERTAIN" }),
+      "k-denied": intent("k-denied"),
+      "k-fresh": intent("k-fresh", { createdAt: new Date().toISOString() }),
+    },
+  });
+  await system.init();
+  assert.equal(Object.keys(system.store.snapshot().orderIntents).length, 6, "init leaves recovery to the daemon");
+  await system.recoverOrderIntents();
+  const state = system.store.snapshot();
+
+  const byKey = Object.fromEntries(state.orders.map((order) => [order.clientOrderKey, order]));
+  assert.equal(byKey["k-done"].state, "DONE");
+  assert.equal(byKey["k-done"].metadata.reason, "order_intent_recovery:adopted");
+  assert.equal(state.fills.length, 1, "fills of an adopted order are recorded");
+
+  assert.deepEqual(exchange.canceled, ["ex-k-open"]);
+  assert.equal(byKey["k-open"].state, "CANCELED");
+  assert.equal(byKey["k-open"].metadata.reason, "order_intent_recovery:canceled");
+
+  assert.equal(byKey["k-missing"], undefined);
+  assert.ok(state.orderEvents.some((event) => event.eventType === "INTENT_FAILED" && event.payload.clientOrderKey === "k-missing"));
+
+  assert.deepEqual(Object.keys(state.orderIntents).sort(), ["k-denied", "k-flaky", "k-fresh"],
+    "failed lookups and intents younger than ORDER_INTENT_MIN_AGE_SEC are kept");
+  assert.equal(state.orderIntents["k-denied"].status, "UNCERTAIN");
+});
+
+test("ORDER_INTENT_OPEN_ACTION=adopt keeps a recovered open order working", async () => {
+  const exchange = new ExchangeMock();
+  exchange.ordersByKey.set("k-open", { uuid: "ex-k-open", identifier: "k-open", state: "wait", executed_volume: "0" });
+  const system = createSystem(exchange, {
+    orderIntents: {
+      "k-open": { ...orderInput("k-open"), status: "PENDING", createdAt: "2025-01-01T00:00:00.000Z" },
+    },
+  }, { ORDER_INTENT_OPEN_ACTION: "adopt" });
+  await system.init();
+  await system.recoverOrderIntents();
+
+  assert.deepEqual(exchange.canceled, []);
+  const [order] = system.store.getOpenOrders();
+  assert.equal(order.exchangeOrderId, "ex-k-open");
+  assert.equal(order.state, "WAIT");
+});
+
+test("recovery skips intents of a running process and takes orphans of a dead one at any age", async () => {
+  const exchange = new ExchangeMock();
+  exchange.ordersByKey.set("k-live", { uuid: "ex-k-live", identifier: "k-live", state: "wait", executed_volume: "0" });
+  exchange.ordersByKey.set("k-orphan", { uuid: "ex-k-orphan", identifier: "k-orphan", state: "wait", executed_volume: "0" });
+  const old = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+  const system = createSystem(exchange, {
+    orderIntents: {
+      "k-live": { ...orderInput("k-live"), status: "PENDING", createdAt: old, owner: { host: "h", pid: 1 } },
+      "k-orphan": { ...orderInput("k-orphan"), status: "PENDING", createdAt: new Date().toISOString(), owner: { host: "h", pid: 2 } },
+    },
+  }, {}, { isProcessAlive: (owner) => owner.pid === 1 });
+  await system.init();
+
+  const results = await system.recoverOrderIntents();
+  assert.deepEqual(results.map((row) => [row.clientOrderKey, row.outcome]), [["k-orphan", "canceled"]]);
+  assert.deepEqual(exchange.canceled, ["ex-k-orphan"]);
+  assert.deepEqual(Object.keys(system.store.snapshot().orderIntents), ["k-live"]);
+});
+
+test("the daemon resolves its own aged intents and intents of a recycled pid", async () => {
+  const exchange = new ExchangeMock();
+  const old = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+  const fresh = new Date().toISOString();
+  const self = { host: os.hostname(), pid: process.pid };
+  const probe = createSystem(exchange);
+  const startToken = probe.processOwner.startToken;
+  const system = createSystem(exchange, {
+    orderIntents: {
+      "k-own-old": { ...orderInput("k-own-old"), status: "UNCERTAIN", createdAt: old, owner: { ...self, startToken } },
+      "k-own-fresh": { ...orderInput("k-own-fresh"), status: "PENDING", createdAt: fresh, owner: { ...self, startToken } },
+      "k-recycled": { ...orderInput("k-recycled"), status: "PENDING", createdAt: fresh, owner: { ...self, startToken: "other-boot:1" } },
+    },
+  });
+  await system.init();
+
+  const results = await system.recoverOrderIntents();
+  const expected = startToken ? ["k-own-old", "k-recycled"] : ["k-own-old"];
+  assert.deepEqual(results.map((row) => [row.clientOrderKey, row.outcome]), expected.map((key) => [key, "failed"]));
+  assert.ok(system.store.snapshot().orderIntents["k-own-fresh"], "an intent this process may still be submitting is kept");
+});
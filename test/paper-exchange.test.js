@@ -0,0 +1,232 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { loadConfig } from "../src/config/defaults.js";
+import { TradingSystem } from "../src/core/trading-system.js";
+import { PaperExchangeClient } from "../src/exchange/paper-exchange.js";
+
+class TickerWsMock {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  async openTickerStream({ symbols, onTicker }) {
+    for (const symbol of symbols) {
+      this.handlers.set(symbol, onTicker);
+    }
+    return {
+      close() {},
+      closed: new Promise(() => {}),
+    };
+  }
+
+  emit(symbol, tradePrice) {
+    this.handlers.get(symbol)?.({ type: "ticker", symbol, tradePrice, timestamp: Date.now() });
+  }
+}
+
+class TickerRestMock {
+  constructor(price) {
+    this.price = price;
+    this.calls = 0;
+  }
+
+  async getMarketTicker(symbol) {
+    this.calls += 1;
+    return { symbol, payload: [{ trade_price: this.price }] };
+  }
+}
+
+class OverlayMock {
+  async readCurrent() {
+    return { multiplier: 1, source: "default", stale: false, updatedAt: new Date().toISOString() };
+  }
+}
+
+async function createConfig(extra = {}) {
+  const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), "paper-test-"));
+  return loadConfig({
+    TRADER_STATE_FILE: path.join(baseDir, "state.json"),
+    TRADER_OVERLAY_FILE: path.join(baseDir, "overlay.json"),
+    PAPER_TRADING_ENABLED: "true",
+    PAPER_WALLET_FILE: path.join(baseDir, "paper-wallet.json"),
+    PAPER_INITIAL_CASH_KRW: "100000",
+    PAPER_FEE_BPS: "10",
+    PAPER_SLIPPAGE_BPS: "100",
+    ...extra,
+  });
+}
+
+function createExchange(config, price = 1000) {
+  const wsClient = new TickerWsMock();
+  const marketData = new TickerRestMock(price);
+  const exchange = new PaperExchangeClient(config, null, {
+    wsClient,
+    marketData,
+    publicClient: { withRetry: async () => [] },
+  });
+  return { exchange, wsClient, marketData };
+}
+
+function balanceOf(accounts, currency) {
+  return Number(accounts.find((row) => row.currency === currency)?.balance || 0);
+}
+
+test("paper market buy acknowledges first, then fills with slippage and fee", async () => {
+  const config = await createConfig();
+  const { exchange } = createExchange(config);
+
+  const ack = await exchange.placeOrder({
+    symbol: "BTC_KRW",
+    side: "buy",
+    type: "market",
+    amountKrw: 10000,
+    clientOrderKey: "paper-buy-1",
+  });
+  assert.equal(ack.state, "wait");
+  assert.equal(ack.ord_type, "price");
+
+  const status = await exchange.getOrderStatus({ clientOrderKey: "paper-buy-1" });
+  assert.equal(status.state, "done");
+  assert.equal(Number(status.avg_price), 1010);
+  assert.equal(Number(status.paid_fee), Number((Number(status.executed_funds) * 0.001).toFixed(8)));
+
+  const accounts = await exchange.getAccounts();
+  assert.ok(Math.abs(balanceOf(accounts, "KRW") - (100000 - 10000 - 10)) < 0.01);
+  assert.equal(balanceOf(accounts, "BTC"), Number(status.executed_volume));
+
+  const reloaded = createExchange(config).exchange;
+  const reloadedAccounts = await reloaded.getAccounts();
+  assert.equal(balanceOf(reloadedAccounts, "BTC"), Number(status.executed_volume));
+});
+
+test("paper limit orders lock funds, fill on ticker cross and release on cancel", async () => {
+  const config = await createConfig({ PAPER_SLIPPAGE_BPS: "0" });
+  const { exchange, wsClient } = createExchange(config, 1000);
+
+  const resting = await exchange.placeOrder({
+    symbol: "BTC_KRW",
+    side: "buy",
+    type: "limit",
+    price: 900,
+    qty: 10,
+  });
+  const toCancel = await exchange.placeOrder({
+    symbol: "BTC_KRW",
+    side: "buy",
+    type: "limit",
+    price: 800,
+    qty: 10,
+  });
+
+  let accounts = await exchange.getAccounts();
+  const krw = accounts.find((row) => row.currency === "KRW");
+  assert.equal(Number(krw.locked), 17017);
+
+  wsClient.emit("BTC_KRW", 890);
+  const filled = await exchange.getOrderStatus({ exchangeOrderId: resting.uuid });
+  assert.equal(filled.state, "done");
+  assert.equal(Number(filled.avg_price), 900);
+
+  const canceled = await exchange.cancelOrder({ exchangeOrderId: toCancel.uuid });
+  assert.equal(canceled.state, "cancel");
+
+  accounts = await exchange.getAccounts();
+  assert.equal(Number(accounts.find((row) => row.currency === "KRW").locked), 0);
+  assert.equal(balanceOf(accounts, "BTC"), 10);
+
+  const open = await exchange.listOrders({ symbol: "BTC_KRW", state: "wait" });
+  assert.equal(open.length, 0);
+  const done = await exchange.listOrders({ symbol: "BTC_KRW", states: ["done", "cancel"] });
+  assert.equal(done.length, 2);
+});
+
+test("paper exchange rejects sells beyond available holdings", async () => {
+  const config = await createConfig();
+  const { exchange } = createExchange(config);
+
+  await assert.rejects(
+    exchange.placeOrder({ symbol: "BTC_KRW", side: "sell", type: "market", qty: 1 }),
+    (error) => error.status === 400 && exchange.isRetryableError(error) === false,
+  );
+});
+
+test("paper exchange rejects orders below the advertised min_total", async () => {
+  const config = await createConfig();
+  const { exchange } = createExchange(config);
+  const chance = await exchange.getOrderChance({ symbol: "BTC_KRW" });
+  const minTotal = Number(chance.market.bid.min_total);
+
+  await assert.rejects(
+    exchange.placeOrder({ symbol: "BTC_KRW", side: "buy", type: "market", amountKrw: minTotal - 1 }),
+    (error) => error.status === 400
+      && exchange.isRetryableError(error) === false
+      && error.payload.error.name === "under_min_total_bid"
+      && /below min_total/.test(error.message),
+  );
+  await assert.rejects(
+    exchange.placeOrder({ symbol: "BTC_KRW", side: "buy", type: "limit", price: 1_000, qty: 1 }),
+    /below min_total/,
+  );
+  const placed = await exchange.placeOrder({ symbol: "BTC_KRW", side: "buy", type: "market", amountKrw: minTotal });
+  assert.ok(placed.uuid);
+});
+
+test("trading system records fills and kpi through the paper exchange", async () => {
+  const config = await createConfig({
+    RISK_MIN_ORDER_NOTIONAL_KRW: "5000",
+    PAPER_SLIPPAGE_BPS: "0",
+  });
+  const { exchange, wsClient } = createExchange(config, 1000);
+  const system = new TradingSystem(config, {
+    exchangeClient: exchange,
+    wsClient,
+    overlayEngine: new OverlayMock(),
+    sleepFn: async () => {},
+  });
+  await system.init();
+
+  const buy = await system.placeOrder({ symbol: "BTC_KRW", side: "buy", type: "market", amount: 10000 });
+  assert.equal(buy.ok, true, JSON.stringify(buy.error));
+  assert.equal(buy.data.state, "DONE");
+
+  wsClient.emit("BTC_KRW", 1100);
+  const sell = await system.placeOrder({ symbol: "BTC_KRW", side: "sell", type: "market", amount: 11000, price: 1100 });
+  assert.equal(sell.ok, true, JSON.stringify(sell.error));
+  assert.equal(sell.data.state, "DONE");
+
+  const kpi = system.computeExecutionKpi();
+  assert.equal(kpi.fills.count, 2);
+  assert.equal(kpi.realized.tradeCount, 1);
+  assert.ok(kpi.realized.realizedPnlKrw > 0);
+
+  const status = await system.status();
+  assert.equal(status.data.mode, "paper");
+  assert.ok(system.store.snapshot().fills.every((fill) => fill.paper === true));
+  const tax = await system.taxExport();
+  assert.equal(tax.ok, false);
+  assert.match(tax.error.message, /paper fills/);
+});
+
+test("paper mode refuses a state file that holds live trading history", async () => {
+  const config = await createConfig();
+  const { exchange, wsClient } = createExchange(config);
+  const liveConfig = loadConfig({
+    TRADER_STATE_FILE: config.runtime.stateFile,
+    TRADER_OVERLAY_FILE: config.runtime.overlayFile,
+  });
+  const live = new TradingSystem(liveConfig, { exchangeClient: {}, wsClient: {}, overlayEngine: new OverlayMock() });
+  await live.init();
+
+  const paper = new TradingSystem(config, { exchangeClient: exchange, wsClient, overlayEngine: new OverlayMock() });
+  await assert.rejects(() => paper.init(), (error) => error.code === 2 && /live trading history/.test(error.message));
+
+  // State written before the marker counts as live once it holds orders.
+  await fs.writeFile(config.runtime.stateFile, JSON.stringify({
+    orders: [{ id: "legacy-1", symbol: "BTC_KRW", side: "buy", state: "done" }],
+  }));
+  const legacy = new TradingSystem(config, { exchangeClient: exchange, wsClient, overlayEngine: new OverlayMock() });
+  await assert.rejects(() => legacy.init(), /live trading history/);
+});
@@ -0,0 +1,217 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadConfig } from "../src/config/defaults.js";
+import { EXIT_CODES } from "../src/config/exit-codes.js";
+import { MemoryStateStore } from "../src/core/store.js";
+import { TradingSystem } from "../src/core/trading-system.js";
+
+class ExchangeMock {
+  constructor() {
+    this.placed = [];
+    this.canceled = [];
+    this.statusById = new Map();
+    this.restOnPlace = false;
+  }
+
+  isRetryableError() {
+    return false;
+  }
+
+  async getAccounts() {
+    return [
+      { currency: "KRW", balance: "2000000", locked: "0", unit_currency: "KRW" },
+      { currency: "BTC", balance: "5", locked: "0", avg_buy_price: "100000", unit_currency: "KRW" },
+    ];
+  }
+
+  async getOrderChance() {
+    return { market: { bid: { min_total: "5000" }, ask: { min_total: "5000" } } };
+  }
+
+  async placeOrder(order) {
+    const uuid = `ex-${this.placed.length + 1}`;
+    this.placed.push({ ...order, uuid });
+    if (this.restOnPlace) {
+      this.statusById.set(uuid, { uuid, state: "wait", executed_volume: "0" });
+    } else if (order.side === "buy") {
+      this.statusById.set(uuid, { uuid, state: "done", executed_volume: String(order.price / 100_000), executed_funds: String(order.price) });
+    } else {
+      this.statusById.set(uuid, { uuid, state: "done", executed_volume: String(order.qty), executed_funds: String(order.qty * 100_000) });
+    }
+    return { uuid, state: "wait" };
+  }
+
+  async getOrderStatus({ exchangeOrderId }) {
+    return this.statusById.get(exchangeOrderId);
+  }
+
+  async cancelOrder({ exchangeOrderId }) {
+    this.canceled.push(exchangeOrderId);
+    const current = this.statusById.get(exchangeOrderId);
+    this.statusById.set(exchangeOrderId, { ...current, state: "cancel" });
+    return { uuid: exchangeOrderId };
+  }
+}
+
+class OverlayMock {
+  async readCurrent() {
+    return { multiplier: 1, source: "default", stale: false, updatedAt: new Date().toISOString() };
+  }
+}
+
+const marketData = {
+  async getMarketTicker() {
+    return { payload: { trade_price: 100_000 } };
+  },
+  extractTickerMetrics(ticker) {
+    return { lastPrice: ticker.payload.trade_price };
+  },
+};
+
+async function createSystem(extra = {}, { store = new MemoryStateStore(), exchange = new ExchangeMock() } = {}) {
+  const config = loadConfig({
+    RISK_MIN_ORDER_NOTIONAL_KRW: "5000",
+    RISK_MAX_ORDER_NOTIONAL_KRW: "100000",
+    ORDER_SLICING_ENABLED: "true",
+    ORDER_SLICING_INTERVAL_SEC: "60",
+    ...extra,
+  });
+  const system = new TradingSystem(config, {
+    store,
+    exchangeClient: exchange,
+    wsClient: {},
+    marketData,
+    overlayEngine: new OverlayMock(),
+    sleepFn: async () => {},
+  });
+  await system.init();
+  return { system, exchange, store };
+}
+
+function eventTypes(system, parentOrderId) {
+  return system.store.snapshot().orderEvents
+    .filter((event) => event.orderId === parentOrderId)
+    .map((event) => event.eventType);
+}
+
+test("orders above the slicing threshold become a TWAP parent with linked children", async () => {
+  const { system, exchange } = await createSystem();
+
+  const result = await system.placeOrder({ symbol: "BTC_KRW", side: "buy", type: "market", amount: 250_000, reason: "manual" });
+  assert.equal(result.ok, true, JSON.stringify(result.error));
+  const parentId = result.data.id;
+  assert.equal(result.data.kind, "parent");
+  assert.equal(result.data.algo, "twap");
+  assert.equal(result.data.plannedChildren, 3);
+  assert.equal(result.data.childCount, 1);
+  assert.equal(exchange.placed.length, 1);
+  assert.equal(exchange.placed[0].price, 83_333);
+
+  const early = await system.workParentOrders({ nowMs: Date.now() + 1_000 });
+  assert.equal(early.placed, 0, "waits for the TWAP interval");
+
+  await system.workParentOrders({ nowMs: Date.now() + 61_000 });
+  await system.workParentOrders({ nowMs: Date.now() + 122_000 });
+  const last = await system.workParentOrders({ nowMs: Date.now() + 183_000 });
+  assert.equal(last.completed, 1);
+
+  const parent = system.getParentOrder(parentId);
+  assert.equal(parent.state, "DONE");
+  assert.equal(parent.childCount, 3);
+  assert.equal(parent.filledNotional, 250_000);
+  assert.deepEqual(exchange.placed.map((order) => order.price), [83_333, 83_334, 83_333]);
+
+  const children = system.parentOrderChildren(parentId);
+  assert.equal(children.length, 3);
+  assert.ok(children.every((child) => child.metadata.parentOrderId === parentId));
+  assert.deepEqual(eventTypes(system, parentId), [
+    "PARENT_CREATED",
+    "PARENT_CHILD_PLACED",
+    "PARENT_CHILD_PLACED",
+    "PARENT_CHILD_PLACED",
+    "PARENT_DONE",
+  ]);
+});
+
+test("iceberg sell slices the holding by quantity and waits for each clip", async () => {
+  const { system, exchange } = await createSystem({ ORDER_SLICING_ALGO: "iceberg", ORDER_SLICING_CHILD_KRW: "80000" });
+  exchange.restOnPlace = true;
+
+  const result = await system.placeOrder({ symbol: "BTC_KRW", side: "sell", type: "market", amount: 200_000, price: 100_000 });
+  assert.equal(result.ok, true, JSON.stringify(result.error));
+  assert.equal(result.data.qty, 2);
+  assert.equal(result.data.intervalMs, 0);
+  assert.equal(exchange.placed[0].qty, 0.66666666);
+
+  const waiting = await system.workParentOrders();
+  assert.equal(waiting.results[0].action, "waiting_child");
+  assert.equal(exchange.placed.length, 1);
+
+  exchange.statusById.set("ex-1", { uuid: "ex-1", state: "done", executed_volume: "0.66666666", executed_funds: "66666.67" });
+  exchange.restOnPlace = false;
+  await system.workParentOrders();
+  await system.workParentOrders();
+  await system.workParentOrders();
+
+  const parent = system.getParentOrder(result.data.id);
+  assert.equal(parent.state, "DONE");
+  assert.equal(parent.filledQty, 2);
+  assert.equal(exchange.placed.length, 3);
+  assert.equal(exchange.placed[2].qty, 0.66666667, "the last clip sells the exact remainder");
+});
+
+test("cancelling a parent through orderCancel cancels its open child", async () => {
+  const { system, exchange } = await createSystem();
+  exchange.restOnPlace = true;
+
+  const result = await system.placeOrder({ symbol: "BTC_KRW", side: "buy", type: "market", amount: 250_000 });
+  const canceled = await system.orderCancel(result.data.id);
+  assert.equal(canceled.ok, true, JSON.stringify(canceled.error));
+  assert.equal(canceled.data.state, "CANCELED");
+  assert.equal(canceled.data.cancelReason, "manual_cancel");
+  assert.deepEqual(exchange.canceled, ["ex-1"]);
+  assert.equal(system.parentOrderChildren(result.data.id)[0].state, "CANCELED");
+
+  const after = await system.workParentOrders({ nowMs: Date.now() + 600_000 });
+  assert.equal(after.working, 0);
+  assert.equal(exchange.placed.length, 1);
+});
+
+test("a restart resumes persisted parents or cancels them", async () => {
+  const store = new MemoryStateStore();
+  const exchange = new ExchangeMock();
+  const first = await createSystem({}, { store, exchange });
+  const created = await first.system.placeOrder({ symbol: "BTC_KRW", side: "buy", type: "market", amount: 250_000 });
+  const parentId = created.data.id;
+
+  const resumed = await createSystem({}, { store, exchange });
+  assert.deepEqual(await resumed.system.resumeParentOrders({ resume: true }), { resumed: 1, canceled: 0 });
+  await resumed.system.workParentOrders({ nowMs: Date.now() + 61_000 });
+  assert.equal(resumed.system.getParentOrder(parentId).childCount, 2);
+
+  const restarted = await createSystem({}, { store, exchange });
+  assert.deepEqual(await restarted.system.resumeParentOrders({ resume: false }), { resumed: 0, canceled: 1 });
+  const parent = restarted.system.getParentOrder(parentId);
+  assert.equal(parent.state, "CANCELED");
+  assert.equal(parent.cancelReason, "restart");
+  assert.equal(parent.filledNotional, 166_667);
+});
+
+test("children go through the risk engine and repeated rejections cancel the parent", async () => {
+  const { system, exchange } = await createSystem({ ORDER_SLICING_MAX_CHILD_FAILURES: "2" });
+  await system.setKillSwitch(false);
+  system.riskEngine = {
+    evaluate: () => ({ allowed: false, reasons: [{ rule: "MAX_EXPOSURE_KRW" }], metrics: {} }),
+  };
+
+  const result = await system.placeOrder({ symbol: "BTC_KRW", side: "buy", type: "market", amount: 250_000 });
+  assert.equal(result.ok, true);
+  assert.equal(result.data.failures, 1);
+  assert.equal(result.data.lastChild.code, EXIT_CODES.RISK_REJECTED);
+
+  await system.workParentOrders({ nowMs: Date.now() + 61_000 });
+  const parent = system.getParentOrder(result.data.id);
+  assert.equal(parent.state, "CANCELED");
+  assert.equal(parent.cancelReason, "child_failures");
+  assert.equal(exchange.placed.length, 0);
+});
@@ -0,0 +1,134 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import {
+  buildPerformanceReport,
+  generatePerformanceReport,
+  renderPerformanceHtml,
+} from "../src/app/performance-report.js";
+import { EventLog } from "../src/core/event-log.js";
+import { StateStore } from "../src/core/store.js";
+
+function fill(id, side, qty, amountKrw, createdAt, extra = {}) {
+  return { id, symbol: "BTC_KRW", side, qty, amountKrw, price: amountKrw / qty, fee: 10, createdAt, ...extra };
+}
+
+function snapshot(capturedAt, krw, btc = 0) {
+  return {
+    id: `s-${capturedAt}`,
+    capturedAt,
+    items: [
+      { currency: "KRW", unitCurrency: "KRW", balance: krw, locked: 0 },
+      { currency: "BTC", unitCurrency: "KRW", balance: btc, locked: 0, avgBuyPrice: 1_000 },
+    ],
+  };
+}
+
+test("daily buckets carry realized PnL, drawdown, turnover, slippage and incidents", () => {
+  const report = buildPerformanceReport({
+    fills: [
+      fill("b-1", "buy", 1, 1_000, "2025-01-01T01:00:00.000Z", { expectedPrice: 990 }),
+      fill("s-1", "sell", 0.5, 700, "2025-01-01T02:00:00.000Z", { expectedPrice: 1_400 }),
+      fill("s-2", "sell", 0.5, 400, "2025-01-02T02:00:00.000Z", { symbol: "BTC_KRW" }),
+      fill("e-1", "buy", 1, 500, "2025-01-02T03:00:00.000Z", { symbol: "ETH_KRW" }),
+      fill("e-2", "sell", 1, 450, "2025-01-02T04:00:00.000Z", { symbol: "ETH_KRW" }),
+    ],
+    balancesSnapshot: [
+      snapshot("2025-01-01T00:00:00.000Z", 2_000),
+      snapshot("2025-01-01T01:30:00.000Z", 1_000, 1),
+      snapshot("2025-01-01T03:00:00.000Z", 1_690, 0.5),
+      snapshot("2025-01-02T05:00:00.000Z", 1_980),
+    ],
+    riskEvents: [
+      { id: "r-1", at: "2025-01-02T01:00:00.000Z", type: "order_rejected", symbol: "BTC_KRW", reasons: ["MAX_EXPOSURE"] },
+      { id: "r-2", at: "2025-01-02T01:00:00.000Z", type: "dust_report" },
+    ],
+    killSwitchChanges: [{ at: "2025-01-02T06:00:00.000Z", enabled: true, reason: "max_daily_loss_reached" }],
+    kpiReports: [{ type: "execution_kpi_monitor", sampledAt: "2025-01-01T04:00:00.000Z", evaluation: { triggered: true, reasons: ["fill_rate"] } }],
+  }, { timezone: "UTC" });
+
+  assert.deepEqual(report.periods.map((row) => [row.period, row.realizedPnlKrw, row.tradeCount, row.fillCount]), [
+    ["2025-01-01", 185, 1, 2],
+    ["2025-01-02", -185, 2, 3],
+  ]);
+  const first = report.periods[0];
+  assert.equal(first.startEquityKrw, 2_000);
+  assert.equal(first.endEquityKrw, 2_390, "holdings are marked at the last fill price");
+  assert.equal(first.winRatePct, 100);
+  assert.equal(report.periods[1].riskRejects, 1);
+  assert.equal(report.periods[1].killSwitchActivations, 1);
+
+  assert.equal(report.totals.turnoverKrw, 3_050);
+  assert.equal(report.totals.feesKrw, 50);
+  assert.equal(report.totals.tradeCount, 3);
+  assert.equal(report.totals.realizedPnlKrw, 0);
+  assert.equal(report.totals.maxDrawdownKrw, 410);
+  assert.equal(report.slippage.sampleCount, 2);
+  assert.equal(report.slippage.worstBps, 101.01);
+  assert.deepEqual(report.worstSymbols.map((row) => row.symbol), ["ETH_KRW"]);
+  assert.deepEqual(report.incidents.map((row) => row.kind), ["kpi_alert", "risk_reject", "kill_switch"]);
+  assert.equal(report.incidents[1].reason, "MAX_EXPOSURE");
+
+  const weekly = buildPerformanceReport({ fills: [fill("b-1", "buy", 1, 1_000, "2025-01-05T23:00:00.000Z")] }, { period: "weekly" });
+  assert.deepEqual(weekly.periods.map((row) => row.period), ["2025-01-06"], "weeks start on Monday in the report timezone");
+});
+
+test("the report loads from .trader files and renders a self-contained page", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "trader-perf-"));
+  const eventLog = new EventLog(path.join(dir, "events"));
+  const store = new StateStore(path.join(dir, "state.json"), { eventLog });
+  await store.init();
+  await store.update((state) => {
+    state.fills.push(fill("b-1", "buy", 1, 1_000, "2025-01-01T01:00:00.000Z"));
+    state.balancesSnapshot.push(snapshot("2025-01-01T00:00:00.000Z", 2_000));
+    state.balancesSnapshot.push(snapshot("2025-01-01T02:00:00.000Z", 990, 1));
+    return state;
+  });
+  await store.update((state) => {
+    state.settings.killSwitch = true;
+    state.settings.killSwitchReason = "<manual>";
+    return state;
+  });
+
+  const report = await generatePerformanceReport({
+    stateFile: path.join(dir, "state.json"),
+    eventLogDir: path.join(dir, "events"),
+    kpiReportFile: path.join(dir, "missing.jsonl"),
+  });
+  assert.equal(report.equityCurve.length, 2);
+  assert.deepEqual(report.incidents.map((row) => [row.type, row.reason]), [["kill_switch_on", "<manual>"]]);
+
+  const html = renderPerformanceHtml(report);
+  assert.match(html, /^<!doctype html>/);
+  assert.match(html, /<polyline/);
+  assert.match(html, /&lt;manual&gt;/);
+  assert.doesNotMatch(html, /<script|https?:\/\//);
+});
+
+test("equity comes from the event log when the state keeps only the latest snapshot", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "trader-perf-"));
+  const eventLog = new EventLog(path.join(dir, "events"));
+  const store = new StateStore(path.join(dir, "state.json"), { eventLog });
+  await store.init();
+  for (const [at, krw] of [["2025-01-01T00:00:00.000Z", 2_000], ["2025-01-01T01:00:00.000Z", 1_500], ["2025-01-01T02:00:00.000Z", 1_800]]) {
+    await store.update((state) => {
+      state.balancesSnapshot = [snapshot(at, krw)];
+      return state;
+    });
+  }
+  const files = { stateFile: path.join(dir, "state.json") };
+
+  const stateOnly = await generatePerformanceReport(files, { timezone: "UTC" });
+  assert.equal(stateOnly.equityCurve.length, 1);
+  assert.equal(stateOnly.totals.maxDrawdownKrw, null, "one point has no drawdown");
+  assert.equal(stateOnly.totals.maxDrawdownPct, null);
+  assert.match(stateOnly.warnings[0], /1 point\(s\)/);
+  assert.match(renderPerformanceHtml(stateOnly), /<b>n\/a<\/b>/);
+
+  const withLog = await generatePerformanceReport({ ...files, eventLogDir: path.join(dir, "events") }, { timezone: "UTC" });
+  assert.deepEqual(withLog.equityCurve.map((point) => point.equityKrw), [2_000, 1_500, 1_800]);
+  assert.equal(withLog.totals.maxDrawdownKrw, 500);
+  assert.deepEqual(withLog.warnings, []);
+});
@@ -0,0 +1,192 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadConfig } from "../src/config/defaults.js";
+import { MemoryStateStore } from "../src/core/store.js";
+import { TradingSystem } from "../src/core/trading-system.js";
+import {
+  applyFillToLedger,
+  buildPositionLedger,
+  createPositionLedger,
+  markPositionLedger,
+  reconcileLedgerWithAccounts,
+} from "../src/core/position-ledger.js";
+
+function fill(id, side, qty, price, fee = 0, eventTs = Date.parse("2026-01-01T00:00:00Z")) {
+  return { id, symbol: "BTC_KRW", side, qty, price, amountKrw: qty * price, fee, eventTs };
+}
+
+const FILLS = [
+  fill("f1", "buy", 1, 100_000, 100, 1_000),
+  fill("f2", "buy", 1, 120_000, 120, 2_000),
+  fill("f3", "sell", 1.5, 130_000, 195, 3_000),
+];
+
+test("average cost pools buys with fees and books realized PnL net of sell fees", () => {
+  const ledger = buildPositionLedger(FILLS, { method: "average" });
+  const position = ledger.positions.BTC_KRW;
+
+  assert.equal(position.qty, 0.5);
+  assert.equal(position.avgCostPrice, 110_110);
+  assert.equal(position.lots.length, 1);
+  assert.equal(ledger.closedLots.length, 1);
+  assert.equal(ledger.closedLots[0].costKrw, 165_165);
+  assert.equal(ledger.closedLots[0].proceedsKrw, 194_805);
+  assert.equal(ledger.closedLots[0].realizedPnlKrw, 29_640);
+  assert.equal(position.feesKrw, 415);
+
+  const marked = markPositionLedger(ledger, { BTC_KRW: 140_000 });
+  assert.equal(marked.positions[0].unrealizedPnlKrw, 0.5 * 140_000 - 55_055);
+  assert.equal(marked.totals.realizedPnlKrw, 29_640);
+});
+
+test("fifo closes the oldest lot first and splits one exit across lots", () => {
+  const ledger = buildPositionLedger(FILLS, { method: "fifo" });
+  const position = ledger.positions.BTC_KRW;
+
+  assert.equal(position.qty, 0.5);
+  assert.equal(position.avgCostPrice, 120_120);
+  assert.deepEqual(ledger.closedLots.map((lot) => [lot.qty, lot.entryPrice]), [[1, 100_100], [0.5, 120_120]]);
+  assert.ok(ledger.closedLots.every((lot) => lot.exitFillId === "f3"));
+  const realized = ledger.closedLots.reduce((sum, lot) => sum + lot.realizedPnlKrw, 0);
+  assert.equal(Math.round(realized), 194_805 - 100_100 - 60_060);
+});
+
+test("sells beyond the booked quantity are tracked without realized PnL", () => {
+  const ledger = createPositionLedger("average");
+  applyFillToLedger(ledger, fill("f1", "buy", 1, 100_000));
+  const closed = applyFillToLedger(ledger, fill("f2", "sell", 1.5, 110_000));
+
+  assert.equal(closed.length, 1);
+  assert.equal(closed[0].qty, 1);
+  assert.equal(ledger.positions.BTC_KRW.qty, 0);
+  assert.equal(ledger.positions.BTC_KRW.unmatchedSellQty, 0.5);
+});
+
+test("balance drift is booked only after the grace period", () => {
+  const ledger = buildPositionLedger([fill("f1", "buy", 1, 100_000)]);
+  const accounts = [{ currency: "BTC", unitCurrency: "KRW", balance: 1.5, locked: 0, avgBuyPrice: 104_000 }];
+
+  assert.deepEqual(reconcileLedgerWithAccounts(ledger, accounts, { nowMs: 10_000, graceMs: 60_000 }), []);
+  assert.equal(ledger.pendingDiscrepancies.BTC_KRW.qty, 0.5);
+  assert.equal(ledger.positions.BTC_KRW.qty, 1);
+
+  const applied = reconcileLedgerWithAccounts(ledger, accounts, { nowMs: 70_000, graceMs: 60_000 });
+  assert.deepEqual(applied.map((row) => [row.symbol, row.qty]), [["BTC_KRW", 0.5]]);
+  assert.equal(ledger.positions.BTC_KRW.qty, 1.5);
+  assert.equal(ledger.positions.BTC_KRW.costKrw, 152_000);
+  assert.deepEqual(ledger.pendingDiscrepancies, {});
+
+  const withdrawn = [{ currency: "BTC", unitCurrency: "KRW", balance: 0.5, locked: 0, avgBuyPrice: 104_000 }];
+  reconcileLedgerWithAccounts(ledger, withdrawn, { nowMs: 80_000, graceMs: 0 });
+  assert.equal(ledger.positions.BTC_KRW.qty, 0.5);
+  assert.equal(ledger.closedLots.length, 0, "withdrawals do not realize PnL");
+});
+
+class ExchangeMock {
+  constructor() {
+    this.btc = "0";
+    this.placed = [];
+  }
+
+  isRetryableError() {
+    return false;
+  }
+
+  async getAccounts() {
+    return [
+      { currency: "KRW", balance: "1000000", locked: "0", unit_currency: "KRW" },
+      { currency: "BTC", balance: this.btc, locked: "0", avg_buy_price: "90000", unit_currency: "KRW" },
+    ];
+  }
+
+  async getOrderChance() {
+    return { market: { bid: { min_total: "5000" }, ask: { min_total: "5000" } } };
+  }
+
+  async placeOrder(order) {
+    const uuid = `ex-${this.placed.length + 1}`;
+    this.placed.push({ ...order, uuid });
+    return { uuid, state: "wait" };
+  }
+
+  async getOrderStatus({ exchangeOrderId }) {
+    const order = this.placed.find((row) => row.uuid === exchangeOrderId);
+    const price = order.side === "buy" ? 100_000 : 125_000;
+    const qty = order.side === "buy" ? order.price / price : order.qty;
+    return { uuid: exchangeOrderId, state: "done", executed_volume: String(qty), executed_funds: String(qty * price), paid_fee: "0" };
+  }
+}
+
+class OverlayMock {
+  async readCurrent() {
+    return { multiplier: 1, source: "default", stale: false, updatedAt: new Date().toISOString() };
+  }
+}
+
+async function createSystem(extra = {}) {
+  const config = loadConfig({
+    RISK_MIN_ORDER_NOTIONAL_KRW: "5000",
+    RISK_MAX_HOLDING_LOSS_PCT: "10",
+    LEDGER_RECONCILE_GRACE_SEC: "0",
+    ...extra,
+  });
+  const exchange = new ExchangeMock();
+  const system = new TradingSystem(config, {
+    store: new MemoryStateStore(),
+    exchangeClient: exchange,
+    wsClient: {},
+    marketData: {
+      async getMarketTicker() {
+        return { payload: { trade_price: 95_000 } };
+      },
+      extractTickerMetrics(ticker) {
+        return { lastPrice: ticker.payload.trade_price };
+      },
+    },
+    overlayEngine: new OverlayMock(),
+    sleepFn: async () => {},
+  });
+  await system.init();
+  return { system, exchange };
+}
+
+test("fills feed the ledger that protective exits, KPI and status read", async () => {
+  const { system, exchange } = await createSystem();
+
+  const bought = await system.placeOrder({ symbol: "BTC_KRW", side: "buy", type: "market", amount: 50_000 });
+  assert.equal(bought.ok, true, JSON.stringify(bought.error));
+  exchange.btc = "0.5";
+
+  // The exchange average (90,000) would not trigger a 10% stop at 89,000; the ledger cost (100,000) does.
+  const exit = await system.resolveProtectiveExit({ symbol: "BTC_KRW", currentPrice: 89_000 });
+  assert.equal(exit.reason, "protective_stop_loss");
+  assert.equal(exit.avgBuyPrice, 100_000);
+
+  const sold = await system.placeOrder({ symbol: "BTC_KRW", side: "sell", type: "market", amount: 25_000, price: 125_000 });
+  assert.equal(sold.ok, true, JSON.stringify(sold.error));
+  exchange.btc = "0.3";
+
+  const kpi = system.computeExecutionKpi({ sinceMs: 0, untilMs: Date.now() });
+  assert.equal(kpi.realized.tradeCount, 1);
+  assert.equal(kpi.realized.realizedPnlKrw, 5_000);
+
+  const status = await system.status();
+  assert.equal(status.data.positions.positions[0].qty, 0.3);
+  assert.equal(status.data.positions.positions[0].avgCostPrice, 100_000);
+  assert.equal(status.data.positions.totals.realizedPnlKrw, 5_000);
+
+  const positions = await system.positions();
+  assert.equal(positions.data.positions[0].markPrice, 95_000);
+  assert.equal(positions.data.positions[0].unrealizedPnlKrw, 0.3 * 95_000 - 30_000);
+});
+
+test("account refresh books a deposit the ledger has not seen", async () => {
+  const { system, exchange } = await createSystem();
+  exchange.btc = "2";
+
+  await system.accountList();
+  const position = system.getLedgerPosition("BTC_KRW");
+  assert.equal(position.qty, 2);
+  assert.equal(position.avgCostPrice, 90_000);
+  assert.equal(system.store.snapshot().riskEvents.at(-1).type, "ledger_reconciled");
+});
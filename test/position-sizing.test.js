@@ -0,0 +1,123 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadConfig } from "../src/config/defaults.js";
+import { PositionSizer, kellyFromKpiHistory, realizedDailyVolatility } from "../src/engine/position-sizing.js";
+import { MemoryStateStore } from "../src/core/store.js";
+import { TradingSystem } from "../src/core/trading-system.js";
+
+const MINUTE = 60_000;
+
+// Closes that alternate up and down by `movePct`, so every return has the same size.
+function swingCandles(movePct, count = 40, intervalMs = 15 * MINUTE) {
+  let close = 100;
+  return Array.from({ length: count }, (_, index) => {
+    close *= index % 2 === 0 ? 1 + movePct / 100 : 1 / (1 + movePct / 100);
+    return { timestamp: index * intervalMs, close };
+  });
+}
+
+test("realized volatility scales interval returns to one day", () => {
+  const hourly = realizedDailyVolatility(swingCandles(1, 40, 60 * MINUTE), 60 * MINUTE, 24);
+  const daily = realizedDailyVolatility(swingCandles(1, 40, 24 * 60 * MINUTE), 24 * 60 * MINUTE, 24);
+  assert.ok(Math.abs(hourly / daily - Math.sqrt(24)) < 1e-9);
+  assert.equal(realizedDailyVolatility(swingCandles(1, 2), 15 * MINUTE), null);
+});
+
+test("kelly fraction comes from summed kpi history and waits for enough trades", () => {
+  const row = (wins, losses, grossProfitKrw, grossLossKrw) => ({
+    executionKpi: { realized: { wins, losses, grossProfitKrw, grossLossKrw } },
+  });
+  assert.equal(kellyFromKpiHistory([row(3, 2, 300, 100)], { minTrades: 10 }), null);
+
+  const kelly = kellyFromKpiHistory([row(3, 2, 300, 100), row(3, 2, 300, 100)], { minTrades: 10 });
+  assert.equal(kelly.trades, 10);
+  assert.equal(kelly.payoffRatio, 2);
+  assert.ok(Math.abs(kelly.fraction - 0.4) < 1e-9, "0.6 - 0.4 / 2");
+  assert.equal(kellyFromKpiHistory([row(2, 8, 100, 800)], { minTrades: 10 }).fraction, 0);
+});
+
+test("position sizer builds equal-risk and inverse-vol targets within the caps", () => {
+  const base = loadConfig({ RISK_MAX_EXPOSURE_KRW: "10000000" });
+  const volatility = { BTC_KRW: 0.02, ETH_KRW: 0.04, USDT_KRW: 0.0001 };
+
+  const equalRisk = new PositionSizer({ ...base, sizing: { ...base.sizing, mode: "equal_risk", targetVolPct: 1 } })
+    .targets({ equityKrw: 1_000_000, symbols: Object.keys(volatility), volatility });
+  assert.equal(equalRisk.targets.BTC_KRW, 500_000);
+  assert.equal(equalRisk.targets.ETH_KRW, 250_000);
+  assert.equal(equalRisk.volatility.USDT_KRW, 0.005, "volatility is floored at SIZING_MIN_VOL_PCT");
+
+  const inverse = new PositionSizer({ ...base, sizing: { ...base.sizing, mode: "inverse_vol", grossExposurePct: 60 } })
+    .targets({ equityKrw: 1_000_000, symbols: ["BTC_KRW", "ETH_KRW"], volatility, multiplier: 0.5 });
+  assert.equal(Math.round(inverse.targets.BTC_KRW), 200_000);
+  assert.equal(Math.round(inverse.targets.ETH_KRW), 100_000);
+
+  const capped = new PositionSizer({
+    ...base,
+    risk: { ...base.risk, maxExposureKrw: 500_000, symbolMaxExposureKrw: { ETH_KRW: 100_000 } },
+    sizing: { ...base.sizing, mode: "equal_risk", targetVolPct: 1, kellyFraction: 0.5 },
+  }).targets({
+    equityKrw: 1_000_000,
+    symbols: ["BTC_KRW", "ETH_KRW"],
+    volatility,
+    holdings: { XRP_KRW: 50_000 },
+    kelly: { fraction: 0.5 },
+  });
+  assert.equal(capped.cap.rule, "kelly");
+  assert.equal(Math.round(capped.grossTargetKrw), 200_000, "kelly budget 250000 minus unsized XRP");
+  assert.equal(Math.round(capped.targets.BTC_KRW / capped.targets.ETH_KRW), 5, "ETH is clamped to its symbol limit first");
+
+  const sizer = new PositionSizer(base);
+  assert.deepEqual(sizer.delta({ targetKrw: 300_000, currentKrw: 120_000, minOrderKrw: 20_000 }), {
+    side: "buy",
+    amountKrw: 180_000,
+    targetKrw: 300_000,
+    currentKrw: 120_000,
+  });
+  assert.equal(sizer.delta({ targetKrw: 0, currentKrw: 150_000 }).side, "sell");
+  assert.equal(sizer.delta({ targetKrw: 110_000, currentKrw: 100_000, minOrderKrw: 20_000 }), null);
+});
+
+test("trading system derives targets from account equity, holdings and cached volatility", async () => {
+  const candleCalls = [];
+  const system = new TradingSystem(loadConfig({
+    SIZING_MODE: "inverse_vol",
+    SIZING_VOL_LOOKBACK: "24",
+    EXECUTION_SYMBOLS: "BTC_KRW,ETH_KRW",
+    STRATEGY_CANDLE_INTERVAL: "15m",
+  }), {
+    store: new MemoryStateStore(),
+    exchangeClient: {
+      isRetryableError: () => false,
+      async getAccounts() {
+        return [
+          { currency: "KRW", balance: "1000000", locked: "0", unit_currency: "KRW" },
+          { currency: "BTC", balance: "0.01", locked: "0", avg_buy_price: "90000000", unit_currency: "KRW" },
+        ];
+      },
+    },
+    marketData: {
+      async getCandles({ symbol }) {
+        candleCalls.push(symbol);
+        return { candles: swingCandles(2) };
+      },
+    },
+    wsClient: {},
+    overlayEngine: {
+      async readCurrent() {
+        return { multiplier: 1, source: "default", stale: false, updatedAt: new Date().toISOString() };
+      },
+    },
+    sleepFn: async () => {},
+  });
+  await system.init();
+
+  const plan = await system.resolvePositionTargets({ symbol: "BTC_KRW", price: 100_000_000, candles: swingCandles(1) });
+  assert.equal(plan.holdings.BTC_KRW, 1_000_000);
+  assert.equal(plan.equityKrw, 2_000_000);
+  assert.equal(Math.round(plan.targets.BTC_KRW + plan.targets.ETH_KRW), 1_000_000, "half of equity by default");
+  assert.ok(Math.abs(plan.targets.BTC_KRW / plan.targets.ETH_KRW - Math.log(1.02) / Math.log(1.01)) < 1e-9);
+  assert.deepEqual(candleCalls, ["ETH_KRW"], "the window's own candles are reused for its symbol");
+
+  await system.resolvePositionTargets({ symbol: "BTC_KRW", price: 100_000_000, candles: swingCandles(1) });
+  assert.deepEqual(candleCalls, ["ETH_KRW"], "volatility is cached for SIZING_REFRESH_SEC");
+});
@@ -0,0 +1,282 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { loadConfig } from "../src/config/defaults.js";
+import { PrivateStreamSupervisor } from "../src/core/private-stream.js";
+import { MemoryStateStore } from "../src/core/store.js";
+import { TradingSystem } from "../src/core/trading-system.js";
+
+class ExchangeMock {
+  constructor() {
+    this.statusCalls = 0;
+    this.onPlace = null;
+    this.status = { uuid: "ex-1", state: "wait" };
+  }
+
+  isRetryableError() {
+    return false;
+  }
+
+  async getAccounts() {
+    return [{ currency: "KRW", balance: "1000000", locked: "0", unit_currency: "KRW" }];
+  }
+
+  async getOrderChance() {
+    return { market: { bid: { min_total: "5000" }, ask: { min_total: "5000" } } };
+  }
+
+  async placeOrder() {
+    this.onPlace?.();
+    return { uuid: "ex-1", state: "wait" };
+  }
+
+  async getOrderStatus() {
+    this.statusCalls += 1;
+    return this.status;
+  }
+}
+
+class OverlayMock {
+  async readCurrent() {
+    return { multiplier: 1, source: "default", stale: false, updatedAt: new Date().toISOString() };
+  }
+}
+
+class PrivateWsMock {
+  constructor() {
+    this.streams = { myOrder: [], myAsset: [] };
+  }
+
+  open(channel, handlers) {
+    let resolveClosed;
+    const stream = {
+      handlers,
+      closed: new Promise((resolve) => {
+        resolveClosed = resolve;
+      }),
+      close: (reason = "closed") => resolveClosed({ code: 1000, reason }),
+    };
+    this.streams[channel].push(stream);
+    queueMicrotask(() => handlers.onStatus({ event: "open" }));
+    return { close: stream.close, closed: stream.closed };
+  }
+
+  async openMyOrderStream(handlers) {
+    return this.open("myOrder", handlers);
+  }
+
+  async openMyAssetStream(handlers) {
+    return this.open("myAsset", handlers);
+  }
+
+  latest(channel) {
+    return this.streams[channel].at(-1);
+  }
+}
+
+function settle() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+async function waitFor(predicate, timeoutMs = 2_000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) {
+      throw new Error("condition not met in time");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+async function createSystem(extra = {}) {
+  const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), "private-stream-test-"));
+  const config = loadConfig({
+    TRADER_STATE_FILE: path.join(baseDir, "state.json"),
+    RISK_MIN_ORDER_NOTIONAL_KRW: "5000",
+    ...extra,
+  });
+  const exchange = new ExchangeMock();
+  const system = new TradingSystem(config, {
+    store: new MemoryStateStore(),
+    exchangeClient: exchange,
+    wsClient: {},
+    overlayEngine: new OverlayMock(),
+    sleepFn: async () => {},
+  });
+  await system.init();
+  return { system, exchange };
+}
+
+function myOrder(patch = {}) {
+  return {
+    type: "myOrder",
+    uuid: "ex-1",
+    askBid: "BID",
+    orderType: "limit",
+    state: "trade",
+    price: 100,
+    volume: 40,
+    executedVolume: 40,
+    remainingVolume: 60,
+    executedFunds: 4000,
+    paidFee: 2,
+    tradeUuid: "t-1",
+    tradeTimestamp: 1_767_225_600_000,
+    timestamp: 1_767_225_600_100,
+    ...patch,
+  };
+}
+
+test("myOrder events update the order and record incremental fills at trade time", async () => {
+  const { system, exchange } = await createSystem();
+  system.attachPrivateStream({ isHealthy: () => true });
+
+  const placed = await system.placeOrder({ symbol: "BTC_KRW", side: "buy", type: "limit", amount: 10000, price: 100 });
+  assert.equal(placed.ok, true, JSON.stringify(placed.error));
+  assert.equal(exchange.statusCalls, 0, "no REST polling while the stream is healthy");
+
+  await system.applyMyOrderEvent(myOrder());
+  let state = system.store.snapshot();
+  assert.equal(state.orders[0].state, "PARTIAL");
+  assert.equal(state.fills.length, 1);
+  assert.equal(state.fills[0].qty, 40);
+  assert.equal(state.fills[0].source, "private_stream");
+  assert.equal(state.fills[0].eventTs, 1_767_225_600_000);
+  assert.equal(state.orderEvents.at(-1).payload.metadata.reason, "private_stream");
+
+  await system.applyMyOrderEvent(myOrder({
+    state: "done",
+    price: 99,
+    volume: 60,
+    executedVolume: 100,
+    remainingVolume: 0,
+    executedFunds: 9940,
+    paidFee: 5,
+    tradeUuid: "t-2",
+    tradeTimestamp: 1_767_225_601_000,
+  }));
+  state = system.store.snapshot();
+  assert.equal(state.orders[0].state, "DONE");
+  assert.equal(state.fills.length, 2);
+  assert.equal(state.fills[1].qty, 60);
+  assert.equal(state.fills[1].amountKrw, 5940);
+  assert.equal(state.fills[1].price, 99);
+  assert.equal(state.fills[1].fee, 3);
+
+  // A late REST reconcile with the same cumulative totals must not add volume.
+  await system.persistOrder({
+    ...state.orders[0],
+    filledQty: 100,
+    filledNotional: 9940,
+    fee: 5,
+  }, { reason: "exchange_reconcile" });
+  assert.equal(system.store.snapshot().fills.length, 2);
+
+  const kpi = system.computeExecutionKpi({ sinceMs: 0, untilMs: Date.now() });
+  assert.equal(kpi.fills.count, 2);
+  assert.equal(kpi.fills.totalAmountKrw, 9940);
+});
+
+test("orders from a state without fill markers are not booked again on the next sync", async () => {
+  const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), "private-stream-test-"));
+  const legacyOrder = (id, exchangeOrderId) => ({
+    id,
+    exchangeOrderId,
+    symbol: "BTC_KRW",
+    side: "buy",
+    type: "limit",
+    state: "PARTIAL",
+    price: 100,
+    qty: 100,
+    filledQty: 40,
+    filledNotional: 4000,
+    filledPrice: 100,
+    fee: 2,
+  });
+  const system = new TradingSystem(loadConfig({ TRADER_STATE_FILE: path.join(baseDir, "state.json") }), {
+    store: new MemoryStateStore({
+      orders: [legacyOrder("o-1", "ex-1"), legacyOrder("o-2", "ex-2")],
+      // Only o-1 still has its fill row; o-2's was dropped by retention.
+      fills: [{ id: "fill-o-1-40-100", orderId: "o-1", symbol: "BTC_KRW", side: "buy", qty: 40, amountKrw: 4000, price: 100, fee: 2 }],
+    }),
+    exchangeClient: new ExchangeMock(),
+    wsClient: {},
+    overlayEngine: new OverlayMock(),
+  });
+  await system.init();
+  assert.deepEqual(system.store.snapshot().orders.map((order) => order.recordedFill?.qty), [40, 40]);
+
+  for (const [id, exchangeOrderId] of [["o-1", "ex-1"], ["o-2", "ex-2"]]) {
+    const order = system.store.snapshot().orders.find((row) => row.id === id);
+    await system.persistOrder({ ...order, exchangeOrderId, filledQty: 100, filledNotional: 9940, fee: 5 }, { reason: "exchange_reconcile" });
+  }
+  const fills = system.store.snapshot().fills.slice(1);
+  assert.deepEqual(fills.map((fill) => [fill.orderId, fill.qty, fill.amountKrw, fill.fee]), [
+    ["o-1", 60, 5940, 3],
+    ["o-2", 60, 5940, 3],
+  ]);
+});
+
+test("myOrder events that arrive before the order is persisted are applied after placement", async () => {
+  const { system, exchange } = await createSystem();
+  system.attachPrivateStream({ isHealthy: () => true });
+  exchange.onPlace = () => {
+    system.applyMyOrderEvent(myOrder({ state: "done", executedVolume: 100, remainingVolume: 0, executedFunds: 10000 }));
+  };
+
+  const placed = await system.placeOrder({ symbol: "BTC_KRW", side: "buy", type: "limit", amount: 10000, price: 100 });
+  assert.equal(placed.ok, true, JSON.stringify(placed.error));
+  assert.equal(placed.data.state, "DONE");
+  assert.equal(system.store.snapshot().fills.length, 1);
+  assert.equal(system.pendingPrivateOrderEvents.size, 0);
+});
+
+test("myAsset events update holdings in the latest balances snapshot", async () => {
+  const { system } = await createSystem();
+  await system.accountList();
+
+  await system.applyMyAssetEvent({
+    type: "myAsset",
+    assets: [
+      { currency: "KRW", balance: 990000, locked: 0 },
+      { currency: "BTC", balance: 0.5, locked: 0 },
+    ],
+  });
+
+  const latest = system.getLatestBalancesSnapshot();
+  assert.equal(latest.source, "private_stream");
+  assert.equal(latest.items.find((row) => row.currency === "KRW").balance, 990000);
+  assert.equal(latest.items.find((row) => row.currency === "BTC").symbol, "BTC_KRW");
+});
+
+test("private stream supervisor tracks health, flags gaps for REST catch-up and reconnects", async () => {
+  const { system } = await createSystem();
+  const ws = new PrivateWsMock();
+  const supervisor = new PrivateStreamSupervisor(system, ws, { reconnectBaseMs: 20, reconnectMaxMs: 40 });
+
+  supervisor.start();
+  await settle();
+  assert.equal(supervisor.isHealthy(), true);
+  assert.equal(system.privateStreamHealthy(), true);
+  assert.equal(supervisor.consumeReconcileRequest(), true, "startup catch-up");
+  assert.equal(supervisor.consumeReconcileRequest(), false);
+
+  ws.latest("myAsset").handlers.onMyAsset({ type: "myAsset", assets: [{ currency: "KRW", balance: 5, locked: 0 }] });
+  await settle();
+  assert.equal(system.getLatestBalancesSnapshot().source, "private_stream");
+
+  ws.latest("myOrder").close("server_restart");
+  await settle();
+  assert.equal(supervisor.isHealthy(), false);
+  assert.equal(supervisor.consumeReconcileRequest(), true);
+
+  await waitFor(() => supervisor.isHealthy());
+  assert.equal(ws.streams.myOrder.length, 2);
+  assert.equal(supervisor.isHealthy(), true);
+
+  await supervisor.stop();
+  assert.equal(system.privateStreamHealthy(), false);
+  assert.equal(supervisor.status().events.myAsset, 1);
+});
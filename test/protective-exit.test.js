@@ -0,0 +1,132 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadConfig } from "../src/config/defaults.js";
+import { MemoryStateStore } from "../src/core/store.js";
+import { TradingSystem } from "../src/core/trading-system.js";
+import { ProtectiveExitEngine, averageTrueRange } from "../src/engine/protective-exit.js";
+
+function candles(count, { close = 100_000, range = 1_000 } = {}) {
+  return Array.from({ length: count }, (_, index) => ({
+    timestamp: index * 60_000,
+    open: close,
+    high: close + range / 2,
+    low: close - range / 2,
+    close,
+  }));
+}
+
+test("average true range uses the previous close for gaps", () => {
+  const rows = candles(3);
+  assert.equal(averageTrueRange(rows, 2), 1_000);
+  rows.push({ timestamp: 3, open: 103_000, high: 103_500, low: 102_500, close: 103_000 });
+  assert.equal(averageTrueRange(rows, 2), (1_000 + 3_500) / 2);
+  assert.equal(averageTrueRange(candles(2), 2), null);
+});
+
+test("each rule fires on its own and reports itself", () => {
+  const engine = new ProtectiveExitEngine(loadConfig({
+    RISK_TRAILING_STOP_PCT: "5",
+    RISK_ATR_STOP_MULTIPLIER: "3",
+    RISK_ATR_PERIOD: "5",
+    RISK_MAX_HOLDING_MINUTES: "60",
+  }));
+  const base = { avgBuyPrice: 100_000, candles: candles(10), nowMs: 1_000_000 };
+
+  let result = engine.evaluate({ ...base, price: 110_000, entryAt: 0 });
+  assert.equal(result.exit, null);
+  assert.equal(result.stop.highestPrice, 110_000);
+  assert.equal(result.stop.atrStopPrice, 97_000);
+
+  result = engine.evaluate({ ...base, price: 104_000, stop: result.stop });
+  assert.equal(result.exit.rule, "TRAILING_STOP");
+  assert.equal(result.exit.stopPrice, 104_500);
+  assert.equal(result.stop.highestPrice, 110_000);
+
+  result = engine.evaluate({ ...base, price: 96_000, entryAt: 0 });
+  assert.equal(result.exit.rule, "ATR_STOP");
+  assert.equal(result.exit.reason, "protective_atr_stop");
+
+  result = engine.evaluate({ ...base, price: 100_500, entryAt: 0, nowMs: 3_600_000 });
+  assert.equal(result.exit.rule, "MAX_HOLDING_TIME");
+  assert.equal(result.exit.heldMs, 3_600_000);
+});
+
+class ExchangeMock {
+  isRetryableError() {
+    return false;
+  }
+
+  async getAccounts() {
+    return [
+      { currency: "KRW", balance: "1000000", locked: "0", unit_currency: "KRW" },
+      { currency: "BTC", balance: this.btc ?? "1", locked: "0", avg_buy_price: "100000", unit_currency: "KRW" },
+    ];
+  }
+}
+
+class OverlayMock {
+  async readCurrent() {
+    return { multiplier: 1, source: "default", stale: false, updatedAt: new Date().toISOString() };
+  }
+}
+
+async function createSystem(store, exchange) {
+  const system = new TradingSystem(loadConfig({ RISK_TRAILING_STOP_PCT: "10" }), {
+    store,
+    exchangeClient: exchange,
+    wsClient: {},
+    overlayEngine: new OverlayMock(),
+    sleepFn: async () => {},
+  });
+  await system.init();
+  return system;
+}
+
+test("trailing stop state survives a restart and clears once the holding is gone", async () => {
+  const store = new MemoryStateStore();
+  const exchange = new ExchangeMock();
+  const first = await createSystem(store, exchange);
+  assert.equal(await first.resolveProtectiveExit({ symbol: "BTC_KRW", currentPrice: 130_000 }), null);
+  assert.equal(store.snapshot().protectiveStops.BTC_KRW.highestPrice, 130_000);
+
+  const restarted = await createSystem(store, exchange);
+  const exit = await restarted.resolveProtectiveExit({ symbol: "BTC_KRW", currentPrice: 116_000 });
+  assert.equal(exit.rule, "TRAILING_STOP");
+  assert.ok(exit.pnlRatio > 0, "a trailing stop can lock in a profit");
+  await restarted.recordProtectiveExit("BTC_KRW", exit);
+  const event = store.snapshot().riskEvents.at(-1);
+  assert.equal(event.type, "protective_exit");
+  assert.equal(event.rule, "TRAILING_STOP");
+  assert.equal(event.stopPrice, 117_000);
+
+  exchange.btc = "0";
+  await restarted.resolveProtectiveExit({ symbol: "BTC_KRW", currentPrice: 116_000 });
+  assert.deepEqual(store.snapshot().protectiveStops, {});
+});
+
+test("a fully sold position drops its trailing high so a re-buy starts fresh", async () => {
+  const store = new MemoryStateStore();
+  const system = await createSystem(store, new ExchangeMock());
+  const fill = (id, side, price) => system.persistOrder({
+    id,
+    exchangeOrderId: `ex-${id}`,
+    symbol: "BTC_KRW",
+    side,
+    type: "market",
+    state: "DONE",
+    filledQty: 1,
+    filledNotional: price,
+    filledPrice: price,
+  }, { reason: "manual" });
+
+  await fill("o-1", "buy", 100_000);
+  assert.equal(await system.resolveProtectiveExit({ symbol: "BTC_KRW", currentPrice: 130_000 }), null);
+  assert.equal(store.snapshot().protectiveStops.BTC_KRW.highestPrice, 130_000);
+
+  await fill("o-2", "sell", 125_000);
+  assert.equal(store.snapshot().protectiveStops.BTC_KRW, undefined);
+
+  await fill("o-3", "buy", 110_000);
+  assert.equal(await system.resolveProtectiveExit({ symbol: "BTC_KRW", currentPrice: 110_000 }), null);
+  assert.equal(store.snapshot().protectiveStops.BTC_KRW.highestPrice, 110_000);
+});
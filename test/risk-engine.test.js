@@ -1,6 +1,10 @@
 import test from "node:test";
 import assert from "node:assert/strict";
-import { TraditionalRiskEngine } from "../src/engine/risk-engine.js";
+import { loadConfig } from "../src/config/defaults.js";
+import { buildPositionLedger } from "../src/core/position-ledger.js";
+import { MemoryStateStore } from "../src/core/store.js";
+import { TradingSystem } from "../src/core/trading-system.js";
+import { TraditionalRiskEngine, rollingReturnCorrelation } from "../src/engine/risk-engine.js";
 
 const config = {
   risk: {
@@ -78,3 +82,112 @@ test("risk engine rejects sell when holdings are insufficient", () => {
   assert.equal(result.allowed, false);
   assert.equal(result.reasons.some((r) => r.rule === "SELL_EXCEEDS_HOLDING"), true);
 });
+
+test("risk engine applies per-symbol, asset group and correlated exposure budgets", () => {
+  const engine = new TraditionalRiskEngine({
+    risk: {
+      ...config.risk,
+      maxExposureKrw: 10_000_000,
+      symbolMaxExposureKrw: { SOL_KRW: 150_000, "*": 1_000_000 },
+      symbolMaxLossKrw: { "*": 30_000 },
+      assetGroups: { majors: ["BTC_KRW", "ETH_KRW"], stablecoins: ["USDT_KRW"] },
+      defaultAssetGroup: "alts",
+      groupMaxExposureKrw: { alts: 400_000 },
+      correlatedMaxExposureKrw: 500_000,
+      correlationThreshold: 0.8,
+    },
+  });
+  const base = {
+    side: "buy",
+    amountKrw: 100_000,
+    availableCashKrw: 5_000_000,
+    exposureBySymbol: { SOL_KRW: 100_000, XRP_KRW: 250_000, BTC_KRW: 300_000, ETH_KRW: 150_000 },
+  };
+
+  const sol = engine.evaluate({ ...base, symbol: "sol_krw", symbolPnlKrw: -30_000 });
+  assert.deepEqual(sol.reasons.map((reason) => reason.rule), [
+    "MAX_SYMBOL_EXPOSURE_KRW",
+    "MAX_SYMBOL_LOSS_KRW",
+    "MAX_GROUP_EXPOSURE_KRW",
+  ]);
+  assert.equal(sol.reasons[2].group, "alts");
+  assert.equal(sol.metrics.groupExposureKrw, 350_000);
+
+  const doge = engine.evaluate({ ...base, symbol: "DOGE_KRW", amountKrw: 40_000 });
+  assert.equal(doge.allowed, true, "unlisted symbols fall under the wildcard and default group");
+
+  const btc = engine.evaluate({ ...base, symbol: "BTC_KRW", correlations: { ETH_KRW: 0.91, XRP_KRW: 0.42 } });
+  assert.equal(btc.allowed, false);
+  assert.deepEqual(btc.reasons[0], {
+    rule: "MAX_CORRELATED_EXPOSURE_KRW",
+    detail: "BTC_KRW+ETH_KRW 550000 > 500000",
+    symbols: ["BTC_KRW", "ETH_KRW"],
+    correlations: { ETH_KRW: 0.91 },
+  });
+
+  const exit = engine.evaluate({
+    ...base,
+    symbol: "SOL_KRW",
+    side: "sell",
+    symbolPnlKrw: -50_000,
+    holdingNotionalKrw: 200_000,
+  });
+  assert.equal(exit.allowed, true, "exits stay possible on a symbol over its budgets");
+});
+
+test("rolling return correlation aligns candles by timestamp", () => {
+  const closes = [100, 102, 101, 105, 103, 108, 107];
+  const candles = (values) => values.map((close, index) => ({ timestamp: index * 60_000, close }));
+
+  assert.ok(rollingReturnCorrelation(candles(closes), candles(closes.map((close) => close * 3))) > 0.999);
+  assert.ok(rollingReturnCorrelation(candles(closes), candles(closes.map((close) => 10_000 / close))) < -0.99);
+  assert.equal(rollingReturnCorrelation(candles(closes).slice(0, 3), candles(closes)), null);
+  assert.equal(rollingReturnCorrelation(candles(closes), candles(closes).slice(0, 2)), null);
+});
+
+test("symbol loss budget counts today's move from the day-start mark and leaves the reject streak alone", async () => {
+  const config = loadConfig({
+    RISK_MIN_ORDER_NOTIONAL_KRW: "5000",
+    RISK_MAX_EXPOSURE_KRW: "1000000",
+    RISK_SYMBOL_MAX_LOSS_KRW: "BTC_KRW:10000",
+    RISK_MAX_CONSECUTIVE_RISK_REJECTS: "2",
+  });
+  const carried = { id: "f1", symbol: "BTC_KRW", side: "buy", qty: 1, price: 100_000, amountKrw: 100_000, fee: 0, eventTs: 1_000 };
+  const system = new TradingSystem(config, {
+    store: new MemoryStateStore({
+      fills: [carried],
+      positionLedger: buildPositionLedger([carried], { method: config.ledger.costMethod }),
+    }),
+    exchangeClient: {
+      isRetryableError: () => false,
+      async getAccounts() {
+        return [
+          { currency: "KRW", balance: "1000000", locked: "0", unit_currency: "KRW" },
+          { currency: "BTC", balance: "1", locked: "0", avg_buy_price: "100000", unit_currency: "KRW" },
+        ];
+      },
+      async getOrderChance() {
+        return { market: { bid: { min_total: "5000" }, ask: { min_total: "5000" } } };
+      },
+    },
+    wsClient: {},
+    overlayEngine: { readCurrent: async () => ({ multiplier: 1, source: "default", stale: false }) },
+  });
+  await system.init();
+  const buy = { symbol: "BTC_KRW", side: "buy", type: "limit", amount: 20_000, dryRun: true };
+
+  // A 20,000 loss carried over from earlier days does not use up today's 10,000 budget.
+  system.lastMarks.set("BTC_KRW", 80_000);
+  const allowed = await system.placeOrder({ ...buy, price: 80_000 });
+  assert.equal(allowed.ok, true, JSON.stringify(allowed.error));
+  assert.equal(system.store.snapshot().settings.symbolDayStart.unrealizedKrw.BTC_KRW, -20_000);
+
+  system.lastMarks.set("BTC_KRW", 68_000);
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    const rejected = await system.placeOrder({ ...buy, price: 68_000 });
+    assert.deepEqual(rejected.error.reasons.map((reason) => reason.rule), ["MAX_SYMBOL_LOSS_KRW"]);
+    assert.match(rejected.error.reasons[0].detail, /-12000 <= -10000/);
+  }
+  assert.equal(system.store.snapshot().settings.killSwitch, false, "a symbol budget does not trip the global kill switch");
+  assert.equal(system.store.snapshot().settings.riskReject.streak, 0);
+});
@@ -0,0 +1,121 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { loadConfig } from "../src/config/defaults.js";
+import { SqliteStateStore } from "../src/core/sqlite-store.js";
+import { TradingSystem } from "../src/core/trading-system.js";
+import { migrateState } from "../src/app/migrate-state.js";
+
+const sqlite = await import("node:sqlite").catch(() => null);
+const skip = sqlite ? false : "node:sqlite needs Node.js 22.13 or later";
+
+async function tempDir() {
+  return fs.mkdtemp(path.join(os.tmpdir(), "trader-sqlite-"));
+}
+
+function riskEvent(index) {
+  return {
+    id: `risk-${index}`,
+    at: new Date(Date.UTC(2025, 0, 1, 0, index)).toISOString(),
+    type: index % 2 === 0 ? "even" : "odd",
+    symbol: "BTC_KRW",
+  };
+}
+
+test("updates are transactional and pruning only trims the working set", { skip }, async () => {
+  const dbFile = path.join(await tempDir(), "state.db");
+  const store = new SqliteStateStore(dbFile);
+  await store.init();
+
+  for (let index = 0; index < 5; index += 1) {
+    await store.update((state) => {
+      state.riskEvents.push(riskEvent(index));
+      state.riskEvents = state.riskEvents.slice(-2);
+      return state;
+    });
+  }
+  await assert.rejects(store.update((state) => {
+    state.settings.killSwitch = true;
+    throw new Error("boom");
+  }));
+
+  const reader = new SqliteStateStore(dbFile);
+  await reader.init();
+  assert.deepEqual(reader.snapshot().riskEvents.map((event) => event.id), ["risk-3", "risk-4"]);
+  assert.equal(reader.snapshot().settings.killSwitch, false, "a failed update is rolled back");
+  assert.deepEqual(reader.history("riskEvents").map((event) => event.id), ["risk-4", "risk-3", "risk-2", "risk-1", "risk-0"]);
+  assert.deepEqual(reader.history("riskEvents", {
+    kind: "even",
+    since: riskEvent(1).at,
+  }).map((event) => event.id), ["risk-4", "risk-2"]);
+
+  await reader.update((state) => {
+    state.settings.killSwitch = true;
+    return state;
+  });
+  await store.update((state) => state);
+  assert.equal(store.snapshot().settings.killSwitch, true, "writes from another connection are picked up");
+
+  store.close();
+  reader.close();
+});
+
+test("migration copies state.json into the database once", { skip }, async () => {
+  const dir = await tempDir();
+  const from = path.join(dir, "state.json");
+  const to = path.join(dir, "state.db");
+  await fs.writeFile(from, JSON.stringify({
+    settings: { killSwitch: true },
+    orders: [{ id: "o-1", symbol: "BTC_KRW", side: "buy", state: "DONE", createdAt: "2025-01-01T00:00:00.000Z" }],
+    fills: [{ id: "f-1", orderId: "o-1", symbol: "BTC_KRW", side: "buy", createdAt: "2025-01-01T00:00:01.000Z" }],
+    riskEvents: [riskEvent(0)],
+    system: {
+      executionKpiHistory: {
+        v: 1,
+        shards: [{ bucket: "2025-01-01", rows: [{ recordedAt: "2025-01-01T00:01:00.000Z", source: "realtime" }] }],
+      },
+    },
+  }));
+
+  const result = await migrateState({ from, to });
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.data.rows, {
+    orders: 1,
+    orderEvents: 0,
+    fills: 1,
+    strategyRuns: 0,
+    riskEvents: 1,
+    kpiHistory: 1,
+  });
+  assert.equal((await migrateState({ from, to })).ok, false, "an existing database needs --force");
+  assert.equal((await migrateState({ from, to, force: true })).ok, true);
+
+  const system = new TradingSystem(loadConfig({
+    TRADER_STATE_BACKEND: "sqlite",
+    TRADER_STATE_DB_FILE: to,
+  }), {
+    exchangeClient: { isRetryableError: () => false },
+    wsClient: {},
+  });
+  await system.init();
+  assert.equal((await system.status()).data.killSwitch, true);
+  const fills = await system.history({ collection: "fills", symbol: "btc_krw" });
+  assert.deepEqual(fills.data.rows.map((fill) => fill.id), ["f-1"]);
+  assert.equal((await system.history({ collection: "nope" })).ok, false);
+  system.store.close();
+});
+
+test("history queries are rejected on the JSON store", async () => {
+  const system = new TradingSystem(loadConfig({
+    TRADER_STATE_FILE: path.join(await tempDir(), "state.json"),
+  }), {
+    exchangeClient: { isRetryableError: () => false },
+    wsClient: {},
+  });
+  await system.init();
+  const result = await system.history({ collection: "fills" });
+  assert.equal(result.ok, false);
+  assert.match(result.error.message, /TRADER_STATE_BACKEND=sqlite/);
+});
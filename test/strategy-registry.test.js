@@ -0,0 +1,71 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadConfig } from "../src/config/defaults.js";
+import {
+  buildParameterGrid,
+  clampStrategyParamsToSafeRange,
+  listStrategies,
+  requiredCandleWindow,
+} from "../src/engine/strategy-registry.js";
+
+test("config strategy params come from the registry schema with bounds", () => {
+  const config = loadConfig({
+    STRATEGY_BREAKOUT_LOOKBACK: "1",
+    STRATEGY_MOMENTUM_LOOKBACK: "30.7",
+    STRATEGY_MOMENTUM_ENTRY_BPS: "0",
+  });
+  assert.equal(config.strategy.name, "risk_managed_momentum");
+  assert.equal(config.strategy.breakoutLookback, 2);
+  assert.equal(config.strategy.momentumLookback, 30);
+  assert.equal(config.strategy.breakoutBufferBps, 5);
+  assert.equal(config.strategy.momentumEntryBps, 12, "zero keeps the default");
+  assert.equal(loadConfig({ STRATEGY_NAME: " Breakout " }).strategy.name, "breakout");
+  assert.throws(() => loadConfig({ STRATEGY_NAME: "brekout" }), (error) => {
+    assert.equal(error.details.field, "STRATEGY_NAME");
+    return /Unknown STRATEGY_NAME: brekout/.test(error.message);
+  });
+  assert.deepEqual(config.optimizer.breakoutLookbacks, [10, 20, 30, 55]);
+  assert.deepEqual(listStrategies().sort(), ["breakout", "risk_managed_momentum"]);
+});
+
+test("required candle window follows the selected strategy", () => {
+  assert.equal(requiredCandleWindow({ name: "breakout", breakoutLookback: 30 }), 31);
+  assert.equal(requiredCandleWindow({ name: "risk_managed_momentum", momentumLookback: 24, volatilityLookback: 96 }), 97);
+});
+
+test("optimizer grid is built from schema axes and pruned by the strategy", () => {
+  const breakout = buildParameterGrid("breakout", {});
+  assert.equal(breakout.length, 12);
+  assert.deepEqual(breakout[0], { breakoutLookback: 10, breakoutBufferBps: 0 });
+
+  const momentum = buildParameterGrid("risk_managed_momentum", {
+    momentumLookbacks: [24, 96],
+    volatilityLookbacks: [72],
+    entryBpsCandidates: [10],
+    exitBpsCandidates: [6, 20],
+    targetVolatilityPctCandidates: [0.5],
+    rmMinMultiplierCandidates: [0.4],
+    rmMaxMultiplierCandidates: [1.6],
+  });
+  assert.deepEqual(momentum, [{
+    momentumLookback: 24,
+    volatilityLookback: 72,
+    momentumEntryBps: 10,
+    momentumExitBps: 6,
+    targetVolatilityPct: 0.5,
+    riskManagedMinMultiplier: 0.4,
+    riskManagedMaxMultiplier: 1.6,
+  }]);
+});
+
+test("safe range clamp reports each adjusted field", () => {
+  const clamps = [];
+  const params = clampStrategyParamsToSafeRange(
+    { momentumLookback: 200, momentumEntryBps: 12, breakoutLookback: 400 },
+    (clamp) => clamps.push(clamp),
+  );
+  assert.equal(params.momentumLookback, 72);
+  assert.equal(params.momentumEntryBps, 12);
+  assert.equal(params.breakoutLookback, 400);
+  assert.deepEqual(clamps.map((item) => item.field), ["momentumLookback"]);
+});
@@ -0,0 +1,192 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { runCli } from "../src/app/cli.js";
+import { loadConfig } from "../src/config/defaults.js";
+import { buildTaxReport, collectTaxTrades, renderTaxCsv } from "../src/core/tax-export.js";
+import { TradingSystem } from "../src/core/trading-system.js";
+
+async function tempDir() {
+  return fs.mkdtemp(path.join(os.tmpdir(), "trader-tax-"));
+}
+
+function fill(id, side, qty, amountKrw, fee, createdAt, extra = {}) {
+  return { id, orderId: `o-${id}`, symbol: "BTC_KRW", side, qty, amountKrw, price: amountKrw / qty, fee, createdAt, ...extra };
+}
+
+class Sink {
+  constructor() {
+    this.text = "";
+  }
+
+  write(chunk) {
+    this.text += chunk;
+  }
+}
+
+test("moving-average cost realises gains per sell and flags sells without a cost basis", () => {
+  const trades = collectTaxTrades({
+    fills: [
+      fill("f-2", "buy", 1, 300_000, 300, "2024-06-01T00:00:00.000Z"),
+      fill("f-1", "buy", 1, 100_000, 100, "2024-01-01T00:00:00.000Z"),
+      fill("f-3", "sell", 1, 250_000, 250, "2024-12-31T15:30:00.000Z"),
+      fill("f-4", "sell", 2, 500_000, 500, "2025-02-01T00:00:00.000Z"),
+      fill("f-1", "buy", 1, 100_000, 100, "2024-01-01T00:00:00.000Z"),
+    ],
+  });
+  assert.deepEqual(trades.map((trade) => trade.id), ["f-1", "f-2", "f-3", "f-4"]);
+
+  const report = buildTaxReport(trades);
+  const sell = report.trades.find((row) => row.id === "f-3");
+  assert.equal(sell.year, 2025, "years follow Korean time");
+  assert.equal(sell.proceedsKrw, 249_750);
+  assert.equal(sell.costBasisKrw, 200_200);
+  assert.equal(sell.realizedGainKrw, 49_550);
+  assert.equal(sell.avgCostPrice, 200_200);
+
+  const oversold = report.trades.find((row) => row.id === "f-4");
+  assert.deepEqual(oversold.flags, ["missing_cost_basis"]);
+  assert.equal(oversold.costBasisKrw, null);
+  assert.equal(oversold.realizedGainKrw, null);
+  assert.equal(report.flaggedCount, 1);
+
+  assert.deepEqual(report.summary.map((row) => [row.year, row.buyQty, row.sellQty, row.realizedGainKrw, row.flaggedTrades, row.closingQty]), [
+    [2024, 2, 0, 0, 0, 2],
+    [2025, 0, 3, 49_550, 1, 0],
+  ]);
+  assert.deepEqual(buildTaxReport(trades, { year: 2024 }).trades.map((row) => row.id), ["f-1", "f-2"]);
+});
+
+test("filled orders fill in volume that no local fill covers", () => {
+  const trades = collectTaxTrades({
+    fills: [fill("f-1", "buy", 0.4, 40_000, 20, "2025-01-01T00:00:00.000Z", { orderId: "o-1", exchangeOrderId: "ex-1" })],
+    orders: [
+      { id: "o-1", exchangeOrderId: "ex-1", symbol: "BTC_KRW", side: "buy", filledQty: 1, filledNotional: 100_000, fee: 50, createdAt: "2025-01-01T00:00:00.000Z" },
+      { exchangeOrderId: "ex-1", symbol: "BTC_KRW", side: "buy", filledQty: 1, filledNotional: 100_000, fee: 50, source: "exchange_backfill" },
+      { exchangeOrderId: "ex-2", symbol: "BTC_KRW", side: "sell", filledQty: 1, filledNotional: 120_000, fee: 60, createdAt: "2025-01-02T00:00:00.000Z", source: "exchange_backfill" },
+      { id: "o-3", symbol: "BTC_KRW", side: "buy", state: "CANCEL", filledQty: 0 },
+    ],
+  });
+  assert.deepEqual(trades.map((trade) => [trade.source, trade.qty, trade.amountKrw, trade.fee]), [
+    ["fill", 0.4, 40_000, 20],
+    ["order", 0.6, 60_000, 30],
+    ["exchange_backfill", 1, 120_000, 60],
+  ]);
+  const sell = buildTaxReport(trades).trades.at(-1);
+  assert.equal(sell.realizedGainKrw, 119_940 - 100_050);
+});
+
+test("CSV output quotes cells and the Korean format uses Korean labels and KST times", () => {
+  const report = buildTaxReport(collectTaxTrades({
+    fills: [fill("f,1", "buy", 1, 100_000, null, "2024-12-31T15:00:00.000Z")],
+  }));
+  const csv = renderTaxCsv(report.trades);
+  assert.match(csv, /^id,at,year,symbol,side,qty/);
+  assert.match(csv, /"f,1"/);
+  assert.match(csv, /missing_fee/);
+
+  const korean = renderTaxCsv(report.trades, { format: "ko" });
+  assert.ok(korean.startsWith("\uFEFF거래ID,거래일시,귀속연도,종목,구분"));
+  assert.match(korean, /2025-01-01 00:00:00,2025,BTC_KRW,매수/);
+  assert.match(renderTaxCsv(report.summary, { table: "summary", format: "ko" }), /실현손익/);
+});
+
+test("tax export backfills exchange orders and writes report files", async () => {
+  const dir = await tempDir();
+  const calls = [];
+  const system = new TradingSystem(loadConfig({
+    TRADER_STATE_FILE: path.join(dir, "state.json"),
+  }), {
+    exchangeClient: {
+      isRetryableError: () => false,
+      listOrders: async (query) => {
+        calls.push(query);
+        return query.page > 1 ? [] : [{
+          uuid: "ex-9",
+          market: "KRW-ETH",
+          side: "bid",
+          ord_type: "limit",
+          state: "done",
+          price: "1000000",
+          volume: "2",
+          executed_volume: "2",
+          avg_price: "1000000",
+          paid_fee: "1000",
+          created_at: "2025-03-01T09:00:00+09:00",
+        }];
+      },
+    },
+    wsClient: {},
+  });
+  await system.init();
+  await system.store.update((state) => {
+    state.fills.push(fill("f-1", "sell", 1, 1_200_000, 600, "2025-04-01T00:00:00.000Z", { symbol: "ETH_KRW" }));
+    return state;
+  });
+
+  const local = await system.taxExport({ year: 2025 });
+  assert.deepEqual(local.data.trades[0].flags, ["missing_cost_basis"]);
+
+  const stdout = new Sink();
+  const code = await runCli(["tax", "export", "--year", "2025", "--backfill", "--out", path.join(dir, "tax"), "--format", "ko"], {
+    system,
+    stdout,
+    stderr: new Sink(),
+  });
+  assert.equal(code, 0);
+  assert.deepEqual(calls[0].states, ["done", "cancel"]);
+  const output = JSON.parse(stdout.text);
+  assert.equal(output.data.flaggedCount, 0);
+  assert.deepEqual(output.data.summary.map((row) => [row.symbol, row.realizedGainKrw]), [["ETH_KRW", 1_200_000 - 600 - 1_000_500]]);
+  assert.deepEqual(output.data.files.map((file) => path.basename(file)), ["tax-trades-2025-ko.csv", "tax-summary-2025-ko.csv"]);
+  assert.match(await fs.readFile(output.data.files[0], "utf8"), /exchange_backfill/);
+
+  assert.equal((await system.taxExport({ year: "24" })).ok, false);
+});
+
+test("fills are timed at the exchange execution, not when the reconcile recorded them", async () => {
+  const dir = await tempDir();
+  const system = new TradingSystem(loadConfig({
+    TRADER_STATE_FILE: path.join(dir, "state.json"),
+  }), {
+    exchangeClient: {
+      isRetryableError: () => false,
+      getOrderStatus: async () => ({
+        uuid: "ex-1",
+        market: "KRW-BTC",
+        side: "bid",
+        ord_type: "limit",
+        state: "done",
+        price: "100000",
+        volume: "1",
+        executed_volume: "1",
+        paid_fee: "50",
+        trades: [
+          { price: "100000", volume: "0.4", funds: "40000", created_at: "2024-12-31T23:58:10+09:00" },
+          { price: "100000", volume: "0.6", funds: "60000", created_at: "2024-12-31T23:59:50+09:00" },
+        ],
+      }),
+    },
+    wsClient: {},
+  });
+  await system.init();
+
+  await system.reconcileOrder({
+    id: "o-1",
+    symbol: "BTC_KRW",
+    side: "buy",
+    type: "limit",
+    state: "NEW",
+    exchangeOrderId: "ex-1",
+  }, { attempts: 1 });
+  const [row] = system.store.snapshot().fills;
+  assert.equal(row.createdAt, "2024-12-31T14:59:50.000Z");
+  assert.equal(row.eventTs, Date.parse("2024-12-31T14:59:50.000Z"));
+
+  const report = buildTaxReport(collectTaxTrades({
+    fills: [row, fill("f-paper", "buy", 1, 100_000, 50, "2024-06-01T00:00:00.000Z", { paper: true })],
+  }));
+  assert.deepEqual(report.trades.map((trade) => [trade.id, trade.year]), [[row.id, 2024]]);
+});
@@ -250,8 +250,9 @@ test("strategy sell uses available position amount when sell-all exit is enabled
   assert.equal(exchange.placeCalls.length, 1);
   assert.equal(exchange.placeCalls[0].side, "sell");
   assert.equal(exchange.placeCalls[0].type, "market");
-  assert.equal(exchange.placeCalls[0].qty, 250);
-  assert.equal(Math.round(exchange.placeCalls[0].amountKrw), 20000);
+  // A 20000 KRW sell would leave 50 BTC (4000 KRW) of dust, so the whole holding goes.
+  assert.equal(exchange.placeCalls[0].qty, 300);
+  assert.equal(Math.round(exchange.placeCalls[0].amountKrw), 24000);
 });
 
 test("stream ticker collects realtime ticks from websocket client", async () => {